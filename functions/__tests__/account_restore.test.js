@@ -0,0 +1,218 @@
+/**
+ * Tests for restoring soft-deleted accounts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions } from './helpers/functions_harness.js';
+
+const { db, sendEmail, call } = await loadFunctions();
+
+const DAY = 24 * 60 * 60 * 1000;
+const CONTINUE_URL = 'https://app.example.com/';
+
+function seedUser(uid, { deletedDaysAgo = 10, email = `${uid}@example.com` } = {}) {
+  db.seed(`users/${uid}`, {
+    uid,
+    email,
+    name: 'Deleted User',
+    deletedAt: deletedDaysAgo === null ? null : new Date(Date.now() - deletedDaysAgo * DAY),
+  });
+}
+
+function restoreTokenFromEmail() {
+  const [, , , text] = sendEmail.mock.calls[0];
+  return text.match(/restoreToken=([A-Za-z0-9_-]+)/)[1];
+}
+
+async function requestRestore(email = 'gone@example.com') {
+  return call('requestAccountRestore', { body: { email, continueUrl: CONTINUE_URL } });
+}
+
+describe('Account restore', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    db.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  describe('requestAccountRestore', () => {
+    it('should email a restore link', async () => {
+      seedUser('gone');
+
+      const res = await requestRestore();
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ success: true });
+      expect(sendEmail).toHaveBeenCalledWith('gone@example.com', expect.any(String), expect.any(String), expect.any(String));
+      expect(restoreTokenFromEmail()).toBeTruthy();
+      const [path] = db.paths().filter((p) => p.startsWith('pendingRegistrations/'));
+      expect(db.dump(path)).toMatchObject({ purpose: 'restore', status: 'pending', email: 'gone@example.com' });
+    });
+
+    it('should reject accounts that are not deleted', async () => {
+      seedUser('active', { deletedDaysAgo: null });
+
+      const res = await requestRestore('active@example.com');
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.error).toBe('ACCOUNT_NOT_DELETED');
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should reject accounts past the restore window', async () => {
+      seedUser('gone', { deletedDaysAgo: 91 });
+
+      const res = await requestRestore();
+
+      expect(res.statusCode).toBe(410);
+      expect(res.body.error).toBe('RESTORE_WINDOW_EXPIRED');
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown emails', async () => {
+      const res = await requestRestore('nobody@example.com');
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('USER_NOT_FOUND');
+    });
+
+    it('should reject a foreign continueUrl', async () => {
+      seedUser('gone');
+
+      const res = await call('requestAccountRestore', {
+        body: { email: 'gone@example.com', continueUrl: 'https://evil.example/' },
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('CONTINUE_URL_NOT_ALLOWED');
+    });
+  });
+
+  describe('verifyAccountRestore', () => {
+    it('should clear deletedAt and send a confirmation', async () => {
+      seedUser('gone');
+      await requestRestore();
+      const token = restoreTokenFromEmail();
+
+      const res = await call('verifyAccountRestore', { body: { token } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ success: true, email: 'gone@example.com' });
+      const user = db.dump('users/gone');
+      expect(user.deletedAt).toBeNull();
+      expect(user.restoredBy).toBe('user');
+      expect(user.previousDeletedAt).toBeTruthy();
+
+      const outbox = db.paths().filter((p) => p.startsWith('emailOutbox/')).map((p) => db.dump(p));
+      expect(outbox).toHaveLength(2);
+      expect(outbox).toContainEqual(expect.objectContaining({ type: 'account_restore', userId: 'gone', status: 'sent' }));
+      expect(outbox).toContainEqual(expect.objectContaining({ type: 'account_restored', userId: 'gone', status: 'sent' }));
+    });
+
+    it('should not accept the token twice', async () => {
+      seedUser('gone');
+      await requestRestore();
+      const token = restoreTokenFromEmail();
+      await call('verifyAccountRestore', { body: { token } });
+
+      const res = await call('verifyAccountRestore', { body: { token } });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.error).toBe('TOKEN_ALREADY_USED');
+    });
+
+    it('should reject sign-in tokens', async () => {
+      db.seed('users/active', { email: 'active@example.com', name: 'Active', deletedAt: null });
+      await call('createSignInRequest', { body: { email: 'active@example.com', continueUrl: CONTINUE_URL } });
+      const [, , , text] = sendEmail.mock.calls[0];
+      const token = text.match(/signInToken=([A-Za-z0-9_-]+)/)[1];
+
+      const res = await call('verifyAccountRestore', { body: { token } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('WRONG_TOKEN_PURPOSE');
+    });
+
+    it('should not let verifyRegistrationToken consume a restore token', async () => {
+      seedUser('gone');
+      await requestRestore();
+      const token = restoreTokenFromEmail();
+
+      const wrongPurpose = await call('verifyRegistrationToken', { body: { token, purpose: 'restore' } });
+      const asRegistration = await call('verifyRegistrationToken', { body: { token } });
+
+      expect(wrongPurpose.statusCode).toBe(400);
+      expect(wrongPurpose.body.error).toBe('INVALID_PURPOSE');
+      expect(asRegistration.statusCode).toBe(400);
+      expect(asRegistration.body.error).toBe('WRONG_TOKEN_PURPOSE');
+      expect((await call('verifyAccountRestore', { body: { token } })).statusCode).toBe(200);
+    });
+
+    it('should refuse a restore once the window has ended', async () => {
+      seedUser('gone', { deletedDaysAgo: 89 });
+      await requestRestore();
+      const token = restoreTokenFromEmail();
+      // The window ends before the link is used
+      seedUser('gone', { deletedDaysAgo: 91 });
+
+      const res = await call('verifyAccountRestore', { body: { token } });
+
+      expect(res.statusCode).toBe(410);
+      expect(res.body.error).toBe('RESTORE_WINDOW_EXPIRED');
+      expect(db.dump('users/gone').deletedAt).not.toBeNull();
+    });
+  });
+
+  describe('adminRestoreAccount', () => {
+    beforeEach(() => {
+      process.env.ADMIN_API_KEY = 'admin-secret';
+    });
+
+    it('should require admin credentials', async () => {
+      seedUser('gone');
+
+      const res = await call('adminRestoreAccount', { body: { uid: 'gone' } });
+
+      expect(res.statusCode).toBe(401);
+      expect(db.dump('users/gone').deletedAt).not.toBeNull();
+    });
+
+    it('should restore the account and notify the user', async () => {
+      seedUser('gone');
+
+      const res = await call('adminRestoreAccount', {
+        body: { uid: 'gone' },
+        headers: { Authorization: 'Bearer admin-secret' },
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ success: true, uid: 'gone' });
+      expect(db.dump('users/gone')).toMatchObject({ deletedAt: null, restoredBy: 'admin' });
+      expect(sendEmail).toHaveBeenCalledWith('gone@example.com', expect.any(String), expect.any(String), expect.any(String));
+    });
+
+    it('should report accounts that cannot be restored', async () => {
+      seedUser('active', { deletedDaysAgo: null });
+
+      const res = await call('adminRestoreAccount', {
+        body: { uid: 'missing' },
+        headers: { Authorization: 'Bearer admin-secret' },
+      });
+      const notDeleted = await call('adminRestoreAccount', {
+        body: { uid: 'active' },
+        headers: { Authorization: 'Bearer admin-secret' },
+      });
+
+      expect(res.statusCode).toBe(404);
+      expect(notDeleted.statusCode).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Tests for the commands of the admin CLI (admin_commands.js)
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions } from './helpers/functions_harness.js';
+
+const { db, auth, sendEmail } = await loadFunctions();
+const { COMMANDS } = await import('../admin_commands.js');
+const { TOMBSTONE_COLLECTION } = await import('../user_purge.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date();
+const CONTINUE_URL = 'https://app.example.com/';
+
+const yes = { confirm: async () => true };
+
+function run(name, args, options = {}, io = yes) {
+  return COMMANDS[name].run(args, options, io);
+}
+
+function seedUser(uid, { deletedDaysAgo = null } = {}) {
+  auth.users.set(uid, { uid, email: `${uid}@example.com`, emailVerified: true, metadata: { creationTime: 'Mon, 01 Jan 2024 00:00:00 GMT' } });
+  db.seed(`users/${uid}`, {
+    uid,
+    email: `${uid}@example.com`,
+    name: 'Test User',
+    createdAt: new Date(NOW.getTime() - 100 * DAY),
+    deletedAt: deletedDaysAgo === null ? null : new Date(NOW.getTime() - deletedDaysAgo * DAY),
+  });
+}
+
+describe('Admin CLI commands', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.CONTINUE_URL_ALLOWLIST = CONTINUE_URL;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CONTINUE_URL_ALLOWLIST;
+  });
+
+  describe('inspect', () => {
+    it('should show the Auth record, profile, projects and pending tokens', async () => {
+      seedUser('u1');
+      db.seed('users/u1/projects/p1', { name: 'Paintings', deletedAt: null });
+      db.seed('users/u1/projects/p1/transactions/t1', { amount: 10 });
+      db.seed('users/u1/projects/p1/transactions/_sync_metadata', { transactionCount: 1 });
+      db.seed('users/u1/projects/_sync_metadata', { lastSyncTime: NOW });
+      db.seed('users/u1/transactions/legacy', { amount: 5 });
+      db.seed('pendingRegistrations/hash', { email: 'u1@example.com', purpose: 'signin', status: 'pending', expiresAt: NOW });
+
+      const result = await run('inspect', ['u1@example.com']);
+
+      expect(result).toMatchObject({
+        uid: 'u1',
+        email: 'u1@example.com',
+        auth: { emailVerified: true, createdAt: '2024-01-01T00:00:00.000Z' },
+        profile: { name: 'Test User', deletedAt: null },
+        projects: [{ id: 'p1', name: 'Paintings', transactions: 1 }],
+        legacyTransactions: 1,
+        pendingTokens: [{ purpose: 'signin', status: 'pending', expiresAt: NOW.toISOString() }],
+        outbox: [],
+      });
+      expect(JSON.stringify(result)).not.toContain('hash');
+    });
+
+    it('should find users by UID and users without an Auth record', async () => {
+      db.seed('users/orphan', { uid: 'orphan', email: 'orphan@example.com', name: 'Orphan' });
+
+      const result = await run('inspect', ['orphan']);
+
+      expect(result).toMatchObject({ uid: 'orphan', email: 'orphan@example.com', auth: null });
+    });
+
+    it('should report unknown users', async () => {
+      await expect(run('inspect', ['nobody@example.com'])).rejects.toThrow('USER_NOT_FOUND');
+    });
+  });
+
+  describe('create-registration', () => {
+    it('should create a pending registration and return its link without emailing', async () => {
+      const result = await run('create-registration', ['new@example.com'], { name: 'New User' });
+
+      expect(result).toMatchObject({ email: 'new@example.com', emailSent: false });
+      expect(result.verificationUrl).toMatch(/^https:\/\/app\.example\.com\/\?registrationToken=[A-Za-z0-9_-]+$/);
+      expect(sendEmail).not.toHaveBeenCalled();
+      const [path] = db.paths().filter((p) => p.startsWith('pendingRegistrations/'));
+      expect(db.dump(path)).toMatchObject({ email: 'new@example.com', status: 'pending' });
+    });
+
+    it('should email the link with --send', async () => {
+      const result = await run('create-registration', ['new@example.com'], { name: 'New User', send: true });
+
+      expect(result.emailSent).toBe(true);
+      expect(sendEmail).toHaveBeenCalledWith('new@example.com', expect.any(String), expect.any(String), expect.stringContaining(result.verificationUrl));
+    });
+
+    it('should store a supported locale', async () => {
+      await run('create-registration', ['de@example.com'], { name: 'New User', locale: 'de-AT' });
+      await run('create-registration', ['xx@example.com'], { name: 'New User', locale: 'xx<script>' });
+
+      const locales = db.paths().filter((p) => p.startsWith('pendingRegistrations/')).map((p) => db.dump(p))
+        .map(({ email, locale }) => [email, locale]);
+      expect(locales).toEqual(expect.arrayContaining([['de@example.com', 'de'], ['xx@example.com', 'en']]));
+    });
+
+    it('should validate the input', async () => {
+      seedUser('u1');
+
+      await expect(run('create-registration', ['not-an-email'], { name: 'New User' })).rejects.toThrow('INVALID_EMAIL');
+      await expect(run('create-registration', ['new@example.com'], {})).rejects.toThrow('INVALID_NAME');
+      await expect(run('create-registration', ['new@example.com'], { name: 'New User', 'continue-url': 'https://evil.example.net/' }))
+        .rejects.toThrow(/CONTINUE_URL/);
+      await expect(run('create-registration', ['u1@example.com'], { name: 'Test User' })).rejects.toThrow('USER_EXISTS');
+    });
+  });
+
+  describe('resend-email', () => {
+    it('should deliver an outbox message again after confirmation', async () => {
+      db.seed('emailOutbox/m1', { to: 'u1@example.com', subject: 'Hello', html: '<p>Hi</p>', text: 'Hi', type: 'generic', status: 'retrying', attempts: 3, nextAttemptAt: new Date(NOW.getTime() + DAY), createdAt: NOW });
+      const confirm = jest.fn(async () => true);
+
+      const result = await run('resend-email', ['m1'], {}, { confirm });
+
+      expect(confirm).toHaveBeenCalledWith(expect.stringContaining('m1'));
+      expect(result).toEqual({ messageId: 'm1', status: 'sent' });
+      expect(sendEmail).toHaveBeenCalledWith('u1@example.com', 'Hello', '<p>Hi</p>', 'Hi');
+    });
+
+    it('should report unknown messages', async () => {
+      await expect(run('resend-email', ['missing'])).rejects.toThrow('MESSAGE_NOT_FOUND');
+    });
+
+    it('should resend a dead-lettered message', async () => {
+      db.seed('emailOutbox/m1', { to: 'u1@example.com', subject: 'Hello', html: '<p>Hi</p>', text: 'Hi', type: 'generic', status: 'dead', attempts: 6, nextAttemptAt: null, lastError: 'Bad Request', createdAt: NOW });
+
+      const result = await run('resend-email', ['m1']);
+
+      expect(result).toEqual({ messageId: 'm1', status: 'sent' });
+      expect(sendEmail).toHaveBeenCalledWith('u1@example.com', 'Hello', '<p>Hi</p>', 'Hi');
+    });
+
+    it('should refuse messages that were already sent', async () => {
+      db.seed('emailOutbox/m1', { to: 'u1@example.com', subject: 'Hello', html: null, text: null, type: 'generic', status: 'sent', attempts: 1, bodyRedactedAt: NOW, createdAt: NOW });
+
+      await expect(run('resend-email', ['m1'])).rejects.toThrow('MESSAGE_BODY_REDACTED');
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('soft-delete', () => {
+    it('should set deletedAt and keep the data', async () => {
+      seedUser('u1');
+      db.seed('users/u1/projects/p1', { name: 'Paintings', deletedAt: null });
+
+      const result = await run('soft-delete', ['u1@example.com']);
+
+      expect(result).toMatchObject({ uid: 'u1' });
+      expect(db.dump('users/u1').deletedAt).not.toBeNull();
+      expect(db.dump('users/u1/projects/p1')).toBeDefined();
+      expect(auth.users.has('u1')).toBe(true);
+    });
+
+    it('should refuse accounts that are already deleted', async () => {
+      seedUser('u1', { deletedDaysAgo: 1 });
+
+      await expect(run('soft-delete', ['u1'])).rejects.toThrow('ACCOUNT_ALREADY_DELETED');
+    });
+  });
+
+  describe('restore', () => {
+    it('should restore the account and email the user', async () => {
+      seedUser('u1', { deletedDaysAgo: 5 });
+
+      const result = await run('restore', ['u1@example.com']);
+
+      expect(result).toMatchObject({ uid: 'u1', emailStatus: 'sent' });
+      expect(db.dump('users/u1')).toMatchObject({ deletedAt: null, restoredBy: 'admin' });
+      expect(sendEmail).toHaveBeenCalledWith('u1@example.com', expect.any(String), expect.any(String), expect.any(String));
+    });
+
+    it('should skip the email with --no-email', async () => {
+      seedUser('u1', { deletedDaysAgo: 5 });
+
+      const result = await run('restore', ['u1'], { 'no-email': true });
+
+      expect(result.emailStatus).toBeNull();
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should refuse accounts that are not deleted', async () => {
+      seedUser('u1');
+
+      await expect(run('restore', ['u1'])).rejects.toThrow('ACCOUNT_NOT_DELETED');
+    });
+  });
+
+  describe('purge', () => {
+    it('should delete a soft-deleted account with all of its data', async () => {
+      seedUser('u1', { deletedDaysAgo: 1 });
+      db.seed('users/u1/projects/p1', { name: 'Paintings', deletedAt: null });
+      db.seed('users/u1/projects/p1/transactions/t1', { amount: 10 });
+      db.seed('pendingRegistrations/hash', { email: 'u1@example.com', purpose: 'restore', status: 'pending' });
+
+      const result = await run('purge', ['u1@example.com']);
+
+      expect(result).toMatchObject({ uid: 'u1', status: 'purged', authDeleted: true, collections: ['projects'] });
+      expect(auth.users.has('u1')).toBe(false);
+      expect(db.paths().filter((path) => path.startsWith('users/u1') || path.startsWith('pendingRegistrations/'))).toEqual([]);
+      expect(db.paths().filter((path) => path.startsWith(`${TOMBSTONE_COLLECTION}/`))).toHaveLength(1);
+    });
+
+    it('should only purge soft-deleted accounts', async () => {
+      seedUser('u1');
+
+      await expect(run('purge', ['u1'])).rejects.toThrow('ACCOUNT_NOT_DELETED');
+      expect(auth.users.has('u1')).toBe(true);
+    });
+  });
+
+  it('should change nothing when confirmation is declined', async () => {
+    seedUser('active');
+    seedUser('deleted', { deletedDaysAgo: 1 });
+    await run('create-registration', ['new@example.com'], { name: 'New User' });
+    const before = db.paths().map((path) => [path, db.dump(path)]);
+    const no = { confirm: jest.fn(async () => false) };
+
+    const results = [
+      await run('create-registration', ['new@example.com'], { name: 'New User', send: true }, no),
+      await run('soft-delete', ['active'], {}, no),
+      await run('restore', ['deleted'], {}, no),
+      await run('purge', ['deleted'], {}, no),
+    ];
+
+    expect(results).toEqual([{ aborted: true }, { aborted: true }, { aborted: true }, { aborted: true }]);
+    expect(no.confirm).toHaveBeenCalledTimes(4);
+    expect(db.paths().map((path) => [path, db.dump(path)])).toEqual(before);
+    expect(auth.users.size).toBe(2);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests for the security audit log
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions, createIdToken, createSchedulerHeaders } from './helpers/functions_harness.js';
+
+const { db, auth, handlers, sendEmail, call } = await loadFunctions();
+const { AUDIT_LOG_COLLECTION, hashIp, recordAuditEvent } = await import('../audit_log.js');
+const { enforceRetention } = await import('../retention_enforcer.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const CONTINUE_URL = 'https://app.example.com/';
+const USER_AGENT = 'Mozilla/5.0 (Macintosh) Firefox/130.0';
+
+const bearer = (uid) => ({ Authorization: `Bearer ${createIdToken({ uid, email: `${uid}@example.com` })}` });
+
+function auditEntries() {
+  return db.paths()
+    .filter((path) => path.startsWith(`${AUDIT_LOG_COLLECTION}/`))
+    .map((path) => db.dump(path));
+}
+
+/**
+ * Make every access to one collection throw
+ */
+function failCollection(name) {
+  const collection = db.collection.bind(db);
+  jest.spyOn(db, 'collection').mockImplementation((path) => {
+    if (path === name) {
+      throw new Error(`${name} unavailable`);
+    }
+    return collection(path);
+  });
+}
+
+function seedUser(uid) {
+  auth.users.set(uid, { uid, email: `${uid}@example.com` });
+  db.seed(`users/${uid}`, { uid, email: `${uid}@example.com`, name: 'Ada', deletedAt: null });
+}
+
+describe('Audit log', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record a sign-in request with a hashed IP and the user agent', async () => {
+    seedUser('u1');
+
+    await call('createSignInRequest', {
+      body: { email: 'u1@example.com', continueUrl: CONTINUE_URL },
+      headers: { 'User-Agent': USER_AGENT },
+      ip: '198.51.100.7',
+    });
+
+    const [entry] = auditEntries();
+    expect(entry).toMatchObject({
+      type: 'sign_in_requested',
+      uid: 'u1',
+      ipHash: hashIp('198.51.100.7'),
+      userAgent: USER_AGENT,
+      outcome: 'success',
+      errorCode: null,
+    });
+    expect(JSON.stringify(entry)).not.toContain('198.51.100.7');
+  });
+
+  it('should record failures with the error code', async () => {
+    const res = await call('createSignInRequest', {
+      body: { email: 'nobody@example.com', continueUrl: CONTINUE_URL },
+    });
+
+    expect(res.statusCode).toBe(404);
+    expect(auditEntries()).toEqual([
+      expect.objectContaining({ type: 'sign_in_requested', uid: null, outcome: 'failure', errorCode: 'USER_NOT_FOUND' }),
+    ]);
+  });
+
+  it('should record token verifications by purpose with the provisioned uid', async () => {
+    await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: CONTINUE_URL } });
+    const [, , , text] = sendEmail.mock.calls[0];
+    const token = text.match(/registrationToken=([A-Za-z0-9_-]+)/)[1];
+
+    await call('verifyRegistrationToken', { body: { token } });
+    await call('verifyRegistrationToken', { body: { token: 'unknown', purpose: 'signIn' } });
+
+    const [user] = [...auth.users.values()];
+    expect(auditEntries()).toEqual([
+      expect.objectContaining({ type: 'registration_requested', uid: null, outcome: 'success' }),
+      expect.objectContaining({ type: 'registration_verified', uid: user.uid, outcome: 'success' }),
+      expect.objectContaining({ type: 'sign_in_verified', uid: null, outcome: 'failure', errorCode: 'INVALID_TOKEN' }),
+    ]);
+  });
+
+  it('should record unexpected errors as INTERNAL_ERROR', async () => {
+    seedUser('u1');
+    failCollection('users');
+
+    const res = await call('createSignInRequest', { body: { email: 'u1@example.com', continueUrl: CONTINUE_URL } });
+
+    expect(res.statusCode).toBe(500);
+    expect(auditEntries()).toEqual([
+      expect.objectContaining({ type: 'sign_in_requested', outcome: 'failure', errorCode: 'INTERNAL_ERROR' }),
+    ]);
+  });
+
+  it('should record login notifications and rejected tokens', async () => {
+    seedUser('u1');
+
+    await call('sendLoginNotification', { headers: { ...bearer('u1'), 'User-Agent': USER_AGENT } });
+    await call('sendLoginNotification', { headers: { Authorization: 'Bearer garbage' } });
+
+    expect(auditEntries()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'login_notification', uid: 'u1', outcome: 'success' }),
+      expect.objectContaining({ type: 'login_notification', uid: null, outcome: 'failure', errorCode: 'UNAUTHENTICATED' }),
+    ]));
+  });
+
+  it('should record account deletions from the Firestore trigger', async () => {
+    await handlers.onUserDeleted({
+      data: {
+        oldValue: { fields: { email: { stringValue: 'u1@example.com' } } },
+        value: {
+          name: 'projects/p/databases/(default)/documents/users/u1',
+          fields: {
+            email: { stringValue: 'u1@example.com' },
+            name: { stringValue: 'Ada' },
+            deletedAt: { timestampValue: '2025-06-01T00:00:00Z' },
+          },
+        },
+      },
+    });
+
+    expect(auditEntries()).toEqual([
+      expect.objectContaining({ type: 'account_deleted', uid: 'u1', outcome: 'success', ipHash: null }),
+    ]);
+  });
+
+  it('should not fail the request when the audit write fails', async () => {
+    seedUser('u1');
+    failCollection(AUDIT_LOG_COLLECTION);
+
+    const res = await call('createSignInRequest', { body: { email: 'u1@example.com', continueUrl: CONTINUE_URL } });
+
+    expect(res.statusCode).toBe(200);
+    expect(console.error).toHaveBeenCalledWith('Failed to write audit event sign_in_requested:', expect.any(Error));
+  });
+
+  describe('listSecurityEvents', () => {
+    it('should return only the caller\'s events, newest first', async () => {
+      seedUser('u1');
+      const now = Date.now();
+      await recordAuditEvent({ type: 'sign_in_requested', uid: 'u1', now: new Date(now - 2 * DAY) });
+      await recordAuditEvent({ type: 'sign_in_verified', uid: 'u1', now: new Date(now - DAY) });
+      await recordAuditEvent({ type: 'sign_in_requested', uid: 'someone-else', now: new Date(now) });
+
+      const res = await call('listSecurityEvents', { method: 'GET', headers: bearer('u1') });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.events.map((event) => event.type)).toEqual(['sign_in_verified', 'sign_in_requested']);
+      expect(res.body.events[0]).not.toHaveProperty('ipHash');
+      expect(res.body.events[0].createdAt).toBe(new Date(now - DAY).toISOString());
+    });
+
+    it('should require a signed-in user and a valid limit', async () => {
+      seedUser('u1');
+
+      const anonymous = await call('listSecurityEvents', { method: 'GET' });
+      const badLimit = await call('listSecurityEvents', { method: 'GET', headers: bearer('u1'), query: { limit: '1000' } });
+
+      expect(anonymous.statusCode).toBe(401);
+      expect(badLimit.statusCode).toBe(400);
+      expect(badLimit.body.error).toBe('INVALID_LIMIT');
+    });
+  });
+
+  describe('retention', () => {
+    it('should delete entries older than the retention period', async () => {
+      const now = new Date();
+      await recordAuditEvent({ type: 'sign_in_requested', uid: 'u1', now: new Date(now.getTime() - 366 * DAY) });
+      await recordAuditEvent({ type: 'sign_in_requested', uid: 'u1', now: new Date(now.getTime() - 364 * DAY) });
+
+      const { policies: [report] } = await enforceRetention({ policies: ['auditLog'], now });
+
+      expect(report.counts).toEqual({ deleted: 1 });
+      expect(auditEntries()).toHaveLength(1);
+    });
+
+    it('should report the cleanup from the endpoint', async () => {
+      await recordAuditEvent({ type: 'sign_in_requested', uid: 'u1', now: new Date(Date.now() - 400 * DAY) });
+
+      const res = await call('cleanupAuditLog', { method: 'GET', headers: createSchedulerHeaders('cleanupAuditLog', { method: 'GET' }) });
+
+      expect(res.body).toEqual({ success: true, status: 'completed', deletedCount: 1 });
+    });
+
+    it('should delete a user\'s entries when the account is purged', async () => {
+      const { purgeDeletedUsers } = await import('../user_purge.js');
+      seedUser('u1');
+      db.seed('users/u1', { email: 'u1@example.com', deletedAt: new Date(Date.now() - 100 * DAY) });
+      await recordAuditEvent({ type: 'sign_in_requested', uid: 'u1' });
+      await recordAuditEvent({ type: 'sign_in_requested', uid: 'u2' });
+
+      await purgeDeletedUsers();
+
+      expect(auditEntries()).toEqual([expect.objectContaining({ uid: 'u2' })]);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for auth.js and the ID-token protected endpoints
+ *
+ * ID tokens are unsigned emulator-style tokens from createIdToken; the mocked
+ * Admin SDK verifies them the way it does against the Auth emulator.
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { loadFunctions, createIdToken, createRequest, createResponse } from './helpers/functions_harness.js';
+
+const { db, auth, sendEmail, call } = await loadFunctions();
+const { verifyUserRequest, withUser, isAdminRequest } = await import('../auth.js');
+
+const bearer = (claims, options) => ({ Authorization: `Bearer ${createIdToken(claims, options)}` });
+
+describe('Auth', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    sendEmail.mockClear();
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  describe('verifyUserRequest', () => {
+    it('should return the decoded token', async () => {
+      const req = createRequest({ headers: bearer({ uid: 'u1', email: 'a@example.com' }) });
+
+      const decoded = await verifyUserRequest(req);
+
+      expect(decoded).toMatchObject({ uid: 'u1', email: 'a@example.com' });
+      expect(auth.verifyIdToken).toHaveBeenLastCalledWith(expect.any(String), true);
+    });
+
+    it('should reject a missing token', async () => {
+      await expect(verifyUserRequest(createRequest())).rejects.toThrow('UNAUTHENTICATED: Missing ID token');
+    });
+
+    it('should reject a malformed token', async () => {
+      const req = createRequest({ headers: { Authorization: 'Bearer not-a-token' } });
+
+      await expect(verifyUserRequest(req)).rejects.toThrow('UNAUTHENTICATED: Invalid ID token');
+    });
+
+    it('should reject an expired token', async () => {
+      const issuedAt = Math.floor(Date.now() / 1000) - 7200;
+      const req = createRequest({ headers: bearer({ uid: 'u1' }, { issuedAt }) });
+
+      await expect(verifyUserRequest(req)).rejects.toThrow('UNAUTHENTICATED: ID token has expired');
+    });
+
+    it('should reject a token issued before its refresh tokens were revoked', async () => {
+      auth.users.set('u1', { uid: 'u1', email: 'a@example.com' });
+      const issuedAt = Math.floor(Date.now() / 1000) - 60;
+      await auth.revokeRefreshTokens('u1');
+
+      const req = createRequest({ headers: bearer({ uid: 'u1' }, { issuedAt }) });
+
+      await expect(verifyUserRequest(req)).rejects.toThrow('UNAUTHENTICATED: ID token has been revoked');
+    });
+  });
+
+  describe('withUser', () => {
+    it('should expose the decoded token as req.user', async () => {
+      let user;
+      const handler = withUser(async (req, res) => {
+        user = req.user;
+        res.status(200).json({ success: true });
+      });
+
+      const res = createResponse();
+      await handler(createRequest({ headers: bearer({ uid: 'u1', email: 'a@example.com' }) }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(user.uid).toBe('u1');
+    });
+
+    it('should respond 401 without calling the handler', async () => {
+      let called = false;
+      const handler = withUser(async () => { called = true; });
+
+      const res = createResponse();
+      await handler(createRequest(), res);
+
+      expect(res.statusCode).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+      expect(res.body).toEqual({ success: false, error: 'UNAUTHENTICATED', message: 'Missing ID token' });
+      expect(called).toBe(false);
+    });
+  });
+
+  describe('isAdminRequest', () => {
+    it('should accept only the configured admin key', () => {
+      process.env.ADMIN_API_KEY = 'admin-secret';
+
+      expect(isAdminRequest(createRequest({ headers: { Authorization: 'Bearer admin-secret' } }))).toBe(true);
+      expect(isAdminRequest(createRequest({ headers: { Authorization: 'Bearer admin-secre' } }))).toBe(false);
+      expect(isAdminRequest(createRequest())).toBe(false);
+    });
+
+    it('should reject everything when no admin key is configured', () => {
+      expect(isAdminRequest(createRequest({ headers: { Authorization: 'Bearer ' } }))).toBe(false);
+    });
+  });
+
+  describe('sendLoginNotification', () => {
+    it('should require an ID token', async () => {
+      const res = await call('sendLoginNotification', { body: { email: 'victim@example.com' } });
+
+      expect(res.statusCode).toBe(401);
+      expect(sendEmail).not.toHaveBeenCalled();
+      // Only the failed attempt is recorded in the audit log
+      expect(db.paths().filter((path) => !path.startsWith('auditLog/'))).toEqual([]);
+    });
+
+    it('should send the alert to the signed-in user, not the address in the body', async () => {
+      db.seed('users/u1', { email: 'owner@example.com', name: 'Owner' });
+
+      const res = await call('sendLoginNotification', {
+        body: { email: 'victim@example.com', name: 'Victim', deviceInfo: 'Pixel 8' },
+        headers: bearer({ uid: 'u1', email: 'owner@example.com' }),
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+      const [to, , html] = sendEmail.mock.calls[0];
+      expect(to).toBe('owner@example.com');
+      expect(html).toContain('Owner');
+      expect(html).not.toContain('Victim');
+      expect(html).not.toContain('Pixel 8');
+    });
+
+    it('should fall back to the name in the token', async () => {
+      await call('sendLoginNotification', {
+        headers: bearer({ uid: 'u2', email: 'new@example.com', name: 'Token Name' }),
+      });
+
+      expect(sendEmail.mock.calls[0][2]).toContain('Token Name');
+    });
+
+    it('should reject accounts without an email address', async () => {
+      const res = await call('sendLoginNotification', { headers: bearer({ uid: 'u3', phone_number: '+15555550100' }) });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('MISSING_EMAIL');
+    });
+
+    it('should record the outbox message against the token uid', async () => {
+      await call('sendLoginNotification', { headers: bearer({ uid: 'u1', email: 'owner@example.com' }) });
+
+      const [path] = db.paths().filter((p) => p.startsWith('emailOutbox/'));
+      expect(db.dump(path)).toMatchObject({ to: 'owner@example.com', userId: 'u1', type: 'login_notification' });
+    });
+  });
+});
@@ -8,6 +8,9 @@
  * - Cloud Functions must be deployed or running locally
  * - Firestore must be available (production or emulator)
  * - Set FUNCTIONS_BASE_URL environment variable (defaults to deployed functions)
+ * - Tokens are only stored hashed, so they are read from the emails: run the
+ *   functions with EMAIL_TRANSPORT=file and the same EMAIL_OUTBOX_DIR and
+ *   TOKEN_HASH_SECRET as this suite
  *
  * Usage:
  *   npm run test:e2e
@@ -22,6 +25,10 @@
 import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
 import { Firestore } from '@google-cloud/firestore';
 import admin from 'firebase-admin';
+import fs from 'fs/promises';
+import path from 'path';
+import { getOutboxDir } from '../email_service_file.js';
+import { hashToken } from '../registration_service.js';
 
 // Initialize Firebase Admin SDK for cleanup
 if (!admin.apps.length) {
@@ -36,7 +43,8 @@ const firestore = new Firestore();
 const FUNCTIONS_BASE_URL = process.env.FUNCTIONS_BASE_URL ||
   'https://us-central1-artist-manager-479514.cloudfunctions.net';
 
-const TEST_APP_URL = 'https://artist-manager-479514.web.app';
+// Trailing slash: continueUrl is stored and returned in normalized form
+const TEST_APP_URL = 'https://artist-manager-479514.web.app/';
 
 // Test user data
 const TEST_USERS = {
@@ -77,29 +85,32 @@ async function callCloudFunction(functionName, body) {
 }
 
 /**
- * Helper to extract token from Firestore
- * This simulates getting the token from the email link
+ * Helper to extract the token from the most recent email to an address
+ * This simulates the user clicking the email link
  */
 async function getTokenForEmail(email) {
-  console.log(`🔍 Looking for pending registration token for ${email}...`);
+  console.log(`🔍 Looking for the latest registration email to ${email}...`);
 
-  const snapshot = await firestore
-    .collection('pendingRegistrations')
-    .where('email', '==', email)
-    .where('status', '==', 'pending')
-    .limit(1)
-    .get();
+  const outboxDir = getOutboxDir();
+  const files = (await fs.readdir(outboxDir)).filter((file) => file.endsWith('.json')).sort().reverse();
 
-  if (snapshot.empty) {
-    throw new Error(`No pending registration found for ${email}`);
+  for (const file of files) {
+    const message = JSON.parse(await fs.readFile(path.join(outboxDir, file), 'utf8'));
+    const match = message.to === email && /(?:registrationToken|signInToken)=([A-Za-z0-9_-]+)/.exec(message.text);
+    if (match) {
+      console.log('✅ Found token in email');
+      return match[1];
+    }
   }
 
-  const doc = snapshot.docs[0];
-  const token = doc.id; // Token is the document ID
-
-  console.log(`✅ Found token: ${token.substring(0, 20)}...`);
+  throw new Error(`No registration email found for ${email} in ${outboxDir}`);
+}
 
-  return token;
+/**
+ * Firestore reference for a token (stored under its hash)
+ */
+function tokenDocument(token) {
+  return firestore.collection('pendingRegistrations').doc(hashToken(token));
 }
 
 /**
@@ -198,10 +209,7 @@ describe('E2E Authentication Flows', () => {
       expect(registrationToken.length).toBeGreaterThan(20); // Token should be substantial
 
       // Verify token document structure
-      const tokenDoc = await firestore
-        .collection('pendingRegistrations')
-        .doc(registrationToken)
-        .get();
+      const tokenDoc = await tokenDocument(registrationToken).get();
 
       expect(tokenDoc.exists).toBe(true);
 
@@ -209,7 +217,7 @@ describe('E2E Authentication Flows', () => {
       expect(data.email).toBe(TEST_USERS.registration.email);
       expect(data.name).toBe(TEST_USERS.registration.name);
       expect(data.status).toBe('pending');
-      expect(data.token).toBe(registrationToken);
+      expect(data).not.toHaveProperty('token'); // Only the hash is stored
       expect(data.continueUrl).toBe(TEST_APP_URL);
       expect(data.expiresAt).toBeDefined();
       expect(data.createdAt).toBeDefined();
@@ -274,10 +282,7 @@ describe('E2E Authentication Flows', () => {
     });
 
     it('Step 6: Should have marked token as completed', async () => {
-      const tokenDoc = await firestore
-        .collection('pendingRegistrations')
-        .doc(registrationToken)
-        .get();
+      const tokenDoc = await tokenDocument(registrationToken).get();
 
       expect(tokenDoc.exists).toBe(true);
 
@@ -362,10 +367,7 @@ describe('E2E Authentication Flows', () => {
       expect(signInToken).toBeDefined();
 
       // Verify token document
-      const tokenDoc = await firestore
-        .collection('pendingRegistrations')
-        .doc(signInToken)
-        .get();
+      const tokenDoc = await tokenDocument(signInToken).get();
 
       expect(tokenDoc.exists).toBe(true);
       const data = tokenDoc.data();
@@ -379,7 +381,8 @@ describe('E2E Authentication Flows', () => {
     it('Step 3: Should verify sign-in token and return sign-in link', async () => {
       // Simulate user clicking the sign-in link
       const { status, data } = await callCloudFunction('verifyRegistrationToken', {
-        token: signInToken
+        token: signInToken,
+        purpose: 'signIn'
       });
 
       // Validate response
@@ -459,6 +462,37 @@ describe('E2E Authentication Flows', () => {
       expect(data.error).toBe('INVALID_TOKEN');
     });
 
+    it('Should accept exactly one of several parallel verifications', async () => {
+      const testEmail = `parallel-test-${Date.now()}@example.com`;
+      await callCloudFunction('createRegistration', {
+        email: testEmail,
+        name: 'Parallel Test',
+        continueUrl: TEST_APP_URL
+      });
+
+      const token = await getTokenForEmail(testEmail);
+
+      // Simulate several clicks on the same link at once
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => callCloudFunction('verifyRegistrationToken', { token }))
+      );
+
+      const succeeded = results.filter(({ status }) => status === 200);
+      const rejected = results.filter(({ status }) => status === 409);
+      expect(succeeded).toHaveLength(1);
+      expect(rejected).toHaveLength(4);
+      rejected.forEach(({ data }) => expect(data.error).toBe('TOKEN_ALREADY_USED'));
+
+      // Exactly one Auth user and one profile
+      const authUser = await admin.auth().getUserByEmail(testEmail);
+      const profiles = await firestore.collection('users').where('email', '==', testEmail).get();
+      expect(profiles.size).toBe(1);
+      expect(profiles.docs[0].id).toBe(authUser.uid);
+
+      // Cleanup
+      await cleanupTestUser(testEmail);
+    });
+
     it('Should reject expired token', async () => {
       // Create a registration
       const testEmail = `expired-test-${Date.now()}@example.com`;
@@ -472,12 +506,9 @@ describe('E2E Authentication Flows', () => {
       const token = await getTokenForEmail(testEmail);
 
       // Manually expire the token in Firestore
-      await firestore
-        .collection('pendingRegistrations')
-        .doc(token)
-        .update({
-          expiresAt: new Date(Date.now() - 1000) // Expired 1 second ago
-        });
+      await tokenDocument(token).update({
+        expiresAt: new Date(Date.now() - 1000) // Expired 1 second ago
+      });
 
       // Try to verify expired token
       const { status, data } = await callCloudFunction('verifyRegistrationToken', {
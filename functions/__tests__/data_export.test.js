@@ -0,0 +1,174 @@
+/**
+ * Tests for the personal data export
+ */
+
+import zlib from 'zlib';
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions, createIdToken } from './helpers/functions_harness.js';
+
+const { db, auth, storage, sendEmail, call } = await loadFunctions();
+const { transactionsToCsv, EXPORT_COLLECTION, EXPORT_LINK_TTL_HOURS } = await import('../data_export.js');
+const { crc32 } = await import('../zip_archive.js');
+const { purgeDeletedUsers } = await import('../user_purge.js');
+
+const bearer = (uid) => ({ Authorization: `Bearer ${createIdToken({ uid, email: `${uid}@example.com` })}` });
+
+/**
+ * Read every entry of a ZIP archive from its local headers
+ */
+function readZip(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034B50) {
+    const crc = buffer.readUInt32LE(offset + 14);
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    const data = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+    expect(crc32(data)).toBe(crc);
+    entries[name] = data.toString('utf8');
+    offset = start + compressedSize;
+  }
+  return entries;
+}
+
+function seedUser(uid) {
+  auth.users.set(uid, { uid, email: `${uid}@example.com` });
+  db.seed(`users/${uid}`, { uid, email: `${uid}@example.com`, name: 'Ada', createdAt: new Date('2025-01-02T03:04:05Z'), deletedAt: null });
+  db.seed(`users/${uid}/preferences/settings`, { language: 'de' });
+  db.seed(`users/${uid}/projects/_sync_metadata`, { lastSyncTime: new Date() });
+  db.seed(`users/${uid}/projects/p1`, { name: 'Studio / Rent', createdAt: new Date('2025-01-03T00:00:00Z') });
+  db.seed(`users/${uid}/projects/p1/transactions/_sync_metadata`, { transactionCount: 2 });
+  db.seed(`users/${uid}/projects/p1/transactions/2`, {
+    description: 'Paint, "oil"', amount: 42.5, type: 'expense', category: 'Supplies', date: new Date('2025-02-01T00:00:00Z'),
+  });
+  db.seed(`users/${uid}/projects/p1/transactions/1`, {
+    description: '=HYPERLINK("http://evil")', amount: 100, type: 'income', category: 'Sales', date: new Date('2025-01-15T00:00:00Z'),
+  });
+  db.seed(`users/${uid}/transactions/legacy1`, { description: 'Old', amount: 5, type: 'income', category: 'Misc', date: new Date('2024-12-01T00:00:00Z') });
+}
+
+function exportedArchive() {
+  const [file] = [...storage.files.values()];
+  return readZip(file.data);
+}
+
+describe('Data export', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    storage.files.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should require a signed-in user', async () => {
+    const res = await call('requestDataExport', {});
+
+    expect(res.statusCode).toBe(401);
+    expect(storage.files.size).toBe(0);
+  });
+
+  it('should archive the profile, preferences, projects and legacy transactions', async () => {
+    seedUser('u1');
+
+    const res = await call('requestDataExport', { headers: bearer('u1') });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, queued: false });
+
+    const files = exportedArchive();
+    expect(Object.keys(files)).toEqual(['data.json', 'projects/studio-rent-p1.csv', 'legacy-transactions.csv']);
+
+    const data = JSON.parse(files['data.json']);
+    expect(data).toMatchObject({
+      format: 'artfinancehub-export',
+      version: 1,
+      profile: { email: 'u1@example.com', name: 'Ada', createdAt: '2025-01-02T03:04:05.000Z', deletedAt: null },
+      preferences: { settings: { language: 'de' } },
+      legacyTransactions: [{ id: 'legacy1', amount: 5, date: '2024-12-01T00:00:00.000Z' }],
+    });
+    expect(data.projects).toHaveLength(1);
+    expect(data.projects[0]).toMatchObject({ id: 'p1', name: 'Studio / Rent' });
+    expect(data.projects[0].transactions.map((tx) => tx.id).sort()).toEqual(['1', '2']);
+  });
+
+  it('should write CSV files that spreadsheets open safely', async () => {
+    seedUser('u1');
+
+    await call('requestDataExport', { headers: bearer('u1') });
+
+    expect(exportedArchive()['projects/studio-rent-p1.csv']).toBe([
+      'Datetime,Type,Category,Description,Amount,Currency',
+      '2025-01-15T00:00:00.000Z,income,Sales,"\'=HYPERLINK(""http://evil"")",100,',
+      '2025-02-01T00:00:00.000Z,expense,Supplies,"Paint, ""oil""",42.5,',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('should email a download link that expires', async () => {
+    seedUser('u1');
+    const before = Date.now();
+
+    const res = await call('requestDataExport', { headers: bearer('u1') });
+
+    const expiresAt = Date.parse(res.body.expiresAt);
+    expect(expiresAt - before).toBeGreaterThanOrEqual(EXPORT_LINK_TTL_HOURS * 60 * 60 * 1000 - 1000);
+
+    const [to, subject, , text] = sendEmail.mock.calls[0];
+    expect(to).toBe('u1@example.com');
+    expect(subject).toBe('Ihr Datenexport ist bereit - Art Finance Hub');
+    expect(text).toContain(`https://storage.example.com/default-bucket/exports/u1/${res.body.exportId}.zip?expires=${expiresAt}`);
+
+    const record = db.dump(`${EXPORT_COLLECTION}/${res.body.exportId}`);
+    expect(record).toMatchObject({ uid: 'u1', storagePath: `exports/u1/${res.body.exportId}.zip`, projectCount: 1, transactionCount: 3 });
+    expect(JSON.stringify(record)).not.toContain('storage.example.com');
+  });
+
+  it('should use DATA_EXPORT_BUCKET when set', async () => {
+    seedUser('u1');
+    process.env.DATA_EXPORT_BUCKET = 'exports-bucket';
+
+    await call('requestDataExport', { headers: bearer('u1') });
+
+    delete process.env.DATA_EXPORT_BUCKET;
+    expect([...storage.files.keys()][0]).toMatch(/^exports-bucket\/exports\/u1\//);
+  });
+
+  it('should return 404 for an account without a profile', async () => {
+    auth.users.set('u2', { uid: 'u2', email: 'u2@example.com' });
+
+    const res = await call('requestDataExport', { headers: bearer('u2') });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('USER_NOT_FOUND');
+  });
+
+  it('should remove export archives when the user is purged', async () => {
+    seedUser('u1');
+    await call('requestDataExport', { headers: bearer('u1') });
+    db.seed('users/u1', { email: 'u1@example.com', deletedAt: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000) });
+
+    await purgeDeletedUsers();
+
+    expect(storage.files.size).toBe(0);
+    expect(db.paths().filter((path) => path.startsWith(`${EXPORT_COLLECTION}/`))).toEqual([]);
+  });
+
+  describe('transactionsToCsv', () => {
+    it('should only write the header for a project without transactions', () => {
+      expect(transactionsToCsv([])).toBe('Datetime,Type,Category,Description,Amount,Currency\r\n');
+    });
+
+    it('should keep negative amounts as numbers', () => {
+      const csv = transactionsToCsv([{ date: '2025-01-01', type: 'expense', category: '-', description: '+1', amount: -3, currency: 'EUR' }]);
+
+      expect(csv.split('\r\n')[1]).toBe("2025-01-01,expense,'-,'+1,-3,EUR");
+    });
+  });
+});
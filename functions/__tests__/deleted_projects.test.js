@@ -0,0 +1,171 @@
+/**
+ * Tests for purging and restoring soft-deleted projects
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions, createIdToken } from './helpers/functions_harness.js';
+
+const { db, auth, call } = await loadFunctions();
+const { purgeDeletedProjects, restoreProject } = await import('../deleted_projects.js');
+const { AUDIT_LOG_COLLECTION } = await import('../audit_log.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date();
+
+const bearer = (uid) => ({ Authorization: `Bearer ${createIdToken({ uid, email: `${uid}@example.com` })}` });
+
+function ago(days) {
+  return new Date(NOW.getTime() - days * DAY);
+}
+
+function seedProject(uid, projectId, { deletedDaysAgo = null } = {}) {
+  db.seed(`users/${uid}/projects/${projectId}`, {
+    name: projectId,
+    createdAt: ago(400),
+    deletedAt: deletedDaysAgo === null ? null : ago(deletedDaysAgo),
+  });
+  db.seed(`users/${uid}/projects/${projectId}/transactions/t1`, { amount: 10 });
+  db.seed(`users/${uid}/projects/${projectId}/transactions/_sync_metadata`, { transactionCount: 1 });
+}
+
+function pathsOf(uid, projectId) {
+  return db.paths().filter((path) => path.startsWith(`users/${uid}/projects/${projectId}`));
+}
+
+describe('Deleted projects', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.RETENTION_DELETED_PROJECTS_DAYS;
+  });
+
+  describe('purgeDeletedProjects', () => {
+    it('should delete projects past the period with their transactions', async () => {
+      seedProject('u1', 'old', { deletedDaysAgo: 31 });
+      seedProject('u1', 'recent', { deletedDaysAgo: 29 });
+      seedProject('u1', 'active');
+      seedProject('u2', 'old', { deletedDaysAgo: 100 });
+
+      const run = await purgeDeletedProjects({ now: NOW });
+
+      expect(run).toMatchObject({ status: 'completed', counts: { purged: 2, skipped: 0, failed: 0 } });
+      expect(pathsOf('u1', 'old')).toEqual([]);
+      expect(pathsOf('u2', 'old')).toEqual([]);
+      expect(pathsOf('u1', 'recent')).toHaveLength(3);
+      expect(pathsOf('u1', 'active')).toHaveLength(3);
+    });
+
+    it('should update the sync metadata of each affected user', async () => {
+      db.seed('users/u1/projects/_sync_metadata', { lastSyncTime: ago(60), clientVersion: 3 });
+      seedProject('u1', 'old', { deletedDaysAgo: 31 });
+      seedProject('u2', 'active');
+
+      await purgeDeletedProjects({ now: NOW });
+
+      expect(db.dump('users/u1/projects/_sync_metadata')).toMatchObject({ clientVersion: 3 });
+      expect(db.dump('users/u1/projects/_sync_metadata').lastSyncTime.toDate()).toEqual(NOW);
+      expect(db.dump('users/u2/projects/_sync_metadata')).toBeUndefined();
+    });
+
+    it('should use the configured period', async () => {
+      process.env.RETENTION_DELETED_PROJECTS_DAYS = '7';
+      seedProject('u1', 'old', { deletedDaysAgo: 8 });
+
+      const run = await purgeDeletedProjects({ now: NOW });
+
+      expect(run.counts.purged).toBe(1);
+      expect(pathsOf('u1', 'old')).toEqual([]);
+    });
+
+    it('should page through the projects of all users', async () => {
+      ['a', 'b', 'c', 'd', 'e'].forEach((uid, i) => seedProject(uid, 'old', { deletedDaysAgo: 40 + i }));
+
+      const run = await purgeDeletedProjects({ now: NOW, pageSize: 2 });
+
+      expect(run).toMatchObject({ status: 'completed', pages: 3, counts: { purged: 5 } });
+      expect(db.paths().filter((path) => path.includes('/projects/old'))).toEqual([]);
+    });
+  });
+
+  describe('restoreProject', () => {
+    it('should clear deletedAt within the restore window', async () => {
+      seedProject('u1', 'p1', { deletedDaysAgo: 29 });
+
+      const restored = await restoreProject('u1', 'p1', { now: NOW });
+
+      expect(restored).toEqual({ projectId: 'p1', restoredAt: NOW });
+      expect(db.dump('users/u1/projects/p1')).toMatchObject({ name: 'p1', deletedAt: null });
+      expect(db.dump('users/u1/projects/_sync_metadata').lastSyncTime.toDate()).toEqual(NOW);
+    });
+
+    it('should refuse projects past the restore window', async () => {
+      seedProject('u1', 'p1', { deletedDaysAgo: 30 });
+
+      await expect(restoreProject('u1', 'p1', { now: NOW })).rejects.toThrow('RESTORE_WINDOW_EXPIRED');
+      expect(db.dump('users/u1/projects/p1').deletedAt).not.toBeNull();
+    });
+
+    it('should refuse active, missing and metadata documents', async () => {
+      seedProject('u1', 'active');
+      db.seed('users/u1/projects/_sync_metadata', { lastSyncTime: ago(1) });
+
+      await expect(restoreProject('u1', 'active', { now: NOW })).rejects.toThrow('PROJECT_NOT_DELETED');
+      await expect(restoreProject('u1', 'missing', { now: NOW })).rejects.toThrow('PROJECT_NOT_FOUND');
+      await expect(restoreProject('u1', '_sync_metadata', { now: NOW })).rejects.toThrow('PROJECT_NOT_FOUND');
+    });
+  });
+
+  describe('restoreProject endpoint', () => {
+    beforeEach(() => {
+      auth.users.set('u1', { uid: 'u1', email: 'u1@example.com' });
+    });
+
+    it('should require a signed-in user', async () => {
+      const res = await call('restoreProject', { body: { projectId: 'p1' } });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should restore a project of the signed-in user and audit it', async () => {
+      seedProject('u1', 'p1', { deletedDaysAgo: 1 });
+
+      const res = await call('restoreProject', { body: { projectId: 'p1' }, headers: bearer('u1') });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ success: true, projectId: 'p1' });
+      expect(db.dump('users/u1/projects/p1').deletedAt).toBeNull();
+      const events = db.paths()
+        .filter((path) => path.startsWith(`${AUDIT_LOG_COLLECTION}/`))
+        .map((path) => db.dump(path));
+      expect(events).toEqual([expect.objectContaining({ type: 'project_restored', uid: 'u1', outcome: 'success' })]);
+    });
+
+    it('should not restore projects of other users', async () => {
+      seedProject('u2', 'p1', { deletedDaysAgo: 1 });
+
+      const res = await call('restoreProject', { body: { projectId: 'p1' }, headers: bearer('u1') });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('PROJECT_NOT_FOUND');
+      expect(db.dump('users/u2/projects/p1').deletedAt).not.toBeNull();
+    });
+
+    it('should map restore errors to status codes', async () => {
+      seedProject('u1', 'expired', { deletedDaysAgo: 31 });
+      seedProject('u1', 'active');
+
+      const expired = await call('restoreProject', { body: { projectId: 'expired' }, headers: bearer('u1') });
+      const active = await call('restoreProject', { body: { projectId: 'active' }, headers: bearer('u1') });
+      const invalid = await call('restoreProject', { body: { projectId: '../p1' }, headers: bearer('u1') });
+
+      expect([expired.statusCode, expired.body.error]).toEqual([410, 'RESTORE_WINDOW_EXPIRED']);
+      expect([active.statusCode, active.body.error]).toEqual([409, 'PROJECT_NOT_DELETED']);
+      expect([invalid.statusCode, invalid.body.error]).toEqual([400, 'INVALID_PROJECT_ID']);
+    });
+  });
+});
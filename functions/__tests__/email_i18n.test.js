@@ -0,0 +1,123 @@
+/**
+ * Unit tests for email_i18n.js
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  parseAcceptLanguage,
+  resolveLocale,
+  getRequestLocale,
+  t,
+  formatDateTime,
+  formatDate,
+  getMessageKeys
+} from '../email_i18n.js';
+
+describe('Email i18n', () => {
+  describe('message catalog', () => {
+    it('should define every English key in every locale', () => {
+      const englishKeys = getMessageKeys('en').sort();
+
+      SUPPORTED_LOCALES.forEach((locale) => {
+        expect(getMessageKeys(locale).sort()).toEqual(englishKeys);
+      });
+    });
+  });
+
+  describe('normalizeLocale', () => {
+    it('should reduce regional tags to the language', () => {
+      expect(normalizeLocale('de-AT')).toBe('de');
+      expect(normalizeLocale('es_MX')).toBe('es');
+      expect(normalizeLocale('EN')).toBe('en');
+    });
+
+    it('should return null for unsupported or missing tags', () => {
+      expect(normalizeLocale('fr')).toBeNull();
+      expect(normalizeLocale('')).toBeNull();
+      expect(normalizeLocale(undefined)).toBeNull();
+      expect(normalizeLocale(42)).toBeNull();
+    });
+  });
+
+  describe('parseAcceptLanguage', () => {
+    it('should pick the highest-weighted supported language', () => {
+      expect(parseAcceptLanguage('fr-FR,fr;q=0.9,de;q=0.8,en;q=0.7')).toBe('de');
+      expect(parseAcceptLanguage('en;q=0.5, es;q=0.9')).toBe('es');
+    });
+
+    it('should keep header order for equal weights', () => {
+      expect(parseAcceptLanguage('es-ES, de-DE')).toBe('es');
+    });
+
+    it('should ignore languages with q=0', () => {
+      expect(parseAcceptLanguage('de;q=0, en')).toBe('en');
+    });
+
+    it('should return null when nothing is supported', () => {
+      expect(parseAcceptLanguage('fr, it')).toBeNull();
+      expect(parseAcceptLanguage(undefined)).toBeNull();
+    });
+  });
+
+  describe('resolveLocale', () => {
+    it('should use the first supported candidate', () => {
+      expect(resolveLocale(null, 'fr', 'es-419', 'de')).toBe('es');
+    });
+
+    it('should default to English', () => {
+      expect(resolveLocale()).toBe('en');
+      expect(resolveLocale('fr')).toBe('en');
+    });
+  });
+
+  describe('getRequestLocale', () => {
+    it('should prefer the body locale over Accept-Language', () => {
+      const req = { body: { locale: 'es' }, headers: { 'accept-language': 'de-DE' } };
+      expect(getRequestLocale(req)).toBe('es');
+    });
+
+    it('should fall back to Accept-Language', () => {
+      const req = { body: {}, headers: { 'accept-language': 'de-DE,de;q=0.9' } };
+      expect(getRequestLocale(req)).toBe('de');
+    });
+
+    it('should default to English', () => {
+      expect(getRequestLocale({ headers: {} })).toBe('en');
+    });
+  });
+
+  describe('t', () => {
+    it('should interpolate parameters', () => {
+      expect(t('en', 'common.greeting', { name: 'Ana' })).toBe('Hi Ana,');
+      expect(t('de', 'common.greeting', { name: 'Ana' })).toBe('Hallo Ana,');
+      expect(t('es', 'common.greeting', { name: 'Ana' })).toBe('Hola Ana:');
+    });
+
+    it('should fall back to English for unknown locales', () => {
+      expect(t('fr', 'signIn.button')).toBe('Sign In');
+    });
+
+    it('should throw for unknown keys', () => {
+      expect(() => t('en', 'nope.missing')).toThrow('Missing email message');
+    });
+  });
+
+  describe('date formatting', () => {
+    const date = new Date('2025-03-04T15:30:00Z');
+
+    it('should format dates per locale', () => {
+      expect(formatDate(date, 'en')).toBe('March 4, 2025');
+      expect(formatDate(date, 'de')).toBe('4. März 2025');
+      expect(formatDate(date, 'es')).toBe('4 de marzo de 2025');
+    });
+
+    it('should include time and time zone', () => {
+      expect(formatDateTime(date, 'en')).toContain('March 4, 2025');
+      expect(formatDateTime(date, 'en')).toContain('03:30');
+      expect(formatDateTime(date, 'de')).toContain('15:30');
+      expect(formatDateTime(date, 'de')).toContain('UTC');
+    });
+  });
+});
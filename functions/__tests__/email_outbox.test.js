@@ -0,0 +1,246 @@
+/**
+ * Unit tests for email_outbox.js
+ *
+ * Firestore is replaced by an in-memory fake and the transport is mocked, so
+ * retries, backoff and dead-lettering can be driven with explicit clocks.
+ */
+
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { FakeFirestore } from './helpers/fake_firestore.js';
+
+const db = new FakeFirestore();
+const mockSendEmail = jest.fn();
+
+jest.unstable_mockModule('@google-cloud/firestore', () => ({
+  Firestore: jest.fn(() => db),
+}));
+
+jest.unstable_mockModule('../email_transport.js', () => ({
+  sendEmail: mockSendEmail,
+}));
+
+const {
+  computeBackoff,
+  isPermanentFailure,
+  enqueueEmail,
+  deliverOutboxMessage,
+  processOutbox,
+  listOutboxMessages,
+  requeueOutboxMessage,
+  MAX_ATTEMPTS,
+} = await import('../email_outbox.js');
+
+const content = { subject: 'Welcome', html: '<p>Hi</p>', text: 'Hi' };
+
+describe('Email Outbox', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.reset();
+  });
+
+  describe('computeBackoff', () => {
+    it('should grow exponentially from one minute', () => {
+      expect(computeBackoff(1)).toBe(60 * 1000);
+      expect(computeBackoff(2)).toBe(2 * 60 * 1000);
+      expect(computeBackoff(4)).toBe(8 * 60 * 1000);
+    });
+
+    it('should be capped at six hours', () => {
+      expect(computeBackoff(30)).toBe(6 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('isPermanentFailure', () => {
+    it('should treat 4xx provider errors as permanent', () => {
+      expect(isPermanentFailure({ code: 400 })).toBe(true);
+      expect(isPermanentFailure({ code: 403 })).toBe(true);
+    });
+
+    it('should retry throttling, timeouts and server errors', () => {
+      expect(isPermanentFailure({ code: 429 })).toBe(false);
+      expect(isPermanentFailure({ code: 408 })).toBe(false);
+      expect(isPermanentFailure({ code: 503 })).toBe(false);
+      expect(isPermanentFailure(new Error('ECONNRESET'))).toBe(false);
+    });
+
+    it('should treat SMTP 5xx replies as permanent', () => {
+      expect(isPermanentFailure({ responseCode: 550 })).toBe(true);
+      expect(isPermanentFailure({ responseCode: 421 })).toBe(false);
+    });
+  });
+
+  describe('enqueueEmail', () => {
+    it('should store a queued message', async () => {
+      const id = await enqueueEmail('user@example.com', content, { type: 'welcome' });
+
+      const stored = db.dump(`emailOutbox/${id}`);
+      expect(stored).toMatchObject({
+        to: 'user@example.com',
+        subject: 'Welcome',
+        html: '<p>Hi</p>',
+        text: 'Hi',
+        type: 'welcome',
+        status: 'queued',
+        attempts: 0,
+      });
+    });
+  });
+
+  describe('deliverOutboxMessage', () => {
+    it('should mark message as sent with provider message ID', async () => {
+      mockSendEmail.mockResolvedValue({ success: true, messageId: 'sg-123' });
+      const id = await enqueueEmail('user@example.com', content);
+
+      const outcome = await deliverOutboxMessage(id);
+
+      expect(outcome).toBe('sent');
+      expect(mockSendEmail).toHaveBeenCalledWith('user@example.com', 'Welcome', '<p>Hi</p>', 'Hi');
+      const stored = db.dump(`emailOutbox/${id}`);
+      expect(stored.status).toBe('sent');
+      expect(stored.attempts).toBe(1);
+      expect(stored.providerMessageId).toBe('sg-123');
+      expect(stored).toMatchObject({ html: null, text: null });
+      expect(stored.bodyRedactedAt).not.toBeNull();
+    });
+
+    it('should schedule a retry with backoff on transient failure', async () => {
+      mockSendEmail.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { code: 503 }));
+      const id = await enqueueEmail('user@example.com', content);
+      const now = new Date(Date.now() + 1000);
+
+      const outcome = await deliverOutboxMessage(id, now);
+
+      expect(outcome).toBe('retrying');
+      const stored = db.dump(`emailOutbox/${id}`);
+      expect(stored.status).toBe('retrying');
+      expect(stored.lastError).toBe('Service Unavailable');
+      expect(stored.nextAttemptAt.toMillis()).toBe(now.getTime() + computeBackoff(1));
+      expect(stored).toMatchObject({ html: '<p>Hi</p>', text: 'Hi', bodyRedactedAt: null });
+    });
+
+    it('should dead-letter permanent failures immediately', async () => {
+      mockSendEmail.mockRejectedValue(Object.assign(new Error('Bad Request'), { code: 400 }));
+      const id = await enqueueEmail('user@example.com', content);
+
+      expect(await deliverOutboxMessage(id)).toBe('dead');
+      expect(db.dump(`emailOutbox/${id}`)).toMatchObject({ status: 'dead', html: '<p>Hi</p>', text: 'Hi', lastError: 'Bad Request' });
+    });
+
+    it('should dead-letter after the maximum number of attempts', async () => {
+      mockSendEmail.mockRejectedValue(new Error('timeout'));
+      const id = await enqueueEmail('user@example.com', content);
+
+      let now = new Date(Date.now() + 1000);
+      let outcome;
+      for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        outcome = await deliverOutboxMessage(id, now);
+        now = new Date(now.getTime() + computeBackoff(i + 1));
+      }
+
+      expect(outcome).toBe('dead');
+      expect(mockSendEmail).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+      expect(db.dump(`emailOutbox/${id}`).attempts).toBe(MAX_ATTEMPTS);
+    });
+
+    it('should skip messages that are not due yet', async () => {
+      mockSendEmail.mockRejectedValue(new Error('timeout'));
+      const id = await enqueueEmail('user@example.com', content);
+      const now = new Date(Date.now() + 1000);
+      await deliverOutboxMessage(id, now);
+
+      expect(await deliverOutboxMessage(id, now)).toBe('skipped');
+      expect(mockSendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not deliver the same message twice concurrently', async () => {
+      mockSendEmail.mockResolvedValue({ success: true, messageId: 'sg-1' });
+      const id = await enqueueEmail('user@example.com', content);
+
+      const outcomes = await Promise.all([deliverOutboxMessage(id), deliverOutboxMessage(id)]);
+
+      expect(outcomes.sort()).toEqual(['sent', 'skipped']);
+      expect(mockSendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip unknown messages', async () => {
+      expect(await deliverOutboxMessage('missing')).toBe('skipped');
+    });
+  });
+
+  describe('processOutbox', () => {
+    it('should deliver due messages and summarize outcomes', async () => {
+      mockSendEmail
+        .mockResolvedValueOnce({ success: true, messageId: 'a' })
+        .mockRejectedValueOnce(new Error('timeout'));
+      await enqueueEmail('a@example.com', content);
+      await enqueueEmail('b@example.com', content);
+
+      const summary = await processOutbox({ now: new Date(Date.now() + 1000) });
+
+      expect(summary).toEqual({ processed: 2, sent: 1, retrying: 1, dead: 0 });
+    });
+
+    it('should ignore sent and dead messages', async () => {
+      db.seed('emailOutbox/sent', { ...content, to: 'a@example.com', status: 'sent', attempts: 1, nextAttemptAt: null });
+      db.seed('emailOutbox/dead', { ...content, to: 'b@example.com', status: 'dead', attempts: 6, nextAttemptAt: null });
+
+      const summary = await processOutbox();
+
+      expect(summary.processed).toBe(0);
+      expect(mockSendEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listOutboxMessages', () => {
+    it('should filter by status and recipient without exposing bodies', async () => {
+      db.seed('emailOutbox/m1', { ...content, to: 'a@example.com', status: 'dead', createdAt: new Date('2025-01-01') });
+      db.seed('emailOutbox/m2', { ...content, to: 'a@example.com', status: 'sent', createdAt: new Date('2025-01-02') });
+      db.seed('emailOutbox/m3', { ...content, to: 'b@example.com', status: 'dead', createdAt: new Date('2025-01-03') });
+
+      const messages = await listOutboxMessages({ status: 'dead', to: 'a@example.com' });
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0]).toMatchObject({ id: 'm1', status: 'dead', createdAt: '2025-01-01T00:00:00.000Z' });
+      expect(messages[0]).not.toHaveProperty('html');
+    });
+  });
+
+  describe('requeueOutboxMessage', () => {
+    it('should reset a retrying message for immediate delivery', async () => {
+      db.seed('emailOutbox/m1', { ...content, to: 'a@example.com', status: 'retrying', attempts: 3, nextAttemptAt: new Date(Date.now() + 60 * 60 * 1000) });
+      mockSendEmail.mockResolvedValue({ success: true, messageId: 'retry' });
+
+      await requeueOutboxMessage('m1');
+      expect(db.dump('emailOutbox/m1')).toMatchObject({ status: 'queued', attempts: 0 });
+
+      expect(await deliverOutboxMessage('m1', new Date(Date.now() + 1000))).toBe('sent');
+    });
+
+    it('should resend a dead message with its original body', async () => {
+      mockSendEmail.mockRejectedValueOnce(Object.assign(new Error('Bad Request'), { code: 400 }));
+      const id = await enqueueEmail('user@example.com', content);
+      expect(await deliverOutboxMessage(id)).toBe('dead');
+
+      mockSendEmail.mockResolvedValue({ success: true, messageId: 'resent' });
+      await requeueOutboxMessage(id);
+
+      expect(await deliverOutboxMessage(id, new Date(Date.now() + 1000))).toBe('sent');
+      expect(mockSendEmail).toHaveBeenLastCalledWith('user@example.com', content.subject, '<p>Hi</p>', 'Hi');
+      expect(db.dump(`emailOutbox/${id}`)).toMatchObject({ status: 'sent', html: null, text: null });
+    });
+
+    it('should throw for unknown messages', async () => {
+      await expect(requeueOutboxMessage('missing')).rejects.toThrow('MESSAGE_NOT_FOUND');
+    });
+
+    it('should refuse messages whose body was redacted', async () => {
+      mockSendEmail.mockResolvedValue({ success: true, messageId: 'sg-1' });
+      const id = await enqueueEmail('user@example.com', content);
+      await deliverOutboxMessage(id);
+
+      await expect(requeueOutboxMessage(id)).rejects.toThrow('MESSAGE_BODY_REDACTED');
+      expect(db.dump(`emailOutbox/${id}`).status).toBe('sent');
+    });
+  });
+});
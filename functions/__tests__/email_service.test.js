@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the render functions in email_service.js
+ */
+
+import { jest } from '@jest/globals';
+import { describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../email_transport.js', () => ({
+  sendEmail: jest.fn(),
+}));
+
+const {
+  renderWelcomeEmail,
+  renderAccountDeletionEmail,
+  renderLoginNotificationEmail
+} = await import('../email_service.js');
+
+describe('Email Service', () => {
+  describe('renderWelcomeEmail', () => {
+    it('should render English by default', () => {
+      const result = renderWelcomeEmail('Ana');
+
+      expect(result.subject).toBe('Welcome to Art Finance Hub!');
+      expect(result.html).toContain('Hi Ana,');
+      expect(result.text).toContain('Track your income and expenses');
+    });
+
+    it('should render German', () => {
+      const result = renderWelcomeEmail('Ana', 'de');
+
+      expect(result.subject).toBe('Willkommen bei Art Finance Hub!');
+      expect(result.html).toContain('<html lang="de">');
+      expect(result.text).toContain('Einnahmen und Ausgaben erfassen');
+    });
+  });
+
+  describe('renderAccountDeletionEmail', () => {
+    it('should include the localized purge date', () => {
+      const deletedAt = new Date('2025-01-01T12:00:00Z');
+
+      expect(renderAccountDeletionEmail('Ana', 'en', deletedAt).text).toContain('April 1, 2025');
+      expect(renderAccountDeletionEmail('Ana', 'de', deletedAt).text).toContain('1. April 2025');
+      expect(renderAccountDeletionEmail('Ana', 'es', deletedAt).text).toContain('1 de abril de 2025');
+    });
+
+    it('should render Spanish subject', () => {
+      const result = renderAccountDeletionEmail('Ana', 'es');
+
+      expect(result.subject).toBe('Confirmación de eliminación de cuenta - Art Finance Hub');
+    });
+  });
+
+  describe('renderLoginNotificationEmail', () => {
+    const loginAt = new Date('2025-03-04T15:30:00Z');
+
+    it('should render device, IP and localized time', () => {
+      const result = renderLoginNotificationEmail('Ana', 'Chrome on macOS', '203.0.113.7', 'de', loginAt);
+
+      expect(result.subject).toBe('Neue Anmeldung bei Ihrem Art Finance Hub Konto');
+      expect(result.text).toContain('Gerät: Chrome on macOS');
+      expect(result.text).toContain('IP-Adresse: 203.0.113.7');
+      expect(result.text).toContain('4. März 2025');
+    });
+
+    it('should use placeholders when details are missing', () => {
+      const result = renderLoginNotificationEmail('Ana');
+
+      expect(result.text).toContain('Device: Unknown device');
+      expect(result.text).toContain('IP Address: Unknown IP');
+    });
+
+    it('should link "This wasn\'t me" when a URL is given and point to the settings otherwise', () => {
+      const withLink = renderLoginNotificationEmail('Ana', 'Firefox on macOS', '203.0.113.7', 'en', loginAt, 'https://app.example.com/?revokeSessionsToken=abc.def');
+      const withoutLink = renderLoginNotificationEmail('Ana', 'Firefox on macOS', '203.0.113.7', 'en', loginAt);
+
+      expect(withLink.html).toContain('href="https://app.example.com/?revokeSessionsToken=abc.def"');
+      expect(withLink.text).toContain('https://app.example.com/?revokeSessionsToken=abc.def');
+      expect(withoutLink.html).not.toContain('revokeSessionsToken');
+      expect(withoutLink.text).toContain('"Sign out everywhere"');
+    });
+  });
+});
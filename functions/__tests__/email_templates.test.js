@@ -63,14 +63,13 @@ describe('Email Templates', () => {
       expect(result.text).toContain('24 hours');
     });
 
-    it('should handle special characters in name', () => {
+    it('should escape special characters in name', () => {
       const name = "O'Brien & Co.";
       const verificationUrl = 'https://app.example.com?registrationToken=test123';
 
       const result = generateRegistrationEmail(name, verificationUrl);
 
-      // Should not throw error
-      expect(result.html).toContain(name);
+      expect(result.html).toContain('O&#39;Brien &amp; Co.');
       expect(result.text).toContain(name);
     });
 
@@ -80,7 +79,7 @@ describe('Email Templates', () => {
 
       const result = generateRegistrationEmail(name, verificationUrl);
 
-      expect(result.html).toContain(verificationUrl);
+      expect(result.html).toContain('https://app.example.com?foo=bar&amp;registrationToken=test123');
       expect(result.text).toContain(verificationUrl);
     });
   });
@@ -133,8 +132,8 @@ describe('Email Templates', () => {
 
       const result = generateSignInEmail(name, signInUrl);
 
-      expect(result.html).toContain('24 hours');
-      expect(result.text).toContain('24 hours');
+      expect(result.html).toContain('15 minutes');
+      expect(result.text).toContain('15 minutes');
     });
 
     it('should have different content than registration email', () => {
@@ -192,6 +191,43 @@ describe('Email Templates', () => {
     });
   });
 
+  describe('Localization', () => {
+    const url = 'https://app.example.com?token=test';
+
+    it('should default to English with a subject', () => {
+      const result = generateRegistrationEmail('Test User', url);
+
+      expect(result.subject).toBe('Complete Your Registration - Art Finance Hub');
+      expect(result.html).toContain('<html lang="en">');
+    });
+
+    it('should render German registration email', () => {
+      const result = generateRegistrationEmail('Test User', url, 'de');
+
+      expect(result.subject).toBe('Registrierung abschließen - Art Finance Hub');
+      expect(result.html).toContain('<html lang="de">');
+      expect(result.html).toContain('Hallo Test User,');
+      expect(result.html).toContain('Registrierung abschließen');
+      expect(result.text).toContain('24 Stunden');
+      expect(result.html).not.toContain('Complete Registration');
+    });
+
+    it('should render Spanish sign-in email', () => {
+      const result = generateSignInEmail('Test User', url, 'es');
+
+      expect(result.subject).toBe('Inicia sesión en tu cuenta - Art Finance Hub');
+      expect(result.html).toContain('Iniciar sesión');
+      expect(result.text).toContain('Hola Test User:');
+      expect(result.text).toContain(url);
+    });
+
+    it('should fall back to English for unsupported locales', () => {
+      const result = generateSignInEmail('Test User', url, 'fr');
+
+      expect(result.subject).toBe('Sign In to Your Account - Art Finance Hub');
+    });
+  });
+
   describe('Email Format Validation', () => {
     it('registration email HTML should be valid HTML structure', () => {
       const name = 'Test User';
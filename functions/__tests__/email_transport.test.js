@@ -0,0 +1,137 @@
+/**
+ * Unit tests for email_transport.js
+ *
+ * The SendGrid and SMTP drivers are mocked; the file outbox driver runs for
+ * real against a temporary directory.
+ */
+
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const mockSendWithSendGrid = jest.fn();
+const mockSendWithSmtp = jest.fn();
+
+jest.unstable_mockModule('../email_service_sendgrid.js', () => ({
+  sendWithSendGrid: mockSendWithSendGrid,
+}));
+
+jest.unstable_mockModule('../email_service_smtp.js', () => ({
+  sendWithSmtp: mockSendWithSmtp,
+}));
+
+const { sendEmail, getTransportName, getSender } = await import('../email_transport.js');
+
+describe('Email Transport', () => {
+  const originalEnv = { ...process.env };
+  let outboxDir;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-test-'));
+    process.env.EMAIL_OUTBOX_DIR = outboxDir;
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.SENDER_EMAIL;
+    delete process.env.SENDER_NAME;
+  });
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  });
+
+  describe('getTransportName', () => {
+    it('should default to sendgrid', () => {
+      expect(getTransportName()).toBe('sendgrid');
+    });
+
+    it('should normalize the configured value', () => {
+      process.env.EMAIL_TRANSPORT = ' SMTP ';
+      expect(getTransportName()).toBe('smtp');
+    });
+  });
+
+  describe('getSender', () => {
+    it('should use defaults when not configured', () => {
+      expect(getSender()).toEqual({
+        email: 'noreply@artist-finance-manager.local',
+        name: 'Art Finance Hub',
+      });
+    });
+
+    it('should read sender from environment', () => {
+      process.env.SENDER_EMAIL = 'hello@example.com';
+      process.env.SENDER_NAME = 'Example';
+      expect(getSender()).toEqual({ email: 'hello@example.com', name: 'Example' });
+    });
+  });
+
+  describe('sendEmail', () => {
+    it('should route to SendGrid by default', async () => {
+      mockSendWithSendGrid.mockResolvedValue({ success: true, messageId: 'sg-1' });
+
+      const result = await sendEmail('user@example.com', 'Subject', '<p>Hi</p>', 'Hi');
+
+      expect(result).toEqual({ success: true, messageId: 'sg-1' });
+      expect(mockSendWithSendGrid).toHaveBeenCalledWith({
+        to: 'user@example.com',
+        from: getSender(),
+        subject: 'Subject',
+        html: '<p>Hi</p>',
+        text: 'Hi',
+      });
+      expect(mockSendWithSmtp).not.toHaveBeenCalled();
+    });
+
+    it('should route to SMTP when configured', async () => {
+      process.env.EMAIL_TRANSPORT = 'smtp';
+      mockSendWithSmtp.mockResolvedValue({ success: true, messageId: '<abc@local>' });
+
+      const result = await sendEmail('user@example.com', 'Subject', '<p>Hi</p>', 'Hi');
+
+      expect(result.messageId).toBe('<abc@local>');
+      expect(mockSendWithSmtp).toHaveBeenCalled();
+      expect(mockSendWithSendGrid).not.toHaveBeenCalled();
+    });
+
+    it('should propagate driver errors', async () => {
+      mockSendWithSendGrid.mockRejectedValue(new Error('Unauthorized'));
+
+      await expect(sendEmail('user@example.com', 'S', '<p>x</p>', 'x')).rejects.toThrow('Unauthorized');
+    });
+
+    it('should reject unknown transports', async () => {
+      process.env.EMAIL_TRANSPORT = 'pigeon';
+
+      await expect(sendEmail('user@example.com', 'S', '<p>x</p>', 'x')).rejects.toThrow('UNKNOWN_TRANSPORT');
+    });
+
+    it('should write .eml and .json files to the outbox', async () => {
+      process.env.EMAIL_TRANSPORT = 'file';
+
+      const result = await sendEmail('user@example.com', 'Welcome', '<p>Hello there</p>', 'Hello there');
+
+      expect(result.success).toBe(true);
+      expect(result.messageId).toBeTruthy();
+
+      const files = (await fs.readdir(outboxDir)).sort();
+      expect(files).toEqual([`${result.messageId}.eml`, `${result.messageId}.json`]);
+
+      const eml = await fs.readFile(path.join(outboxDir, `${result.messageId}.eml`), 'utf8');
+      expect(eml).toContain('To: user@example.com');
+      expect(eml).toContain('Subject: Welcome');
+      expect(eml).toContain('Hello there');
+
+      const json = JSON.parse(await fs.readFile(path.join(outboxDir, `${result.messageId}.json`), 'utf8'));
+      expect(json).toMatchObject({
+        messageId: result.messageId,
+        to: 'user@example.com',
+        subject: 'Welcome',
+        html: '<p>Hello there</p>',
+        text: 'Hello there',
+      });
+    });
+  });
+});
@@ -0,0 +1,575 @@
+/**
+ * In-memory Firestore fake for unit tests
+ *
+ * Implements the subset of the @google-cloud/firestore API used by the
+ * Cloud Functions: documents, subcollections, simple queries, count
+ * aggregations, batches and transactions. Dates are returned as
+ * Timestamp-like objects so code that calls `.toDate()` behaves the same as
+ * against the real database.
+ *
+ * Transactions run concurrently and are optimistic: a commit fails with
+ * ABORTED when a document or query read by the transaction changed in the
+ * meantime, and runTransaction retries the callback like the client library
+ * does. Code that reads and writes outside a transaction therefore races
+ * here just as it does against the real database.
+ */
+
+export class FakeTimestamp {
+  constructor(date) {
+    this._millis = date.getTime();
+  }
+
+  toDate() {
+    return new Date(this._millis);
+  }
+
+  toMillis() {
+    return this._millis;
+  }
+
+  valueOf() {
+    return this._millis;
+  }
+}
+
+function clone(value) {
+  if (value instanceof Date) {
+    return new FakeTimestamp(value);
+  }
+  if (value instanceof FakeTimestamp) {
+    return new FakeTimestamp(value.toDate());
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+}
+
+function comparable(value) {
+  if (value instanceof Date || value instanceof FakeTimestamp) {
+    return value.valueOf();
+  }
+  return value;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+}
+
+function setField(data, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach((key) => {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+function matches(data, { field, op, value }) {
+  const actual = comparable(getField(data, field));
+  const expected = Array.isArray(value) ? value.map(comparable) : comparable(value);
+
+  switch (op) {
+    case '==': return actual === expected || (actual === undefined && expected === null);
+    case '!=': return actual !== undefined && actual !== null && actual !== expected;
+    case '<': return actual !== undefined && actual !== null && actual < expected;
+    case '<=': return actual !== undefined && actual !== null && actual <= expected;
+    case '>': return actual !== undefined && actual !== null && actual > expected;
+    case '>=': return actual !== undefined && actual !== null && actual >= expected;
+    case 'in': return expected.includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(expected);
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+// A snapshot is a copy taken at read time; later writes do not show up in it
+class FakeDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data === undefined ? undefined : clone(data);
+  }
+
+  data() {
+    return this._data === undefined ? undefined : clone(this._data);
+  }
+
+  get(fieldPath) {
+    return getField(this.data() || {}, fieldPath);
+  }
+}
+
+class FakeQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class FakeDocumentReference {
+  constructor(db, path) {
+    this._db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new FakeCollectionReference(this._db, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new FakeCollectionReference(this._db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new FakeDocumentSnapshot(this, this._db._read(this.path));
+  }
+
+  async set(data, options = {}) {
+    this._db._write(this.path, data, options.merge);
+  }
+
+  async create(data) {
+    if (this._db._read(this.path) !== undefined) {
+      const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${this.path}`);
+      error.code = 6;
+      throw error;
+    }
+    this._db._write(this.path, data, false);
+  }
+
+  async update(data) {
+    if (this._db._read(this.path) === undefined) {
+      const error = new Error(`5 NOT_FOUND: No document to update: ${this.path}`);
+      error.code = 5;
+      throw error;
+    }
+    this._db._update(this.path, data);
+  }
+
+  async delete() {
+    this._db._delete(this.path);
+  }
+
+  async listCollections() {
+    return this._db._listCollections(this.path);
+  }
+}
+
+class FakeQuery {
+  constructor(db, path, { filters = [], orders = [], limit = null, startAfter = null, group = false } = {}) {
+    this._db = db;
+    this._path = path;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limit;
+    this._startAfter = startAfter;
+    this._group = group;
+  }
+
+  _with(changes) {
+    return new FakeQuery(this._db, this._path, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      startAfter: this._startAfter,
+      group: this._group,
+      ...changes,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(cursor) {
+    return this._with({ startAfter: cursor });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snapshot = await this.get();
+        return { data: () => ({ count: snapshot.size }) };
+      },
+    };
+  }
+
+  async get() {
+    return this._run();
+  }
+
+  /**
+   * Evaluate the query synchronously (transactions validate their reads this way)
+   */
+  _run() {
+    let docs = this._db._query(this._path, this._group)
+      .filter(({ data }) => this._filters.every((filter) => matches(data, filter)));
+
+    const orders = this._orders.length > 0 ? this._orders : [{ field: '__name__', direction: 'asc' }];
+    docs.sort((a, b) => {
+      for (const { field, direction } of orders) {
+        const av = field === '__name__' ? a.path : comparable(getField(a.data, field));
+        const bv = field === '__name__' ? b.path : comparable(getField(b.data, field));
+        if (av === bv) continue;
+        const result = av < bv ? -1 : 1;
+        return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+
+    if (this._startAfter) {
+      const cursorPath = this._startAfter.ref ? this._startAfter.ref.path : this._startAfter.path;
+      const index = docs.findIndex((doc) => doc.path === cursorPath);
+      docs = index >= 0 ? docs.slice(index + 1) : docs;
+    }
+
+    if (this._limit !== null) {
+      docs = docs.slice(0, this._limit);
+    }
+
+    return new FakeQuerySnapshot(
+      docs.map(({ path, data }) => new FakeDocumentSnapshot(new FakeDocumentReference(this._db, path), data))
+    );
+  }
+}
+
+class FakeCollectionReference extends FakeQuery {
+  constructor(db, path) {
+    super(db, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    const segments = this.path.split('/');
+    return segments.length > 1 ? new FakeDocumentReference(this._db, segments.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id) {
+    return new FakeDocumentReference(this._db, `${this.path}/${id || this._db._autoId()}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+// Like the real database, a batch or transaction commits at most 500 writes
+const MAX_BATCH_WRITES = 500;
+
+class FakeWriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._ops = [];
+  }
+
+  set(ref, data, options = {}) {
+    this._ops.push(() => this._db._write(ref.path, data, options.merge));
+    return this;
+  }
+
+  update(ref, data) {
+    this._ops.push(() => this._db._update(ref.path, data));
+    return this;
+  }
+
+  delete(ref) {
+    this._ops.push(() => this._db._delete(ref.path));
+    return this;
+  }
+
+  async commit() {
+    if (this._ops.length > MAX_BATCH_WRITES) {
+      const error = new Error(`3 INVALID_ARGUMENT: maximum ${MAX_BATCH_WRITES} writes allowed per request`);
+      error.code = 3;
+      throw error;
+    }
+    this._db.batchCommits += 1;
+    this._ops.forEach((op) => op());
+    return [];
+  }
+}
+
+// Attempts of runTransaction before it gives up, as in the client library
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+function alreadyExists(path) {
+  const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${path}`);
+  error.code = 6;
+  return error;
+}
+
+class FakeTransaction extends FakeWriteBatch {
+  constructor(db) {
+    super(db);
+    this._reads = [];
+    this._creates = [];
+  }
+
+  /**
+   * Read a document or query and remember what was seen, so the commit can
+   * tell whether another writer changed it
+   */
+  async get(refOrQuery) {
+    // Let other transactions run between reads, as network round trips would
+    await Promise.resolve();
+
+    if (refOrQuery instanceof FakeQuery) {
+      const snapshot = refOrQuery._run();
+      this._reads.push({ query: refOrQuery, versions: this._db._versionsOf(snapshot.docs.map((doc) => doc.ref.path)) });
+      return snapshot;
+    }
+
+    this._reads.push({ path: refOrQuery.path, version: this._db._version(refOrQuery.path) });
+    return new FakeDocumentSnapshot(refOrQuery, this._db._read(refOrQuery.path));
+  }
+
+  // Checked at commit, after the reads, like the real precondition
+  create(ref, data) {
+    this._creates.push(ref.path);
+    this._ops.push(() => this._db._write(ref.path, data, false));
+    return this;
+  }
+
+  /**
+   * Whether every read still sees the same documents in the same versions
+   */
+  _readsAreCurrent() {
+    return this._reads.every((read) => {
+      if (read.query) {
+        const paths = read.query._run().docs.map((doc) => doc.ref.path);
+        return JSON.stringify(this._db._versionsOf(paths)) === JSON.stringify(read.versions);
+      }
+      return this._db._version(read.path) === read.version;
+    });
+  }
+
+  async commit() {
+    // Validation and writes happen without yielding, so they are atomic
+    if (!this._readsAreCurrent()) {
+      const error = new Error('10 ABORTED: Transaction lock timeout or contention on a read document');
+      error.code = 10;
+      throw error;
+    }
+    const existing = this._creates.find((path) => this._db._read(path) !== undefined);
+    if (existing) {
+      throw alreadyExists(existing);
+    }
+    return super.commit();
+  }
+}
+
+/**
+ * Sentinel values mirroring Firestore.FieldValue
+ */
+export const FakeFieldValue = {
+  serverTimestamp: () => ({ __op: 'serverTimestamp' }),
+  increment: (n) => ({ __op: 'increment', n }),
+  arrayUnion: (...values) => ({ __op: 'arrayUnion', values }),
+  delete: () => ({ __op: 'delete' }),
+};
+
+export class FakeFirestore {
+  constructor() {
+    this._docs = new Map();
+    this._versions = new Map();
+    this._clock = 0;
+    this._nextId = 0;
+    this.batchCommits = 0;
+  }
+
+  /**
+   * Drop all documents (modules keep their Firestore instance across tests)
+   */
+  reset() {
+    this._docs.clear();
+    this._versions.clear();
+    this._nextId = 0;
+    this.batchCommits = 0;
+  }
+
+  collection(path) {
+    return new FakeCollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new FakeDocumentReference(this, path);
+  }
+
+  collectionGroup(id) {
+    return new FakeQuery(this, id, { group: true });
+  }
+
+  batch() {
+    return new FakeWriteBatch(this);
+  }
+
+  /**
+   * Run fn in a transaction, retrying it when the commit hits contention
+   * (see the header comment)
+   */
+  async runTransaction(fn) {
+    for (let attempt = 1; ; attempt++) {
+      const tx = new FakeTransaction(this);
+      const result = await fn(tx);
+      try {
+        await tx.commit();
+        return result;
+      } catch (error) {
+        if (error.code !== 10 || attempt >= MAX_TRANSACTION_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async recursiveDelete(ref) {
+    const prefix = `${ref.path}/`;
+    [...this._docs.keys()]
+      .filter((path) => path === ref.path || path.startsWith(prefix))
+      .forEach((path) => this._delete(path));
+  }
+
+  /**
+   * Seed a document directly, bypassing sentinels
+   */
+  seed(path, data) {
+    this._docs.set(path, clone(data));
+    this._touch(path);
+  }
+
+  /**
+   * Raw stored data for assertions
+   */
+  dump(path) {
+    const data = this._docs.get(path);
+    return data === undefined ? undefined : clone(data);
+  }
+
+  paths() {
+    return [...this._docs.keys()].sort();
+  }
+
+  _autoId() {
+    this._nextId += 1;
+    return `auto${String(this._nextId).padStart(6, '0')}`;
+  }
+
+  _read(path) {
+    return this._docs.get(path);
+  }
+
+  /**
+   * Every write bumps the version of its document; transactions compare them
+   */
+  _touch(path) {
+    this._clock += 1;
+    this._versions.set(path, this._clock);
+  }
+
+  _version(path) {
+    return this._versions.get(path) || 0;
+  }
+
+  _versionsOf(paths) {
+    return paths.map((path) => [path, this._version(path)]);
+  }
+
+  _resolve(value, current) {
+    if (value && typeof value === 'object' && value.__op) {
+      switch (value.__op) {
+        case 'serverTimestamp': return new FakeTimestamp(new Date());
+        case 'increment': return (typeof current === 'number' ? current : 0) + value.n;
+        case 'arrayUnion': return [...new Set([...(Array.isArray(current) ? current : []), ...value.values])];
+        default: return value;
+      }
+    }
+    return clone(value);
+  }
+
+  _apply(target, data, nested) {
+    Object.entries(data).forEach(([key, value]) => {
+      if (value && value.__op === 'delete') {
+        delete target[key];
+      } else if (nested && value && typeof value === 'object' && !value.__op && !(value instanceof Date)
+        && !(value instanceof FakeTimestamp) && !Array.isArray(value)) {
+        target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+        this._apply(target[key], value, true);
+      } else {
+        target[key] = this._resolve(value, target[key]);
+      }
+    });
+  }
+
+  _write(path, data, merge) {
+    const target = merge ? (this._docs.get(path) || {}) : {};
+    this._apply(target, data, merge);
+    this._docs.set(path, target);
+    this._touch(path);
+  }
+
+  _update(path, data) {
+    const target = this._docs.get(path) || {};
+    Object.entries(data).forEach(([fieldPath, value]) => {
+      if (value && value.__op === 'delete') {
+        const keys = fieldPath.split('.');
+        const parent = keys.length > 1 ? getField(target, keys.slice(0, -1).join('.')) : target;
+        if (parent) delete parent[keys[keys.length - 1]];
+      } else {
+        setField(target, fieldPath, this._resolve(value, getField(target, fieldPath)));
+      }
+    });
+    this._docs.set(path, target);
+    this._touch(path);
+  }
+
+  _delete(path) {
+    this._docs.delete(path);
+    this._touch(path);
+  }
+
+  _query(path, group) {
+    const depth = path.split('/').length;
+    return [...this._docs.entries()]
+      .filter(([docPath]) => {
+        const segments = docPath.split('/');
+        if (group) {
+          return segments.length % 2 === 0 && segments[segments.length - 2] === path;
+        }
+        return segments.length === depth + 1 && docPath.startsWith(`${path}/`);
+      })
+      .map(([docPath, data]) => ({ path: docPath, data }));
+  }
+
+  _listCollections(docPath) {
+    const prefix = `${docPath}/`;
+    const names = new Set();
+    [...this._docs.keys()]
+      .filter((path) => path.startsWith(prefix))
+      .forEach((path) => names.add(path.slice(prefix.length).split('/')[0]));
+    return [...names].sort().map((name) => new FakeCollectionReference(this, `${docPath}/${name}`));
+  }
+}
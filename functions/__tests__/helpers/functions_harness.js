@@ -0,0 +1,296 @@
+/**
+ * Harness for testing the HTTP and CloudEvent handlers in index.js
+ *
+ * Registers module mocks for the Functions Framework, Firestore (in-memory
+ * fake), Firebase Admin (Auth and Storage) and the email transport, then
+ * imports index.js and exposes the registered handlers. Must be awaited before
+ * anything imports index.js or the modules it depends on.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest, afterAll } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import { FakeFirestore, FakeFieldValue, FakeTimestamp } from './fake_firestore.js';
+
+/**
+ * Build the GeoIP index (geoip_index.js) of fixtures/geoip-city.csv in a
+ * temporary directory that is removed after the test file
+ *
+ * @returns {Promise<string>} Path of the index, for GEOIP_DB_PATH
+ */
+export async function buildGeoIpFixture() {
+  const { buildGeoIpIndex } = await import('../../geoip_index.js');
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'geoip-'));
+  const indexPath = path.join(dir, 'geoip-city.idx');
+  afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  await buildGeoIpIndex(fileURLToPath(new URL('../fixtures/geoip-city.csv', import.meta.url)), indexPath);
+  return indexPath;
+}
+
+/**
+ * Minimal Express-style response recorder
+ */
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    ended: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      if (typeof name === 'object') {
+        Object.entries(name).forEach(([k, v]) => { res.headers[k.toLowerCase()] = v; });
+      } else {
+        res.headers[name.toLowerCase()] = value;
+      }
+      return res;
+    },
+    setHeader(name, value) {
+      return res.set(name, value);
+    },
+    getHeader(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    json(body) {
+      res.body = body;
+      res.ended = true;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      res.ended = true;
+      return res;
+    },
+    end() {
+      res.ended = true;
+      return res;
+    },
+  };
+  return res;
+}
+
+// Raw body as kept by the Functions Framework (none for GET and OPTIONS)
+function rawBodyOf(method, body) {
+  if (method === 'GET' || method === 'OPTIONS') {
+    return undefined;
+  }
+  if (body === undefined || body === null) {
+    return Buffer.alloc(0);
+  }
+  return Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Build a request object
+ */
+export function createRequest({ method = 'POST', body, query = {}, headers = {}, ip = '203.0.113.10' } = {}) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const rawBody = rawBodyOf(method, body);
+  if (rawBody) {
+    lowerHeaders['content-type'] = lowerHeaders['content-type'] ?? 'application/json';
+    lowerHeaders['content-length'] = lowerHeaders['content-length'] ?? String(rawBody.length);
+  }
+  return {
+    method,
+    body: body ?? {},
+    rawBody,
+    query,
+    headers: lowerHeaders,
+    ip,
+    connection: { remoteAddress: ip },
+    socket: { remoteAddress: ip },
+    get(name) {
+      return lowerHeaders[name.toLowerCase()];
+    },
+  };
+}
+
+/**
+ * Build an unsigned ID token like the ones issued by the Auth emulator
+ *
+ * @param {object} claims - Token claims; uid is required
+ * @param {{issuedAt?: number, expiresIn?: number}} options - Times in seconds
+ * @returns {string}
+ */
+export function createIdToken({ uid, ...claims }, { issuedAt = Math.floor(Date.now() / 1000), expiresIn = 3600 } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = { ...claims, sub: uid, user_id: uid, iat: issuedAt, exp: issuedAt + expiresIn };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.`;
+}
+
+/**
+ * Headers of a signed scheduler request (scheduler_auth.js)
+ *
+ * @param {string} jobName - Function name
+ * @param {{method?: string, query?: object, body?: object|string}} request - What will be passed to call()
+ * @param {{secret?: string, now?: Date}} options
+ * @returns {{'X-Scheduler-Signature': string}}
+ */
+export function createSchedulerHeaders(jobName, { method = 'POST', query = {}, body } = {}, { secret = process.env.SCHEDULER_HMAC_SECRET, now = new Date() } = {}) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const queryString = Object.keys(query).sort().map((name) => `${encodeURIComponent(name)}=${encodeURIComponent(query[name])}`).join('&');
+  const bodyHash = crypto.createHash('sha256').update(rawBodyOf(method, body) ?? '').digest('hex');
+  const message = [timestamp, jobName, method, queryString, bodyHash].join('\n');
+  const signature = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  return { 'X-Scheduler-Signature': `t=${timestamp},v1=${signature}` };
+}
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Mock out external dependencies and load index.js
+ *
+ * @returns {Promise<{handlers: object, db: FakeFirestore, auth: object, storage: object, sendEmail: Function, call: Function}>}
+ */
+export async function loadFunctions() {
+  process.env.TOKEN_HASH_SECRET = process.env.TOKEN_HASH_SECRET || 'test-token-hash-secret';
+  process.env.CONTINUE_URL_ALLOWLIST = process.env.CONTINUE_URL_ALLOWLIST || 'https://app.example.com';
+  process.env.SCHEDULER_HMAC_SECRET = process.env.SCHEDULER_HMAC_SECRET || 'test-scheduler-secret';
+
+  const handlers = {};
+  const db = new FakeFirestore();
+  const sendEmail = jest.fn(async () => ({ success: true, messageId: 'test-message' }));
+
+  const auth = {
+    users: new Map(),
+    getUserByEmail: jest.fn(async (email) => {
+      const user = [...auth.users.values()].find((u) => u.email === email);
+      if (!user) {
+        const error = new Error('There is no user record corresponding to the provided identifier.');
+        error.code = 'auth/user-not-found';
+        throw error;
+      }
+      return user;
+    }),
+    getUser: jest.fn(async (uid) => {
+      const user = auth.users.get(uid);
+      if (!user) {
+        const error = new Error('There is no user record corresponding to the provided identifier.');
+        error.code = 'auth/user-not-found';
+        throw error;
+      }
+      return user;
+    }),
+    createUser: jest.fn(async ({ uid, email, displayName, emailVerified }) => {
+      if ([...auth.users.values()].some((u) => u.email === email)) {
+        const error = new Error('The email address is already in use by another account.');
+        error.code = 'auth/email-already-exists';
+        throw error;
+      }
+      const user = { uid: uid || `uid-${auth.users.size + 1}`, email, displayName, emailVerified };
+      auth.users.set(user.uid, user);
+      return user;
+    }),
+    deleteUser: jest.fn(async (uid) => {
+      auth.users.delete(uid);
+    }),
+    // Accepts tokens from createIdToken, like the Admin SDK does against the emulator
+    verifyIdToken: jest.fn(async (idToken, checkRevoked = false) => {
+      let decoded;
+      try {
+        const [, payload, signature] = String(idToken).split('.');
+        if (signature !== '') throw new Error('signed');
+        decoded = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      } catch {
+        throw authError('auth/argument-error', 'Decoding Firebase ID token failed.');
+      }
+      if (decoded.exp * 1000 <= Date.now()) {
+        throw authError('auth/id-token-expired', 'Firebase ID token has expired.');
+      }
+      const user = auth.users.get(decoded.sub);
+      if (checkRevoked && user?.disabled) {
+        throw authError('auth/user-disabled', 'The user record is disabled.');
+      }
+      if (checkRevoked && user?.tokensValidAfterTime && decoded.iat * 1000 < Date.parse(user.tokensValidAfterTime)) {
+        throw authError('auth/id-token-revoked', 'The Firebase ID token has been revoked.');
+      }
+      return { ...decoded, uid: decoded.sub };
+    }),
+    revokeRefreshTokens: jest.fn(async (uid) => {
+      const user = auth.users.get(uid);
+      if (user) {
+        user.tokensValidAfterTime = new Date().toUTCString();
+      }
+    }),
+    generateSignInWithEmailLink: jest.fn(async (email, settings) =>
+      `https://auth.example.com/signin?email=${encodeURIComponent(email)}&continueUrl=${encodeURIComponent(settings.url)}`),
+  };
+
+  // Cloud Storage keeps uploaded files in memory, keyed by "bucket/path"
+  const storage = {
+    files: new Map(),
+    bucket: jest.fn((name = 'default-bucket') => ({
+      name,
+      file: (path) => ({
+        name: path,
+        save: jest.fn(async (data, options = {}) => {
+          storage.files.set(`${name}/${path}`, { data: Buffer.from(data), options });
+        }),
+        getSignedUrl: jest.fn(async ({ expires }) =>
+          [`https://storage.example.com/${name}/${path}?expires=${new Date(expires).getTime()}`]),
+        delete: jest.fn(async () => {
+          storage.files.delete(`${name}/${path}`);
+        }),
+      }),
+      deleteFiles: jest.fn(async ({ prefix = '' } = {}) => {
+        [...storage.files.keys()]
+          .filter((key) => key.startsWith(`${name}/${prefix}`))
+          .forEach((key) => storage.files.delete(key));
+      }),
+    })),
+  };
+
+  const adminMock = {
+    apps: [],
+    initializeApp: jest.fn(() => { adminMock.apps.push({}); }),
+    auth: () => auth,
+    storage: () => storage,
+    firestore: Object.assign(() => db, { FieldValue: FakeFieldValue, Timestamp: FakeTimestamp }),
+  };
+
+  jest.unstable_mockModule('@google-cloud/functions-framework', () => ({
+    default: {
+      http: (name, handler) => { handlers[name] = handler; },
+      cloudEvent: (name, handler) => { handlers[name] = handler; },
+    },
+  }));
+
+  jest.unstable_mockModule('@google-cloud/firestore', () => ({
+    Firestore: jest.fn(() => db),
+    FieldValue: FakeFieldValue,
+    Timestamp: FakeTimestamp,
+  }));
+
+  jest.unstable_mockModule('firebase-admin', () => ({ default: adminMock }));
+
+  // Module paths are resolved from the test file, so pass an absolute path
+  jest.unstable_mockModule(fileURLToPath(new URL('../../email_transport.js', import.meta.url)), () => ({
+    sendEmail,
+    getTransportName: () => 'test',
+    getSender: () => ({ email: 'noreply@example.com', name: 'Art Finance Hub' }),
+  }));
+
+  await import('../../index.js');
+
+  /**
+   * Invoke an HTTP handler and return the recorded response
+   */
+  async function call(name, request = {}) {
+    const req = createRequest(request);
+    const res = createResponse();
+    await handlers[name](req, res);
+    return res;
+  }
+
+  return { handlers, db, auth, storage, sendEmail, call };
+}
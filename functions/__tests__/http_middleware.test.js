@@ -0,0 +1,200 @@
+/**
+ * Unit tests for http_middleware.js and the handlers wrapped with it
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { createRequest, createResponse, loadFunctions } from './helpers/functions_harness.js';
+
+const { call } = await loadFunctions();
+const { withHttp, isOriginAllowed, getAllowedOrigins } = await import('../http_middleware.js');
+
+const ORIGIN = 'https://app.example.com';
+
+async function invoke(handler, request) {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+}
+
+describe('HTTP Middleware', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.ALLOWED_ORIGINS = `${ORIGIN}, https://admin.example.com/`;
+    delete process.env.FUNCTIONS_EMULATOR;
+    delete process.env.NODE_ENV;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('getAllowedOrigins', () => {
+    it('should parse ALLOWED_ORIGINS and strip trailing slashes', () => {
+      expect(getAllowedOrigins()).toEqual([ORIGIN, 'https://admin.example.com']);
+    });
+
+    it('should default to the Firebase Hosting domains of the project', () => {
+      delete process.env.ALLOWED_ORIGINS;
+      process.env.GOOGLE_CLOUD_PROJECT = 'demo-project';
+
+      expect(getAllowedOrigins()).toEqual(['https://demo-project.web.app', 'https://demo-project.firebaseapp.com']);
+    });
+  });
+
+  describe('isOriginAllowed', () => {
+    it('should accept exact matches only', () => {
+      expect(isOriginAllowed(ORIGIN)).toBe(true);
+      expect(isOriginAllowed('https://app.example.com.evil.test')).toBe(false);
+      expect(isOriginAllowed('http://app.example.com')).toBe(false);
+      expect(isOriginAllowed('null')).toBe(false);
+    });
+
+    it('should allow localhost only in development', () => {
+      expect(isOriginAllowed('http://localhost:5000')).toBe(false);
+
+      process.env.FUNCTIONS_EMULATOR = 'true';
+      expect(isOriginAllowed('http://localhost:5000')).toBe(true);
+      expect(isOriginAllowed('http://127.0.0.1:8080')).toBe(true);
+      expect(isOriginAllowed('http://localhost.evil.test')).toBe(false);
+    });
+  });
+
+  describe('withHttp', () => {
+    const handler = jest.fn(async (req, res) => {
+      res.status(200).json({ success: true });
+    });
+    const wrapped = withHttp({ methods: ['POST'] }, handler);
+
+    beforeEach(() => {
+      handler.mockClear();
+    });
+
+    it('should set security headers on every response', async () => {
+      const res = await invoke(wrapped, { method: 'GET' });
+
+      expect(res.headers['x-content-type-options']).toBe('nosniff');
+      expect(res.headers['x-frame-options']).toBe('DENY');
+      expect(res.headers['strict-transport-security']).toContain('max-age=');
+      expect(res.headers['content-security-policy']).toContain("default-src 'none'");
+      expect(res.headers['cache-control']).toBe('no-store');
+    });
+
+    it('should echo an allowed origin instead of a wildcard', async () => {
+      const res = await invoke(wrapped, { headers: { Origin: ORIGIN } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['access-control-allow-origin']).toBe(ORIGIN);
+      expect(res.headers.vary).toBe('Origin');
+    });
+
+    it('should reject a disallowed origin', async () => {
+      const res = await invoke(wrapped, { headers: { Origin: 'https://evil.example' } });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toMatchObject({ success: false, error: 'ORIGIN_NOT_ALLOWED' });
+      expect(res.headers['access-control-allow-origin']).toBeUndefined();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should reject browser requests to endpoints without CORS', async () => {
+      const internal = withHttp({ methods: ['POST'], cors: false }, handler);
+
+      const fromBrowser = await invoke(internal, { headers: { Origin: ORIGIN } });
+      const fromServer = await invoke(internal, {});
+
+      expect(fromBrowser.statusCode).toBe(403);
+      expect(fromServer.statusCode).toBe(200);
+    });
+
+    it('should answer preflight requests', async () => {
+      const res = await invoke(wrapped, { method: 'OPTIONS', headers: { Origin: ORIGIN } });
+
+      expect(res.statusCode).toBe(204);
+      expect(res.headers['access-control-allow-methods']).toBe('POST, OPTIONS');
+      expect(res.headers['access-control-allow-headers']).toBe('Content-Type, Authorization');
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should reject methods that are not allowed', async () => {
+      const res = await invoke(wrapped, { method: 'DELETE' });
+
+      expect(res.statusCode).toBe(405);
+      expect(res.headers.allow).toBe('POST, OPTIONS');
+      expect(res.body.error).toBe('METHOD_NOT_ALLOWED');
+    });
+
+    it('should reject non-JSON bodies', async () => {
+      const res = await invoke(wrapped, {
+        body: 'email=a@b.com',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      });
+
+      expect(res.statusCode).toBe(415);
+      expect(res.body.error).toBe('UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    it('should accept JSON with a charset parameter', async () => {
+      const res = await invoke(wrapped, { headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should reject oversized bodies', async () => {
+      const small = withHttp({ methods: ['POST'], maxBodyBytes: 32 }, handler);
+
+      const res = await invoke(small, { body: { name: 'x'.repeat(100) } });
+
+      expect(res.statusCode).toBe(413);
+      expect(res.body.error).toBe('PAYLOAD_TOO_LARGE');
+    });
+
+    it('should reject JSON bodies that are not objects', async () => {
+      const res = await invoke(wrapped, { body: ['a', 'b'] });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('INVALID_BODY');
+    });
+
+    it('should treat an empty POST as an empty object', async () => {
+      const res = await invoke(wrapped, { body: undefined, headers: { 'Content-Length': '0', 'Content-Type': '' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(handler.mock.calls[0][0].body).toEqual({});
+    });
+
+    it('should hide unexpected errors behind a generic 500', async () => {
+      const failing = withHttp({ methods: ['POST'] }, async () => {
+        throw new Error('connection string postgres://secret@db');
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await invoke(failing, {});
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toEqual({ success: false, error: 'INTERNAL_ERROR', message: 'An unexpected error occurred' });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('wrapped endpoints', () => {
+    it('should use the uniform error envelope for validation errors', async () => {
+      const res = await call('createRegistration', { body: { email: 'not-an-email', name: 'Jane', continueUrl: ORIGIN } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ success: false, error: 'INVALID_EMAIL', message: 'Invalid email format' });
+    });
+
+    it('should not allow browsers to call maintenance endpoints', async () => {
+      const res = await call('cleanupExpiredRegistrations', { method: 'GET', headers: { Origin: ORIGIN } });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should reject GET on user-facing endpoints', async () => {
+      const res = await call('createSignInRequest', { method: 'GET' });
+
+      expect(res.statusCode).toBe(405);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for input_validation.js
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { isValidEmail, validateDisplayName, hasControlCharacters, replaceControlCharacters } from '../input_validation.js';
+
+describe('Input Validation', () => {
+  describe('isValidEmail', () => {
+    it('should accept well-formed addresses', () => {
+      expect(isValidEmail('artist@example.com')).toBe(true);
+      expect(isValidEmail('first.last+tag@sub.example.org')).toBe(true);
+    });
+
+    it('should reject malformed addresses', () => {
+      expect(isValidEmail('no-at-sign')).toBe(false);
+      expect(isValidEmail('a@b')).toBe(false);
+      expect(isValidEmail('a b@example.com')).toBe(false);
+      expect(isValidEmail(`${'a'.repeat(250)}@example.com`)).toBe(false);
+      expect(isValidEmail(null)).toBe(false);
+    });
+  });
+
+  describe('validateDisplayName', () => {
+    it('should accept ordinary names', () => {
+      expect(validateDisplayName('Jo')).toBeNull();
+      expect(validateDisplayName("Siobhán O'Brien-Müller")).toBeNull();
+      expect(validateDisplayName('María José & Co.')).toBeNull();
+    });
+
+    it('should enforce length limits', () => {
+      expect(validateDisplayName(' A ')).toMatch('at least 2');
+      expect(validateDisplayName('A'.repeat(101))).toMatch('at most 100');
+    });
+
+    it('should reject markup, links and control characters', () => {
+      expect(validateDisplayName('<b>Bold</b>')).toMatch('links or markup');
+      expect(validateDisplayName('See https://evil.example')).toMatch('links or markup');
+      expect(validateDisplayName('See hxxp://evil.example')).toMatch('links or markup');
+      expect(validateDisplayName('Go to www.evil.example')).toMatch('links or markup');
+      expect(validateDisplayName('Line\nbreak')).toMatch('invalid characters');
+      expect(validateDisplayName('Next\u0085line')).toMatch('invalid characters');
+    });
+
+    it('should reject non-strings', () => {
+      expect(validateDisplayName(undefined)).toBe('Name is required');
+      expect(validateDisplayName({})).toBe('Name is required');
+    });
+  });
+
+  describe('control characters', () => {
+    it('should detect C0 and C1 controls, DEL and line separators', () => {
+      ['\u0000', '\t', '\u007F', '\u0085', '\u2028'].forEach((char) => {
+        expect(hasControlCharacters(`a${char}b`)).toBe(true);
+      });
+      expect(hasControlCharacters('Siobhán Müller')).toBe(false);
+      // The pattern is global; repeated checks must not depend on earlier ones
+      expect(hasControlCharacters('a\nb')).toBe(true);
+    });
+
+    it('should replace each run of them', () => {
+      expect(replaceControlCharacters('a\r\n\u0000b\tc', ' ')).toBe('a b c');
+    });
+  });
+});
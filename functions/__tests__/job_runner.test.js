@@ -0,0 +1,231 @@
+/**
+ * Tests for the maintenance job runner: paging, checkpoints, leases and run history
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions } from './helpers/functions_harness.js';
+
+const { db } = await loadFunctions();
+const { runJob, JOB_STATE_COLLECTION, JOB_RUNS_COLLECTION } = await import('../job_runner.js');
+const { purgeDeletedUsers } = await import('../user_purge.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function seedItems(ids) {
+  ids.forEach((id, index) => db.seed(`items/${id}`, { rank: index }));
+}
+
+// A job that only reads, so every document stays in the query
+function countingJob(seen, options = {}) {
+  return runJob('countItems', {
+    query: () => db.collection('items').orderBy('rank'),
+    processPage: async (docs) => {
+      seen.push(...docs.map((doc) => doc.id));
+      return { counted: docs.length };
+    },
+    pageSize: 2,
+    ...options,
+  });
+}
+
+function jobRuns() {
+  return db.paths()
+    .filter((path) => path.startsWith(`${JOB_RUNS_COLLECTION}/`))
+    .map((path) => db.dump(path));
+}
+
+describe('Job runner', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('paging', () => {
+    it('should process the query page by page', async () => {
+      seedItems(['a', 'b', 'c', 'd', 'e']);
+      const seen = [];
+
+      const run = await countingJob(seen);
+
+      expect(run).toMatchObject({ status: 'completed', pages: 3, counts: { counted: 5 }, resumed: false });
+      expect(seen).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('should report the initial counts for an empty query', async () => {
+      const run = await runJob('empty', {
+        query: () => db.collection('items').orderBy('rank'),
+        processPage: async () => ({ deleted: 1 }),
+        counts: { deleted: 0 },
+      });
+
+      expect(run).toMatchObject({ status: 'completed', pages: 0, counts: { deleted: 0 } });
+    });
+  });
+
+  describe('checkpoints', () => {
+    it('should stop after the time budget and resume where the last run stopped', async () => {
+      seedItems(['a', 'b', 'c', 'd', 'e']);
+      const seen = [];
+
+      const first = await countingJob(seen, { timeBudgetMs: 0 });
+      expect(first).toMatchObject({ status: 'partial', pages: 1 });
+      expect(db.dump(`${JOB_STATE_COLLECTION}/countItems`).cursor).toBe('items/b');
+
+      const second = await countingJob(seen, { timeBudgetMs: 0 });
+      expect(second).toMatchObject({ status: 'partial', resumed: true });
+
+      const third = await countingJob(seen, { timeBudgetMs: 0 });
+      expect(third).toMatchObject({ status: 'completed', counts: { counted: 1 } });
+
+      expect(seen).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(db.dump(`${JOB_STATE_COLLECTION}/countItems`).cursor).toBeNull();
+    });
+
+    it('should start from the beginning when the checkpointed document is gone', async () => {
+      seedItems(['a', 'b', 'c']);
+      db.seed(`${JOB_STATE_COLLECTION}/countItems`, { cursor: 'items/deleted', lease: null });
+      const seen = [];
+
+      const run = await countingJob(seen);
+
+      expect(run.resumed).toBe(false);
+      expect(seen).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should keep the checkpoint of the last finished page when a page fails', async () => {
+      seedItems(['a', 'b', 'c', 'd']);
+      let pages = 0;
+      const failing = () => runJob('countItems', {
+        query: () => db.collection('items').orderBy('rank'),
+        processPage: async () => {
+          pages += 1;
+          if (pages === 2) {
+            throw new Error('UNAVAILABLE: Firestore is down for user@example.com');
+          }
+          return {};
+        },
+        pageSize: 2,
+      });
+
+      await expect(failing()).rejects.toThrow('UNAVAILABLE');
+
+      const state = db.dump(`${JOB_STATE_COLLECTION}/countItems`);
+      expect(state.cursor).toBe('items/b');
+      expect(state.lease).toBeNull();
+      expect(jobRuns()).toEqual([expect.objectContaining({ status: 'failed', error: 'UNAVAILABLE', pages: 1 })]);
+
+      const seen = [];
+      expect(await countingJob(seen)).toMatchObject({ status: 'completed', resumed: true });
+      expect(seen).toEqual(['c', 'd']);
+    });
+  });
+
+  describe('leases', () => {
+    it('should not run while another run holds the lease', async () => {
+      seedItems(['a']);
+      db.seed(`${JOB_STATE_COLLECTION}/countItems`, {
+        lease: { runId: 'other-run', expiresAt: new Date(Date.now() + 60000) },
+      });
+      const seen = [];
+
+      const run = await countingJob(seen);
+
+      expect(run).toMatchObject({ status: 'locked', pages: 0 });
+      expect(seen).toEqual([]);
+      expect(db.dump(`${JOB_STATE_COLLECTION}/countItems`).lease.runId).toBe('other-run');
+    });
+
+    it('should take over the expired lease of a run that died', async () => {
+      seedItems(['a']);
+      db.seed(`${JOB_STATE_COLLECTION}/countItems`, {
+        lease: { runId: 'dead-run', expiresAt: new Date(Date.now() - 1000) },
+      });
+
+      const run = await countingJob([]);
+
+      expect(run.status).toBe('completed');
+      expect(db.dump(`${JOB_STATE_COLLECTION}/countItems`).lease).toBeNull();
+    });
+
+    it('should let only one of two overlapping runs do the work', async () => {
+      seedItems(['a', 'b', 'c']);
+      const seen = [];
+
+      const runs = await Promise.all([countingJob(seen), countingJob(seen)]);
+
+      expect(runs.map((run) => run.status).sort()).toEqual(['completed', 'locked']);
+      expect(seen).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should stop when another run took over the lease', async () => {
+      seedItems(['a', 'b', 'c']);
+      const stealing = runJob('countItems', {
+        query: () => db.collection('items').orderBy('rank'),
+        processPage: async () => {
+          db.seed(`${JOB_STATE_COLLECTION}/countItems`, {
+            lease: { runId: 'other-run', expiresAt: new Date(Date.now() + 60000) },
+          });
+          return {};
+        },
+        pageSize: 2,
+      });
+
+      await expect(stealing).rejects.toThrow('LEASE_LOST');
+      expect(db.dump(`${JOB_STATE_COLLECTION}/countItems`).lease.runId).toBe('other-run');
+    });
+  });
+
+  describe('run history', () => {
+    it('should record every run with its duration and counts', async () => {
+      seedItems(['a', 'b', 'c']);
+
+      const run = await countingJob([]);
+      db.seed(`${JOB_STATE_COLLECTION}/countItems`, {
+        lease: { runId: 'other-run', expiresAt: new Date(Date.now() + 60000) },
+      });
+      await countingJob([]);
+
+      const runs = jobRuns();
+      expect(runs).toHaveLength(2);
+      expect(db.dump(`${JOB_RUNS_COLLECTION}/${run.runId}`)).toMatchObject({
+        job: 'countItems',
+        status: 'completed',
+        pages: 2,
+        counts: { counted: 3 },
+        resumed: false,
+        error: null,
+      });
+      expect(runs.map((entry) => entry.status).sort()).toEqual(['completed', 'locked']);
+      runs.forEach((entry) => {
+        expect(entry.durationMs).toBe(entry.finishedAt.toMillis() - entry.startedAt.toMillis());
+      });
+    });
+  });
+
+  describe('cleanupDeletedUsers', () => {
+    it('should purge a user with more outbox messages than fit in one batch', async () => {
+      db.seed('users/gone', { email: 'gone@example.com', deletedAt: new Date(Date.now() - 100 * DAY) });
+      Array.from({ length: 600 }, (_, i) => db.seed(`emailOutbox/m${i}`, { to: 'gone@example.com', userId: null }));
+
+      const run = await purgeDeletedUsers();
+
+      expect(run.counts).toEqual({ purged: 1, skipped: 0, failed: 0 });
+      expect(db.paths().filter((path) => path.startsWith('emailOutbox/'))).toEqual([]);
+    });
+
+    it('should purge every user across several pages', async () => {
+      ['a', 'b', 'c', 'd', 'e'].forEach((uid, i) => {
+        db.seed(`users/${uid}`, { email: `${uid}@example.com`, deletedAt: new Date(Date.now() - (100 + i) * DAY) });
+      });
+
+      const run = await purgeDeletedUsers({ pageSize: 2 });
+
+      expect(run).toMatchObject({ status: 'completed', pages: 3, counts: { purged: 5 } });
+      expect(db.paths().filter((path) => path.startsWith('users/'))).toEqual([]);
+    });
+  });
+});
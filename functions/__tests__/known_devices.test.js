@@ -0,0 +1,197 @@
+/**
+ * Tests for the known-device registry and new-device login alerts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions, createIdToken } from './helpers/functions_harness.js';
+
+const { db, auth, sendEmail, call } = await loadFunctions();
+const { parseUserAgent, getIpNetwork } = await import('../user_agent.js');
+
+const FIREFOX_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:130.0) Gecko/20100101 Firefox/130.0';
+const CHROME_ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Mobile Safari/537.36';
+
+const bearer = (uid) => ({ Authorization: `Bearer ${createIdToken({ uid, email: `${uid}@example.com` })}` });
+
+function seedUser(uid) {
+  auth.users.set(uid, { uid, email: `${uid}@example.com` });
+  db.seed(`users/${uid}`, { uid, email: `${uid}@example.com`, name: 'Ada', deletedAt: null });
+}
+
+function login(uid, userAgent = FIREFOX_MAC, ip = '198.51.100.7') {
+  return call('sendLoginNotification', { headers: { ...bearer(uid), 'User-Agent': userAgent }, ip });
+}
+
+describe('Known devices', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseUserAgent', () => {
+    it('should recognize browser families regardless of version', () => {
+      expect(parseUserAgent(FIREFOX_MAC)).toEqual({ browser: 'Firefox', platform: 'macOS' });
+      expect(parseUserAgent(CHROME_ANDROID)).toEqual({ browser: 'Chrome', platform: 'Android' });
+      expect(parseUserAgent(CHROME_ANDROID.replace('Chrome/128.0.0.0', 'Chrome/129.0.1.2'))).toEqual(parseUserAgent(CHROME_ANDROID));
+      expect(parseUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/128.0 Safari/537.36 Edg/128.0')).toEqual({ browser: 'Edge', platform: 'Windows' });
+      expect(parseUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Version/17.5 Mobile/15E148 Safari/604.1')).toEqual({ browser: 'Safari', platform: 'iOS' });
+      expect(parseUserAgent('Dart/3.4 (dart:io)')).toEqual({ browser: 'App', platform: 'Unknown' });
+      expect(parseUserAgent(undefined)).toEqual({ browser: 'Unknown', platform: 'Unknown' });
+    });
+  });
+
+  describe('getIpNetwork', () => {
+    it('should reduce addresses to their network', () => {
+      expect(getIpNetwork('198.51.100.7')).toBe('198.51.100.0/24');
+      expect(getIpNetwork('::ffff:198.51.100.7')).toBe('198.51.100.0/24');
+      expect(getIpNetwork('2001:DB8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+      expect(getIpNetwork('2001:db8::1')).toBe('2001:db8:0::/48');
+      expect(getIpNetwork(null)).toBe('unknown');
+    });
+  });
+
+  describe('sendLoginNotification', () => {
+    it('should alert on the first login from a device', async () => {
+      seedUser('u1');
+
+      const res = await login('u1');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ success: true, newDevice: true, notified: true });
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not alert for the device a new user registered on', async () => {
+      seedUser('u1');
+      db.seed('users/u1', { ...db.dump('users/u1'), createdAt: new Date(Date.now() - 60 * 1000) });
+
+      const first = await login('u1');
+      const second = await login('u1', CHROME_ANDROID);
+
+      expect(first.body).toMatchObject({ success: true, newDevice: true, notified: false });
+      expect(second.body).toMatchObject({ newDevice: true, notified: true });
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should alert for the first device of an account registered earlier', async () => {
+      seedUser('u1');
+      db.seed('users/u1', { ...db.dump('users/u1'), createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+
+      const res = await login('u1');
+
+      expect(res.body).toMatchObject({ newDevice: true, notified: true });
+    });
+
+    it('should not alert again for the same browser on the same network', async () => {
+      seedUser('u1');
+      await login('u1');
+
+      const res = await login('u1', FIREFOX_MAC.replace('Firefox/130.0', 'Firefox/131.0'), '198.51.100.99');
+
+      expect(res.body).toMatchObject({ success: true, newDevice: false, notified: false });
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+
+      const [path] = db.paths().filter((p) => p.startsWith('users/u1/knownDevices/'));
+      expect(db.dump(path)).toMatchObject({ browser: 'Firefox', platform: 'macOS', loginCount: 2 });
+      expect(JSON.stringify(db.dump(path))).not.toContain('198.51.100');
+    });
+
+    it('should alert for a different browser or network', async () => {
+      seedUser('u1');
+      await login('u1');
+
+      const otherBrowser = await login('u1', CHROME_ANDROID);
+      const otherNetwork = await login('u1', FIREFOX_MAC, '203.0.113.5');
+
+      expect(otherBrowser.body.newDevice).toBe(true);
+      expect(otherNetwork.body.newDevice).toBe(true);
+      expect(sendEmail).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep devices separate per user', async () => {
+      seedUser('u1');
+      seedUser('u2');
+      await login('u1');
+
+      const res = await login('u2');
+
+      expect(res.body.newDevice).toBe(true);
+    });
+  });
+
+  describe('listKnownDevices', () => {
+    it('should list devices most recently used first and mark the current one', async () => {
+      seedUser('u1');
+      await login('u1', CHROME_ANDROID);
+      await login('u1');
+      const chromePath = db.paths().find((p) => p.startsWith('users/u1/knownDevices/') && db.dump(p).browser === 'Chrome');
+      db.seed(chromePath, { ...db.dump(chromePath), lastSeenAt: new Date(Date.now() - 60 * 1000) });
+
+      const res = await call('listKnownDevices', {
+        method: 'GET',
+        headers: { ...bearer('u1'), 'User-Agent': FIREFOX_MAC },
+        ip: '198.51.100.7',
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.devices.map(({ browser, current }) => ({ browser, current }))).toEqual([
+        { browser: 'Firefox', current: true },
+        { browser: 'Chrome', current: false },
+      ]);
+      expect(res.body.devices[0]).toMatchObject({ platform: 'macOS', loginCount: 1 });
+      expect(res.body.devices[0].lastSeenAt).toEqual(expect.any(String));
+    });
+
+    it('should require a signed-in user', async () => {
+      const res = await call('listKnownDevices', { method: 'GET' });
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('forgetKnownDevice', () => {
+    it('should forget a device so that its next login alerts again', async () => {
+      seedUser('u1');
+      await login('u1');
+      const list = await call('listKnownDevices', { method: 'GET', headers: bearer('u1') });
+
+      const res = await call('forgetKnownDevice', { headers: bearer('u1'), body: { deviceId: list.body.devices[0].id } });
+      const next = await login('u1');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ success: true });
+      expect(next.body.newDevice).toBe(true);
+      expect(sendEmail).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject invalid and unknown device IDs', async () => {
+      seedUser('u1');
+
+      const invalid = await call('forgetKnownDevice', { headers: bearer('u1'), body: { deviceId: '../u2' } });
+      const unknown = await call('forgetKnownDevice', { headers: bearer('u1'), body: { deviceId: 'nope' } });
+
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.error).toBe('INVALID_DEVICE_ID');
+      expect(unknown.statusCode).toBe(404);
+      expect(unknown.body.error).toBe('DEVICE_NOT_FOUND');
+    });
+
+    it('should not forget another user\'s device', async () => {
+      seedUser('u1');
+      seedUser('u2');
+      await login('u2');
+      const [path] = db.paths().filter((p) => p.startsWith('users/u2/knownDevices/'));
+
+      const res = await call('forgetKnownDevice', { headers: bearer('u1'), body: { deviceId: path.split('/').pop() } });
+
+      expect(res.statusCode).toBe(404);
+      expect(db.paths()).toContain(path);
+    });
+  });
+});
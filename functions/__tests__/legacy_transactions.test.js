@@ -0,0 +1,213 @@
+/**
+ * Tests for the migration of legacy users/{uid}/transactions into projects
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions } from './helpers/functions_harness.js';
+
+const { db, call } = await loadFunctions();
+const { migrateLegacyTransactions, migrateUserTransactions, MIGRATION_COLLECTION } = await import('../legacy_transactions.js');
+const { JOB_STATE_COLLECTION } = await import('../job_runner.js');
+
+const NOW = new Date(Date.UTC(2025, 5, 1));
+const DATE = new Date(Date.UTC(2024, 2, 15));
+
+function transaction(overrides = {}) {
+  return { description: 'Gallery sale', amount: 120, type: 'income', category: 'Sales', date: DATE, currency: 'EUR', ...overrides };
+}
+
+function seedLegacy(uid, transactions) {
+  db.seed(`users/${uid}`, { uid, email: `${uid}@example.com` });
+  Object.entries(transactions).forEach(([id, data]) => db.seed(`users/${uid}/transactions/${id}`, data));
+}
+
+function paths(prefix) {
+  return db.paths().filter((path) => path.startsWith(prefix));
+}
+
+describe('Legacy transactions migration', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should move transactions into a new default project with their IDs and currency', async () => {
+    seedLegacy('u1', { 1700000000001: transaction(), 1700000000002: transaction({ amount: 30, type: 'expense', currency: 'USD' }), _sync_metadata: { transactionCount: 2 } });
+
+    const result = await migrateUserTransactions('u1', { now: NOW });
+
+    expect(result).toMatchObject({ status: 'migrated', projectId: 'default', createdProject: true, legacy: 2, copied: 2, verified: 2, deleted: 3 });
+    expect(db.dump('users/u1/projects/default')).toMatchObject({ name: 'Default', deletedAt: null });
+    expect(db.dump('users/u1/projects/default/transactions/1700000000002')).toMatchObject({ amount: 30, currency: 'USD' });
+    expect(db.dump('users/u1/projects/default/transactions/1700000000001').date.toDate()).toEqual(DATE);
+    expect(db.dump('users/u1/projects/default/transactions/_sync_metadata')).toMatchObject({ transactionCount: 2 });
+    expect(paths('users/u1/transactions/')).toEqual([]);
+    expect(db.dump(`${MIGRATION_COLLECTION}/u1`)).toMatchObject({ status: 'migrated', copied: 2, conflicts: [] });
+  });
+
+  it('should use the existing default project', async () => {
+    seedLegacy('u1', { 1: transaction() });
+    db.seed('users/u1/projects/p-123', { name: 'Default', createdAt: DATE, deletedAt: null });
+    db.seed('users/u1/projects/p-123/transactions/2', transaction({ amount: 5 }));
+
+    const result = await migrateUserTransactions('u1', { now: NOW });
+
+    expect(result).toMatchObject({ status: 'migrated', projectId: 'p-123', createdProject: false });
+    expect(paths('users/u1/projects/p-123/transactions/')).toEqual([
+      'users/u1/projects/p-123/transactions/1',
+      'users/u1/projects/p-123/transactions/2',
+      'users/u1/projects/p-123/transactions/_sync_metadata',
+    ]);
+  });
+
+  it('should fill in the currency of transactions the app already copied', async () => {
+    const { currency, ...withoutCurrency } = transaction();
+    seedLegacy('u1', { 1: transaction() });
+    db.seed('users/u1/projects/default', { name: 'Default', createdAt: DATE, deletedAt: null });
+    db.seed('users/u1/projects/default/transactions/1', withoutCurrency);
+
+    const result = await migrateUserTransactions('u1', { now: NOW });
+
+    expect(result).toMatchObject({ status: 'migrated', copied: 0, alreadyPresent: 1, verified: 1 });
+    expect(db.dump('users/u1/projects/default/transactions/1').currency).toBe(currency);
+  });
+
+  it('should leave conflicting transactions in place', async () => {
+    seedLegacy('u1', { 1: transaction(), 2: transaction({ amount: 50 }) });
+    db.seed('users/u1/projects/default', { name: 'Default', createdAt: DATE, deletedAt: null });
+    db.seed('users/u1/projects/default/transactions/2', transaction({ amount: 55 }));
+
+    const result = await migrateUserTransactions('u1', { now: NOW });
+
+    expect(result).toMatchObject({ status: 'conflicts', copied: 1, conflicts: ['2'], verified: 1, deleted: 1 });
+    expect(db.dump('users/u1/projects/default/transactions/2').amount).toBe(55);
+    expect(paths('users/u1/transactions/')).toEqual(['users/u1/transactions/2']);
+  });
+
+  it('should prefer the default project over older projects, like the app', async () => {
+    seedLegacy('u1', { 1: transaction() });
+    db.seed('users/u1/projects/p-old', { name: 'Paintings', createdAt: new Date(Date.UTC(2023, 0, 1)), deletedAt: null });
+    db.seed('users/u1/projects/default', { name: 'Default', createdAt: DATE, deletedAt: null });
+
+    const result = await migrateUserTransactions('u1', { now: NOW });
+
+    expect(result).toMatchObject({ status: 'migrated', projectId: 'default', createdProject: false });
+  });
+
+  it('should fall back to the oldest active project, like the app', async () => {
+    seedLegacy('u1', { 1: transaction() });
+    db.seed('users/u1/projects/p-new', { name: 'Prints', createdAt: new Date(Date.UTC(2024, 5, 1)), deletedAt: null });
+    db.seed('users/u1/projects/p-old', { name: 'Paintings', createdAt: new Date(Date.UTC(2023, 0, 1)), deletedAt: null });
+    db.seed('users/u1/projects/p-deleted', { name: 'Default', createdAt: new Date(Date.UTC(2022, 0, 1)), deletedAt: NOW });
+    db.seed('users/u1/projects/_sync_metadata', { lastSyncTime: DATE });
+
+    const result = await migrateUserTransactions('u1', { now: NOW });
+
+    expect(result).toMatchObject({ status: 'migrated', projectId: 'p-old', createdProject: false });
+    expect(db.dump('users/u1/projects/p-old/transactions/1')).toMatchObject({ amount: 120 });
+    expect(db.dump('users/u1/projects/default')).toBeUndefined();
+  });
+
+  it('should use another active project when the default project is deleted', async () => {
+    seedLegacy('u1', { 1: transaction() });
+    db.seed('users/u1/projects/default', { name: 'Default', createdAt: DATE, deletedAt: NOW });
+    db.seed('users/u1/projects/p-123', { name: 'Paintings', createdAt: DATE, deletedAt: null });
+
+    const result = await migrateUserTransactions('u1', { now: NOW });
+
+    expect(result).toMatchObject({ status: 'migrated', projectId: 'p-123' });
+    expect(db.dump('users/u1/projects/default').deletedAt).not.toBeNull();
+  });
+
+  it('should skip users whose only default project is deleted instead of recreating it', async () => {
+    seedLegacy('u1', { 1: transaction() });
+    db.seed('users/u1/projects/default', { name: 'Default', createdAt: DATE, deletedAt: NOW });
+
+    const result = await migrateUserTransactions('u1', { now: NOW });
+
+    expect(result).toMatchObject({ status: 'skipped', reason: 'DEFAULT_PROJECT_DELETED' });
+    expect(paths('users/u1/transactions/')).toHaveLength(1);
+  });
+
+  it('should be idempotent', async () => {
+    seedLegacy('u1', { 1: transaction() });
+    seedLegacy('u2', {});
+
+    const first = await migrateLegacyTransactions({ now: NOW });
+    const snapshot = db.paths().filter((path) => path.startsWith('users/'));
+    const second = await migrateLegacyTransactions({ now: NOW });
+
+    expect(first.counts).toMatchObject({ users: 2, migrated: 1, copied: 1, verified: 1, failed: 0 });
+    expect(second.counts).toMatchObject({ users: 2, migrated: 0, transactions: 0 });
+    expect(second.results).toEqual([]);
+    expect(db.paths().filter((path) => path.startsWith('users/'))).toEqual(snapshot);
+  });
+
+  it('should only report in a dry run', async () => {
+    seedLegacy('u1', { 1: transaction(), 2: transaction({ amount: 50 }) });
+    db.seed('users/u1/projects/default', { name: 'Default', createdAt: DATE, deletedAt: null });
+    db.seed('users/u1/projects/default/transactions/2', transaction({ amount: 55 }));
+    const before = paths('users/');
+
+    const run = await migrateLegacyTransactions({ dryRun: true, now: NOW });
+
+    expect(run).toMatchObject({ dryRun: true, status: 'completed', counts: { users: 1, conflicts: 1, copied: 1 } });
+    expect(run.results).toEqual([expect.objectContaining({ uid: 'u1', status: 'dry-run', conflicts: ['2'] })]);
+    expect(paths('users/')).toEqual(before);
+    expect(paths(`${MIGRATION_COLLECTION}/`)).toEqual([]);
+    expect(db.dump(`${JOB_STATE_COLLECTION}/migration.legacyTransactions`)).toBeUndefined();
+  });
+
+  it('should checkpoint between pages of users and resume', async () => {
+    ['a', 'b', 'c'].forEach((uid) => seedLegacy(uid, { 1: transaction() }));
+
+    const first = await migrateLegacyTransactions({ now: NOW, pageSize: 2, timeBudgetMs: 0 });
+    const second = await migrateLegacyTransactions({ now: NOW, pageSize: 2, timeBudgetMs: 0 });
+
+    expect(first).toMatchObject({ status: 'partial', counts: { users: 2, migrated: 2 } });
+    expect(second).toMatchObject({ status: 'completed', resumed: true, counts: { users: 1, migrated: 1 } });
+    expect(db.paths().filter((path) => /^users\/[abc]\/transactions\//.test(path))).toEqual([]);
+  });
+
+  it('should move more transactions than fit in one batch', async () => {
+    seedLegacy('u1', Object.fromEntries(Array.from({ length: 520 }, (_, i) => [String(i), transaction({ amount: i })])));
+
+    const result = await migrateUserTransactions('u1', { now: NOW });
+
+    expect(result).toMatchObject({ status: 'migrated', copied: 520, verified: 520 });
+    expect(paths('users/u1/transactions/')).toEqual([]);
+  });
+
+  describe('migrateLegacyTransactions endpoint', () => {
+    beforeEach(() => {
+      process.env.ADMIN_API_KEY = 'admin-secret';
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_API_KEY;
+    });
+
+    it('should require admin credentials', async () => {
+      seedLegacy('u1', { 1: transaction() });
+
+      const res = await call('migrateLegacyTransactions', { body: {} });
+
+      expect(res.statusCode).toBe(401);
+      expect(paths('users/u1/transactions/')).toHaveLength(1);
+    });
+
+    it('should return the report', async () => {
+      seedLegacy('u1', { 1: transaction() });
+
+      const res = await call('migrateLegacyTransactions', { body: { dryRun: true }, headers: { Authorization: 'Bearer admin-secret' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ success: true, dryRun: true, status: 'completed', counts: { migrated: 1, copied: 1 } });
+      expect(paths('users/u1/transactions/')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for readable device labels and offline locations in login alerts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions, createIdToken, buildGeoIpFixture } from './helpers/functions_harness.js';
+
+const FIXTURE_CSV = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'geoip-city.csv');
+const FIXTURE_DB = await buildGeoIpFixture();
+process.env.GEOIP_DB_PATH = FIXTURE_DB;
+
+const { db, auth, sendEmail, call } = await loadFunctions();
+const { lookupIpLocation } = await import('../geoip.js');
+const { parseUserAgent } = await import('../user_agent.js');
+const { formatDeviceLabel, formatLocation } = await import('../email_i18n.js');
+
+const USER_AGENTS = {
+  chromeMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/537.36',
+  safariIphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+  firefoxWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:130.0) Gecko/20100101 Firefox/130.0',
+  samsungAndroid: 'Mozilla/5.0 (Linux; Android 14; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/25.0 Chrome/121.0.0.0 Mobile Safari/537.36',
+  dartApp: 'Dart/3.4 (dart:io)',
+  curl: 'curl/8.4.0',
+};
+
+function seedUser(uid, language = null) {
+  auth.users.set(uid, { uid, email: `${uid}@example.com` });
+  db.seed(`users/${uid}`, { uid, email: `${uid}@example.com`, name: 'Ada', deletedAt: null });
+  if (language) {
+    db.seed(`users/${uid}/preferences/settings`, { language });
+  }
+}
+
+function login(uid, { userAgent, ip, body = {} }) {
+  return call('sendLoginNotification', {
+    headers: { Authorization: `Bearer ${createIdToken({ uid, email: `${uid}@example.com` })}`, 'User-Agent': userAgent },
+    ip,
+    body,
+  });
+}
+
+describe('Login alert details', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env.GEOIP_DB_PATH = FIXTURE_DB;
+    jest.restoreAllMocks();
+  });
+
+  describe('device labels', () => {
+    it.each([
+      ['chromeMac', 'Chrome on macOS', 'Chrome auf macOS'],
+      ['safariIphone', 'Safari on iOS', 'Safari auf iOS'],
+      ['firefoxWindows', 'Firefox on Windows', 'Firefox auf Windows'],
+      ['samsungAndroid', 'Samsung Internet on Android', 'Samsung Internet auf Android'],
+      ['dartApp', 'Art Finance Hub app on unknown system', 'Art Finance Hub App auf unbekanntem System'],
+      ['curl', 'Unknown device', 'Unbekanntes Gerät'],
+    ])('should label %s', (name, en, de) => {
+      const device = parseUserAgent(USER_AGENTS[name]);
+
+      expect(formatDeviceLabel(device, 'en')).toBe(en);
+      expect(formatDeviceLabel(device, 'de')).toBe(de);
+    });
+  });
+
+  describe('lookupIpLocation', () => {
+    it('should find IPv4 and IPv6 addresses in the database', async () => {
+      expect(await lookupIpLocation('185.12.64.17')).toEqual({ country: 'DE', city: 'Munich' });
+      expect(await lookupIpLocation('::ffff:81.2.69.160')).toEqual({ country: 'GB', city: 'London' });
+      expect(await lookupIpLocation('198.51.100.1')).toEqual({ country: 'US', city: 'Washington, D.C.' });
+      expect(await lookupIpLocation('203.0.113.9')).toEqual({ country: 'ES', city: null });
+      expect(await lookupIpLocation('2a02:1810:4d02:5c00::1')).toEqual({ country: 'ES', city: 'Barcelona' });
+    });
+
+    it('should return null for private, unlisted and invalid addresses', async () => {
+      expect(await lookupIpLocation('10.1.2.3')).toBeNull();
+      expect(await lookupIpLocation('8.8.8.8')).toBeNull();
+      expect(await lookupIpLocation('2001:db9::1')).toBeNull();
+      expect(await lookupIpLocation('not-an-ip')).toBeNull();
+      expect(await lookupIpLocation(null)).toBeNull();
+    });
+
+    it('should return null without an index file', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.env.GEOIP_DB_PATH = path.join(path.dirname(FIXTURE_DB), 'missing.idx');
+
+      expect(await lookupIpLocation('185.12.64.17')).toBeNull();
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse files that are not an index', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.env.GEOIP_DB_PATH = FIXTURE_CSV;
+
+      expect(await lookupIpLocation('185.12.64.17')).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(FIXTURE_CSV), expect.stringContaining('INVALID_GEOIP_INDEX'));
+    });
+
+    it('should give up on an index that is still loading', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(fs.promises, 'readFile').mockReturnValue(new Promise(() => {}));
+      process.env.GEOIP_DB_PATH = path.join(path.dirname(FIXTURE_DB), 'slow.idx');
+
+      expect(await lookupIpLocation('185.12.64.17', { timeoutMs: 10 })).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('not ready after 10 ms'));
+    });
+  });
+
+  describe('formatLocation', () => {
+    it('should localize the country name', () => {
+      expect(formatLocation({ country: 'DE', city: 'Munich' }, 'en')).toBe('Munich, Germany');
+      expect(formatLocation({ country: 'DE', city: 'Munich' }, 'es')).toBe('Munich, Alemania');
+      expect(formatLocation({ country: 'ES', city: null }, 'de')).toBe('Spanien');
+      expect(formatLocation(null, 'de')).toBe('Unbekannt');
+    });
+  });
+
+  describe('sendLoginNotification', () => {
+    it('should show the device label and location instead of raw values', async () => {
+      seedUser('u1');
+
+      await login('u1', { userAgent: USER_AGENTS.chromeMac, ip: '185.12.64.17' });
+
+      const [, , html, text] = sendEmail.mock.calls[0];
+      expect(text).toContain('Device: Chrome on macOS');
+      expect(text).toContain('IP Address: 185.12.64.17');
+      expect(text).toContain('Approximate location: Munich, Germany');
+      expect(html).not.toContain('AppleWebKit');
+    });
+
+    it('should localize the details in the user\'s language', async () => {
+      seedUser('u1', 'es');
+
+      await login('u1', { userAgent: USER_AGENTS.safariIphone, ip: '2a02:1810:4d02:5c00::1' });
+
+      const [, , , text] = sendEmail.mock.calls[0];
+      expect(text).toContain('Dispositivo: Safari en iOS');
+      expect(text).toContain('Ubicación aproximada: Barcelona, España');
+    });
+
+    it('should say the location is unknown for unlisted addresses', async () => {
+      seedUser('u1', 'de');
+
+      await login('u1', { userAgent: USER_AGENTS.firefoxWindows, ip: '10.1.2.3' });
+
+      expect(sendEmail.mock.calls[0][3]).toContain('Ungefährer Standort: Unbekannt');
+    });
+
+    it('should ignore device details sent by the client', async () => {
+      seedUser('u1');
+
+      await login('u1', {
+        userAgent: USER_AGENTS.samsungAndroid,
+        ip: '81.2.69.160',
+        body: { deviceInfo: 'Galaxy S23', ipAddress: '185.12.64.17', userAgent: USER_AGENTS.chromeMac },
+      });
+
+      const [, , , text] = sendEmail.mock.calls[0];
+      expect(text).not.toContain('Galaxy S23');
+      expect(text).not.toContain('macOS');
+      expect(text).toContain('IP Address: 81.2.69.160');
+      expect(text).toContain('Approximate location: London, United Kingdom');
+    });
+  });
+});
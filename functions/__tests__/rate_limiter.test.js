@@ -0,0 +1,205 @@
+/**
+ * Unit tests for rate_limiter.js and the rate-limited endpoints
+ *
+ * Time is driven by an explicit clock so windows can be crossed without
+ * waiting.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions, createIdToken } from './helpers/functions_harness.js';
+
+const { db, sendEmail, call } = await loadFunctions();
+const { checkRateLimit, getRateLimits, setClock, RATE_LIMIT_COLLECTION } = await import('../rate_limiter.js');
+const { getClientIp } = await import('../http_middleware.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.UTC(2025, 0, 1, 12, 0, 0);
+const APP_URL = 'https://app.example.com';
+
+describe('Rate Limiter', () => {
+  let now;
+
+  beforeEach(() => {
+    db.reset();
+    jest.clearAllMocks();
+    now = START;
+    setClock(() => now);
+    process.env.RATE_LIMITS = JSON.stringify({
+      createRegistration: { ip: { limit: 3, windowSeconds: 3600 }, email: { limit: 2, windowSeconds: 3600 } },
+    });
+  });
+
+  afterEach(() => {
+    setClock(null);
+    delete process.env.RATE_LIMITS;
+  });
+
+  describe('getRateLimits', () => {
+    it('should merge RATE_LIMITS overrides with the defaults', () => {
+      process.env.RATE_LIMITS = JSON.stringify({ createSignInRequest: { email: { limit: 1 } } });
+
+      expect(getRateLimits('createSignInRequest')).toEqual({
+        ip: { limit: 10, windowSeconds: 3600 },
+        email: { limit: 1, windowSeconds: 3600 },
+      });
+    });
+
+    it('should fall back to the defaults when RATE_LIMITS is invalid', () => {
+      process.env.RATE_LIMITS = '{not json';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(getRateLimits('createSignInRequest').email.limit).toBe(5);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('checkRateLimit', () => {
+    it('should allow requests up to the limit and block the next one', async () => {
+      const keys = { ip: '198.51.100.1', email: 'a@example.com' };
+
+      expect((await checkRateLimit('createRegistration', keys, START)).allowed).toBe(true);
+      expect((await checkRateLimit('createRegistration', keys, START + MINUTE)).allowed).toBe(true);
+
+      const blocked = await checkRateLimit('createRegistration', keys, START + 2 * MINUTE);
+      expect(blocked).toEqual({ allowed: false, retryAfterSeconds: 58 * 60, limitedBy: 'email' });
+    });
+
+    it('should free slots as hits slide out of the window', async () => {
+      const keys = { email: 'a@example.com' };
+      await checkRateLimit('createRegistration', keys, START);
+      await checkRateLimit('createRegistration', keys, START + 30 * MINUTE);
+
+      expect((await checkRateLimit('createRegistration', keys, START + HOUR - 1)).allowed).toBe(false);
+      expect((await checkRateLimit('createRegistration', keys, START + HOUR)).allowed).toBe(true);
+      expect((await checkRateLimit('createRegistration', keys, START + HOUR + MINUTE)).allowed).toBe(false);
+    });
+
+    it('should limit by IP across different email addresses', async () => {
+      for (const email of ['a@example.com', 'b@example.com', 'c@example.com']) {
+        expect((await checkRateLimit('createRegistration', { ip: '198.51.100.1', email }, START)).allowed).toBe(true);
+      }
+
+      const blocked = await checkRateLimit('createRegistration', { ip: '198.51.100.1', email: 'd@example.com' }, START);
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.limitedBy).toBe('ip');
+
+      const otherIp = await checkRateLimit('createRegistration', { ip: '198.51.100.2', email: 'd@example.com' }, START);
+      expect(otherIp.allowed).toBe(true);
+    });
+
+    it('should treat email addresses case-insensitively', async () => {
+      await checkRateLimit('createRegistration', { email: 'A@Example.com' }, START);
+      await checkRateLimit('createRegistration', { email: ' a@example.com' }, START);
+
+      expect((await checkRateLimit('createRegistration', { email: 'a@EXAMPLE.com' }, START)).allowed).toBe(false);
+    });
+
+    it('should not record hits for blocked requests', async () => {
+      const keys = { email: 'a@example.com' };
+      await checkRateLimit('createRegistration', keys, START);
+      await checkRateLimit('createRegistration', keys, START);
+      await checkRateLimit('createRegistration', keys, START + 10 * MINUTE);
+
+      // Only the two allowed hits count, so the window opens an hour after them
+      expect((await checkRateLimit('createRegistration', keys, START + HOUR)).allowed).toBe(true);
+    });
+
+    it('should keep limits separate per endpoint', async () => {
+      const keys = { email: 'a@example.com' };
+      await checkRateLimit('createRegistration', keys, START);
+      await checkRateLimit('createRegistration', keys, START);
+
+      expect((await checkRateLimit('createSignInRequest', keys, START)).allowed).toBe(true);
+    });
+
+    it('should not store IP or email addresses in plain text', async () => {
+      await checkRateLimit('createRegistration', { ip: '198.51.100.1', email: 'a@example.com' }, START);
+
+      const paths = db.paths().filter((path) => path.startsWith(`${RATE_LIMIT_COLLECTION}/`));
+      expect(paths).toHaveLength(2);
+      paths.forEach((path) => {
+        expect(path).not.toContain('198.51.100.1');
+        expect(path).not.toContain('a@example.com');
+        expect(JSON.stringify(db.dump(path))).not.toContain('example.com');
+        expect(db.dump(path).expiresAt.toMillis()).toBe(START + HOUR);
+      });
+    });
+
+    it('should use the injected clock by default', async () => {
+      now = START + 5 * MINUTE;
+      await checkRateLimit('createRegistration', { email: 'a@example.com' });
+
+      const [path] = db.paths();
+      expect(db.dump(path).hits).toEqual([START + 5 * MINUTE]);
+    });
+  });
+
+  describe('getClientIp', () => {
+    it('should use the address appended by the load balancer', () => {
+      const req = { headers: { 'x-forwarded-for': '10.0.0.1, 198.51.100.7' } };
+
+      expect(getClientIp(req)).toBe('198.51.100.7');
+    });
+
+    it('should fall back to the socket address', () => {
+      expect(getClientIp({ headers: {}, socket: { remoteAddress: '198.51.100.8' } })).toBe('198.51.100.8');
+    });
+  });
+
+  describe('endpoints', () => {
+    it('should return 429 with Retry-After once createRegistration is over the limit', async () => {
+      const body = { email: 'new@example.com', name: 'New User', continueUrl: APP_URL };
+
+      expect((await call('createRegistration', { body })).statusCode).toBe(200);
+      now += MINUTE;
+      expect((await call('createRegistration', { body })).statusCode).toBe(200);
+      now += MINUTE;
+      const res = await call('createRegistration', { body });
+
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['retry-after']).toBe(String(58 * 60));
+      expect(res.body).toMatchObject({ success: false, error: 'RATE_LIMITED', retryAfter: 58 * 60 });
+      expect(sendEmail).toHaveBeenCalledTimes(2);
+
+      now = START + HOUR;
+      expect((await call('createRegistration', { body })).statusCode).toBe(200);
+    });
+
+    it('should limit createSignInRequest per client IP', async () => {
+      process.env.RATE_LIMITS = JSON.stringify({ createSignInRequest: { ip: { limit: 2 } } });
+      db.seed('users/u1', { email: 'a@example.com', name: 'A' });
+      db.seed('users/u2', { email: 'b@example.com', name: 'B' });
+      db.seed('users/u3', { email: 'c@example.com', name: 'C' });
+
+      const statuses = [];
+      for (const email of ['a@example.com', 'b@example.com', 'c@example.com']) {
+        const res = await call('createSignInRequest', { body: { email, continueUrl: APP_URL }, ip: '198.51.100.9' });
+        statuses.push(res.statusCode);
+      }
+
+      expect(statuses).toEqual([200, 200, 429]);
+    });
+
+    it('should limit sendLoginNotification per target email', async () => {
+      process.env.RATE_LIMITS = JSON.stringify({ sendLoginNotification: { email: { limit: 1 } } });
+
+      const headers = { Authorization: `Bearer ${createIdToken({ uid: 'u1', email: 'a@example.com' })}` };
+
+      const first = await call('sendLoginNotification', { headers });
+      const second = await call('sendLoginNotification', { headers, ip: '198.51.100.20' });
+
+      expect(first.statusCode).toBe(200);
+      expect(second.statusCode).toBe(429);
+      expect(db.paths().filter((path) => path.startsWith('emailOutbox/'))).toHaveLength(1);
+    });
+
+    it('should not count requests that fail validation', async () => {
+      for (let i = 0; i < 5; i += 1) {
+        await call('createRegistration', { body: { email: 'not-an-email', name: 'X', continueUrl: APP_URL } });
+      }
+
+      expect(db.paths().filter((path) => path.startsWith(`${RATE_LIMIT_COLLECTION}/`))).toHaveLength(0);
+    });
+  });
+});
@@ -27,6 +27,15 @@ const mockDoc = {
   data: jest.fn(),
 };
 
+// Snapshots point back at their reference
+mockDoc.ref = mockDoc;
+
+// Transactions read and write through the document mock
+const mockTransaction = {
+  get: jest.fn((ref) => ref.get()),
+  update: jest.fn((ref, data) => ref.update(data)),
+};
+
 const mockBatch = {
   delete: jest.fn(),
   commit: jest.fn(),
@@ -35,29 +44,34 @@ const mockBatch = {
 const mockQuery = {
   get: jest.fn(),
   where: jest.fn(), // Allow chaining .where().where()
+  limit: jest.fn(),
 };
 
 // Set up mock chain - where() returns itself to allow chaining
 mockQuery.where.mockReturnValue(mockQuery);
+mockQuery.limit.mockReturnValue(mockQuery);
 
 // Set up mock chain
 mockFirestore.collection.mockReturnValue(mockCollection);
 mockCollection.doc.mockReturnValue(mockDoc);
 mockCollection.where.mockReturnValue(mockQuery);
 mockFirestore.batch = jest.fn().mockReturnValue(mockBatch);
+mockFirestore.runTransaction = jest.fn((fn) => fn(mockTransaction));
 
 // Mock the Firestore module
 jest.unstable_mockModule('@google-cloud/firestore', () => ({
   Firestore: jest.fn(() => mockFirestore)
 }));
 
+process.env.TOKEN_HASH_SECRET = 'test-token-hash-secret';
+
 // Now import the service
 const {
   createPendingRegistration,
   verifyRegistrationToken,
-  cleanupExpiredRegistrations,
   hasPendingRegistration,
-  cancelPendingRegistration
+  cancelPendingRegistration,
+  hashToken
 } = await import('../registration_service.js');
 
 describe('Registration Service', () => {
@@ -82,20 +96,28 @@ describe('Registration Service', () => {
 
       // Should call Firestore to save
       expect(mockFirestore.collection).toHaveBeenCalledWith('pendingRegistrations');
-      expect(mockCollection.doc).toHaveBeenCalledWith(result.token);
+      expect(mockCollection.doc).toHaveBeenCalledWith(hashToken(result.token));
       expect(mockDoc.set).toHaveBeenCalled();
 
       // Check saved data structure
       const savedData = mockDoc.set.mock.calls[0][0];
       expect(savedData.email).toBe(email);
       expect(savedData.name).toBe(name);
-      expect(savedData.token).toBe(result.token);
+      expect(savedData).not.toHaveProperty('token');
       expect(savedData.continueUrl).toBe(continueUrl);
+      expect(savedData.locale).toBeNull();
       expect(savedData.status).toBe('pending');
       expect(savedData.createdAt).toBeInstanceOf(Date);
       expect(savedData.expiresAt).toBeInstanceOf(Date);
     });
 
+    it('should store the requester locale', async () => {
+      await createPendingRegistration('test@example.com', 'Test User', 'https://app.example.com', 'de');
+
+      const savedData = mockDoc.set.mock.calls[0][0];
+      expect(savedData.locale).toBe('de');
+    });
+
     it('should generate unique tokens for different requests', async () => {
       const result1 = await createPendingRegistration(
         'user1@example.com',
@@ -127,11 +149,33 @@ describe('Registration Service', () => {
       expect(expiresAt).toBeGreaterThanOrEqual(expectedMin);
       expect(expiresAt).toBeLessThanOrEqual(expectedMax);
     });
+    it('should give sign-in tokens a 15 minute expiry and record the purpose', async () => {
+      const before = Date.now();
+      const result = await createPendingRegistration(
+        'test@example.com',
+        'Test User',
+        'https://app.example.com',
+        null,
+        'signIn'
+      );
+
+      const savedData = mockDoc.set.mock.calls[0][0];
+      expect(savedData.purpose).toBe('signIn');
+      expect(result.expiresAt.getTime() - before).toBeLessThanOrEqual(15 * 60 * 1000 + 1000);
+      expect(result.expiresAt.getTime() - before).toBeGreaterThanOrEqual(15 * 60 * 1000 - 1000);
+    });
+
+    it('should reject an unknown purpose', async () => {
+      await expect(
+        createPendingRegistration('test@example.com', 'Test User', 'https://app.example.com', null, 'reset')
+      ).rejects.toThrow('INVALID_PURPOSE');
+      expect(mockDoc.set).not.toHaveBeenCalled();
+    });
   });
 
   describe('verifyRegistrationToken', () => {
     it('should verify a valid token and return user data', async () => {
-      const token = 'valid-token';
+      const token = 'valid-token-0123456789';
       const mockData = {
         email: 'test@example.com',
         name: 'Test User',
@@ -150,6 +194,8 @@ describe('Registration Service', () => {
         email: mockData.email,
         name: mockData.name,
         continueUrl: mockData.continueUrl,
+        locale: null,
+        requestContext: null,
       });
 
       // Should mark as completed
@@ -160,6 +206,37 @@ describe('Registration Service', () => {
       expect(updateData.ipAddress).toBe('1.2.3.4');
     });
 
+    it('should reject a token issued for another purpose without consuming it', async () => {
+      mockDoc.exists = true;
+      mockDoc.data.mockReturnValue({
+        email: 'test@example.com',
+        status: 'pending',
+        purpose: 'signIn',
+        expiresAt: { toDate: () => new Date(Date.now() + 60000) },
+      });
+      mockDoc.get.mockResolvedValue(mockDoc);
+
+      await expect(verifyRegistrationToken('sign-in-token-0123456789', null, 'registration')).rejects.toThrow(
+        'WRONG_TOKEN_PURPOSE'
+      );
+      expect(mockDoc.update).not.toHaveBeenCalled();
+    });
+
+    it('should accept a legacy token without a purpose for either flow', async () => {
+      mockDoc.exists = true;
+      mockDoc.data.mockReturnValue({
+        email: 'test@example.com',
+        name: 'Test User',
+        status: 'pending',
+        expiresAt: { toDate: () => new Date(Date.now() + 60000) },
+      });
+      mockDoc.get.mockResolvedValue(mockDoc);
+
+      const result = await verifyRegistrationToken('legacy-token-0123456789', null, 'signIn');
+
+      expect(result.email).toBe('test@example.com');
+    });
+
     it('should throw error for non-existent token', async () => {
       const token = 'invalid-token';
       mockDoc.exists = false;
@@ -171,7 +248,7 @@ describe('Registration Service', () => {
     });
 
     it('should throw error for already-used token', async () => {
-      const token = 'used-token';
+      const token = 'used-token-0123456789';
       const mockData = {
         status: 'completed',
         expiresAt: { toDate: () => new Date(Date.now() + 60000) },
@@ -187,7 +264,7 @@ describe('Registration Service', () => {
     });
 
     it('should throw error for expired token', async () => {
-      const token = 'expired-token';
+      const token = 'expired-token-0123456789';
       const mockData = {
         status: 'pending',
         expiresAt: { toDate: () => new Date(Date.now() - 60000) }, // Past date
@@ -208,63 +285,11 @@ describe('Registration Service', () => {
     });
   });
 
-  describe('cleanupExpiredRegistrations', () => {
-    it('should delete expired registrations', async () => {
-      const mockDocs = [
-        { id: 'token1', data: () => ({ email: 'user1@example.com', status: 'pending', expiresAt: { toDate: () => new Date(Date.now() - 60000) } }), ref: 'ref1' },
-        { id: 'token2', data: () => ({ email: 'user2@example.com', status: 'pending', expiresAt: { toDate: () => new Date(Date.now() - 120000) } }), ref: 'ref2' },
-      ];
-
-      // Mock the status query
-      mockQuery.get.mockResolvedValue({
-        empty: false,
-        size: 2,
-        docs: mockDocs,
-      });
-
-      const result = await cleanupExpiredRegistrations();
-
-      expect(result).toBe(2);
-      expect(mockFirestore.batch).toHaveBeenCalled();
-      expect(mockBatch.delete).toHaveBeenCalledTimes(2);
-      expect(mockBatch.commit).toHaveBeenCalled();
-    });
-
-    it('should return 0 when no expired registrations exist', async () => {
-      const mockDocs = [
-        { id: 'token1', data: () => ({ email: 'user1@example.com', status: 'pending', expiresAt: { toDate: () => new Date(Date.now() + 60000) } }), ref: 'ref1' },
-      ];
-
-      mockQuery.get.mockResolvedValue({
-        empty: false,
-        size: 1,
-        docs: mockDocs,
-      });
-
-      const result = await cleanupExpiredRegistrations();
-
-      expect(result).toBe(0);
-    });
-
-    it('should return 0 when no pending registrations exist', async () => {
-      mockQuery.get.mockResolvedValue({
-        empty: true,
-        size: 0,
-        docs: [],
-      });
-
-      const result = await cleanupExpiredRegistrations();
-
-      expect(result).toBe(0);
-      expect(mockBatch.delete).not.toHaveBeenCalled();
-      expect(mockBatch.commit).not.toHaveBeenCalled();
-    });
-  });
-
   describe('hasPendingRegistration', () => {
     it('should return true when pending registration exists', async () => {
       mockQuery.get.mockResolvedValue({
         empty: false,
+        docs: [{ data: () => ({ purpose: 'registration' }) }],
       });
 
       const result = await hasPendingRegistration('test@example.com');
@@ -273,17 +298,34 @@ describe('Registration Service', () => {
       expect(mockCollection.where).toHaveBeenCalledWith('email', '==', 'test@example.com');
       // Second where() is chained on mockQuery, not mockCollection
       expect(mockQuery.where).toHaveBeenCalledWith('status', '==', 'pending');
+      expect(mockQuery.where).toHaveBeenCalledWith('expiresAt', '>', expect.any(Date));
+    });
+
+    it('should filter by purpose when given', async () => {
+      mockQuery.get.mockResolvedValue({ empty: false, docs: [{ data: () => ({ purpose: 'signIn' }) }] });
+
+      await hasPendingRegistration('test@example.com', 'signIn');
+
+      expect(mockQuery.where).toHaveBeenCalledWith('purpose', '==', 'signIn');
     });
 
     it('should return false when no pending registration exists', async () => {
       mockQuery.get.mockResolvedValue({
         empty: true,
+        docs: [],
       });
 
       const result = await hasPendingRegistration('test@example.com');
 
       expect(result).toBe(false);
     });
+
+    it('should ignore restore links when no purpose is given', async () => {
+      mockQuery.get.mockResolvedValue({ empty: false, docs: [{ data: () => ({ purpose: 'restore' }) }] });
+
+      expect(await hasPendingRegistration('test@example.com')).toBe(false);
+      expect(await hasPendingRegistration('test@example.com', 'restore')).toBe(true);
+    });
   });
 
   describe('cancelPendingRegistration', () => {
@@ -299,6 +341,7 @@ describe('Registration Service', () => {
 
       await cancelPendingRegistration('test@example.com');
 
+      expect(mockQuery.where).toHaveBeenCalledWith('purpose', '==', 'registration');
       expect(mockFirestore.batch).toHaveBeenCalled();
       expect(mockBatch.delete).toHaveBeenCalledWith('ref1');
       expect(mockBatch.commit).toHaveBeenCalled();
@@ -0,0 +1,328 @@
+/**
+ * Tests for hashed registration and sign-in tokens
+ *
+ * Runs the handlers against the in-memory Firestore and checks that raw
+ * tokens only ever appear in the email, never in the database or the logs.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions } from './helpers/functions_harness.js';
+
+const { db, auth, sendEmail, call } = await loadFunctions();
+const { hashToken, migrateLegacyRegistrationTokens, assertTokenHashSecret } = await import('../registration_service.js');
+
+const APP_URL = 'https://app.example.com';
+
+function tokenFromEmail(param) {
+  const [, , , text] = sendEmail.mock.calls[sendEmail.mock.calls.length - 1];
+  return new RegExp(`${param}=([A-Za-z0-9_-]+)`).exec(text)[1];
+}
+
+function seedLegacy(token, data) {
+  db.seed(`pendingRegistrations/${token}`, {
+    email: 'legacy@example.com',
+    name: 'Legacy User',
+    token,
+    continueUrl: APP_URL,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    status: 'pending',
+    verifiedAt: null,
+    ipAddress: null,
+    ...data,
+  });
+}
+
+describe('Hashed registration tokens', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    sendEmail.mockClear();
+    logSpy = jest.spyOn(console, 'log');
+    process.env.ADMIN_API_KEY = 'admin-secret';
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  it('should store only the HMAC of a registration token', async () => {
+    await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+    const token = tokenFromEmail('registrationToken');
+
+    expect(db.paths()).toContain(`pendingRegistrations/${hashToken(token)}`);
+    db.paths().forEach((path) => {
+      expect(path).not.toContain(token);
+      expect(JSON.stringify(db.dump(path))).not.toContain(token);
+    });
+  });
+
+  it('should never log the token', async () => {
+    db.seed('users/u1', { email: 'user@example.com', name: 'User' });
+    await call('createSignInRequest', { body: { email: 'user@example.com', continueUrl: APP_URL } });
+    const token = tokenFromEmail('signInToken');
+    await call('verifyRegistrationToken', { body: { token, purpose: 'signIn' } });
+
+    const logged = logSpy.mock.calls.flat().map(String).join('\n');
+    expect(logged).not.toContain(token);
+    expect(logged).not.toContain(token.substring(0, 10));
+  });
+
+  it('should verify a token by its hash', async () => {
+    await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+    const token = tokenFromEmail('registrationToken');
+
+    const res = await call('verifyRegistrationToken', { body: { token } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.email).toBe('new@example.com');
+    expect(db.dump(`pendingRegistrations/${hashToken(token)}`).status).toBe('completed');
+  });
+
+  it('should record the client IP rather than the forwarded list', async () => {
+    await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+    const token = tokenFromEmail('registrationToken');
+
+    await call('verifyRegistrationToken', { body: { token }, headers: { 'X-Forwarded-For': '10.0.0.1, 198.51.100.7' } });
+
+    expect(db.dump(`pendingRegistrations/${hashToken(token)}`).ipAddress).toBe('198.51.100.7');
+  });
+
+  it('should not accept the stored hash as a token', async () => {
+    await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+    const storedId = hashToken(tokenFromEmail('registrationToken'));
+
+    const res = await call('verifyRegistrationToken', { body: { token: storedId } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('INVALID_TOKEN');
+  });
+
+  it.each([
+    ['a/b/c/0123456789abcdefghij'],
+    ['..'],
+    ['short'],
+    [' '],
+    [{ id: 'x' }],
+  ])('should reject %p as an invalid token', async (token) => {
+    const res = await call('verifyRegistrationToken', { body: { token } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('INVALID_TOKEN');
+  });
+
+  it('should depend on the secret', () => {
+    const original = process.env.TOKEN_HASH_SECRET;
+    const withOriginal = hashToken('token');
+    process.env.TOKEN_HASH_SECRET = 'another-secret';
+    const withOther = hashToken('token');
+    delete process.env.TOKEN_HASH_SECRET;
+
+    expect(() => hashToken('token')).toThrow('TOKEN_HASH_SECRET is not configured');
+    expect(() => assertTokenHashSecret()).toThrow('TOKEN_HASH_SECRET is not configured');
+    process.env.TOKEN_HASH_SECRET = original;
+    expect(withOther).not.toBe(withOriginal);
+  });
+
+  describe('email delivery', () => {
+    it('should send registration and sign-in emails through the outbox', async () => {
+      db.seed('users/u1', { email: 'user@example.com', name: 'User' });
+      await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+      await call('createSignInRequest', { body: { email: 'user@example.com', continueUrl: APP_URL } });
+
+      const outbox = db.paths().filter((p) => p.startsWith('emailOutbox/')).map((p) => db.dump(p));
+      expect(outbox).toHaveLength(2);
+      expect(outbox).toContainEqual(expect.objectContaining({ to: 'new@example.com', userId: null, type: 'registration', status: 'sent' }));
+      expect(outbox).toContainEqual(expect.objectContaining({ to: 'user@example.com', userId: 'u1', type: 'sign_in', status: 'sent' }));
+    });
+
+    it('should keep a failed email queued for retry', async () => {
+      sendEmail.mockRejectedValueOnce(new Error('timeout'));
+
+      const res = await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.queued).toBe(true);
+      const [path] = db.paths().filter((p) => p.startsWith('emailOutbox/'));
+      expect(db.dump(path)).toMatchObject({ type: 'registration', status: 'retrying', attempts: 1 });
+      expect(db.dump(path).text).toContain('registrationToken=');
+    });
+  });
+
+  describe('token purpose', () => {
+    beforeEach(() => {
+      db.seed('users/u1', { email: 'user@example.com', name: 'User' });
+    });
+
+    it('should reject a sign-in token on the registration flow and keep it usable', async () => {
+      await call('createSignInRequest', { body: { email: 'user@example.com', continueUrl: APP_URL } });
+      const token = tokenFromEmail('signInToken');
+
+      const wrong = await call('verifyRegistrationToken', { body: { token } });
+      const right = await call('verifyRegistrationToken', { body: { token, purpose: 'signIn' } });
+
+      expect(wrong.statusCode).toBe(400);
+      expect(wrong.body.error).toBe('WRONG_TOKEN_PURPOSE');
+      expect(right.statusCode).toBe(200);
+    });
+
+    it('should reject a registration token on the sign-in flow', async () => {
+      await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+      const token = tokenFromEmail('registrationToken');
+
+      const res = await call('verifyRegistrationToken', { body: { token, purpose: 'signIn' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('WRONG_TOKEN_PURPOSE');
+      expect(db.dump(`pendingRegistrations/${hashToken(token)}`).status).toBe('pending');
+    });
+
+    it('should reject an unknown purpose', async () => {
+      const res = await call('verifyRegistrationToken', { body: { token: 'anything', purpose: 'reset' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('INVALID_PURPOSE');
+    });
+
+    it('should give sign-in links a 15 minute expiry', async () => {
+      const before = Date.now();
+      const res = await call('createSignInRequest', { body: { email: 'user@example.com', continueUrl: APP_URL } });
+
+      const expiresIn = new Date(res.body.expiresAt).getTime() - before;
+      expect(expiresIn).toBeGreaterThan(14 * 60 * 1000);
+      expect(expiresIn).toBeLessThanOrEqual(15 * 60 * 1000 + 1000);
+    });
+
+    it('should not cancel a pending registration when a sign-in link is requested', async () => {
+      await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+      const registrationToken = tokenFromEmail('registrationToken');
+      db.seed('users/u2', { email: 'new@example.com', name: 'New User' });
+
+      await call('createSignInRequest', { body: { email: 'new@example.com', continueUrl: APP_URL } });
+
+      expect(db.dump(`pendingRegistrations/${hashToken(registrationToken)}`).status).toBe('pending');
+    });
+
+    it('should replace an older sign-in link with a new one', async () => {
+      await call('createSignInRequest', { body: { email: 'user@example.com', continueUrl: APP_URL } });
+      const first = tokenFromEmail('signInToken');
+      await call('createSignInRequest', { body: { email: 'user@example.com', continueUrl: APP_URL } });
+
+      const res = await call('verifyRegistrationToken', { body: { token: first, purpose: 'signIn' } });
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('hasPendingRegistration endpoint', () => {
+    it('should report a pending link by purpose', async () => {
+      await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+
+      const any = await call('hasPendingRegistration', { body: { email: 'new@example.com' } });
+      const registration = await call('hasPendingRegistration', { body: { email: 'new@example.com', purpose: 'registration' } });
+      const signIn = await call('hasPendingRegistration', { body: { email: 'new@example.com', purpose: 'signIn' } });
+
+      expect(any.body).toEqual({ success: true, pending: true });
+      expect(registration.body.pending).toBe(true);
+      expect(signIn.body.pending).toBe(false);
+    });
+
+    it('should not report used or expired links', async () => {
+      await call('createRegistration', { body: { email: 'new@example.com', name: 'New User', continueUrl: APP_URL } });
+      const path = `pendingRegistrations/${hashToken(tokenFromEmail('registrationToken'))}`;
+      db.seed(path, { ...db.dump(path), expiresAt: new Date(Date.now() - 1000) });
+
+      const res = await call('hasPendingRegistration', { body: { email: 'new@example.com' } });
+
+      expect(res.body.pending).toBe(false);
+    });
+
+    it('should leave restore links out unless asked for them', async () => {
+      seedLegacy('restore-token-0123456789', { email: 'gone@example.com', purpose: 'restore' });
+
+      const any = await call('hasPendingRegistration', { body: { email: 'gone@example.com' } });
+      const restore = await call('hasPendingRegistration', { body: { email: 'gone@example.com', purpose: 'restore' } });
+
+      expect(any.body.pending).toBe(false);
+      expect(restore.body.pending).toBe(true);
+    });
+
+    it('should report a legacy link without a purpose', async () => {
+      seedLegacy('legacy-raw-token-0123456789');
+
+      const res = await call('hasPendingRegistration', { body: { email: 'legacy@example.com' } });
+
+      expect(res.body.pending).toBe(true);
+    });
+
+    it('should validate the request', async () => {
+      const missing = await call('hasPendingRegistration', { body: {} });
+      const invalid = await call('hasPendingRegistration', { body: { email: 'new@example.com', purpose: 'reset' } });
+
+      expect(missing.body.error).toBe('MISSING_FIELDS');
+      expect(invalid.body.error).toBe('INVALID_PURPOSE');
+    });
+  });
+
+  describe('legacy tokens', () => {
+    it('should still verify a token stored before hashing', async () => {
+      seedLegacy('legacy-raw-token-0123456789');
+
+      const res = await call('verifyRegistrationToken', { body: { token: 'legacy-raw-token-0123456789' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(db.dump('pendingRegistrations/legacy-raw-token-0123456789').status).toBe('completed');
+    });
+
+    it('should not accept a token without a purpose for restoring an account', async () => {
+      db.seed('users/legacy', { email: 'legacy@example.com', name: 'Legacy User', deletedAt: new Date() });
+      seedLegacy('legacy-raw-token-0123456789');
+
+      const res = await call('verifyAccountRestore', { body: { token: 'legacy-raw-token-0123456789' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('WRONG_TOKEN_PURPOSE');
+      expect(db.dump('pendingRegistrations/legacy-raw-token-0123456789').status).toBe('pending');
+      expect(db.dump('users/legacy').deletedAt).not.toBeNull();
+    });
+
+    it('should re-key legacy documents without the raw token', async () => {
+      seedLegacy('pending-token-0123456789');
+      seedLegacy('completed-token-0123456789', { status: 'completed' });
+
+      const migrated = await migrateLegacyRegistrationTokens();
+
+      expect(migrated).toBe(2);
+      expect(db.paths()).toEqual([
+        `pendingRegistrations/${hashToken('completed-token-0123456789')}`,
+        `pendingRegistrations/${hashToken('pending-token-0123456789')}`,
+      ].sort());
+      const data = db.dump(`pendingRegistrations/${hashToken('pending-token-0123456789')}`);
+      expect(data).not.toHaveProperty('token');
+      expect(data).toMatchObject({ email: 'legacy@example.com', status: 'pending' });
+    });
+
+    it('should keep migrated tokens working and be idempotent', async () => {
+      seedLegacy('pending-token-0123456789');
+      await migrateLegacyRegistrationTokens();
+
+      expect(await migrateLegacyRegistrationTokens()).toBe(0);
+      const res = await call('verifyRegistrationToken', { body: { token: 'pending-token-0123456789' } });
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should expose the migration to admins only', async () => {
+      seedLegacy('pending-token-0123456789');
+
+      const denied = await call('migrateRegistrationTokens', {});
+      const res = await call('migrateRegistrationTokens', { headers: { Authorization: 'Bearer admin-secret' } });
+
+      expect(denied.statusCode).toBe(401);
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ success: true, migrated: 1 });
+    });
+  });
+});
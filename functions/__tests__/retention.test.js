@@ -0,0 +1,293 @@
+/**
+ * Tests for the data retention policies and their enforcer
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions, createSchedulerHeaders } from './helpers/functions_harness.js';
+
+const { db, storage, call } = await loadFunctions();
+const { RETENTION_POLICIES, getRetentionDays, getRetentionCutoff } = await import('../retention_policies.js');
+const { enforceRetention } = await import('../retention_enforcer.js');
+const { JOB_STATE_COLLECTION } = await import('../job_runner.js');
+const { renderAccountDeletionEmail } = await import('../email_service.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date();
+
+function ago(days) {
+  return new Date(NOW.getTime() - days * DAY);
+}
+
+function seedRegistration(id, { status = 'pending', expiresAt = ago(0.5), verifiedAt = null } = {}) {
+  db.seed(`pendingRegistrations/${id}`, { email: `${id}@example.com`, status, expiresAt, verifiedAt });
+}
+
+function remaining(collection) {
+  return db.paths().filter((path) => path.startsWith(`${collection}/`));
+}
+
+function policyReport(report, id) {
+  return report.policies.find((policy) => policy.id === id);
+}
+
+describe('Retention policies', () => {
+  afterEach(() => {
+    delete process.env.RETENTION_DELETED_USERS_DAYS;
+  });
+
+  it('should declare one policy per collection and status', () => {
+    const keys = RETENTION_POLICIES.map((policy) => `${policy.collection || policy.collectionGroup}/${policy.status || '*'}`);
+
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(RETENTION_POLICIES.map((policy) => policy.id)).toEqual([
+      'pendingRegistrations',
+      'expiredRegistrations',
+      'completedRegistrations',
+      'signInChallenges',
+      'deletedUsers',
+      'deletedProjects',
+      'emailOutbox',
+      'dataExports',
+      'jobRuns',
+      'auditLog',
+    ]);
+  });
+
+  it('should let the environment override a period', () => {
+    expect(getRetentionDays('deletedUsers')).toBe(90);
+
+    process.env.RETENTION_DELETED_USERS_DAYS = '120';
+
+    expect(getRetentionDays('deletedUsers')).toBe(120);
+    expect(getRetentionCutoff('deletedUsers', NOW)).toEqual(ago(120));
+  });
+
+  it('should reject overrides that are not whole days', () => {
+    process.env.RETENTION_DELETED_USERS_DAYS = '30d';
+
+    expect(() => getRetentionDays('deletedUsers')).toThrow('INVALID_RETENTION_CONFIG');
+  });
+
+  it('should reject unknown policies', () => {
+    expect(() => getRetentionDays('everything')).toThrow('INVALID_POLICY');
+  });
+
+  it('should state the configured period in the account deletion email', () => {
+    process.env.RETENTION_DELETED_USERS_DAYS = '120';
+
+    const { text } = renderAccountDeletionEmail('Ada', 'en', new Date(Date.UTC(2025, 0, 1)));
+
+    expect(text).toContain('after 120 days');
+    expect(text).not.toContain('90 days');
+  });
+});
+
+describe('Retention enforcer', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.RETENTION_COMPLETED_REGISTRATIONS_DAYS;
+  });
+
+  it('should apply each registration policy to its status', async () => {
+    seedRegistration('pendingExpired');
+    seedRegistration('pendingValid', { expiresAt: new Date(NOW.getTime() + DAY) });
+    seedRegistration('expired', { status: 'expired', expiresAt: ago(2) });
+    seedRegistration('usedLongAgo', { status: 'completed', expiresAt: ago(40), verifiedAt: ago(40) });
+    seedRegistration('usedRecently', { status: 'completed', expiresAt: ago(2), verifiedAt: ago(2) });
+
+    const report = await enforceRetention({ now: NOW });
+
+    expect(report.status).toBe('completed');
+    expect(policyReport(report, 'pendingRegistrations').counts).toEqual({ deleted: 1 });
+    expect(policyReport(report, 'expiredRegistrations').counts).toEqual({ deleted: 1 });
+    expect(policyReport(report, 'completedRegistrations').counts).toEqual({ deleted: 1 });
+    expect(remaining('pendingRegistrations')).toEqual(['pendingRegistrations/pendingValid', 'pendingRegistrations/usedRecently']);
+  });
+
+  it('should use the configured period', async () => {
+    process.env.RETENTION_COMPLETED_REGISTRATIONS_DAYS = '1';
+    seedRegistration('usedRecently', { status: 'completed', expiresAt: ago(2), verifiedAt: ago(2) });
+
+    await enforceRetention({ policies: ['completedRegistrations'], now: NOW });
+
+    expect(remaining('pendingRegistrations')).toEqual([]);
+  });
+
+  it('should purge soft-deleted users and old audit entries', async () => {
+    db.seed('users/gone', { email: 'gone@example.com', deletedAt: ago(91) });
+    db.seed('users/recent', { email: 'recent@example.com', deletedAt: ago(10) });
+    db.seed('auditLog/old', { uid: 'someone', createdAt: ago(400) });
+    db.seed('auditLog/new', { uid: 'someone', createdAt: ago(10) });
+
+    const report = await enforceRetention({ policies: ['deletedUsers', 'auditLog'], now: NOW });
+
+    expect(policyReport(report, 'deletedUsers').counts).toEqual({ purged: 1, skipped: 0, failed: 0 });
+    expect(policyReport(report, 'auditLog').counts).toEqual({ deleted: 1 });
+    expect(remaining('users')).toEqual(['users/recent']);
+    expect(remaining('auditLog')).toEqual(['auditLog/new']);
+  });
+
+  it('should purge soft-deleted projects', async () => {
+    db.seed('users/u1/projects/old', { name: 'Old', deletedAt: ago(31) });
+    db.seed('users/u1/projects/old/transactions/t1', { amount: 10 });
+    db.seed('users/u1/projects/recent', { name: 'Recent', deletedAt: ago(10) });
+
+    const report = await enforceRetention({ now: NOW });
+
+    expect(policyReport(report, 'deletedProjects')).toMatchObject({
+      action: 'purgeProjects',
+      days: 30,
+      status: 'completed',
+      counts: { purged: 1, skipped: 0, failed: 0 },
+    });
+    expect(db.paths().filter((path) => path.includes('/projects/old'))).toEqual([]);
+    expect(db.dump('users/u1/projects/recent')).toBeDefined();
+  });
+
+  it('should delete old outbox emails and job runs', async () => {
+    db.seed('emailOutbox/old', { to: 'a@example.com', status: 'sent', html: null, text: null, createdAt: ago(31) });
+    db.seed('emailOutbox/new', { to: 'b@example.com', status: 'sent', html: null, text: null, createdAt: ago(1) });
+    db.seed('jobRuns/old', { job: 'retention.auditLog', status: 'completed', finishedAt: ago(91) });
+    db.seed('jobRuns/new', { job: 'retention.auditLog', status: 'completed', finishedAt: ago(1) });
+
+    const report = await enforceRetention({ policies: ['emailOutbox', 'jobRuns'], now: NOW });
+
+    expect(policyReport(report, 'emailOutbox').counts).toEqual({ deleted: 1 });
+    expect(policyReport(report, 'jobRuns').counts).toEqual({ deleted: 1 });
+    expect(remaining('emailOutbox')).toEqual(['emailOutbox/new']);
+    expect(remaining('jobRuns')).toEqual(expect.arrayContaining(['jobRuns/new']));
+    expect(remaining('jobRuns')).not.toContain('jobRuns/old');
+  });
+
+  it('should delete expired data exports with their archives', async () => {
+    storage.files.clear();
+    const bucket = storage.bucket();
+    await bucket.file('exports/u1/old.zip').save('old');
+    await bucket.file('exports/u1/new.zip').save('new');
+    db.seed('dataExports/old', { uid: 'u1', storagePath: 'exports/u1/old.zip', expiresAt: ago(1) });
+    db.seed('dataExports/new', { uid: 'u1', storagePath: 'exports/u1/new.zip', expiresAt: new Date(NOW.getTime() + DAY) });
+
+    const report = await enforceRetention({ policies: ['dataExports'], now: NOW });
+
+    expect(policyReport(report, 'dataExports')).toMatchObject({ action: 'purgeExports', days: 0, counts: { deleted: 1 } });
+    expect(remaining('dataExports')).toEqual(['dataExports/new']);
+    expect([...storage.files.keys()]).toEqual(['default-bucket/exports/u1/new.zip']);
+  });
+
+  it('should only report in a dry run', async () => {
+    seedRegistration('pendingExpired');
+    seedRegistration('expired', { status: 'expired', expiresAt: ago(2) });
+    db.seed('users/gone', { email: 'gone@example.com', deletedAt: ago(91) });
+    const before = db.paths();
+
+    const report = await enforceRetention({ dryRun: true, now: NOW });
+
+    expect(report.dryRun).toBe(true);
+    expect(policyReport(report, 'pendingRegistrations')).toMatchObject({ status: 'dry-run', matched: 1, days: 0 });
+    expect(policyReport(report, 'deletedUsers')).toMatchObject({ status: 'dry-run', matched: 1, days: 90, cutoff: ago(90) });
+    expect(policyReport(report, 'auditLog')).toMatchObject({ status: 'dry-run', matched: 0 });
+    expect(db.paths()).toEqual(before);
+  });
+
+  it('should delete more than one batch of documents', async () => {
+    Array.from({ length: 520 }, (_, i) => seedRegistration(`expired${i}`));
+
+    const report = await enforceRetention({ policies: ['pendingRegistrations'], now: NOW });
+
+    expect(policyReport(report, 'pendingRegistrations').counts).toEqual({ deleted: 520 });
+    expect(remaining('pendingRegistrations')).toEqual([]);
+  });
+
+  it('should report a policy that another run is applying as locked', async () => {
+    seedRegistration('pendingExpired');
+    db.seed('auditLog/old', { uid: 'someone', createdAt: ago(400) });
+    db.seed(`${JOB_STATE_COLLECTION}/retention.pendingRegistrations`, {
+      lease: { runId: 'other-run', expiresAt: new Date(Date.now() + 60000) },
+    });
+
+    const report = await enforceRetention({ policies: ['pendingRegistrations', 'auditLog'], now: NOW });
+
+    expect(report.status).toBe('locked');
+    expect(policyReport(report, 'pendingRegistrations')).toMatchObject({ status: 'locked', counts: { deleted: 0 } });
+    expect(remaining('pendingRegistrations')).toHaveLength(1);
+    expect(remaining('auditLog')).toEqual([]);
+  });
+
+  it('should apply nothing when a policy is unknown', async () => {
+    seedRegistration('pendingExpired');
+
+    await expect(enforceRetention({ policies: ['pendingRegistrations', 'everything'] })).rejects.toThrow('INVALID_POLICY');
+    expect(remaining('pendingRegistrations')).toHaveLength(1);
+  });
+
+  describe('enforceRetention endpoint', () => {
+    const signed = (request) => ({ ...request, headers: createSchedulerHeaders('enforceRetention', request) });
+
+    it('should require scheduler credentials', async () => {
+      const res = await call('enforceRetention', { method: 'GET' });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should return a dry-run report with counts only', async () => {
+      seedRegistration('pendingExpired');
+
+      const res = await call('enforceRetention', signed({ method: 'GET', query: { dryRun: 'true' } }));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ success: true, dryRun: true, status: 'completed' });
+      expect(policyReport(res.body, 'pendingRegistrations')).toMatchObject({ matched: 1 });
+      expect(JSON.stringify(res.body)).not.toContain('example.com');
+      expect(remaining('pendingRegistrations')).toHaveLength(1);
+    });
+
+    it('should apply the selected policies', async () => {
+      seedRegistration('pendingExpired');
+      db.seed('auditLog/old', { uid: 'someone', createdAt: ago(400) });
+
+      const res = await call('enforceRetention', signed({ body: { policies: ['auditLog'] } }));
+
+      expect(res.body.policies.map((policy) => policy.id)).toEqual(['auditLog']);
+      expect(remaining('auditLog')).toEqual([]);
+      expect(remaining('pendingRegistrations')).toHaveLength(1);
+    });
+
+    it('should reject unknown policies', async () => {
+      const res = await call('enforceRetention', signed({ method: 'GET', query: { policies: 'auditLog,everything' } }));
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('INVALID_POLICY');
+    });
+  });
+
+  describe('cleanupExpiredRegistrations endpoint', () => {
+    const headers = () => createSchedulerHeaders('cleanupExpiredRegistrations', { method: 'GET' });
+
+    it('should apply the registration and challenge policies', async () => {
+      seedRegistration('pendingExpired');
+      seedRegistration('expired', { status: 'expired', expiresAt: ago(2) });
+      db.seed('signInChallenges/old', { expiresAt: ago(1) });
+
+      const res = await call('cleanupExpiredRegistrations', { method: 'GET', headers: headers() });
+
+      expect(res.body).toMatchObject({ success: true, status: 'completed', deletedCount: 2, deletedChallenges: 1 });
+    });
+
+    it('should report the registration cleanup as locked while another run holds it', async () => {
+      seedRegistration('pendingExpired');
+      db.seed(`${JOB_STATE_COLLECTION}/retention.pendingRegistrations`, {
+        lease: { runId: 'other-run', expiresAt: new Date(Date.now() + 60000) },
+      });
+
+      const res = await call('cleanupExpiredRegistrations', { method: 'GET', headers: headers() });
+
+      expect(res.body).toMatchObject({ success: true, status: 'locked', deletedCount: 0 });
+      expect(remaining('pendingRegistrations')).toHaveLength(1);
+    });
+  });
+});
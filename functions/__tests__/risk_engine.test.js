@@ -0,0 +1,275 @@
+/**
+ * Tests for risk scoring and step-up verification of link clicks
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions, createSchedulerHeaders, buildGeoIpFixture } from './helpers/functions_harness.js';
+
+process.env.GEOIP_DB_PATH = await buildGeoIpFixture();
+
+const { db, auth, sendEmail, call } = await loadFunctions();
+const { scoreSignInRisk, RISK_RULES, HIGH_RISK_THRESHOLD } = await import('../risk_engine.js');
+const { STEP_UP_MAX_ATTEMPTS } = await import('../step_up.js');
+
+const APP_URL = 'https://app.example.com';
+const CHROME_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const MUNICH_IP = '185.12.64.17';
+const WASHINGTON_IP = '198.51.100.1';
+
+const home = { browser: 'Chrome', platform: 'macOS', network: 'net-home', country: 'DE' };
+
+function signals(overrides = {}) {
+  return { requested: home, clicked: home, deviceHistory: 'none', recentRequests: 0, ...overrides };
+}
+
+describe('scoreSignInRisk', () => {
+  it('should not flag a click from where the link was requested', () => {
+    expect(scoreSignInRisk(signals())).toEqual({ score: 0, reasons: [], stepUpRequired: false });
+  });
+
+  it('should add the points of every matching rule', () => {
+    const result = scoreSignInRisk(signals({
+      clicked: { browser: 'Safari', platform: 'iOS', network: 'net-abroad', country: 'US' },
+    }));
+
+    expect(result.reasons).toEqual(['NETWORK_CHANGED', 'COUNTRY_CHANGED', 'DEVICE_CHANGED']);
+    expect(result.score).toBe(70);
+    expect(result.stepUpRequired).toBe(true);
+  });
+
+  it('should allow opening the link on another device in the same country', () => {
+    const result = scoreSignInRisk(signals({
+      clicked: { browser: 'Safari', platform: 'iOS', network: 'net-mobile', country: 'DE' },
+    }));
+
+    expect(result.reasons).toEqual(['NETWORK_CHANGED', 'DEVICE_CHANGED']);
+    expect(result.stepUpRequired).toBe(false);
+  });
+
+  it('should weigh the device history', () => {
+    const elsewhere = { clicked: { ...home, network: 'net-mobile' } };
+
+    expect(scoreSignInRisk(signals({ ...elsewhere, deviceHistory: 'trusted' })).score).toBe(0);
+    expect(scoreSignInRisk(signals({ ...elsewhere, deviceHistory: 'unknown' })).score).toBe(45);
+    expect(scoreSignInRisk(signals({ deviceHistory: 'untrusted' }))).toEqual({
+      score: 50,
+      reasons: ['UNTRUSTED_DEVICE'],
+      stepUpRequired: true,
+    });
+  });
+
+  it('should flag bursts of sign-in link requests', () => {
+    expect(scoreSignInRisk(signals({ recentRequests: 2 })).reasons).toEqual([]);
+    expect(scoreSignInRisk(signals({ recentRequests: 3 })).reasons).toEqual(['REPEATED_REQUESTS']);
+    expect(scoreSignInRisk(signals({ recentRequests: 6 })).reasons).toEqual(['REQUEST_BURST']);
+  });
+
+  it('should skip the comparisons for links without a request context', () => {
+    const result = scoreSignInRisk(signals({ requested: null, clicked: { ...home, country: 'US' } }));
+
+    expect(result).toEqual({ score: 0, reasons: [], stepUpRequired: false });
+  });
+
+  it('should not compare countries when one is unknown', () => {
+    const result = scoreSignInRisk(signals({ clicked: { ...home, country: null } }));
+
+    expect(result.reasons).not.toContain('COUNTRY_CHANGED');
+  });
+
+  it('should accept other rules and thresholds', () => {
+    const rules = [...RISK_RULES, { id: 'ALWAYS', points: 10, applies: () => true }];
+
+    expect(scoreSignInRisk(signals(), { rules, threshold: 10 })).toEqual({
+      score: 10,
+      reasons: ['ALWAYS'],
+      stepUpRequired: true,
+    });
+    expect(HIGH_RISK_THRESHOLD).toBe(50);
+  });
+});
+
+describe('Step-up verification', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function seedUser() {
+    auth.users.set('u1', { uid: 'u1', email: 'ada@example.com' });
+    db.seed('users/u1', { uid: 'u1', email: 'ada@example.com', name: 'Ada', deletedAt: null });
+  }
+
+  function lastEmailText() {
+    return sendEmail.mock.calls[sendEmail.mock.calls.length - 1][3];
+  }
+
+  async function requestSignIn({ userAgent = CHROME_MAC, ip = MUNICH_IP } = {}) {
+    await call('createSignInRequest', {
+      body: { email: 'ada@example.com', continueUrl: APP_URL },
+      headers: { 'User-Agent': userAgent },
+      ip,
+    });
+    return /signInToken=([A-Za-z0-9_-]+)/.exec(lastEmailText())[1];
+  }
+
+  function clickLink(token, { userAgent = CHROME_MAC, ip = MUNICH_IP } = {}) {
+    return call('verifyRegistrationToken', {
+      body: { token, purpose: 'signIn' },
+      headers: { 'User-Agent': userAgent },
+      ip,
+    });
+  }
+
+  async function startStepUp() {
+    seedUser();
+    const token = await requestSignIn();
+    const res = await clickLink(token, { userAgent: SAFARI_IPHONE, ip: WASHINGTON_IP });
+    const code = /^(\d{6})$/m.exec(lastEmailText())[1];
+    return { res, code, challengeId: res.body.challengeId };
+  }
+
+  it('should store where a link was requested', async () => {
+    seedUser();
+    await requestSignIn();
+
+    const [pending] = db.paths().filter((p) => p.startsWith('pendingRegistrations/'));
+    expect(db.dump(pending).requestContext).toEqual({
+      browser: 'Chrome',
+      platform: 'macOS',
+      network: expect.any(String),
+      country: 'DE',
+    });
+    expect(JSON.stringify(db.dump(pending))).not.toContain('185.12.64');
+  });
+
+  it('should mint the sign-in link right away for a low-risk click', async () => {
+    seedUser();
+    const token = await requestSignIn();
+
+    const res = await clickLink(token);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.signInLink).toContain('ada%40example.com');
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should email a confirmation code instead of a sign-in link for a high-risk click', async () => {
+    const { res, code, challengeId } = await startStepUp();
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ success: false, error: 'STEP_UP_REQUIRED', challengeId: expect.any(String) });
+    expect(res.body.signInLink).toBeUndefined();
+    expect(auth.generateSignInWithEmailLink).not.toHaveBeenCalled();
+
+    const [to, subject, , text] = sendEmail.mock.calls[1];
+    expect(to).toBe('ada@example.com');
+    expect(subject).toBe('Your Confirmation Code - Art Finance Hub');
+    expect(text).toContain('Safari on iOS');
+    expect(text).toContain('Washington, D.C., United States');
+
+    const challenge = db.dump(`signInChallenges/${challengeId}`);
+    expect(challenge).toMatchObject({ email: 'ada@example.com', purpose: 'signIn', attempts: 0, status: 'pending' });
+    expect(challenge.riskReasons).toEqual(['NETWORK_CHANGED', 'COUNTRY_CHANGED', 'DEVICE_CHANGED']);
+    expect(JSON.stringify(challenge)).not.toContain(code);
+  });
+
+  it('should mint the sign-in link once the code is confirmed', async () => {
+    const { code, challengeId } = await startStepUp();
+
+    const res = await call('confirmSignInChallenge', { body: { challengeId, code } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, email: 'ada@example.com', continueUrl: `${APP_URL}/` });
+    expect(res.body.signInLink).toContain('ada%40example.com');
+
+    const again = await call('confirmSignInChallenge', { body: { challengeId, code } });
+    expect(again.statusCode).toBe(409);
+    expect(again.body.error).toBe('CHALLENGE_ALREADY_USED');
+  });
+
+  it('should lock the challenge after too many wrong codes', async () => {
+    const { code, challengeId } = await startStepUp();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const first = await call('confirmSignInChallenge', { body: { challengeId, code: wrong } });
+    expect(first.statusCode).toBe(400);
+    expect(first.body).toMatchObject({ error: 'INVALID_CODE', attemptsRemaining: STEP_UP_MAX_ATTEMPTS - 1 });
+
+    for (let i = 1; i < STEP_UP_MAX_ATTEMPTS; i++) {
+      await call('confirmSignInChallenge', { body: { challengeId, code: wrong } });
+    }
+
+    const res = await call('confirmSignInChallenge', { body: { challengeId, code } });
+    expect(res.statusCode).toBe(429);
+    expect(res.body.error).toBe('TOO_MANY_ATTEMPTS');
+    expect(auth.generateSignInWithEmailLink).not.toHaveBeenCalled();
+  });
+
+  it('should reject expired and unknown challenges', async () => {
+    const { code, challengeId } = await startStepUp();
+    db.seed(`signInChallenges/${challengeId}`, {
+      ...db.dump(`signInChallenges/${challengeId}`),
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    const expired = await call('confirmSignInChallenge', { body: { challengeId, code } });
+    expect(expired.statusCode).toBe(410);
+    expect(expired.body.error).toBe('CHALLENGE_EXPIRED');
+
+    const unknown = await call('confirmSignInChallenge', { body: { challengeId: 'nope', code } });
+    expect(unknown.statusCode).toBe(404);
+
+    const missing = await call('confirmSignInChallenge', { body: { challengeId } });
+    expect(missing.statusCode).toBe(400);
+    expect(missing.body.error).toBe('MISSING_FIELDS');
+  });
+
+  it('should require a code after a burst of requests from an unknown device', async () => {
+    seedUser();
+    db.seed('users/u1/knownDevices/other', {
+      browser: 'Firefox', platform: 'Windows', trusted: true, firstSeenAt: new Date(), lastSeenAt: new Date(), loginCount: 1,
+    });
+    for (let i = 0; i < 6; i++) {
+      db.seed(`auditLog/req-${i}`, { type: 'sign_in_requested', uid: 'u1', outcome: 'success', createdAt: new Date() });
+    }
+    const token = await requestSignIn();
+
+    const res = await clickLink(token);
+
+    expect(res.statusCode).toBe(403);
+    const { challengeId } = res.body;
+    expect(db.dump(`signInChallenges/${challengeId}`).riskReasons).toEqual(['NEW_DEVICE', 'REQUEST_BURST']);
+  });
+
+  it('should record the step-up in the audit log', async () => {
+    const { code, challengeId } = await startStepUp();
+    await call('confirmSignInChallenge', { body: { challengeId, code } });
+
+    const events = db.paths()
+      .filter((p) => p.startsWith('auditLog/'))
+      .map((p) => db.dump(p))
+      .map(({ type, uid, outcome, errorCode }) => ({ type, uid, outcome, errorCode }));
+    expect(events).toEqual(expect.arrayContaining([
+      { type: 'sign_in_verified', uid: 'u1', outcome: 'failure', errorCode: 'STEP_UP_REQUIRED' },
+      { type: 'step_up_verified', uid: 'u1', outcome: 'success', errorCode: null },
+    ]));
+  });
+
+  it('should delete expired challenges with the registration cleanup', async () => {
+    const { challengeId } = await startStepUp();
+    db.seed('signInChallenges/old', { email: 'ada@example.com', expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await call('cleanupExpiredRegistrations', { headers: createSchedulerHeaders('cleanupExpiredRegistrations') });
+
+    expect(res.body.deletedChallenges).toBe(1);
+    expect(db.paths()).toContain(`signInChallenges/${challengeId}`);
+    expect(db.paths()).not.toContain('signInChallenges/old');
+  });
+});
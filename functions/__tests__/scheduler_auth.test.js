@@ -0,0 +1,228 @@
+/**
+ * Tests for scheduler-only authentication of the maintenance jobs
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+const verifyIdToken = jest.fn();
+jest.unstable_mockModule('google-auth-library', () => ({
+  OAuth2Client: jest.fn(() => ({ verifyIdToken })),
+}));
+
+const { loadFunctions, createSchedulerHeaders, createRequest } = await import('./helpers/functions_harness.js');
+const { db, call } = await loadFunctions();
+const { signSchedulerRequest, verifySchedulerRequest } = await import('../scheduler_auth.js');
+
+const JOBS = ['enforceRetention', 'cleanupDeletedUsers', 'cleanupExpiredRegistrations', 'cleanupAuditLog', 'processEmailOutbox'];
+const SERVICE_ACCOUNT = 'scheduler@project.iam.gserviceaccount.com';
+const AUDIENCE = 'https://europe-west1-project.cloudfunctions.net/cleanupDeletedUsers';
+const DAY = 24 * 60 * 60 * 1000;
+
+function seedExpiredUser() {
+  db.seed('users/gone', { email: 'gone@example.com', name: 'Gone', deletedAt: new Date(Date.now() - 365 * DAY) });
+}
+
+function oidcHeaders() {
+  return { Authorization: 'Bearer google-signed-token' };
+}
+
+describe('Scheduler authentication', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.SCHEDULER_SERVICE_ACCOUNT = SERVICE_ACCOUNT;
+    process.env.SCHEDULER_OIDC_AUDIENCE = AUDIENCE;
+    process.env.ADMIN_API_KEY = 'admin-secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.SCHEDULER_SERVICE_ACCOUNT;
+    delete process.env.SCHEDULER_OIDC_AUDIENCE;
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  it.each(JOBS)('should reject unauthenticated calls to %s', async (job) => {
+    const res = await call(job, { method: 'GET' });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ success: false, error: 'UNAUTHENTICATED' });
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+  });
+
+  it.each(JOBS)('should run %s for a signed request', async (job) => {
+    const res = await call(job, { method: 'GET', headers: createSchedulerHeaders(job, { method: 'GET' }) });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should not run the job for a rejected call', async () => {
+    seedExpiredUser();
+
+    await call('cleanupDeletedUsers', { method: 'GET' });
+
+    expect(db.dump('users/gone')).toBeDefined();
+  });
+
+  it('should not accept the admin API key', async () => {
+    const res = await call('cleanupDeletedUsers', { method: 'GET', headers: { Authorization: 'Bearer admin-secret' } });
+
+    expect(res.statusCode).toBe(401);
+    expect(verifyIdToken).toHaveBeenCalled();
+  });
+
+  describe('HMAC signatures', () => {
+    it('should reject a signature for another job', async () => {
+      const res = await call('cleanupDeletedUsers', {
+        method: 'GET',
+        headers: createSchedulerHeaders('cleanupAuditLog', { method: 'GET' }),
+      });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe('Invalid scheduler signature');
+    });
+
+    it('should reject an expired signature', async () => {
+      const res = await call('cleanupDeletedUsers', {
+        method: 'GET',
+        headers: createSchedulerHeaders('cleanupDeletedUsers', { method: 'GET' }, { now: new Date(Date.now() - 10 * 60 * 1000) }),
+      });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe('Scheduler signature has expired');
+    });
+
+    it('should reject a signature made with another secret', async () => {
+      const res = await call('cleanupDeletedUsers', {
+        method: 'GET',
+        headers: createSchedulerHeaders('cleanupDeletedUsers', { method: 'GET' }, { secret: 'guessed' }),
+      });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should reject a signed dry run replayed as a real run', async () => {
+      const dryRun = { method: 'GET', query: { dryRun: 'true' } };
+      const headers = createSchedulerHeaders('enforceRetention', dryRun);
+
+      const signed = await call('enforceRetention', { ...dryRun, headers });
+      const withoutQuery = await call('enforceRetention', { method: 'GET', headers });
+      const otherQuery = await call('enforceRetention', { method: 'GET', query: { dryRun: 'false' }, headers });
+      const asPost = await call('enforceRetention', { method: 'POST', body: {}, query: dryRun.query, headers });
+
+      expect(signed.statusCode).toBe(200);
+      expect(signed.body.dryRun).toBe(true);
+      expect([withoutQuery, otherQuery, asPost].map((res) => res.statusCode)).toEqual([401, 401, 401]);
+    });
+
+    it('should reject a signature replayed with another body', async () => {
+      const request = { method: 'POST', body: { dryRun: true } };
+      const headers = createSchedulerHeaders('enforceRetention', request);
+
+      const signed = await call('enforceRetention', { ...request, headers });
+      const tampered = await call('enforceRetention', { method: 'POST', body: { dryRun: false }, headers });
+
+      expect(signed.statusCode).toBe(200);
+      expect(tampered.statusCode).toBe(401);
+      expect(tampered.body.message).toBe('Invalid scheduler signature');
+    });
+
+    it('should not sign query parameters in a different order differently', async () => {
+      const query = { policies: 'auditLog', dryRun: 'true' };
+      const headers = createSchedulerHeaders('enforceRetention', { method: 'GET', query: { dryRun: 'true', policies: 'auditLog' } });
+
+      const res = await call('enforceRetention', { method: 'GET', query, headers });
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should reject a body it cannot verify', async () => {
+      const headers = createSchedulerHeaders('enforceRetention', { method: 'POST', body: '' });
+      const req = createRequest({ method: 'POST', body: { dryRun: false }, headers });
+      delete req.rawBody;
+
+      await expect(verifySchedulerRequest(req, 'enforceRetention')).rejects.toThrow('The request body cannot be verified');
+    });
+
+    it('should accept signatures made with signSchedulerRequest', async () => {
+      const request = { method: 'POST', body: { dryRun: true }, query: { policies: 'auditLog,deletedUsers' } };
+      const signature = signSchedulerRequest('enforceRetention', { ...request, body: JSON.stringify(request.body) });
+
+      const res = await call('enforceRetention', { ...request, headers: { 'X-Scheduler-Signature': signature } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.dryRun).toBe(true);
+    });
+
+    it('should reject malformed signatures', async () => {
+      const res = await call('cleanupDeletedUsers', { method: 'GET', headers: { 'X-Scheduler-Signature': 'garbage' } });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe('Malformed scheduler signature');
+    });
+
+    it('should reject signatures when no secret is configured', async () => {
+      const headers = createSchedulerHeaders('cleanupDeletedUsers', { method: 'GET' });
+      const secret = process.env.SCHEDULER_HMAC_SECRET;
+      delete process.env.SCHEDULER_HMAC_SECRET;
+
+      try {
+        const res = await call('cleanupDeletedUsers', { method: 'GET', headers });
+        expect(res.statusCode).toBe(401);
+      } finally {
+        process.env.SCHEDULER_HMAC_SECRET = secret;
+      }
+    });
+  });
+
+  describe('OIDC tokens', () => {
+    it('should run the job for a token of the scheduler service account', async () => {
+      verifyIdToken.mockResolvedValue({ getPayload: () => ({ email: SERVICE_ACCOUNT, email_verified: true }) });
+      seedExpiredUser();
+
+      const res = await call('cleanupDeletedUsers', { method: 'POST', headers: oidcHeaders() });
+
+      expect(res.statusCode).toBe(200);
+      expect(verifyIdToken).toHaveBeenCalledWith({ idToken: 'google-signed-token', audience: [AUDIENCE] });
+      expect(db.dump('users/gone')).toBeUndefined();
+    });
+
+    it('should forbid tokens of other accounts', async () => {
+      verifyIdToken.mockResolvedValue({ getPayload: () => ({ email: 'someone@example.com', email_verified: true }) });
+
+      const res = await call('cleanupDeletedUsers', { method: 'POST', headers: oidcHeaders() });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toBe('FORBIDDEN');
+    });
+
+    it('should reject tokens Google does not verify', async () => {
+      verifyIdToken.mockRejectedValue(new Error('Wrong recipient, payload audience != requiredAudience'));
+
+      const res = await call('cleanupDeletedUsers', { method: 'POST', headers: oidcHeaders() });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe('Invalid OIDC token');
+    });
+
+    it('should reject tokens when OIDC is not configured', async () => {
+      delete process.env.SCHEDULER_OIDC_AUDIENCE;
+
+      const res = await call('cleanupDeletedUsers', { method: 'POST', headers: oidcHeaders() });
+
+      expect(res.statusCode).toBe(401);
+      expect(verifyIdToken).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should not return personal data', async () => {
+    seedExpiredUser();
+
+    const res = await call('cleanupDeletedUsers', { method: 'GET', headers: createSchedulerHeaders('cleanupDeletedUsers', { method: 'GET' }) });
+
+    expect(res.body).toEqual({ success: true, status: 'completed', purged: 1, skipped: 0, failed: 0 });
+  });
+});
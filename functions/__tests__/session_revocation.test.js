@@ -0,0 +1,187 @@
+/**
+ * Tests for the "This wasn't me" link and sign out everywhere
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { loadFunctions, createIdToken } from './helpers/functions_harness.js';
+
+const { db, auth, sendEmail, call } = await loadFunctions();
+const { createRevokeSessionsToken, REVOKE_LINK_TTL_DAYS } = await import('../session_revocation.js');
+const { AUDIT_LOG_COLLECTION } = await import('../audit_log.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:130.0) Gecko/20100101 Firefox/130.0';
+
+// Issued a minute ago, so a revocation during the test invalidates it
+const bearer = (uid) => ({
+  Authorization: `Bearer ${createIdToken({ uid, email: `${uid}@example.com` }, { issuedAt: Math.floor(Date.now() / 1000) - 60 })}`,
+});
+
+function seedUser(uid) {
+  auth.users.set(uid, { uid, email: `${uid}@example.com` });
+  db.seed(`users/${uid}`, { uid, email: `${uid}@example.com`, name: 'Ada', deletedAt: null });
+}
+
+function login(uid, body = {}) {
+  return call('sendLoginNotification', { headers: { ...bearer(uid), 'User-Agent': USER_AGENT }, body });
+}
+
+function lastEmailText() {
+  return sendEmail.mock.calls[sendEmail.mock.calls.length - 1][3];
+}
+
+function revokeTokenFromAlert() {
+  return decodeURIComponent(lastEmailText().match(/revokeSessionsToken=([A-Za-z0-9_.%-]+)/)[1]);
+}
+
+function devicePath(uid) {
+  return db.paths().find((path) => path.startsWith(`users/${uid}/knownDevices/`));
+}
+
+function auditTypes() {
+  return db.paths()
+    .filter((path) => path.startsWith(`${AUDIT_LOG_COLLECTION}/`))
+    .map((path) => db.dump(path))
+    .map(({ type, uid, outcome }) => ({ type, uid, outcome }));
+}
+
+describe('Session revocation', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('login alert', () => {
+    it('should contain a "This wasn\'t me" link instead of password advice', async () => {
+      seedUser('u1');
+
+      await login('u1');
+
+      const [, , html, text] = sendEmail.mock.calls[0];
+      expect(text).toMatch(/https:\/\/app\.example\.com\/\?revokeSessionsToken=[\w-]+\.[\w-]+/);
+      expect(html).toContain('This wasn&#39;t me');
+      expect(`${html}${text}`).not.toMatch(/password immediately/i);
+    });
+
+    it('should point the link to the continueUrl from the request', async () => {
+      seedUser('u1');
+
+      await login('u1', { continueUrl: 'https://app.example.com/app' });
+
+      expect(lastEmailText()).toContain('https://app.example.com/app?revokeSessionsToken=');
+    });
+
+    it('should reject a continueUrl outside the allowlist', async () => {
+      seedUser('u1');
+
+      const res = await login('u1', { continueUrl: 'https://evil.example.net/' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('CONTINUE_URL_NOT_ALLOWED');
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reportUnrecognizedLogin', () => {
+    it('should revoke all sessions, mark the device untrusted and confirm by email', async () => {
+      seedUser('u1');
+      await login('u1');
+      const token = revokeTokenFromAlert();
+
+      const res = await call('reportUnrecognizedLogin', { body: { token } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ success: true });
+      expect(auth.revokeRefreshTokens).toHaveBeenCalledWith('u1');
+      expect(db.dump(devicePath('u1'))).toMatchObject({ trusted: false });
+      expect(sendEmail).toHaveBeenLastCalledWith(
+        'u1@example.com', 'You Have Been Signed Out Everywhere - Art Finance Hub', expect.any(String), expect.any(String)
+      );
+      expect(lastEmailText()).toContain('You reported a login you did not recognize.');
+      expect(auditTypes()).toContainEqual({ type: 'unrecognized_login_reported', uid: 'u1', outcome: 'success' });
+    });
+
+    it('should reject ID tokens issued before the report', async () => {
+      seedUser('u1');
+      await login('u1');
+
+      await call('reportUnrecognizedLogin', { body: { token: revokeTokenFromAlert() } });
+      const res = await call('listKnownDevices', { method: 'GET', headers: bearer('u1') });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should alert on every login from an untrusted device', async () => {
+      seedUser('u1');
+      await login('u1');
+      await call('reportUnrecognizedLogin', { body: { token: revokeTokenFromAlert() } });
+      sendEmail.mockClear();
+
+      // Signed in again after the revocation
+      const idToken = createIdToken({ uid: 'u1', email: 'u1@example.com' }, { issuedAt: Math.floor(Date.now() / 1000) + 1 });
+      const res = await call('sendLoginNotification', { headers: { Authorization: `Bearer ${idToken}`, 'User-Agent': USER_AGENT } });
+
+      expect(res.body).toMatchObject({ newDevice: false, notified: true });
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject tampered and expired tokens', async () => {
+      seedUser('u1');
+      const token = createRevokeSessionsToken('u1', 'device-1');
+      const [payload, signature] = token.split('.');
+      const forged = `${Buffer.from(JSON.stringify({ uid: 'u2', deviceId: 'device-1', exp: Date.now() + DAY })).toString('base64url')}.${signature}`;
+      const expired = createRevokeSessionsToken('u1', 'device-1', { now: new Date(Date.now() - (REVOKE_LINK_TTL_DAYS + 1) * DAY) });
+
+      const tampered = await call('reportUnrecognizedLogin', { body: { token: forged } });
+      const malformed = await call('reportUnrecognizedLogin', { body: { token: payload } });
+      const old = await call('reportUnrecognizedLogin', { body: { token: expired } });
+
+      expect(tampered.statusCode).toBe(404);
+      expect(tampered.body.error).toBe('INVALID_TOKEN');
+      expect(malformed.body.error).toBe('INVALID_TOKEN');
+      expect(old.statusCode).toBe(410);
+      expect(old.body.error).toBe('TOKEN_EXPIRED');
+      expect(auth.revokeRefreshTokens).not.toHaveBeenCalled();
+    });
+
+    it('should require a token', async () => {
+      const res = await call('reportUnrecognizedLogin', { body: {} });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('MISSING_TOKEN');
+    });
+
+    it('should return 404 when the account no longer exists', async () => {
+      const res = await call('reportUnrecognizedLogin', { body: { token: createRevokeSessionsToken('gone', 'device-1') } });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('USER_NOT_FOUND');
+    });
+  });
+
+  describe('signOutEverywhere', () => {
+    it('should revoke all sessions of the signed-in user and confirm by email', async () => {
+      seedUser('u1');
+
+      const res = await call('signOutEverywhere', { headers: bearer('u1') });
+
+      expect(res.statusCode).toBe(200);
+      expect(auth.revokeRefreshTokens).toHaveBeenCalledWith('u1');
+      expect(lastEmailText()).toContain('You chose "Sign out everywhere" in the app settings.');
+      expect(auditTypes()).toEqual([{ type: 'sessions_revoked', uid: 'u1', outcome: 'success' }]);
+    });
+
+    it('should require a signed-in user', async () => {
+      const res = await call('signOutEverywhere', {});
+
+      expect(res.statusCode).toBe(401);
+      expect(auth.revokeRefreshTokens).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for atomic token consumption and idempotent account provisioning
+ *
+ * Fires concurrent verifications of the same token through the handler and
+ * checks that exactly one succeeds and exactly one account is created.
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { loadFunctions } from './helpers/functions_harness.js';
+
+const { db, auth, sendEmail, call } = await loadFunctions();
+const { provisionUser } = await import('../user_provisioning.js');
+const { hashToken } = await import('../registration_service.js');
+
+const APP_URL = 'https://app.example.com';
+
+async function register(email, name = 'New User') {
+  await call('createRegistration', { body: { email, name, continueUrl: APP_URL } });
+  const [, , , text] = sendEmail.mock.calls[sendEmail.mock.calls.length - 1];
+  return /registrationToken=([A-Za-z0-9_-]+)/.exec(text)[1];
+}
+
+function profiles() {
+  return db.paths().filter((path) => /^users\/[^/]+$/.test(path));
+}
+
+describe('Token consumption and provisioning', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('parallel verifications', () => {
+    it('should let exactly one of several concurrent verifications succeed', async () => {
+      const token = await register('new@example.com');
+
+      const responses = await Promise.all(
+        Array.from({ length: 5 }, () => call('verifyRegistrationToken', { body: { token } }))
+      );
+
+      const statuses = responses.map((res) => res.statusCode).sort();
+      expect(statuses).toEqual([200, 409, 409, 409, 409]);
+      responses.filter((res) => res.statusCode === 409)
+        .forEach((res) => expect(res.body.error).toBe('TOKEN_ALREADY_USED'));
+
+      expect(auth.users.size).toBe(1);
+      expect(profiles()).toHaveLength(1);
+    });
+
+    it('should create one account when two different tokens for the same email race', async () => {
+      const first = await register('new@example.com');
+      // Second pending link for the same address (e.g. an older email)
+      const pending = db.dump(`pendingRegistrations/${hashToken(first)}`);
+      db.seed(`pendingRegistrations/${hashToken('second-token-0123456789')}`, pending);
+
+      const responses = await Promise.all([
+        call('verifyRegistrationToken', { body: { token: first } }),
+        call('verifyRegistrationToken', { body: { token: 'second-token-0123456789' } }),
+      ]);
+
+      expect(responses.map((res) => res.statusCode)).toEqual([200, 200]);
+      expect(auth.users.size).toBe(1);
+      expect(profiles()).toHaveLength(1);
+    });
+  });
+
+  describe('provisionUser', () => {
+    const registration = { email: 'user@example.com', name: 'User', locale: 'de' };
+
+    it('should create the Auth user and profile', async () => {
+      const result = await provisionUser(registration);
+
+      expect(result).toEqual({ uid: expect.any(String), createdUser: true, createdProfile: true });
+      expect(db.dump(`users/${result.uid}`)).toMatchObject({
+        uid: result.uid,
+        email: 'user@example.com',
+        name: 'User',
+        locale: 'de',
+        metadata: { loginCount: 1 },
+      });
+    });
+
+    it('should be a no-op apart from lastLoginAt when run again', async () => {
+      const first = await provisionUser(registration);
+      const createdAt = db.dump(`users/${first.uid}`).createdAt.toMillis();
+
+      const second = await provisionUser({ ...registration, name: 'Changed' });
+
+      expect(second).toEqual({ uid: first.uid, createdUser: false, createdProfile: false });
+      expect(db.dump(`users/${first.uid}`)).toMatchObject({ name: 'User' });
+      expect(db.dump(`users/${first.uid}`).createdAt.toMillis()).toBe(createdAt);
+      expect(auth.users.size).toBe(1);
+    });
+
+    it('should create a missing profile for an existing Auth user', async () => {
+      auth.users.set('existing', { uid: 'existing', email: 'user@example.com' });
+
+      const result = await provisionUser(registration);
+
+      expect(result).toEqual({ uid: 'existing', createdUser: false, createdProfile: true });
+      expect(db.dump('users/existing').email).toBe('user@example.com');
+    });
+
+    it('should use the user created by a concurrent request', async () => {
+      auth.createUser.mockImplementationOnce(async ({ email }) => {
+        auth.users.set('winner', { uid: 'winner', email });
+        const error = new Error('The email address is already in use by another account.');
+        error.code = 'auth/email-already-exists';
+        throw error;
+      });
+
+      const result = await provisionUser(registration);
+
+      expect(result.uid).toBe('winner');
+      expect(result.createdUser).toBe(false);
+    });
+  });
+
+  describe('retries', () => {
+    it('should release the token when provisioning fails so the link can be retried', async () => {
+      const token = await register('new@example.com');
+      auth.createUser.mockRejectedValueOnce(Object.assign(new Error('Auth unavailable'), { code: 'auth/internal-error' }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const failed = await call('verifyRegistrationToken', { body: { token } });
+      const retried = await call('verifyRegistrationToken', { body: { token } });
+
+      console.error.mockRestore();
+      expect(failed.statusCode).toBe(500);
+      expect(retried.statusCode).toBe(200);
+      expect(auth.users.size).toBe(1);
+      expect(db.dump(`pendingRegistrations/${hashToken(token)}`).status).toBe('completed');
+    });
+
+    it('should mark an expired token as expired', async () => {
+      const token = await register('new@example.com');
+      const path = `pendingRegistrations/${hashToken(token)}`;
+      db.seed(path, { ...db.dump(path), expiresAt: new Date(Date.now() - 1000) });
+
+      const res = await call('verifyRegistrationToken', { body: { token } });
+
+      expect(res.statusCode).toBe(410);
+      expect(db.dump(path).status).toBe('expired');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for the permanent deletion of soft-deleted users
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { loadFunctions, createSchedulerHeaders } from './helpers/functions_harness.js';
+
+const { db, auth, call } = await loadFunctions();
+const { purgeDeletedUsers, hashUid, TOMBSTONE_COLLECTION } = await import('../user_purge.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(Date.UTC(2025, 5, 1));
+
+function seedUser(uid, { deletedDaysAgo = null, email = `${uid}@example.com` } = {}) {
+  auth.users.set(uid, { uid, email });
+  db.seed(`users/${uid}`, {
+    uid,
+    email,
+    name: 'Some User',
+    deletedAt: deletedDaysAgo === null ? null : new Date(NOW.getTime() - deletedDaysAgo * DAY),
+  });
+  db.seed(`users/${uid}/preferences/settings`, { language: 'en' });
+  db.seed(`users/${uid}/projects/p1`, { name: 'Project' });
+  db.seed(`users/${uid}/projects/p1/transactions/t1`, { amount: 10 });
+  db.seed(`users/${uid}/transactions/legacy1`, { amount: 5 });
+}
+
+function pathsOf(uid) {
+  return db.paths().filter((path) => path.startsWith(`users/${uid}`));
+}
+
+describe('User purge', () => {
+  beforeEach(() => {
+    db.reset();
+    auth.users.clear();
+    jest.clearAllMocks();
+  });
+
+  it('should delete the profile, every subcollection and the Auth account', async () => {
+    seedUser('gone', { deletedDaysAgo: 91 });
+
+    const summary = await purgeDeletedUsers({ now: NOW });
+
+    expect(summary).toMatchObject({
+      status: 'completed',
+      counts: { purged: 1, skipped: 0, failed: 0 },
+      results: [{ uid: 'gone', status: 'purged', authDeleted: true, collections: ['preferences', 'projects', 'transactions'] }],
+    });
+    expect(pathsOf('gone')).toEqual([]);
+    expect(auth.users.has('gone')).toBe(false);
+  });
+
+  it('should keep users inside the retention period and active users', async () => {
+    seedUser('recent', { deletedDaysAgo: 89 });
+    seedUser('active');
+
+    const summary = await purgeDeletedUsers({ now: NOW });
+
+    expect(summary.counts.purged).toBe(0);
+    expect(pathsOf('recent')).toHaveLength(5);
+    expect(pathsOf('active')).toHaveLength(5);
+    expect(auth.deleteUser).not.toHaveBeenCalled();
+  });
+
+  it('should write a tombstone without personal data', async () => {
+    seedUser('gone', { deletedDaysAgo: 120, email: 'private@example.com' });
+
+    await purgeDeletedUsers({ now: NOW });
+
+    const tombstone = db.dump(`${TOMBSTONE_COLLECTION}/${hashUid('gone')}`);
+    expect(tombstone).toMatchObject({ authDeleted: true, collections: ['preferences', 'projects', 'transactions'] });
+    expect(tombstone.softDeletedAt.toMillis()).toBe(NOW.getTime() - 120 * DAY);
+    expect(tombstone.purgedAt.toMillis()).toBe(NOW.getTime());
+    expect(JSON.stringify(tombstone)).not.toMatch(/gone|private|Some User/);
+  });
+
+  it('should remove outbox messages and pending tokens of the user', async () => {
+    seedUser('gone', { deletedDaysAgo: 91 });
+    db.seed('emailOutbox/m1', { to: 'gone@example.com', userId: null, type: 'sign_in' });
+    db.seed('emailOutbox/m2', { to: 'old@example.com', userId: 'gone', type: 'account_deletion' });
+    db.seed('emailOutbox/m3', { to: 'other@example.com', userId: 'other', type: 'welcome' });
+    db.seed('pendingRegistrations/h1', { email: 'gone@example.com', status: 'completed' });
+
+    await purgeDeletedUsers({ now: NOW });
+
+    expect(db.paths().filter((path) => /^(emailOutbox|pendingRegistrations)\//.test(path))).toEqual(['emailOutbox/m3']);
+  });
+
+  it('should treat a missing Auth account as already deleted', async () => {
+    seedUser('gone', { deletedDaysAgo: 91 });
+    auth.users.delete('gone');
+    auth.deleteUser.mockRejectedValueOnce(Object.assign(new Error('no user'), { code: 'auth/user-not-found' }));
+
+    const summary = await purgeDeletedUsers({ now: NOW });
+
+    expect(summary.results[0]).toMatchObject({ status: 'purged', authDeleted: false });
+    expect(pathsOf('gone')).toEqual([]);
+  });
+
+  it('should report failures per user, keep their data and continue', async () => {
+    seedUser('a', { deletedDaysAgo: 100 });
+    seedUser('b', { deletedDaysAgo: 95 });
+    auth.deleteUser.mockRejectedValueOnce(Object.assign(new Error('Auth unavailable'), { code: 'auth/internal-error' }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const summary = await purgeDeletedUsers({ now: NOW });
+
+    console.error.mockRestore();
+    expect(summary.results).toEqual([
+      { uid: 'a', status: 'failed', error: 'auth/internal-error' },
+      expect.objectContaining({ uid: 'b', status: 'purged' }),
+    ]);
+    expect(pathsOf('a')).toHaveLength(5);
+    expect(db.dump(`${TOMBSTONE_COLLECTION}/${hashUid('a')}`)).toBeUndefined();
+
+    // The next run retries the failed user
+    const retry = await purgeDeletedUsers({ now: NOW });
+    expect(retry.counts.purged).toBe(1);
+    expect(pathsOf('a')).toEqual([]);
+  });
+
+  it('should return only counts from the endpoint', async () => {
+    seedUser('gone', { deletedDaysAgo: 365 * 2 });
+
+    const res = await call('cleanupDeletedUsers', { method: 'GET', headers: createSchedulerHeaders('cleanupDeletedUsers', { method: 'GET' }) });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ success: true, status: 'completed', purged: 1, skipped: 0, failed: 0 });
+    expect(JSON.stringify(res.body)).not.toContain('gone');
+  });
+});
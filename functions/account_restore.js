@@ -0,0 +1,110 @@
+/**
+ * Account Restore
+ *
+ * Clears `deletedAt` on a soft-deleted account within the deletedUsers
+ * retention period (retention_policies.js), before it is purged (see user_purge.js). Users restore their account with
+ * an emailed 'restore' token (registration_service.js); support can restore
+ * an account directly with the admin endpoint.
+ */
+
+import { Firestore } from '@google-cloud/firestore';
+import { getRetentionCutoff } from './retention_policies.js';
+import { enqueueEmail, deliverOutboxMessage } from './email_outbox.js';
+import { renderAccountRestoredEmail } from './email_service.js';
+import { getUserLocale } from './user_preferences.js';
+
+const firestore = new Firestore();
+
+/**
+ * Find the user profile for an email address
+ *
+ * @param {string} email - Email address
+ * @returns {Promise<{uid: string, data: object}|null>}
+ */
+export async function findUserByEmail(email) {
+  const snapshot = await firestore
+    .collection('users')
+    .where('email', '==', email)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return null;
+  }
+
+  return { uid: snapshot.docs[0].id, data: snapshot.docs[0].data() };
+}
+
+/**
+ * Check that a profile can be restored
+ *
+ * @param {object|undefined} data - users/{uid} data
+ * @param {Date} now
+ * @throws {Error} USER_NOT_FOUND, ACCOUNT_NOT_DELETED or RESTORE_WINDOW_EXPIRED
+ */
+export function assertRestorable(data, now = new Date()) {
+  if (!data) {
+    throw new Error('USER_NOT_FOUND: No account found');
+  }
+  if (!data.deletedAt) {
+    throw new Error('ACCOUNT_NOT_DELETED: This account is not deleted');
+  }
+  if (data.deletedAt.toDate() <= getRetentionCutoff('deletedUsers', now)) {
+    throw new Error('RESTORE_WINDOW_EXPIRED: The restore period for this account has ended');
+  }
+}
+
+/**
+ * Restore a soft-deleted account
+ *
+ * The check and the update run in one transaction, so a restore cannot race
+ * with a second restore or a purge reading the same profile.
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{restoredBy: 'user'|'admin', now?: Date}} options
+ * @returns {Promise<{uid: string, email: string, name: string, locale: string|null}>}
+ * @throws {Error} USER_NOT_FOUND, ACCOUNT_NOT_DELETED or RESTORE_WINDOW_EXPIRED
+ */
+export async function restoreAccount(uid, { restoredBy, now = new Date() }) {
+  const userRef = firestore.collection('users').doc(uid);
+
+  const data = await firestore.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const userData = userDoc.exists ? userDoc.data() : undefined;
+
+    assertRestorable(userData, now);
+
+    transaction.update(userRef, {
+      deletedAt: null,
+      restoredAt: now,
+      restoredBy,
+      previousDeletedAt: userData.deletedAt,
+    });
+
+    return userData;
+  });
+
+  console.log(`Restored account ${uid} (by ${restoredBy})`);
+
+  return { uid, email: data.email, name: data.name, locale: data.locale || null };
+}
+
+/**
+ * Queue and send the restore confirmation email
+ *
+ * @param {{uid: string, email: string, name: string, locale: string|null}} user
+ * @param {Date} restoredAt
+ * @returns {Promise<{messageId: string, status: string}>}
+ */
+export async function sendAccountRestoredEmail(user, restoredAt = new Date()) {
+  const locale = await getUserLocale(user.uid, user.locale);
+
+  // Failed deliveries stay in the outbox and are retried by processEmailOutbox
+  const messageId = await enqueueEmail(
+    user.email,
+    renderAccountRestoredEmail(user.name, locale, restoredAt),
+    { type: 'account_restored', userId: user.uid }
+  );
+  const status = await deliverOutboxMessage(messageId);
+  return { messageId, status };
+}
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Admin CLI
+ *
+ * Support tasks against one Firebase project or the local emulators:
+ *
+ *   node admin.js --project <project-id> inspect user@example.com
+ *   node admin.js --emulator create-registration user@example.com --name "Test User"
+ *
+ * There is no default project: --project or --emulator is required, and
+ * emulator variables left in the environment are refused without
+ * --emulator, so a command never lands on the wrong database. Commands that
+ * change data or send email ask for confirmation (--yes skips it; without a
+ * terminal it is required). --json prints the result as JSON.
+ *
+ * Exit codes: 0 success, 1 command failed, 2 usage error, 3 aborted.
+ * The commands themselves are in admin_commands.js.
+ */
+
+import { parseArgs } from 'node:util';
+import { createInterface } from 'node:readline/promises';
+import admin from 'firebase-admin';
+
+const DEFAULT_EMULATOR_PROJECT = 'demo-artfinhub';
+const EMULATOR_HOSTS = {
+  FIRESTORE_EMULATOR_HOST: 'localhost:8080',
+  FIREBASE_AUTH_EMULATOR_HOST: 'localhost:9099',
+};
+
+const OPTIONS = {
+  project: { type: 'string' },
+  emulator: { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  yes: { type: 'boolean', short: 'y', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  name: { type: 'string' },
+  'continue-url': { type: 'string' },
+  locale: { type: 'string' },
+  send: { type: 'boolean', default: false },
+  'no-email': { type: 'boolean', default: false },
+};
+
+const USAGE = `Usage: node admin.js (--project <project-id> | --emulator) [--json] [--yes] <command> [arguments]
+
+Commands:
+  inspect <email|uid>                 Auth record, profile, projects, pending tokens and emails
+  create-registration <email> --name <name> [--continue-url <url>] [--locale <locale>] [--send]
+                                      Pending registration; prints the link, --send emails it
+  resend-email <outbox message id>    Deliver an unsent or dead outbox email again
+  soft-delete <email|uid>             Mark the account deleted (restorable until purged)
+  restore <email|uid> [--no-email]    Undo a soft delete and email the user
+  purge <email|uid>                   Permanently delete a soft-deleted account and its data
+
+Options:
+  --project <id>   Firebase project to work on
+  --emulator       Use the local emulators (FIRESTORE_EMULATOR_HOST, FIREBASE_AUTH_EMULATOR_HOST)
+  --json           Print the result as JSON
+  -y, --yes        Do not ask for confirmation`;
+
+class UsageError extends Error {}
+
+/**
+ * Point the Admin SDK and Firestore clients at the chosen target
+ *
+ * @returns {string} Description of the target for prompts and output
+ */
+function selectTarget({ project, emulator }) {
+  const emulatorVars = Object.keys(EMULATOR_HOSTS).filter((name) => process.env[name]);
+
+  if (emulator) {
+    Object.entries(EMULATOR_HOSTS).forEach(([name, host]) => {
+      process.env[name] = process.env[name] || host;
+    });
+    // Lets localhost continue URLs through (continue_url.js)
+    process.env.FUNCTIONS_EMULATOR = 'true';
+  } else if (!project) {
+    throw new UsageError('--project <project-id> or --emulator is required');
+  } else if (emulatorVars.length > 0) {
+    throw new UsageError(`${emulatorVars.join(', ')} is set; pass --emulator to use the emulators or unset it`);
+  }
+
+  const projectId = project || DEFAULT_EMULATOR_PROJECT;
+  process.env.GOOGLE_CLOUD_PROJECT = projectId;
+  process.env.GCLOUD_PROJECT = projectId;
+  admin.initializeApp({ projectId });
+
+  return emulator ? `${projectId} (emulator)` : projectId;
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ */
+async function askConfirmation(question, { yes }) {
+  if (yes) {
+    return true;
+  }
+  if (!process.stdin.isTTY) {
+    throw new UsageError('Confirmation required; pass --yes when not running in a terminal');
+  }
+
+  const readline = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await readline.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    readline.close();
+  }
+}
+
+/**
+ * Print a result as indented "key: value" lines
+ */
+function printText(value, indent = '') {
+  if (Array.isArray(value) && value.length === 0) {
+    console.log(`${indent}(none)`);
+    return;
+  }
+  Object.entries(value).forEach(([key, item]) => {
+    if (item && typeof item === 'object') {
+      console.log(`${indent}${key}:`);
+      printText(item, `${indent}  `);
+    } else {
+      console.log(`${indent}${key}: ${item ?? '-'}`);
+    }
+  });
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [commandName, ...args] = positionals;
+
+  if (options.help || !commandName) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  const target = selectTarget(options);
+  // Firestore clients are created on import, after the target is set
+  const { COMMANDS } = await import('./admin_commands.js');
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw new UsageError(`Unknown command ${commandName}`);
+  }
+
+  const io = { confirm: (question) => askConfirmation(`[${target}] ${question}`, options) };
+  const result = await command.run(args, options, io);
+
+  if (options.json) {
+    console.log(JSON.stringify({ project: target, command: commandName, ...result }, null, 2));
+  } else {
+    console.log(`[${target}] ${commandName}`);
+    printText(result.aborted ? { aborted: true } : result);
+  }
+  return result.aborted ? 3 : 0;
+}
+
+try {
+  process.exitCode = await main();
+} catch (error) {
+  const usage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS') || error.message.startsWith('USAGE:');
+  const [, code, message] = error.message.match(/^([A-Z_]+): (.*)$/s) || [null, usage ? 'USAGE' : 'INTERNAL_ERROR', error.message];
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify({ error: code, message }, null, 2));
+  } else {
+    console.error(`${code}: ${message}`);
+    if (usage) {
+      console.error(`\n${USAGE}`);
+    }
+  }
+  process.exitCode = usage ? 2 : 1;
+}
@@ -0,0 +1,321 @@
+/**
+ * Admin Commands
+ *
+ * Support tasks behind the `admin` command-line tool (admin.js): inspect a
+ * user, create a pending registration, resend an outbox email, soft-delete,
+ * restore and purge an account. Every command returns a plain object that
+ * the tool prints as text or JSON; errors are thrown as "CODE: message".
+ *
+ * Commands that change data or send email ask `io.confirm(question)` first
+ * and return { aborted: true } when it is declined. They reuse the same
+ * functions as the Cloud Functions, so a purge here removes exactly what the
+ * deletedUsers retention policy would.
+ */
+
+import admin from 'firebase-admin';
+import { Firestore } from '@google-cloud/firestore';
+import { createPendingRegistration, cancelPendingRegistration } from './registration_service.js';
+import { findUserByEmail, restoreAccount, sendAccountRestoredEmail } from './account_restore.js';
+import { purgeUser } from './user_purge.js';
+import { listOutboxMessages, requeueOutboxMessage, deliverOutboxMessage, enqueueEmail } from './email_outbox.js';
+import { generateRegistrationEmail } from './email_templates.js';
+import { isValidEmail, validateDisplayName } from './input_validation.js';
+import { normalizeContinueUrl, getDefaultContinueUrl } from './continue_url.js';
+import { getRetentionDays } from './retention_policies.js';
+import { resolveLocale } from './email_i18n.js';
+
+const firestore = new Firestore();
+
+const SYNC_METADATA_DOC = '_sync_metadata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ISO string of a Firestore timestamp, Date or Auth metadata time
+ */
+function toIso(value) {
+  if (!value) {
+    return null;
+  }
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return date.toISOString();
+}
+
+/**
+ * Auth record of a user, or null if there is none
+ */
+async function getAuthUser(lookup) {
+  try {
+    return await lookup(admin.auth());
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find a user by email address or UID, in Auth and Firestore
+ *
+ * @param {string} identifier - Email address or Firebase UID
+ * @returns {Promise<{uid: string, email: string|null, authUser: object|null, profile: object|null}>}
+ * @throws {Error} USER_NOT_FOUND if neither has the user
+ */
+export async function resolveUser(identifier) {
+  if (!identifier) {
+    throw new Error('USAGE: An email address or UID is required');
+  }
+
+  let authUser;
+  let uid;
+  if (identifier.includes('@')) {
+    authUser = await getAuthUser((auth) => auth.getUserByEmail(identifier));
+    uid = authUser?.uid || (await findUserByEmail(identifier))?.uid;
+  } else {
+    uid = identifier;
+    authUser = await getAuthUser((auth) => auth.getUser(identifier));
+  }
+
+  const profileDoc = uid ? await firestore.collection('users').doc(uid).get() : null;
+  const profile = profileDoc?.exists ? profileDoc.data() : null;
+
+  if (!authUser && !profile) {
+    throw new Error(`USER_NOT_FOUND: No user ${identifier}`);
+  }
+
+  return { uid, email: authUser?.email || profile?.email || null, authUser, profile };
+}
+
+/**
+ * Everything support needs to know about a user, without secrets
+ *
+ * @param {string} identifier - Email address or Firebase UID
+ * @returns {Promise<object>} Auth record, profile, projects with transaction counts, legacy transactions, pending tokens and outbox messages
+ */
+export async function inspectUser(identifier) {
+  const { uid, email, authUser, profile } = await resolveUser(identifier);
+  const userRef = firestore.collection('users').doc(uid);
+
+  const countTransactions = async (collection) =>
+    (await collection.get()).docs.filter((doc) => doc.id !== SYNC_METADATA_DOC).length;
+
+  const projectDocs = (await userRef.collection('projects').get()).docs.filter((doc) => doc.id !== SYNC_METADATA_DOC);
+  const projects = [];
+  for (const doc of projectDocs) {
+    projects.push({
+      id: doc.id,
+      name: doc.data().name,
+      deletedAt: toIso(doc.data().deletedAt),
+      transactions: await countTransactions(doc.ref.collection('transactions')),
+    });
+  }
+
+  const pendingTokens = email
+    ? (await firestore.collection('pendingRegistrations').where('email', '==', email).get()).docs.map((doc) => ({
+      purpose: doc.data().purpose || 'registration',
+      status: doc.data().status,
+      createdAt: toIso(doc.data().createdAt),
+      expiresAt: toIso(doc.data().expiresAt),
+    }))
+    : [];
+
+  const deletedAt = profile?.deletedAt || null;
+
+  return {
+    uid,
+    email,
+    auth: authUser && {
+      emailVerified: Boolean(authUser.emailVerified),
+      displayName: authUser.displayName || null,
+      disabled: Boolean(authUser.disabled),
+      createdAt: toIso(authUser.metadata?.creationTime),
+      lastSignInAt: toIso(authUser.metadata?.lastSignInTime),
+    },
+    profile: profile && {
+      name: profile.name || null,
+      locale: profile.locale || null,
+      createdAt: toIso(profile.createdAt),
+      deletedAt: toIso(deletedAt),
+      purgeAfter: deletedAt ? toIso(new Date(deletedAt.toDate().getTime() + getRetentionDays('deletedUsers') * DAY_MS)) : null,
+    },
+    projects,
+    legacyTransactions: await countTransactions(userRef.collection('transactions')),
+    pendingTokens,
+    outbox: email ? (await listOutboxMessages({ to: email, limit: 20 })).map(({ id, type, status, attempts, createdAt }) => ({ id, type, status, attempts, createdAt })) : [],
+  };
+}
+
+/**
+ * Create a pending registration, like POST /createRegistration
+ *
+ * The link is printed rather than emailed unless `send` is set, so test
+ * registrations need no inbox. Unsupported locales fall back to the default.
+ *
+ * @param {string} email - Email address to register
+ * @param {{name: string, continueUrl?: string, locale?: string, send?: boolean}} options
+ * @param {{confirm: Function}} io
+ * @returns {Promise<{email: string, expiresAt: string, verificationUrl: string, emailSent: boolean}|{aborted: true}>}
+ * @throws {Error} INVALID_EMAIL, INVALID_NAME, INVALID_CONTINUE_URL, CONTINUE_URL_NOT_ALLOWED or USER_EXISTS
+ */
+export async function createRegistration(email, { name, continueUrl, locale, send = false }, { confirm }) {
+  if (!isValidEmail(email)) {
+    throw new Error('INVALID_EMAIL: Invalid email format');
+  }
+  const nameError = validateDisplayName(name);
+  if (nameError) {
+    throw new Error(`INVALID_NAME: ${nameError}`);
+  }
+  const url = continueUrl ? normalizeContinueUrl(continueUrl) : getDefaultContinueUrl();
+  if (!url) {
+    throw new Error('INVALID_CONTINUE_URL: Pass --continue-url or set CONTINUE_URL_ALLOWLIST');
+  }
+  if (await findUserByEmail(email)) {
+    throw new Error('USER_EXISTS: A user with this email already exists');
+  }
+
+  const question = send
+    ? `Create a registration for ${email} and email them the link? Older registration links for it stop working.`
+    : `Create a registration for ${email}? Older registration links for it stop working.`;
+  if (!(await confirm(question))) {
+    return { aborted: true };
+  }
+
+  const emailLocale = resolveLocale(locale);
+  await cancelPendingRegistration(email, 'registration');
+  const { token, expiresAt } = await createPendingRegistration(email, name.trim(), url, emailLocale, 'registration');
+  const verificationUrl = `${url}?registrationToken=${token}`;
+
+  let emailSent = false;
+  if (send) {
+    const messageId = await enqueueEmail(email, generateRegistrationEmail(name, verificationUrl, emailLocale), { type: 'registration' });
+    emailSent = (await deliverOutboxMessage(messageId)) === 'sent';
+  }
+
+  return { email, expiresAt: expiresAt.toISOString(), verificationUrl, emailSent };
+}
+
+/**
+ * Deliver an outbox message again, like POST /resendOutboxEmail
+ *
+ * @param {string} messageId - Outbox message ID (see `inspect`)
+ * @param {{confirm: Function}} io
+ * @returns {Promise<{messageId: string, status: string}|{aborted: true}>}
+ * @throws {Error} MESSAGE_NOT_FOUND or MESSAGE_BODY_REDACTED
+ */
+export async function resendEmail(messageId, { confirm }) {
+  if (!messageId) {
+    throw new Error('USAGE: An outbox message ID is required');
+  }
+  if (!(await confirm(`Resend outbox message ${messageId}?`))) {
+    return { aborted: true };
+  }
+
+  await requeueOutboxMessage(messageId);
+  const status = await deliverOutboxMessage(messageId);
+  return { messageId, status };
+}
+
+/**
+ * Soft-delete an account, as the app does when a user deletes it
+ *
+ * @param {string} identifier - Email address or Firebase UID
+ * @param {{confirm: Function, now?: Date}} io
+ * @returns {Promise<{uid: string, deletedAt: string, purgeAfter: string}|{aborted: true}>}
+ * @throws {Error} USER_NOT_FOUND or ACCOUNT_ALREADY_DELETED
+ */
+export async function softDeleteUser(identifier, { confirm, now = new Date() }) {
+  const { uid, email, profile } = await resolveUser(identifier);
+  if (!profile) {
+    throw new Error('USER_NOT_FOUND: The user has no profile to delete');
+  }
+  if (profile.deletedAt) {
+    throw new Error('ACCOUNT_ALREADY_DELETED: The account is already soft-deleted');
+  }
+
+  const days = getRetentionDays('deletedUsers');
+  if (!(await confirm(`Soft-delete ${email} (${uid})? It is purged after ${days} days unless restored.`))) {
+    return { aborted: true };
+  }
+
+  await firestore.collection('users').doc(uid).update({ deletedAt: now });
+
+  return { uid, deletedAt: now.toISOString(), purgeAfter: new Date(now.getTime() + days * DAY_MS).toISOString() };
+}
+
+/**
+ * Restore a soft-deleted account, like POST /adminRestoreAccount
+ *
+ * @param {string} identifier - Email address or Firebase UID
+ * @param {{confirm: Function, notify?: boolean, now?: Date}} io - notify: send the restore confirmation email (default)
+ * @returns {Promise<{uid: string, restoredAt: string, emailStatus: string|null}|{aborted: true}>}
+ * @throws {Error} USER_NOT_FOUND, ACCOUNT_NOT_DELETED or RESTORE_WINDOW_EXPIRED
+ */
+export async function restoreUser(identifier, { confirm, notify = true, now = new Date() }) {
+  const { uid, email } = await resolveUser(identifier);
+  if (!(await confirm(`Restore ${email} (${uid})${notify ? ' and email the user' : ''}?`))) {
+    return { aborted: true };
+  }
+
+  const restored = await restoreAccount(uid, { restoredBy: 'admin', now });
+  const emailStatus = notify ? (await sendAccountRestoredEmail(restored, now)).status : null;
+
+  return { uid, restoredAt: now.toISOString(), emailStatus };
+}
+
+/**
+ * Permanently delete a soft-deleted account now instead of after the
+ * retention period, with all of its data (user_purge.js)
+ *
+ * @param {string} identifier - Email address or Firebase UID
+ * @param {{confirm: Function, now?: Date}} io
+ * @returns {Promise<{uid: string, status: 'purged'|'skipped', authDeleted: boolean, collections: string[]}|{aborted: true}>}
+ * @throws {Error} USER_NOT_FOUND or ACCOUNT_NOT_DELETED (soft-delete first)
+ */
+export async function purgeUserNow(identifier, { confirm, now = new Date() }) {
+  const { uid, email, profile } = await resolveUser(identifier);
+  if (!profile?.deletedAt) {
+    throw new Error('ACCOUNT_NOT_DELETED: Soft-delete the account before purging it');
+  }
+  if (!(await confirm(`Permanently delete ${email} (${uid}) and all of its data? This cannot be undone.`))) {
+    return { aborted: true };
+  }
+
+  // A cutoff just after now purges the account regardless of the retention period
+  const { status, authDeleted = false, collections = [] } = await purgeUser(uid, { cutoff: new Date(now.getTime() + 1), now });
+  return { uid, status, authDeleted, collections };
+}
+
+/**
+ * Subcommands of the admin tool: name -> {usage, run(args, options, io)}
+ */
+export const COMMANDS = {
+  inspect: {
+    usage: 'inspect <email|uid>',
+    run: ([identifier]) => inspectUser(identifier),
+  },
+  'create-registration': {
+    usage: 'create-registration <email> --name <name> [--continue-url <url>] [--locale <locale>] [--send]',
+    run: ([email], options, io) => createRegistration(email, {
+      name: options.name,
+      continueUrl: options['continue-url'],
+      locale: options.locale,
+      send: options.send,
+    }, io),
+  },
+  'resend-email': {
+    usage: 'resend-email <outbox message id>',
+    run: ([messageId], options, io) => resendEmail(messageId, io),
+  },
+  'soft-delete': {
+    usage: 'soft-delete <email|uid>',
+    run: ([identifier], options, io) => softDeleteUser(identifier, io),
+  },
+  restore: {
+    usage: 'restore <email|uid> [--no-email]',
+    run: ([identifier], options, io) => restoreUser(identifier, { ...io, notify: !options['no-email'] }),
+  },
+  purge: {
+    usage: 'purge <email|uid>',
+    run: ([identifier], options, io) => purgeUserNow(identifier, io),
+  },
+};
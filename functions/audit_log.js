@@ -0,0 +1,186 @@
+/**
+ * Security Audit Log
+ *
+ * Append-only record of authentication and account events in the `auditLog`
+ * collection. Each entry has the event type, the user ID (when known), an
+ * HMAC of the client IP, the user agent, the outcome and the error code.
+ * Entries are only ever added; the client has no access (firestore.rules)
+ * and the only deletes are the auditLog retention policy
+ * (retention_policies.js) and the account purge.
+ *
+ * HTTP handlers are wrapped in `withAudit`, which records one event per
+ * request from the response status and error code. Handlers that know the
+ * user set `req.auditUid`.
+ *
+ * Configuration:
+ * - AUDIT_HASH_SECRET: key for hashing IP addresses (defaults to
+ *   TOKEN_HASH_SECRET). IPv4 addresses are easy to enumerate, so a plain
+ *   hash would not hide them.
+ */
+
+import crypto from 'crypto';
+import { Firestore } from '@google-cloud/firestore';
+import { getClientIp } from './http_middleware.js';
+import { deleteInBatches } from './job_runner.js';
+
+const firestore = new Firestore();
+
+export const AUDIT_LOG_COLLECTION = 'auditLog';
+
+export const AUDIT_EVENTS = {
+  REGISTRATION_REQUESTED: 'registration_requested',
+  REGISTRATION_VERIFIED: 'registration_verified',
+  SIGN_IN_REQUESTED: 'sign_in_requested',
+  SIGN_IN_VERIFIED: 'sign_in_verified',
+  LOGIN_NOTIFICATION: 'login_notification',
+  ACCOUNT_DELETED: 'account_deleted',
+  ACCOUNT_RESTORE_REQUESTED: 'account_restore_requested',
+  ACCOUNT_RESTORED: 'account_restored',
+  DATA_EXPORT_REQUESTED: 'data_export_requested',
+  DEVICE_FORGOTTEN: 'device_forgotten',
+  UNRECOGNIZED_LOGIN_REPORTED: 'unrecognized_login_reported',
+  SESSIONS_REVOKED: 'sessions_revoked',
+  STEP_UP_VERIFIED: 'step_up_verified',
+  PROJECT_RESTORED: 'project_restored',
+};
+
+const MAX_USER_AGENT_LENGTH = 512;
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Hash an IP address for the audit log
+ *
+ * @param {string|null} ip - Client IP
+ * @returns {string|null} HMAC-SHA256 (base64url), or null without an IP or secret
+ */
+export function hashIp(ip) {
+  const secret = process.env.AUDIT_HASH_SECRET || process.env.TOKEN_HASH_SECRET;
+  if (!ip || !secret) {
+    return null;
+  }
+  return crypto.createHmac('sha256', secret).update(String(ip)).digest('base64url');
+}
+
+/**
+ * Append an event to the audit log
+ *
+ * Never throws: a failed write is logged and must not fail the request
+ * being audited.
+ *
+ * @param {{type: string, uid?: string|null, req?: object, outcome?: 'success'|'failure', errorCode?: string|null, now?: Date}} event
+ * @returns {Promise<string|null>} Entry ID, or null if the write failed
+ */
+export async function recordAuditEvent({ type, uid = null, req = null, outcome = 'success', errorCode = null, now = new Date() }) {
+  const userAgent = req?.headers?.['user-agent'];
+
+  try {
+    const ref = await firestore.collection(AUDIT_LOG_COLLECTION).add({
+      type,
+      uid,
+      ipHash: req ? hashIp(getClientIp(req)) : null,
+      userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+      outcome,
+      errorCode,
+      createdAt: now,
+    });
+    return ref.id;
+  } catch (error) {
+    console.error(`Failed to write audit event ${type}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Record one audit event per request handled by `handler`
+ *
+ * The outcome is taken from the response status; the error code from the
+ * `error` field of the error envelope. Thrown errors are recorded as
+ * INTERNAL_ERROR and rethrown for withHttp to handle.
+ *
+ * @param {string|function(object): string} type - Event type, or a function of the request
+ * @param {Function} handler - async (req, res) => void
+ * @returns {Function}
+ */
+export function withAudit(type, handler) {
+  return async (req, res) => {
+    let errorCode = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      errorCode = body?.success === false ? body.error ?? null : null;
+      return json(body);
+    };
+
+    const record = () => recordAuditEvent({
+      type: typeof type === 'function' ? type(req) : type,
+      uid: req.auditUid || req.user?.uid || null,
+      req,
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      errorCode,
+    });
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      errorCode = 'INTERNAL_ERROR';
+      res.statusCode = 500;
+      await record();
+      throw error;
+    }
+    await record();
+  };
+}
+
+/**
+ * Recent audit events of a user, newest first
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{limit?: number}} options
+ * @returns {Promise<Array<{id: string, type: string, outcome: string, errorCode: string|null, userAgent: string|null, createdAt: string}>>}
+ */
+export async function listAuditEvents(uid, { limit = 50 } = {}) {
+  const snapshot = await firestore
+    .collection(AUDIT_LOG_COLLECTION)
+    .where('uid', '==', uid)
+    .orderBy('createdAt', 'desc')
+    .limit(Math.min(Math.max(1, limit), MAX_LIST_LIMIT))
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const { type, outcome, errorCode, userAgent, createdAt } = doc.data();
+    return { id: doc.id, type, outcome, errorCode, userAgent, createdAt: createdAt.toDate().toISOString() };
+  });
+}
+
+/**
+ * Count a user's successful events of one type since a point in time
+ *
+ * @param {string} uid - Firebase UID
+ * @param {string} type - Event type (AUDIT_EVENTS)
+ * @param {{since: Date}} options
+ * @returns {Promise<number>} At most MAX_LIST_LIMIT
+ */
+export async function countRecentAuditEvents(uid, type, { since }) {
+  // Filtered by type in memory so the (uid, createdAt) index is enough
+  const snapshot = await firestore
+    .collection(AUDIT_LOG_COLLECTION)
+    .where('uid', '==', uid)
+    .where('createdAt', '>=', since)
+    .orderBy('createdAt', 'desc')
+    .limit(MAX_LIST_LIMIT)
+    .get();
+
+  return snapshot.docs.filter((doc) => {
+    const data = doc.data();
+    return data.type === type && data.outcome === 'success';
+  }).length;
+}
+
+/**
+ * Delete every audit event of a user (account purge)
+ *
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function deleteAuditEvents(uid) {
+  return deleteInBatches(firestore.collection(AUDIT_LOG_COLLECTION).where('uid', '==', uid));
+}
@@ -0,0 +1,109 @@
+/**
+ * Request Authentication Helpers
+ *
+ * - Admin endpoints: `Authorization: Bearer <ADMIN_API_KEY>`
+ * - User endpoints: `Authorization: Bearer <Firebase ID token>`, verified with
+ *   the Admin SDK. Against the Auth emulator (FIREBASE_AUTH_EMULATOR_HOST set)
+ *   the SDK accepts the emulator's unsigned tokens, so the same code path runs
+ *   locally.
+ */
+
+import crypto from 'crypto';
+import admin from 'firebase-admin';
+import { sendError } from './http_middleware.js';
+
+/**
+ * Extract the bearer token from the Authorization header
+ *
+ * @param {object} req - HTTP request
+ * @returns {string|null}
+ */
+export function getBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Constant-time string comparison
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check whether a request carries the support/admin API key
+ * (Authorization: Bearer <ADMIN_API_KEY>)
+ *
+ * @param {object} req - HTTP request
+ * @returns {boolean} false when ADMIN_API_KEY is not configured
+ */
+export function isAdminRequest(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const token = getBearerToken(req);
+
+  if (!adminKey || !token) {
+    return false;
+  }
+
+  return safeEqual(token, adminKey);
+}
+
+const ID_TOKEN_ERRORS = {
+  'auth/id-token-expired': 'ID token has expired',
+  'auth/id-token-revoked': 'ID token has been revoked',
+  'auth/user-disabled': 'User account is disabled',
+};
+
+/**
+ * Verify the Firebase ID token in the Authorization header
+ *
+ * Revoked tokens are rejected, so signing out everywhere takes effect
+ * immediately instead of when the token expires.
+ *
+ * @param {object} req - HTTP request
+ * @returns {Promise<object>} Decoded token (uid, email, email_verified, name, ...)
+ * @throws {Error} UNAUTHENTICATED if the token is missing or invalid
+ */
+export async function verifyUserRequest(req) {
+  const idToken = getBearerToken(req);
+
+  if (!idToken) {
+    throw new Error('UNAUTHENTICATED: Missing ID token');
+  }
+
+  try {
+    return await admin.auth().verifyIdToken(idToken, true);
+  } catch (error) {
+    throw new Error(`UNAUTHENTICATED: ${ID_TOKEN_ERRORS[error.code] || 'Invalid ID token'}`);
+  }
+}
+
+/**
+ * Require a signed-in user for an HTTP handler
+ *
+ * The decoded ID token is available to the handler as `req.user`. Requests
+ * without a valid token get 401 UNAUTHENTICATED.
+ *
+ * @param {Function} handler - async (req, res) => void
+ * @returns {Function} Wrapped handler
+ */
+export function withUser(handler) {
+  return async (req, res) => {
+    try {
+      req.user = await verifyUserRequest(req);
+    } catch (error) {
+      res.set('WWW-Authenticate', 'Bearer');
+      sendError(res, 401, 'UNAUTHENTICATED', error.message.replace('UNAUTHENTICATED: ', ''));
+      return;
+    }
+
+    await handler(req, res);
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Continue URL Allowlist
+ *
+ * The continueUrl from createRegistration and createSignInRequest is embedded
+ * in an email sent from our domain and later passed to
+ * generateSignInWithEmailLink, so it must point at our own app. URLs are
+ * normalized to origin + path and checked against an allowlist of origins and
+ * path prefixes.
+ *
+ * Configuration:
+ * - CONTINUE_URL_ALLOWLIST: comma-separated URLs, each an origin with an
+ *   optional path prefix (e.g. "https://app.artfinhub.com,https://artfinhub.web.app/app").
+ *   Defaults to ALLOWED_ORIGINS (any path).
+ * - Any http://localhost path is allowed in development (FUNCTIONS_EMULATOR=true
+ *   or NODE_ENV=development).
+ */
+
+import { getAllowedOrigins, isDevelopment } from './http_middleware.js';
+import { hasControlCharacters } from './input_validation.js';
+
+const LOCALHOST_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Control characters, whitespace and backslashes are stripped or rewritten by
+// the WHATWG URL parser but not by every mail client, so they are rejected
+// instead of silently normalized (control characters: input_validation.js)
+const AMBIGUOUS_CHARACTERS = /[\s\\]/;
+
+// Encoded separators and dots could be decoded into a different path later
+const ENCODED_PATH_SEPARATORS = /%(2e|2f|5c)/i;
+
+/**
+ * Parse the allowlist entries
+ *
+ * @returns {Array<{origin: string, path: string}>}
+ */
+export function getContinueUrlAllowlist() {
+  const entries = process.env.CONTINUE_URL_ALLOWLIST
+    ? process.env.CONTINUE_URL_ALLOWLIST.split(',')
+    : getAllowedOrigins();
+
+  return entries
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .flatMap((entry) => {
+      try {
+        const url = new URL(entry);
+        return [{ origin: url.origin, path: url.pathname.replace(/\/+$/, '') || '/' }];
+      } catch {
+        console.error(`Ignoring invalid CONTINUE_URL_ALLOWLIST entry: ${entry}`);
+        return [];
+      }
+    });
+}
+
+function isPathAllowed(pathname, prefix) {
+  if (prefix === '/') {
+    return true;
+  }
+  return pathname === prefix || pathname.startsWith(`${prefix}/`);
+}
+
+/**
+ * Validate a continueUrl and return its normalized form
+ *
+ * The result is origin + path: credentials, query and fragment are dropped,
+ * the scheme and host are lowercased, default ports are removed and dot
+ * segments are resolved.
+ *
+ * @param {string} value - continueUrl from the request body
+ * @returns {string} Normalized URL
+ * @throws {Error} INVALID_CONTINUE_URL if the URL is malformed,
+ *   CONTINUE_URL_NOT_ALLOWED if it is not on the allowlist
+ */
+export function normalizeContinueUrl(value) {
+  if (typeof value !== 'string') {
+    throw new Error('INVALID_CONTINUE_URL: continueUrl must be a string');
+  }
+
+  const trimmed = value.trim();
+  if (hasControlCharacters(trimmed) || AMBIGUOUS_CHARACTERS.test(trimmed)) {
+    throw new Error('INVALID_CONTINUE_URL: continueUrl contains invalid characters');
+  }
+
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    throw new Error('INVALID_CONTINUE_URL: continueUrl could not be parsed');
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`INVALID_CONTINUE_URL: Unsupported URL scheme ${url.protocol}`);
+  }
+  if (url.username || url.password) {
+    throw new Error('INVALID_CONTINUE_URL: URLs with credentials are not allowed');
+  }
+  if (ENCODED_PATH_SEPARATORS.test(url.pathname)) {
+    throw new Error('INVALID_CONTINUE_URL: continueUrl path contains encoded separators');
+  }
+
+  const normalized = `${url.origin}${url.pathname}`;
+
+  if (isDevelopment() && url.protocol === 'http:' && LOCALHOST_HOSTS.includes(url.hostname)) {
+    return normalized;
+  }
+
+  const allowed = getContinueUrlAllowlist().some(
+    (entry) => entry.origin === url.origin && isPathAllowed(url.pathname, entry.path)
+  );
+  if (!allowed) {
+    throw new Error('CONTINUE_URL_NOT_ALLOWED: continueUrl must point to the app');
+  }
+
+  return normalized;
+}
+
+/**
+ * App URL for email links the client did not provide a continueUrl for
+ * (e.g. the "This wasn't me" link in the login alert)
+ *
+ * @returns {string|null} The first allowlist entry, or null if the allowlist is empty
+ */
+export function getDefaultContinueUrl() {
+  const [entry] = getContinueUrlAllowlist();
+  if (!entry) {
+    return null;
+  }
+  return entry.path === '/' ? `${entry.origin}/` : `${entry.origin}${entry.path}`;
+}
@@ -0,0 +1,264 @@
+/**
+ * Personal Data Export
+ *
+ * Builds the "download my data" archive promised in PRIVACY.md (right to
+ * access and portability). Unlike the in-app CSV export, which only covers
+ * what the client has loaded, this reads everything stored for a user:
+ * - the users/{uid} profile and preferences
+ * - every project with its transactions
+ * - the legacy users/{uid}/transactions collection
+ * - known devices (browser, platform, first and last sign-in)
+ *
+ * The archive is a ZIP with `data.json` (everything, machine-readable) and
+ * one CSV per project. It is uploaded to Cloud Storage under exports/{uid}/
+ * and the user receives a signed download URL that expires after
+ * EXPORT_LINK_TTL_HOURS. `dataExports/{exportId}` records each export without
+ * the URL; the dataExports retention policy deletes the archive and the
+ * record once the link has expired.
+ *
+ * Configuration:
+ * - DATA_EXPORT_BUCKET: bucket for the archives (defaults to the project's
+ *   default Firebase Storage bucket). As a backstop, give it a lifecycle rule
+ *   that deletes objects under exports/ after a few days.
+ */
+
+import admin from 'firebase-admin';
+import { Firestore } from '@google-cloud/firestore';
+import { createZipArchive } from './zip_archive.js';
+import { runJob, deleteDocuments, deleteInBatches } from './job_runner.js';
+import { getRetentionCutoff } from './retention_policies.js';
+
+const firestore = new Firestore();
+
+export const EXPORT_COLLECTION = 'dataExports';
+export const EXPORT_LINK_TTL_HOURS = 48;
+export const EXPORT_FORMAT_VERSION = 1;
+
+// Written by the client next to projects and transactions; not user data
+const SYNC_METADATA_DOC = '_sync_metadata';
+
+const CSV_COLUMNS = ['Datetime', 'Type', 'Category', 'Description', 'Amount', 'Currency'];
+
+// Cells starting with these are evaluated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Convert Firestore values (Timestamps, nested maps) into plain JSON
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+export function toPlainValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * Read a collection as [{id, ...data}], without the sync metadata document
+ */
+async function readCollection(collectionRef) {
+  const snapshot = await collectionRef.get();
+  return snapshot.docs
+    .filter((doc) => doc.id !== SYNC_METADATA_DOC)
+    .map((doc) => ({ id: doc.id, ...toPlainValue(doc.data()) }));
+}
+
+/**
+ * Collect everything stored for a user
+ *
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<{profile: object, preferences: object, projects: Array<object>, legacyTransactions: Array<object>, knownDevices: Array<object>}>}
+ * @throws {Error} USER_NOT_FOUND if there is no profile
+ */
+export async function collectUserData(uid) {
+  const userRef = firestore.collection('users').doc(uid);
+  const userDoc = await userRef.get();
+
+  if (!userDoc.exists) {
+    throw new Error('USER_NOT_FOUND: No profile for this account');
+  }
+
+  const [preferenceDocs, projects, legacyTransactions, knownDevices] = await Promise.all([
+    readCollection(userRef.collection('preferences')),
+    readCollection(userRef.collection('projects')),
+    readCollection(userRef.collection('transactions')),
+    readCollection(userRef.collection('knownDevices')),
+  ]);
+
+  for (const project of projects) {
+    project.transactions = await readCollection(
+      userRef.collection('projects').doc(project.id).collection('transactions')
+    );
+  }
+
+  const preferences = Object.fromEntries(preferenceDocs.map(({ id, ...data }) => [id, data]));
+
+  return { profile: toPlainValue(userDoc.data()), preferences, projects, legacyTransactions, knownDevices };
+}
+
+/**
+ * Quote a CSV cell (RFC 4180) and neutralize spreadsheet formulas
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render transactions as CSV, oldest first
+ *
+ * @param {Array<object>} transactions - Plain transaction objects
+ * @returns {string}
+ */
+export function transactionsToCsv(transactions) {
+  const rows = [...transactions]
+    .sort((a, b) => String(a.date ?? '').localeCompare(String(b.date ?? '')))
+    .map((tx) => [tx.date, tx.type, tx.category, tx.description, tx.amount, tx.currency]);
+
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * File name for a project's CSV: readable, unique and safe on every OS
+ */
+function projectFileName(project) {
+  const slug = String(project.name ?? '')
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, '-')
+    .slice(0, 40);
+  const id = String(project.id).replace(/[^\w-]/g, '_');
+  return `projects/${slug ? `${slug}-` : ''}${id}.csv`;
+}
+
+/**
+ * Package collected user data as a ZIP archive
+ *
+ * @param {object} data - Result of collectUserData
+ * @param {Date} exportedAt
+ * @returns {Buffer}
+ */
+export function buildExportArchive(data, exportedAt = new Date()) {
+  const document = {
+    format: 'artfinancehub-export',
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    ...data,
+  };
+
+  const files = [{ name: 'data.json', content: JSON.stringify(document, null, 2) }];
+
+  for (const project of data.projects) {
+    files.push({ name: projectFileName(project), content: transactionsToCsv(project.transactions) });
+  }
+  if (data.legacyTransactions.length > 0) {
+    files.push({ name: 'legacy-transactions.csv', content: transactionsToCsv(data.legacyTransactions) });
+  }
+
+  return createZipArchive(files, exportedAt);
+}
+
+function getExportBucket() {
+  return admin.storage().bucket(process.env.DATA_EXPORT_BUCKET || undefined);
+}
+
+/**
+ * Export a user's data and create a time-limited download URL
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{now?: Date}} options
+ * @returns {Promise<{exportId: string, downloadUrl: string, expiresAt: Date, profile: object}>}
+ * @throws {Error} USER_NOT_FOUND if there is no profile
+ */
+export async function createDataExport(uid, { now = new Date() } = {}) {
+  const data = await collectUserData(uid);
+  const archive = buildExportArchive(data, now);
+
+  const exportRef = firestore.collection(EXPORT_COLLECTION).doc();
+  const storagePath = `exports/${uid}/${exportRef.id}.zip`;
+  const expiresAt = new Date(now.getTime() + EXPORT_LINK_TTL_HOURS * 60 * 60 * 1000);
+  const fileName = `art-finance-hub-export-${now.toISOString().slice(0, 10)}.zip`;
+
+  const file = getExportBucket().file(storagePath);
+  await file.save(archive, {
+    resumable: false,
+    contentType: 'application/zip',
+    metadata: { contentDisposition: `attachment; filename="${fileName}"` },
+  });
+
+  const [downloadUrl] = await file.getSignedUrl({ version: 'v4', action: 'read', expires: expiresAt });
+
+  const transactionCount = data.projects.reduce((sum, project) => sum + project.transactions.length, 0)
+    + data.legacyTransactions.length;
+
+  await exportRef.set({
+    uid,
+    storagePath,
+    createdAt: now,
+    expiresAt,
+    sizeBytes: archive.length,
+    projectCount: data.projects.length,
+    transactionCount,
+  });
+
+  console.log(`Created data export ${exportRef.id} for user ${uid} (${archive.length} bytes)`);
+
+  return { exportId: exportRef.id, downloadUrl, expiresAt, profile: data.profile };
+}
+
+/**
+ * Delete every export archive and record of a user
+ *
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<number>} Number of deleted export records
+ */
+export async function deleteDataExports(uid) {
+  await getExportBucket().deleteFiles({ prefix: `exports/${uid}/` });
+
+  return deleteInBatches(firestore.collection(EXPORT_COLLECTION).where('uid', '==', uid));
+}
+
+/**
+ * Delete the archives and records of exports whose download link expired
+ * Applies the dataExports retention policy (retention_enforcer.js)
+ *
+ * @param {{now?: Date, timeBudgetMs?: number}} options
+ * @returns {Promise<object>} The run (job_runner.js) with counts {deleted}
+ */
+export async function purgeExpiredExports({ now = new Date(), ...options } = {}) {
+  const cutoff = getRetentionCutoff('dataExports', now);
+
+  return runJob('retention.dataExports', {
+    ...options,
+    counts: { deleted: 0 },
+    query: () => firestore.collection(EXPORT_COLLECTION).where('expiresAt', '<', cutoff).orderBy('expiresAt'),
+    processPage: async (docs) => {
+      const bucket = getExportBucket();
+      await Promise.all(docs.map((doc) => bucket.file(doc.data().storagePath).delete({ ignoreNotFound: true })));
+
+      return { deleted: await deleteDocuments(docs) };
+    },
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * Deleted Projects
+ *
+ * The app soft-deletes a project by setting `deletedAt`. Within the
+ * deletedProjects retention period (retention_policies.js) the owner can undo
+ * that with restoreProject; afterwards purgeDeletedProjects permanently
+ * deletes the project with its `transactions` subcollection.
+ *
+ * Both touch the projects `_sync_metadata` document, so clients see the
+ * change on their next sync. Firestore rules keep clients from clearing
+ * `deletedAt` themselves, which makes the restore window a server decision.
+ */
+
+import { Firestore } from '@google-cloud/firestore';
+import { runJob } from './job_runner.js';
+import { getRetentionCutoff } from './retention_policies.js';
+
+const firestore = new Firestore();
+
+const SYNC_METADATA_DOC = '_sync_metadata';
+// Purging a project takes a recursive delete, so pages are small
+const PURGE_PAGE_SIZE = 20;
+
+/**
+ * Reference to users/{uid}/projects/_sync_metadata
+ */
+function syncMetadataRef(uid) {
+  return firestore.collection('users').doc(uid).collection('projects').doc(SYNC_METADATA_DOC);
+}
+
+/**
+ * Permanently delete one soft-deleted project
+ *
+ * @param {object} projectRef - users/{uid}/projects/{projectId}
+ * @param {{cutoff: Date, now: Date}} options
+ * @returns {Promise<{status: 'purged'|'skipped'}>}
+ */
+export async function purgeProject(projectRef, { cutoff, now = new Date() }) {
+  const projectDoc = await projectRef.get();
+  const deletedAt = projectDoc.exists ? projectDoc.data().deletedAt : null;
+
+  // Restored (or already purged) since the query ran
+  if (!deletedAt || deletedAt.toDate() >= cutoff) {
+    return { status: 'skipped' };
+  }
+
+  await firestore.recursiveDelete(projectRef);
+  await syncMetadataRef(projectRef.parent.parent.id).set({ lastSyncTime: now }, { merge: true });
+
+  return { status: 'purged' };
+}
+
+/**
+ * Purge every project soft-deleted before the retention period
+ * Applies the deletedProjects retention policy (retention_enforcer.js)
+ *
+ * Pages through the projects of all users by deletedAt with the job runner.
+ * A failure for one project does not stop the others; it is counted and the
+ * project is retried by the next run.
+ *
+ * @param {{now?: Date, pageSize?: number, timeBudgetMs?: number}} options
+ * @returns {Promise<object>} The run (job_runner.js) with counts {purged, skipped, failed}
+ */
+export async function purgeDeletedProjects({ now = new Date(), pageSize = PURGE_PAGE_SIZE, ...options } = {}) {
+  const cutoff = getRetentionCutoff('deletedProjects', now);
+
+  console.log(`Purging projects deleted before ${cutoff.toISOString()}`);
+
+  return runJob('retention.deletedProjects', {
+    ...options,
+    pageSize,
+    counts: { purged: 0, skipped: 0, failed: 0 },
+    query: () => firestore.collectionGroup('projects').where('deletedAt', '<', cutoff).orderBy('deletedAt'),
+    processPage: async (docs) => {
+      const counts = { purged: 0, skipped: 0, failed: 0 };
+
+      for (const doc of docs) {
+        try {
+          const { status } = await purgeProject(doc.ref, { cutoff, now });
+          counts[status] += 1;
+        } catch (error) {
+          console.error(`Failed to purge project ${doc.ref.path}:`, error);
+          counts.failed += 1;
+        }
+      }
+
+      return counts;
+    },
+  });
+}
+
+/**
+ * Undo the soft delete of a project
+ *
+ * The check and the update run in one transaction, so a restore cannot race
+ * with a purge reading the same project.
+ *
+ * @param {string} uid - Owner's Firebase UID
+ * @param {string} projectId - Project ID
+ * @param {{now?: Date}} options
+ * @returns {Promise<{projectId: string, restoredAt: Date}>}
+ * @throws {Error} PROJECT_NOT_FOUND, PROJECT_NOT_DELETED or RESTORE_WINDOW_EXPIRED
+ */
+export async function restoreProject(uid, projectId, { now = new Date() } = {}) {
+  const projectRef = firestore.collection('users').doc(uid).collection('projects').doc(projectId);
+
+  await firestore.runTransaction(async (transaction) => {
+    const projectDoc = await transaction.get(projectRef);
+
+    if (!projectDoc.exists || projectId === SYNC_METADATA_DOC) {
+      throw new Error('PROJECT_NOT_FOUND: No project with this ID');
+    }
+    const { deletedAt } = projectDoc.data();
+    if (!deletedAt) {
+      throw new Error('PROJECT_NOT_DELETED: This project is not deleted');
+    }
+    if (deletedAt.toDate() <= getRetentionCutoff('deletedProjects', now)) {
+      throw new Error('RESTORE_WINDOW_EXPIRED: The restore period for this project has ended');
+    }
+
+    transaction.update(projectRef, { deletedAt: null, restoredAt: now });
+    transaction.set(syncMetadataRef(uid), { lastSyncTime: now }, { merge: true });
+  });
+
+  console.log(`Restored project ${projectId} of user ${uid}`);
+
+  return { projectId, restoredAt: now };
+}
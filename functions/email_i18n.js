@@ -0,0 +1,540 @@
+/**
+ * Email Localization
+ *
+ * Message catalog and locale helpers for transactional emails.
+ * Supported locales match the Flutter app (lib/l10n/app_*.arb).
+ */
+
+export const SUPPORTED_LOCALES = ['en', 'de', 'es'];
+export const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = {
+  en: {
+    'common.greeting': 'Hi {name},',
+    'common.regards': 'Best regards,',
+    'common.team': 'The Art Finance Hub Team',
+    'common.copyright': '© {year} Art Finance Hub. All rights reserved.',
+    'common.automated': 'This is an automated message, please do not reply to this email.',
+    'common.copyLink': 'Or copy and paste this link into your browser:',
+    'common.important': 'Important:',
+
+    'registration.subject': 'Complete Your Registration - Art Finance Hub',
+    'registration.title': 'Welcome to Art Finance Hub',
+    'registration.intro': "Thanks for creating an account with Art Finance Hub! We're excited to help you manage your finances.",
+    'registration.cta': 'Click the button below to complete your registration and access your account:',
+    'registration.ctaText': 'Complete your registration by visiting this link:',
+    'registration.button': 'Complete Registration',
+    'registration.expiry': 'This link will expire in 24 hours for security reasons. You can complete your registration on any device (phone, tablet, or computer).',
+    'registration.ignore': "If you didn't create this account, you can safely ignore this email.",
+
+    'signIn.subject': 'Sign In to Your Account - Art Finance Hub',
+    'signIn.title': 'Sign In to Art Finance Hub',
+    'signIn.textTitle': 'Sign In to Your Account',
+    'signIn.cta': 'Click the button below to sign in to your Art Finance Hub account:',
+    'signIn.ctaText': 'Click the link below to sign in to your Art Finance Hub account:',
+    'signIn.button': 'Sign In',
+    'signIn.expiry': 'This link will expire in 15 minutes for security reasons. You can sign in from any device (phone, tablet, or computer).',
+    'signIn.ignore': "If you didn't request this sign-in link, you can safely ignore this email.",
+
+    'restore.subject': 'Restore Your Account - Art Finance Hub',
+    'restore.title': 'Restore Your Account',
+    'restore.cta': 'We received a request to restore your deleted Art Finance Hub account. Click the button below to restore it:',
+    'restore.ctaText': 'Restore your deleted Art Finance Hub account by visiting this link:',
+    'restore.button': 'Restore Account',
+    'restore.expiry': 'This link will expire in 1 hour for security reasons.',
+    'restore.ignore': "If you didn't request this, you can safely ignore this email. Your account stays scheduled for deletion.",
+
+    'welcome.subject': 'Welcome to Art Finance Hub!',
+    'welcome.title': 'Welcome to Art Finance Hub!',
+    'welcome.intro': "Thank you for joining Art Finance Hub! We're excited to help you manage your artist finances with ease.",
+    'welcome.featuresTitle': 'What you can do:',
+    'welcome.feature1': 'Track your income and expenses',
+    'welcome.feature2': 'Manage your artist profile',
+    'welcome.feature3': 'View financial reports and analytics',
+    'welcome.feature4': 'Access your data anytime, anywhere',
+    'welcome.active': 'Your account is now active and ready to use. Start by exploring the dashboard!',
+    'welcome.support': 'If you have any questions or need assistance, feel free to reach out to our support team.',
+
+    'deletion.subject': 'Account Deletion Confirmation - Art Finance Hub',
+    'deletion.title': 'Account Deletion Confirmation',
+    'deletion.intro': 'This email confirms that your Art Finance Hub account has been scheduled for deletion.',
+    'deletion.warning': 'Your account and all associated data will be permanently deleted after {days} days, on {date}. After this period, all your information will be completely removed from our systems and cannot be recovered.',
+    'deletion.warningLabel': '⚠️ Important:',
+    'deletion.nextTitle': 'What happens now:',
+    'deletion.next1': 'Your account is now marked as deleted and inaccessible',
+    'deletion.next2': 'Your data will be retained for {days} days for compliance purposes',
+    'deletion.next3': 'After {days} days, all data will be permanently deleted',
+    'deletion.mistake': 'If this deletion was made in error, your account can be restored until {date}. Contact our support team and we will send you a restore link.',
+    'deletion.goodbye': "Thank you for using Art Finance Hub. We're sorry to see you go!",
+
+    'restored.subject': 'Your Account Has Been Restored - Art Finance Hub',
+    'restored.title': 'Account Restored',
+    'restored.intro': 'Your Art Finance Hub account has been restored on {date} and is no longer scheduled for deletion.',
+    'restored.data': 'All your projects and transactions are available again. You can sign in as usual.',
+    'restored.notYou': "If you didn't restore your account, please contact our support team immediately.",
+
+    'export.subject': 'Your Data Export Is Ready - Art Finance Hub',
+    'export.title': 'Your Data Export',
+    'export.intro': 'The copy of your Art Finance Hub data you requested is ready to download.',
+    'export.contents': 'The ZIP archive contains your profile, preferences, projects and transactions as JSON, plus one CSV file per project.',
+    'export.button': 'Download Data',
+    'export.ctaText': 'Download your data from this link:',
+    'export.expiry': 'This link expires on {time}. After that you can request a new export in the app.',
+    'export.notYou': "If you didn't request this export, please contact our support team immediately.",
+
+    'device.label': '{browser} on {platform}',
+    'device.app': 'Art Finance Hub app',
+    'device.unknown': 'Unknown device',
+    'device.unknownBrowser': 'Unknown browser',
+    'device.unknownPlatform': 'unknown system',
+    'location.unknown': 'Unknown',
+
+    'login.subject': 'New Login to Your Art Finance Hub Account',
+    'login.title': '🔒 Security Alert',
+    'login.intro': 'We detected a new login to your Art Finance Hub account.',
+    'login.details': 'Login Details:',
+    'login.device': 'Device',
+    'login.ip': 'IP Address',
+    'login.location': 'Approximate location',
+    'login.time': 'Time',
+    'login.wasYou': 'Was this you?',
+    'login.noAction': 'If you recognize this activity, no action is needed. Your account is secure.',
+    'login.notYou': "Didn't recognize this login?",
+    'login.actNow': "If this wasn't you, someone may have access to your email account: signing in only takes a link sent to your inbox.",
+    'login.notYouButton': "This wasn't me",
+    'login.notYouCta': 'Report this login to sign out every device right away:',
+    'login.notYouLinkInfo': 'This signs out every device on your account, including yours. You can sign in again with a new link.',
+    'login.notYouNoLink': 'Open the app settings and choose "Sign out everywhere" to sign out every device.',
+    'login.secureEmail': 'Then secure your email account: change its password and turn on two-step verification.',
+    'login.contactSupport': 'Contact our support team if you notice any suspicious activity.',
+    'login.closing': 'We take your security seriously and monitor all account activity to keep your data safe.',
+
+    'revoked.subject': 'You Have Been Signed Out Everywhere - Art Finance Hub',
+    'revoked.title': 'Signed Out Everywhere',
+    'revoked.intro': 'On {time}, every device signed in to your Art Finance Hub account was signed out.',
+    'revoked.reported': 'You reported a login you did not recognize. If that device signs in again, you will get a new alert.',
+    'revoked.requested': 'You chose "Sign out everywhere" in the app settings.',
+    'revoked.next': 'To keep using the app, sign in again with a link sent to this email address.',
+    'revoked.notYou': "If you didn't do this, please contact our support team immediately.",
+    'stepUp.subject': 'Your Confirmation Code - Art Finance Hub',
+    'stepUp.title': "Confirm It's You",
+    'stepUp.intro': 'Your Art Finance Hub link was opened on a device or from a place we did not expect:',
+    'stepUp.cta': 'If this was you, enter this code in the app to finish signing in:',
+    'stepUp.expiry': 'The code expires in 10 minutes.',
+    'stepUp.notYou': "If this wasn't you, do not share this code with anyone. Without it, the link cannot be used to sign in.",
+  },
+
+  de: {
+    'common.greeting': 'Hallo {name},',
+    'common.regards': 'Viele Grüße',
+    'common.team': 'Ihr Art Finance Hub Team',
+    'common.copyright': '© {year} Art Finance Hub. Alle Rechte vorbehalten.',
+    'common.automated': 'Dies ist eine automatisch erstellte Nachricht. Bitte antworten Sie nicht auf diese E-Mail.',
+    'common.copyLink': 'Oder kopieren Sie diesen Link in Ihren Browser:',
+    'common.important': 'Wichtig:',
+
+    'registration.subject': 'Registrierung abschließen - Art Finance Hub',
+    'registration.title': 'Willkommen bei Art Finance Hub',
+    'registration.intro': 'Vielen Dank, dass Sie ein Konto bei Art Finance Hub erstellt haben! Wir freuen uns, Ihnen bei der Verwaltung Ihrer Finanzen zu helfen.',
+    'registration.cta': 'Klicken Sie auf die Schaltfläche unten, um Ihre Registrierung abzuschließen und auf Ihr Konto zuzugreifen:',
+    'registration.ctaText': 'Schließen Sie Ihre Registrierung über diesen Link ab:',
+    'registration.button': 'Registrierung abschließen',
+    'registration.expiry': 'Dieser Link läuft aus Sicherheitsgründen in 24 Stunden ab. Sie können Ihre Registrierung auf jedem Gerät abschließen (Smartphone, Tablet oder Computer).',
+    'registration.ignore': 'Wenn Sie dieses Konto nicht erstellt haben, können Sie diese E-Mail ignorieren.',
+
+    'signIn.subject': 'Bei Ihrem Konto anmelden - Art Finance Hub',
+    'signIn.title': 'Bei Art Finance Hub anmelden',
+    'signIn.textTitle': 'Bei Ihrem Konto anmelden',
+    'signIn.cta': 'Klicken Sie auf die Schaltfläche unten, um sich bei Ihrem Art Finance Hub Konto anzumelden:',
+    'signIn.ctaText': 'Klicken Sie auf den folgenden Link, um sich bei Ihrem Art Finance Hub Konto anzumelden:',
+    'signIn.button': 'Anmelden',
+    'signIn.expiry': 'Dieser Link läuft aus Sicherheitsgründen in 15 Minuten ab. Sie können sich von jedem Gerät aus anmelden (Smartphone, Tablet oder Computer).',
+    'signIn.ignore': 'Wenn Sie diesen Anmeldelink nicht angefordert haben, können Sie diese E-Mail ignorieren.',
+
+    'restore.subject': 'Konto wiederherstellen - Art Finance Hub',
+    'restore.title': 'Konto wiederherstellen',
+    'restore.cta': 'Wir haben eine Anfrage erhalten, Ihr gelöschtes Art Finance Hub Konto wiederherzustellen. Klicken Sie auf die Schaltfläche, um es wiederherzustellen:',
+    'restore.ctaText': 'Stellen Sie Ihr gelöschtes Art Finance Hub Konto über diesen Link wieder her:',
+    'restore.button': 'Konto wiederherstellen',
+    'restore.expiry': 'Dieser Link läuft aus Sicherheitsgründen in 1 Stunde ab.',
+    'restore.ignore': 'Wenn Sie das nicht angefordert haben, können Sie diese E-Mail ignorieren. Ihr Konto bleibt zur Löschung vorgemerkt.',
+
+    'welcome.subject': 'Willkommen bei Art Finance Hub!',
+    'welcome.title': 'Willkommen bei Art Finance Hub!',
+    'welcome.intro': 'Vielen Dank, dass Sie sich bei Art Finance Hub angemeldet haben! Wir freuen uns, Ihnen die Verwaltung Ihrer Künstlerfinanzen zu erleichtern.',
+    'welcome.featuresTitle': 'Was Sie tun können:',
+    'welcome.feature1': 'Einnahmen und Ausgaben erfassen',
+    'welcome.feature2': 'Ihr Künstlerprofil verwalten',
+    'welcome.feature3': 'Finanzberichte und Analysen ansehen',
+    'welcome.feature4': 'Jederzeit und überall auf Ihre Daten zugreifen',
+    'welcome.active': 'Ihr Konto ist jetzt aktiv und einsatzbereit. Entdecken Sie als Erstes das Dashboard!',
+    'welcome.support': 'Wenn Sie Fragen haben oder Hilfe benötigen, wenden Sie sich gerne an unser Support-Team.',
+
+    'deletion.subject': 'Bestätigung der Kontolöschung - Art Finance Hub',
+    'deletion.title': 'Bestätigung der Kontolöschung',
+    'deletion.intro': 'Hiermit bestätigen wir, dass Ihr Art Finance Hub Konto zur Löschung vorgemerkt wurde.',
+    'deletion.warning': 'Ihr Konto und alle zugehörigen Daten werden nach {days} Tagen, am {date}, endgültig gelöscht. Danach werden alle Ihre Informationen vollständig aus unseren Systemen entfernt und können nicht wiederhergestellt werden.',
+    'deletion.warningLabel': '⚠️ Wichtig:',
+    'deletion.nextTitle': 'Wie es jetzt weitergeht:',
+    'deletion.next1': 'Ihr Konto ist als gelöscht markiert und nicht mehr zugänglich',
+    'deletion.next2': 'Ihre Daten werden aus Compliance-Gründen {days} Tage lang aufbewahrt',
+    'deletion.next3': 'Nach {days} Tagen werden alle Daten endgültig gelöscht',
+    'deletion.mistake': 'Falls diese Löschung ein Versehen war, kann Ihr Konto bis zum {date} wiederhergestellt werden. Wenden Sie sich an unser Support-Team, dann senden wir Ihnen einen Wiederherstellungslink.',
+    'deletion.goodbye': 'Vielen Dank, dass Sie Art Finance Hub genutzt haben. Schade, dass Sie gehen!',
+
+    'restored.subject': 'Ihr Konto wurde wiederhergestellt - Art Finance Hub',
+    'restored.title': 'Konto wiederhergestellt',
+    'restored.intro': 'Ihr Art Finance Hub Konto wurde am {date} wiederhergestellt und ist nicht mehr zur Löschung vorgemerkt.',
+    'restored.data': 'Alle Ihre Projekte und Transaktionen sind wieder verfügbar. Sie können sich wie gewohnt anmelden.',
+    'restored.notYou': 'Falls Sie Ihr Konto nicht wiederhergestellt haben, wenden Sie sich bitte umgehend an unser Support-Team.',
+
+    'export.subject': 'Ihr Datenexport ist bereit - Art Finance Hub',
+    'export.title': 'Ihr Datenexport',
+    'export.intro': 'Die angeforderte Kopie Ihrer Art Finance Hub Daten steht zum Download bereit.',
+    'export.contents': 'Das ZIP-Archiv enthält Ihr Profil, Ihre Einstellungen, Projekte und Buchungen als JSON sowie eine CSV-Datei pro Projekt.',
+    'export.button': 'Daten herunterladen',
+    'export.ctaText': 'Laden Sie Ihre Daten über diesen Link herunter:',
+    'export.expiry': 'Dieser Link läuft am {time} ab. Danach können Sie in der App einen neuen Export anfordern.',
+    'export.notYou': 'Falls Sie diesen Export nicht angefordert haben, wenden Sie sich bitte umgehend an unser Support-Team.',
+
+    'device.label': '{browser} auf {platform}',
+    'device.app': 'Art Finance Hub App',
+    'device.unknown': 'Unbekanntes Gerät',
+    'device.unknownBrowser': 'Unbekannter Browser',
+    'device.unknownPlatform': 'unbekanntem System',
+    'location.unknown': 'Unbekannt',
+
+    'login.subject': 'Neue Anmeldung bei Ihrem Art Finance Hub Konto',
+    'login.title': '🔒 Sicherheitswarnung',
+    'login.intro': 'Wir haben eine neue Anmeldung bei Ihrem Art Finance Hub Konto festgestellt.',
+    'login.details': 'Anmeldedetails:',
+    'login.device': 'Gerät',
+    'login.ip': 'IP-Adresse',
+    'login.location': 'Ungefährer Standort',
+    'login.time': 'Zeit',
+    'login.wasYou': 'Waren Sie das?',
+    'login.noAction': 'Wenn Sie diese Aktivität wiedererkennen, müssen Sie nichts tun. Ihr Konto ist sicher.',
+    'login.notYou': 'Sie erkennen diese Anmeldung nicht?',
+    'login.actNow': 'Wenn Sie das nicht waren, hat möglicherweise jemand Zugriff auf Ihr E-Mail-Konto: Für die Anmeldung genügt ein Link, der an Ihr Postfach gesendet wird.',
+    'login.notYouButton': 'Das war ich nicht',
+    'login.notYouCta': 'Melden Sie diese Anmeldung, um sofort alle Geräte abzumelden:',
+    'login.notYouLinkInfo': 'Dadurch werden alle Geräte Ihres Kontos abgemeldet, auch Ihr eigenes. Sie können sich mit einem neuen Link wieder anmelden.',
+    'login.notYouNoLink': 'Öffnen Sie die Einstellungen der App und wählen Sie „Überall abmelden“, um alle Geräte abzumelden.',
+    'login.secureEmail': 'Schützen Sie anschließend Ihr E-Mail-Konto: Ändern Sie dessen Passwort und aktivieren Sie die Bestätigung in zwei Schritten.',
+    'login.contactSupport': 'Wenden Sie sich an unser Support-Team, wenn Ihnen verdächtige Aktivitäten auffallen.',
+    'login.closing': 'Wir nehmen Ihre Sicherheit ernst und überwachen alle Kontoaktivitäten, um Ihre Daten zu schützen.',
+
+    'revoked.subject': 'Sie wurden überall abgemeldet - Art Finance Hub',
+    'revoked.title': 'Überall abgemeldet',
+    'revoked.intro': 'Am {time} wurden alle Geräte abgemeldet, die bei Ihrem Art Finance Hub Konto angemeldet waren.',
+    'revoked.reported': 'Sie haben eine Anmeldung gemeldet, die Sie nicht erkannt haben. Meldet sich dieses Gerät erneut an, erhalten Sie eine neue Warnung.',
+    'revoked.requested': 'Sie haben in den Einstellungen der App „Überall abmelden“ gewählt.',
+    'revoked.next': 'Um die App weiter zu nutzen, melden Sie sich mit einem Link an, der an diese E-Mail-Adresse gesendet wird.',
+    'revoked.notYou': 'Falls Sie das nicht waren, wenden Sie sich bitte umgehend an unser Support-Team.',
+    'stepUp.subject': 'Ihr Bestätigungscode - Art Finance Hub',
+    'stepUp.title': 'Bestätigen Sie, dass Sie es sind',
+    'stepUp.intro': 'Ihr Art Finance Hub Link wurde auf einem Gerät oder an einem Ort geöffnet, mit dem wir nicht gerechnet haben:',
+    'stepUp.cta': 'Wenn Sie das waren, geben Sie diesen Code in der App ein, um die Anmeldung abzuschließen:',
+    'stepUp.expiry': 'Der Code läuft in 10 Minuten ab.',
+    'stepUp.notYou': 'Falls Sie das nicht waren, geben Sie diesen Code an niemanden weiter. Ohne ihn kann der Link nicht zur Anmeldung verwendet werden.',
+  },
+
+  es: {
+    'common.greeting': 'Hola {name}:',
+    'common.regards': 'Saludos cordiales,',
+    'common.team': 'El equipo de Art Finance Hub',
+    'common.copyright': '© {year} Art Finance Hub. Todos los derechos reservados.',
+    'common.automated': 'Este es un mensaje automático, por favor no respondas a este correo.',
+    'common.copyLink': 'O copia y pega este enlace en tu navegador:',
+    'common.important': 'Importante:',
+
+    'registration.subject': 'Completa tu registro - Art Finance Hub',
+    'registration.title': 'Bienvenido a Art Finance Hub',
+    'registration.intro': '¡Gracias por crear una cuenta en Art Finance Hub! Nos alegra ayudarte a gestionar tus finanzas.',
+    'registration.cta': 'Haz clic en el botón de abajo para completar tu registro y acceder a tu cuenta:',
+    'registration.ctaText': 'Completa tu registro visitando este enlace:',
+    'registration.button': 'Completar registro',
+    'registration.expiry': 'Por seguridad, este enlace caduca en 24 horas. Puedes completar tu registro desde cualquier dispositivo (teléfono, tableta u ordenador).',
+    'registration.ignore': 'Si no creaste esta cuenta, puedes ignorar este correo.',
+
+    'signIn.subject': 'Inicia sesión en tu cuenta - Art Finance Hub',
+    'signIn.title': 'Inicia sesión en Art Finance Hub',
+    'signIn.textTitle': 'Inicia sesión en tu cuenta',
+    'signIn.cta': 'Haz clic en el botón de abajo para iniciar sesión en tu cuenta de Art Finance Hub:',
+    'signIn.ctaText': 'Haz clic en el siguiente enlace para iniciar sesión en tu cuenta de Art Finance Hub:',
+    'signIn.button': 'Iniciar sesión',
+    'signIn.expiry': 'Por seguridad, este enlace caduca en 15 minutos. Puedes iniciar sesión desde cualquier dispositivo (teléfono, tableta u ordenador).',
+    'signIn.ignore': 'Si no solicitaste este enlace de inicio de sesión, puedes ignorar este correo.',
+
+    'restore.subject': 'Restaura tu cuenta - Art Finance Hub',
+    'restore.title': 'Restaura tu cuenta',
+    'restore.cta': 'Hemos recibido una solicitud para restaurar tu cuenta eliminada de Art Finance Hub. Pulsa el botón para restaurarla:',
+    'restore.ctaText': 'Restaura tu cuenta eliminada de Art Finance Hub desde este enlace:',
+    'restore.button': 'Restaurar cuenta',
+    'restore.expiry': 'Por seguridad, este enlace caduca en 1 hora.',
+    'restore.ignore': 'Si no lo solicitaste, puedes ignorar este correo. Tu cuenta seguirá programada para su eliminación.',
+
+    'welcome.subject': '¡Bienvenido a Art Finance Hub!',
+    'welcome.title': '¡Bienvenido a Art Finance Hub!',
+    'welcome.intro': '¡Gracias por unirte a Art Finance Hub! Nos alegra ayudarte a gestionar tus finanzas como artista de forma sencilla.',
+    'welcome.featuresTitle': 'Lo que puedes hacer:',
+    'welcome.feature1': 'Registrar tus ingresos y gastos',
+    'welcome.feature2': 'Gestionar tu perfil de artista',
+    'welcome.feature3': 'Ver informes financieros y análisis',
+    'welcome.feature4': 'Acceder a tus datos en cualquier momento y lugar',
+    'welcome.active': 'Tu cuenta ya está activa y lista para usar. ¡Empieza explorando el panel!',
+    'welcome.support': 'Si tienes alguna pregunta o necesitas ayuda, no dudes en contactar con nuestro equipo de soporte.',
+
+    'deletion.subject': 'Confirmación de eliminación de cuenta - Art Finance Hub',
+    'deletion.title': 'Confirmación de eliminación de cuenta',
+    'deletion.intro': 'Este correo confirma que tu cuenta de Art Finance Hub ha sido programada para su eliminación.',
+    'deletion.warning': 'Tu cuenta y todos los datos asociados se eliminarán definitivamente pasados {days} días, el {date}. Después de este período, toda tu información se borrará por completo de nuestros sistemas y no podrá recuperarse.',
+    'deletion.warningLabel': '⚠️ Importante:',
+    'deletion.nextTitle': 'Qué ocurre ahora:',
+    'deletion.next1': 'Tu cuenta está marcada como eliminada y no es accesible',
+    'deletion.next2': 'Tus datos se conservarán durante {days} días por motivos de cumplimiento',
+    'deletion.next3': 'Pasados {days} días, todos los datos se eliminarán definitivamente',
+    'deletion.mistake': 'Si esta eliminación fue un error, tu cuenta se puede restaurar hasta el {date}. Contacta con nuestro equipo de soporte y te enviaremos un enlace de restauración.',
+    'deletion.goodbye': 'Gracias por usar Art Finance Hub. ¡Lamentamos que te vayas!',
+
+    'restored.subject': 'Tu cuenta ha sido restaurada - Art Finance Hub',
+    'restored.title': 'Cuenta restaurada',
+    'restored.intro': 'Tu cuenta de Art Finance Hub se restauró el {date} y ya no está programada para su eliminación.',
+    'restored.data': 'Todos tus proyectos y transacciones vuelven a estar disponibles. Puedes iniciar sesión como siempre.',
+    'restored.notYou': 'Si no restauraste tu cuenta, contacta con nuestro equipo de soporte de inmediato.',
+
+    'export.subject': 'Tu exportación de datos está lista - Art Finance Hub',
+    'export.title': 'Tu exportación de datos',
+    'export.intro': 'La copia de tus datos de Art Finance Hub que solicitaste está lista para descargar.',
+    'export.contents': 'El archivo ZIP contiene tu perfil, preferencias, proyectos y transacciones en JSON, además de un archivo CSV por proyecto.',
+    'export.button': 'Descargar datos',
+    'export.ctaText': 'Descarga tus datos desde este enlace:',
+    'export.expiry': 'Este enlace caduca el {time}. Después puedes solicitar una nueva exportación en la app.',
+    'export.notYou': 'Si no solicitaste esta exportación, contacta con nuestro equipo de soporte de inmediato.',
+
+    'device.label': '{browser} en {platform}',
+    'device.app': 'App de Art Finance Hub',
+    'device.unknown': 'Dispositivo desconocido',
+    'device.unknownBrowser': 'Navegador desconocido',
+    'device.unknownPlatform': 'sistema desconocido',
+    'location.unknown': 'Desconocida',
+
+    'login.subject': 'Nuevo inicio de sesión en tu cuenta de Art Finance Hub',
+    'login.title': '🔒 Alerta de seguridad',
+    'login.intro': 'Hemos detectado un nuevo inicio de sesión en tu cuenta de Art Finance Hub.',
+    'login.details': 'Detalles del inicio de sesión:',
+    'login.device': 'Dispositivo',
+    'login.ip': 'Dirección IP',
+    'login.location': 'Ubicación aproximada',
+    'login.time': 'Hora',
+    'login.wasYou': '¿Fuiste tú?',
+    'login.noAction': 'Si reconoces esta actividad, no tienes que hacer nada. Tu cuenta está segura.',
+    'login.notYou': '¿No reconoces este inicio de sesión?',
+    'login.actNow': 'Si no fuiste tú, es posible que alguien tenga acceso a tu cuenta de correo: para iniciar sesión basta con un enlace enviado a tu bandeja de entrada.',
+    'login.notYouButton': 'No fui yo',
+    'login.notYouCta': 'Informa de este inicio de sesión para cerrar la sesión en todos los dispositivos de inmediato:',
+    'login.notYouLinkInfo': 'Esto cierra la sesión en todos los dispositivos de tu cuenta, incluido el tuyo. Puedes volver a iniciar sesión con un enlace nuevo.',
+    'login.notYouNoLink': 'Abre los ajustes de la app y elige «Cerrar sesión en todas partes» para cerrar la sesión en todos los dispositivos.',
+    'login.secureEmail': 'Después protege tu cuenta de correo: cambia su contraseña y activa la verificación en dos pasos.',
+    'login.contactSupport': 'Contacta con nuestro equipo de soporte si notas alguna actividad sospechosa.',
+    'login.closing': 'Nos tomamos tu seguridad en serio y supervisamos toda la actividad de la cuenta para proteger tus datos.',
+
+    'revoked.subject': 'Se ha cerrado tu sesión en todas partes - Art Finance Hub',
+    'revoked.title': 'Sesión cerrada en todas partes',
+    'revoked.intro': 'El {time} se cerró la sesión en todos los dispositivos conectados a tu cuenta de Art Finance Hub.',
+    'revoked.reported': 'Informaste de un inicio de sesión que no reconociste. Si ese dispositivo vuelve a iniciar sesión, recibirás una nueva alerta.',
+    'revoked.requested': 'Elegiste «Cerrar sesión en todas partes» en los ajustes de la app.',
+    'revoked.next': 'Para seguir usando la app, vuelve a iniciar sesión con un enlace enviado a esta dirección de correo.',
+    'revoked.notYou': 'Si no fuiste tú, contacta con nuestro equipo de soporte de inmediato.',
+    'stepUp.subject': 'Tu código de confirmación - Art Finance Hub',
+    'stepUp.title': 'Confirma que eres tú',
+    'stepUp.intro': 'Tu enlace de Art Finance Hub se abrió en un dispositivo o desde un lugar que no esperábamos:',
+    'stepUp.cta': 'Si fuiste tú, introduce este código en la app para terminar de iniciar sesión:',
+    'stepUp.expiry': 'El código caduca en 10 minutos.',
+    'stepUp.notYou': 'Si no fuiste tú, no compartas este código con nadie. Sin él, el enlace no se puede usar para iniciar sesión.',
+  },
+};
+
+/**
+ * Normalize a locale tag (e.g. "de-AT", "ES") to a supported locale
+ *
+ * @param {string} tag - BCP 47 language tag
+ * @returns {string|null} Supported locale or null
+ */
+export function normalizeLocale(tag) {
+  if (!tag || typeof tag !== 'string') {
+    return null;
+  }
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Pick the best supported locale from an Accept-Language header
+ *
+ * @param {string} header - e.g. "de-DE,de;q=0.9,en;q=0.8"
+ * @returns {string|null}
+ */
+export function parseAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const ranked = header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find((p) => p.trim().startsWith('q='));
+      const q = qParam ? Number(qParam.trim().slice(2)) : 1;
+      return { tag, q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(({ q }) => q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of ranked) {
+    const locale = normalizeLocale(tag);
+    if (locale) {
+      return locale;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the locale for an email from candidates in priority order
+ *
+ * @param {...string} candidates - Locale tags, first supported one wins
+ * @returns {string}
+ */
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) {
+      return locale;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Resolve the locale of an HTTP request from its body `locale` field,
+ * falling back to the Accept-Language header
+ *
+ * @param {object} req - HTTP request
+ * @returns {string}
+ */
+export function getRequestLocale(req) {
+  return resolveLocale(req.body?.locale, parseAcceptLanguage(req.headers?.['accept-language']));
+}
+
+/**
+ * Translate a message key
+ *
+ * @param {string} locale - Supported locale
+ * @param {string} key - Message key, e.g. "signIn.subject"
+ * @param {Object<string, string|number>} params - Values for {placeholders}
+ * @returns {string}
+ */
+export function t(locale, key, params = {}) {
+  const messages = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const template = messages[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+
+  if (template === undefined) {
+    throw new Error(`Missing email message: ${key}`);
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, param) => (param in params ? String(params[param]) : match));
+}
+
+/**
+ * Format a date and time for the given locale
+ *
+ * @param {Date} date
+ * @param {string} locale - Supported locale
+ * @param {string} timeZone - IANA time zone (default UTC)
+ * @returns {string}
+ */
+export function formatDateTime(date, locale, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat(locale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short',
+  }).format(date);
+}
+
+/**
+ * Format a calendar date for the given locale
+ *
+ * @param {Date} date
+ * @param {string} locale - Supported locale
+ * @returns {string}
+ */
+export function formatDate(date, locale) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+}
+
+/**
+ * Localized country name
+ *
+ * @param {string} code - ISO 3166-1 alpha-2 country code
+ * @param {string} locale - Supported locale
+ * @returns {string} The name, or the code if the runtime does not know it
+ */
+export function formatCountry(code, locale) {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'region', fallback: 'code' }).of(code);
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Localized device label, e.g. "Chrome on macOS"
+ *
+ * @param {{browser: string, platform: string}} device - From parseUserAgent (user_agent.js)
+ * @param {string} locale - Supported locale
+ * @returns {string}
+ */
+export function formatDeviceLabel({ browser, platform }, locale) {
+  const knownBrowser = browser && browser !== 'Unknown';
+  const knownPlatform = platform && platform !== 'Unknown';
+
+  if (!knownBrowser && !knownPlatform) {
+    return t(locale, 'device.unknown');
+  }
+
+  return t(locale, 'device.label', {
+    browser: !knownBrowser ? t(locale, 'device.unknownBrowser') : browser === 'App' ? t(locale, 'device.app') : browser,
+    platform: knownPlatform ? platform : t(locale, 'device.unknownPlatform'),
+  });
+}
+
+/**
+ * Localized location, e.g. "Munich, Germany"
+ *
+ * @param {{city: string|null, country: string}|null} location - From lookupIpLocation (geoip.js)
+ * @param {string} locale - Supported locale
+ * @returns {string}
+ */
+export function formatLocation(location, locale) {
+  if (!location?.country) {
+    return t(locale, 'location.unknown');
+  }
+
+  const country = formatCountry(location.country, locale);
+  return location.city ? `${location.city}, ${country}` : country;
+}
+
+/**
+ * All message keys of a locale (used to check catalog completeness)
+ *
+ * @param {string} locale
+ * @returns {string[]}
+ */
+export function getMessageKeys(locale) {
+  return Object.keys(MESSAGES[locale] || {});
+}
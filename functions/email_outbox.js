@@ -0,0 +1,290 @@
+/**
+ * Email Outbox
+ *
+ * Durable delivery for transactional emails. Handlers enqueue messages in the
+ * `emailOutbox` collection; delivery attempts are retried with exponential
+ * backoff and messages that keep failing end up in the `dead` state, where
+ * support can inspect them.
+ *
+ * Message lifecycle: queued -> (retrying)* -> sent | dead
+ *
+ * Bodies contain names and signed links, so `html` and `text` are removed as
+ * soon as a message is sent; only the metadata stays for support. Dead
+ * messages keep their body so support can resend them, until the emailOutbox
+ * retention policy deletes them.
+ */
+
+import { Firestore } from '@google-cloud/firestore';
+import { sendEmail } from './email_transport.js';
+
+const firestore = new Firestore();
+
+export const OUTBOX_COLLECTION = 'emailOutbox';
+export const MAX_ATTEMPTS = 6;
+
+const BASE_BACKOFF_MS = 60 * 1000; // 1 minute
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+const DELIVERY_LEASE_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Delay before the next attempt after `attempts` failed attempts
+ *
+ * @param {number} attempts - Number of attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+/**
+ * Whether a provider error will fail again no matter how often we retry
+ * (e.g. rejected recipient or bad request), as opposed to throttling,
+ * timeouts and outages.
+ *
+ * @param {Error} error - Error thrown by the transport
+ * @returns {boolean}
+ */
+export function isPermanentFailure(error) {
+  // SendGrid puts the HTTP status on error.code
+  const status = Number(error?.code);
+  if (status >= 400 && status < 500) {
+    return status !== 408 && status !== 429;
+  }
+
+  // nodemailer exposes the SMTP reply code; 5xx replies are permanent
+  const smtpCode = Number(error?.responseCode);
+  return smtpCode >= 500 && smtpCode < 600;
+}
+
+/**
+ * Add a message to the outbox
+ *
+ * @param {string} to - Recipient email
+ * @param {{subject: string, html: string, text: string}} content - Rendered email
+ * @param {{type?: string, userId?: string}} options - Metadata for support lookups
+ * @returns {Promise<string>} Outbox message ID
+ */
+export async function enqueueEmail(to, content, { type = 'generic', userId = null } = {}) {
+  const now = new Date();
+  const docRef = firestore.collection(OUTBOX_COLLECTION).doc();
+
+  await docRef.set({
+    to,
+    subject: content.subject,
+    html: content.html,
+    text: content.text,
+    type,
+    userId,
+    status: 'queued',
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: now,
+    lastError: null,
+    providerMessageId: null,
+    sentAt: null,
+    bodyRedactedAt: null,
+  });
+
+  console.log(`Queued ${type} email ${docRef.id}`);
+
+  return docRef.id;
+}
+
+/**
+ * Claim a message for delivery
+ *
+ * Pushing nextAttemptAt forward by a lease means a concurrent worker won't pick
+ * the message up, while a crashed worker's message is retried once the lease
+ * runs out.
+ *
+ * @returns {Promise<object|null>} Message data, or null if not deliverable now
+ */
+async function claimMessage(docRef, now) {
+  return await firestore.runTransaction(async (tx) => {
+    const doc = await tx.get(docRef);
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    if (!['queued', 'retrying'].includes(data.status) || toDate(data.nextAttemptAt) > now) {
+      return null;
+    }
+
+    const attempts = (data.attempts || 0) + 1;
+    tx.update(docRef, {
+      attempts,
+      nextAttemptAt: new Date(now.getTime() + DELIVERY_LEASE_MS),
+      updatedAt: now,
+    });
+
+    return { ...data, attempts };
+  });
+}
+
+/**
+ * Fields that remove the body of a delivered message
+ */
+function redactedBody(now) {
+  return { html: null, text: null, bodyRedactedAt: now };
+}
+
+/**
+ * Attempt delivery of a single outbox message
+ *
+ * Never throws for delivery failures; the outcome is recorded on the message.
+ *
+ * @param {string} messageId - Outbox message ID
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Promise<'sent'|'retrying'|'dead'|'skipped'>}
+ */
+export async function deliverOutboxMessage(messageId, now = new Date()) {
+  const docRef = firestore.collection(OUTBOX_COLLECTION).doc(messageId);
+  const message = await claimMessage(docRef, now);
+
+  if (!message) {
+    return 'skipped';
+  }
+
+  try {
+    const result = await sendEmail(message.to, message.subject, message.html, message.text);
+
+    const sentAt = new Date();
+    await docRef.update({
+      status: 'sent',
+      providerMessageId: result?.messageId || null,
+      sentAt,
+      updatedAt: sentAt,
+      lastError: null,
+      ...redactedBody(sentAt),
+    });
+
+    console.log(`Delivered outbox message ${messageId} on attempt ${message.attempts}`);
+    return 'sent';
+  } catch (error) {
+    const dead = isPermanentFailure(error) || message.attempts >= MAX_ATTEMPTS;
+    const status = dead ? 'dead' : 'retrying';
+
+    const updatedAt = new Date();
+    await docRef.update({
+      status,
+      lastError: error.message || String(error),
+      nextAttemptAt: dead ? null : new Date(now.getTime() + computeBackoff(message.attempts)),
+      updatedAt,
+    });
+
+    console.error(`Delivery of outbox message ${messageId} failed (attempt ${message.attempts}, ${status}):`, error.message);
+    return status;
+  }
+}
+
+/**
+ * Deliver every message that is due
+ * Should be called by a scheduled Cloud Function
+ *
+ * @param {{limit?: number, now?: Date}} options
+ * @returns {Promise<{processed: number, sent: number, retrying: number, dead: number}>}
+ */
+export async function processOutbox({ limit = 100, now = new Date() } = {}) {
+  const snapshot = await firestore
+    .collection(OUTBOX_COLLECTION)
+    .where('status', 'in', ['queued', 'retrying'])
+    .where('nextAttemptAt', '<=', now)
+    .orderBy('nextAttemptAt')
+    .limit(limit)
+    .get();
+
+  const summary = { processed: 0, sent: 0, retrying: 0, dead: 0 };
+
+  for (const doc of snapshot.docs) {
+    const outcome = await deliverOutboxMessage(doc.id, now);
+    if (outcome === 'skipped') {
+      continue;
+    }
+    summary.processed += 1;
+    summary[outcome] += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * List outbox messages for support
+ *
+ * @param {{status?: string, to?: string, limit?: number}} filters
+ * @returns {Promise<Array<object>>} Messages without their bodies
+ */
+export async function listOutboxMessages({ status, to, limit = 50 } = {}) {
+  let query = firestore.collection(OUTBOX_COLLECTION);
+
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+  if (to) {
+    query = query.where('to', '==', to);
+  }
+
+  const snapshot = await query
+    .orderBy('createdAt', 'desc')
+    .limit(Math.min(limit, 500))
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      to: data.to,
+      subject: data.subject,
+      type: data.type,
+      status: data.status,
+      attempts: data.attempts,
+      lastError: data.lastError,
+      providerMessageId: data.providerMessageId,
+      createdAt: toDate(data.createdAt)?.toISOString() || null,
+      sentAt: toDate(data.sentAt)?.toISOString() || null,
+      bodyRedactedAt: toDate(data.bodyRedactedAt)?.toISOString() || null,
+      nextAttemptAt: toDate(data.nextAttemptAt)?.toISOString() || null,
+    };
+  });
+}
+
+/**
+ * Reset a message so it is delivered again right away
+ *
+ * Works for queued, retrying and dead messages; sent messages have been
+ * redacted and must be triggered again by the user (e.g. a new sign-in link).
+ *
+ * @param {string} messageId - Outbox message ID
+ * @returns {Promise<void>}
+ * @throws {Error} if the message does not exist or its body was redacted
+ */
+export async function requeueOutboxMessage(messageId) {
+  const docRef = firestore.collection(OUTBOX_COLLECTION).doc(messageId);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    throw new Error('MESSAGE_NOT_FOUND: Outbox message not found');
+  }
+  const data = doc.data();
+  if (data.bodyRedactedAt || (data.html == null && data.text == null)) {
+    throw new Error('MESSAGE_BODY_REDACTED: The body of this message was removed after it was sent');
+  }
+
+  const now = new Date();
+  await docRef.update({
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: now,
+    updatedAt: now,
+  });
+
+  console.log(`Requeued outbox message ${messageId}`);
+}
+
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value instanceof Date ? value : value.toDate();
+}
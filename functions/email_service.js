@@ -1,21 +1,32 @@
 /**
  * Email Template Service
  * Provides HTML email templates for various notifications
- * Import sendEmail from email_service_sendgrid.js
+ *
+ * render* functions return {subject, html, text} so messages can be queued in
+ * the email outbox; send* functions render and deliver immediately.
+ * HTML is built with the escaping `html` tag from html_template.js.
  */
-import { sendEmail } from './email_service_sendgrid.js';
+import { sendEmail } from './email_transport.js';
+import { t, formatDate, formatDateTime, formatDeviceLabel, formatLocation, DEFAULT_LOCALE } from './email_i18n.js';
+import { html, plainText, safeUrl } from './html_template.js';
+import { getRetentionDays } from './retention_policies.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Send welcome email to new user
- * @param {string} to - Recipient email
+ * Render welcome email for a new user
  * @param {string} name - User's name
+ * @param {string} locale - Email locale (en, de, es)
+ * @returns {{subject: string, html: string, text: string}}
  */
-export async function sendWelcomeEmail(to, name) {
-  const subject = 'Welcome to Art Finance Hub!';
+export function renderWelcomeEmail(name, locale = DEFAULT_LOCALE) {
+  const subject = t(locale, 'welcome.subject');
+  name = plainText(name);
+  const year = new Date().getFullYear();
 
-  const htmlBody = `
+  const htmlBody = html`
     <!DOCTYPE html>
-    <html>
+    <html lang="${locale}">
     <head>
       <style>
         body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
@@ -31,29 +42,29 @@ export async function sendWelcomeEmail(to, name) {
     <body>
       <div class="container">
         <div class="header">
-          <h1>Welcome to Art Finance Hub!</h1>
+          <h1>${t(locale, 'welcome.title')}</h1>
         </div>
         <div class="content">
-          <p>Hi ${name},</p>
+          <p>${t(locale, 'common.greeting', { name })}</p>
 
-          <p>Thank you for joining Art Finance Hub! We're excited to help you manage your artist finances with ease.</p>
+          <p>${t(locale, 'welcome.intro')}</p>
 
-          <h3>What you can do:</h3>
+          <h3>${t(locale, 'welcome.featuresTitle')}</h3>
           <ul>
-            <li>Track your income and expenses</li>
-            <li>Manage your artist profile</li>
-            <li>View financial reports and analytics</li>
-            <li>Access your data anytime, anywhere</li>
+            <li>${t(locale, 'welcome.feature1')}</li>
+            <li>${t(locale, 'welcome.feature2')}</li>
+            <li>${t(locale, 'welcome.feature3')}</li>
+            <li>${t(locale, 'welcome.feature4')}</li>
           </ul>
 
-          <p>Your account is now active and ready to use. Start by exploring the dashboard!</p>
+          <p>${t(locale, 'welcome.active')}</p>
 
-          <p>If you have any questions or need assistance, feel free to reach out to our support team.</p>
+          <p>${t(locale, 'welcome.support')}</p>
 
-          <p>Best regards,<br>The Art Finance Hub Team</p>
+          <p>${t(locale, 'common.regards')}<br>${t(locale, 'common.team')}</p>
         </div>
         <div class="footer">
-          <p>© ${new Date().getFullYear()} Art Finance Hub. All rights reserved.</p>
+          <p>${t(locale, 'common.copyright', { year })}</p>
         </div>
       </div>
     </body>
@@ -61,40 +72,46 @@ export async function sendWelcomeEmail(to, name) {
   `;
 
   const textBody = `
-    Hi ${name},
+    ${t(locale, 'common.greeting', { name })}
 
-    Thank you for joining Art Finance Hub! We're excited to help you manage your artist finances with ease.
+    ${t(locale, 'welcome.intro')}
 
-    What you can do:
-    - Track your income and expenses
-    - Manage your artist profile
-    - View financial reports and analytics
-    - Access your data anytime, anywhere
+    ${t(locale, 'welcome.featuresTitle')}
+    - ${t(locale, 'welcome.feature1')}
+    - ${t(locale, 'welcome.feature2')}
+    - ${t(locale, 'welcome.feature3')}
+    - ${t(locale, 'welcome.feature4')}
 
-    Your account is now active and ready to use. Start by exploring the dashboard!
+    ${t(locale, 'welcome.active')}
 
-    If you have any questions or need assistance, feel free to reach out to our support team.
+    ${t(locale, 'welcome.support')}
 
-    Best regards,
-    The Art Finance Hub Team
+    ${t(locale, 'common.regards')}
+    ${t(locale, 'common.team')}
 
-    © ${new Date().getFullYear()} Art Finance Hub. All rights reserved.
+    ${t(locale, 'common.copyright', { year })}
   `;
 
-  return await sendEmail(to, subject, htmlBody, textBody);
+  return { subject, html: String(htmlBody), text: textBody };
 }
 
 /**
- * Send account deletion confirmation email
- * @param {string} to - Recipient email
+ * Render account deletion confirmation email
  * @param {string} name - User's name
+ * @param {string} locale - Email locale (en, de, es)
+ * @param {Date} deletedAt - When the account was soft-deleted
+ * @returns {{subject: string, html: string, text: string}}
  */
-export async function sendAccountDeletionEmail(to, name) {
-  const subject = 'Account Deletion Confirmation - Art Finance Hub';
-
-  const htmlBody = `
+export function renderAccountDeletionEmail(name, locale = DEFAULT_LOCALE, deletedAt = new Date()) {
+  const subject = t(locale, 'deletion.subject');
+  name = plainText(name);
+  const year = new Date().getFullYear();
+  const days = getRetentionDays('deletedUsers');
+  const date = formatDate(new Date(deletedAt.getTime() + days * DAY_MS), locale);
+
+  const htmlBody = html`
     <!DOCTYPE html>
-    <html>
+    <html lang="${locale}">
     <head>
       <style>
         body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
@@ -108,33 +125,32 @@ export async function sendAccountDeletionEmail(to, name) {
     <body>
       <div class="container">
         <div class="header">
-          <h1>Account Deletion Confirmation</h1>
+          <h1>${t(locale, 'deletion.title')}</h1>
         </div>
         <div class="content">
-          <p>Hi ${name},</p>
+          <p>${t(locale, 'common.greeting', { name })}</p>
 
-          <p>This email confirms that your Art Finance Hub account has been scheduled for deletion.</p>
+          <p>${t(locale, 'deletion.intro')}</p>
 
           <div class="warning">
-            <strong>⚠️ Important:</strong> Your account and all associated data will be permanently deleted after 90 days.
-            After this period, all your information will be completely removed from our systems and cannot be recovered.
+            <strong>${t(locale, 'deletion.warningLabel')}</strong> ${t(locale, 'deletion.warning', { days, date })}
           </div>
 
-          <p><strong>What happens now:</strong></p>
+          <p><strong>${t(locale, 'deletion.nextTitle')}</strong></p>
           <ul>
-            <li>Your account is now marked as deleted and inaccessible</li>
-            <li>Your data will be retained for 90 days for compliance purposes</li>
-            <li>After 90 days, all data will be permanently deleted</li>
+            <li>${t(locale, 'deletion.next1')}</li>
+            <li>${t(locale, 'deletion.next2', { days })}</li>
+            <li>${t(locale, 'deletion.next3', { days })}</li>
           </ul>
 
-          <p>If this deletion was made in error, please contact our support team immediately.</p>
+          <p>${t(locale, 'deletion.mistake', { date })}</p>
 
-          <p>Thank you for using Art Finance Hub. We're sorry to see you go!</p>
+          <p>${t(locale, 'deletion.goodbye')}</p>
 
-          <p>Best regards,<br>The Art Finance Hub Team</p>
+          <p>${t(locale, 'common.regards')}<br>${t(locale, 'common.team')}</p>
         </div>
         <div class="footer">
-          <p>© ${new Date().getFullYear()} Art Finance Hub. All rights reserved.</p>
+          <p>${t(locale, 'common.copyright', { year })}</p>
         </div>
       </div>
     </body>
@@ -142,44 +158,215 @@ export async function sendAccountDeletionEmail(to, name) {
   `;
 
   const textBody = `
-    Hi ${name},
+    ${t(locale, 'common.greeting', { name })}
 
-    This email confirms that your Art Finance Hub account has been scheduled for deletion.
+    ${t(locale, 'deletion.intro')}
 
-    ⚠️ IMPORTANT: Your account and all associated data will be permanently deleted after 90 days.
-    After this period, all your information will be completely removed from our systems and cannot be recovered.
+    ${t(locale, 'deletion.warningLabel')} ${t(locale, 'deletion.warning', { days, date })}
 
-    What happens now:
-    - Your account is now marked as deleted and inaccessible
-    - Your data will be retained for 90 days for compliance purposes
-    - After 90 days, all data will be permanently deleted
+    ${t(locale, 'deletion.nextTitle')}
+    - ${t(locale, 'deletion.next1')}
+    - ${t(locale, 'deletion.next2', { days })}
+    - ${t(locale, 'deletion.next3', { days })}
 
-    If this deletion was made in error, please contact our support team immediately.
+    ${t(locale, 'deletion.mistake', { date })}
 
-    Thank you for using Art Finance Hub. We're sorry to see you go!
+    ${t(locale, 'deletion.goodbye')}
 
-    Best regards,
-    The Art Finance Hub Team
+    ${t(locale, 'common.regards')}
+    ${t(locale, 'common.team')}
 
-    © ${new Date().getFullYear()} Art Finance Hub. All rights reserved.
+    ${t(locale, 'common.copyright', { year })}
   `;
 
-  return await sendEmail(to, subject, htmlBody, textBody);
+  return { subject, html: String(htmlBody), text: textBody };
 }
 
 /**
- * Send login notification email for security alerts
- * @param {string} to - Recipient email
+ * Render account restore confirmation email
  * @param {string} name - User's name
- * @param {string} deviceInfo - Device information
- * @param {string} ipAddress - IP address of login
+ * @param {string} locale - Email locale (en, de, es)
+ * @param {Date} restoredAt - When the account was restored
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function renderAccountRestoredEmail(name, locale = DEFAULT_LOCALE, restoredAt = new Date()) {
+  const subject = t(locale, 'restored.subject');
+  name = plainText(name);
+  const year = new Date().getFullYear();
+  const date = formatDate(restoredAt, locale);
+
+  const htmlBody = html`
+    <!DOCTYPE html>
+    <html lang="${locale}">
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #28a745; color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+        .security-notice { background: #d1ecf1; border-left: 4px solid #17a2b8; padding: 15px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #999; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${t(locale, 'restored.title')}</h1>
+        </div>
+        <div class="content">
+          <p>${t(locale, 'common.greeting', { name })}</p>
+
+          <p>${t(locale, 'restored.intro', { date })}</p>
+
+          <p>${t(locale, 'restored.data')}</p>
+
+          <div class="security-notice">
+            ${t(locale, 'restored.notYou')}
+          </div>
+
+          <p>${t(locale, 'common.regards')}<br>${t(locale, 'common.team')}</p>
+        </div>
+        <div class="footer">
+          <p>${t(locale, 'common.copyright', { year })}</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textBody = `
+    ${t(locale, 'common.greeting', { name })}
+
+    ${t(locale, 'restored.intro', { date })}
+
+    ${t(locale, 'restored.data')}
+
+    ${t(locale, 'restored.notYou')}
+
+    ${t(locale, 'common.regards')}
+    ${t(locale, 'common.team')}
+
+    ${t(locale, 'common.copyright', { year })}
+  `;
+
+  return { subject, html: String(htmlBody), text: textBody };
+}
+
+/**
+ * Render the email with the download link for a data export
+ * @param {string} name - User's name
+ * @param {string} downloadUrl - Time-limited download URL
+ * @param {string} locale - Email locale (en, de, es)
+ * @param {Date} expiresAt - When the download URL expires
+ * @returns {{subject: string, html: string, text: string}}
  */
-export async function sendLoginNotificationEmail(to, name, deviceInfo = 'Unknown device', ipAddress = 'Unknown IP') {
-  const subject = 'New Login to Your Art Finance Hub Account';
+export function renderDataExportEmail(name, downloadUrl, locale = DEFAULT_LOCALE, expiresAt = new Date()) {
+  const subject = t(locale, 'export.subject');
+  name = plainText(name);
+  downloadUrl = safeUrl(downloadUrl);
+  const year = new Date().getFullYear();
+  const time = formatDateTime(expiresAt, locale);
+
+  const htmlBody = html`
+    <!DOCTYPE html>
+    <html lang="${locale}">
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #2E9A85; color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+        .button { display: inline-block; padding: 14px 32px; background: #F5A54A; color: #1D2F2E; text-decoration: none; border-radius: 24px; font-weight: bold; }
+        .link { word-break: break-all; font-size: 12px; color: #666; }
+        .security-notice { background: #d1ecf1; border-left: 4px solid #17a2b8; padding: 15px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #999; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${t(locale, 'export.title')}</h1>
+        </div>
+        <div class="content">
+          <p>${t(locale, 'common.greeting', { name })}</p>
+
+          <p>${t(locale, 'export.intro')}</p>
+
+          <p>${t(locale, 'export.contents')}</p>
+
+          <p style="text-align: center;">
+            <a class="button" href="${downloadUrl}" target="_blank" rel="noopener noreferrer">${t(locale, 'export.button')}</a>
+          </p>
+
+          <p>${t(locale, 'common.copyLink')}</p>
+          <p class="link">${downloadUrl}</p>
+
+          <p><strong>${t(locale, 'common.important')}</strong> ${t(locale, 'export.expiry', { time })}</p>
+
+          <div class="security-notice">
+            ${t(locale, 'export.notYou')}
+          </div>
+
+          <p>${t(locale, 'common.regards')}<br>${t(locale, 'common.team')}</p>
+        </div>
+        <div class="footer">
+          <p>${t(locale, 'common.copyright', { year })}</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textBody = `
+    ${t(locale, 'common.greeting', { name })}
+
+    ${t(locale, 'export.intro')}
+
+    ${t(locale, 'export.contents')}
+
+    ${t(locale, 'export.ctaText')}
+    ${downloadUrl}
+
+    ${t(locale, 'common.important')} ${t(locale, 'export.expiry', { time })}
+
+    ${t(locale, 'export.notYou')}
+
+    ${t(locale, 'common.regards')}
+    ${t(locale, 'common.team')}
+
+    ${t(locale, 'common.copyright', { year })}
+  `;
+
+  return { subject, html: String(htmlBody), text: textBody };
+}
 
-  const htmlBody = `
+/**
+ * Render login notification email for security alerts
+ * @param {string} name - User's name
+ * @param {string|{browser: string, platform: string}|null} deviceInfo - Device name, or the parsed
+ *   User-Agent (user_agent.js), rendered as a localized "Chrome on macOS" label
+ * @param {string} ipAddress - IP address of login
+ * @param {string} locale - Email locale (en, de, es)
+ * @param {Date} loginAt - Time of the login
+ * @param {string|null} notYouUrl - "This wasn't me" link; without it the email points to the app settings
+ * @param {{city: string|null, country: string}|null} location - Approximate location of the IP (geoip.js)
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function renderLoginNotificationEmail(name, deviceInfo = null, ipAddress = 'Unknown IP', locale = DEFAULT_LOCALE, loginAt = new Date(), notYouUrl = null, location = null) {
+  const subject = t(locale, 'login.subject');
+  name = plainText(name);
+  deviceInfo = plainText(typeof deviceInfo === 'object' && deviceInfo !== null
+    ? formatDeviceLabel(deviceInfo, locale)
+    : deviceInfo || t(locale, 'device.unknown'));
+  ipAddress = plainText(ipAddress);
+  const place = plainText(formatLocation(location, locale));
+  notYouUrl = notYouUrl ? safeUrl(notYouUrl) : null;
+  const year = new Date().getFullYear();
+  const time = formatDateTime(loginAt, locale);
+
+  const htmlBody = html`
     <!DOCTYPE html>
-    <html>
+    <html lang="${locale}">
     <head>
       <style>
         body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
@@ -188,45 +375,144 @@ export async function sendLoginNotificationEmail(to, name, deviceInfo = 'Unknown
         .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
         .info-box { background: white; border: 1px solid #ddd; padding: 15px; margin: 20px 0; border-radius: 5px; }
         .security-notice { background: #d1ecf1; border-left: 4px solid #17a2b8; padding: 15px; margin: 20px 0; }
+        .button { display: inline-block; padding: 12px 30px; background: #dc3545; color: white; text-decoration: none; border-radius: 5px; font-weight: bold; }
+        .link { word-break: break-all; font-size: 12px; color: #666; }
         .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #999; }
       </style>
     </head>
     <body>
       <div class="container">
         <div class="header">
-          <h1>🔒 Security Alert</h1>
+          <h1>${t(locale, 'login.title')}</h1>
         </div>
         <div class="content">
-          <p>Hi ${name},</p>
+          <p>${t(locale, 'common.greeting', { name })}</p>
 
-          <p>We detected a new login to your Art Finance Hub account.</p>
+          <p>${t(locale, 'login.intro')}</p>
 
           <div class="info-box">
-            <p><strong>Login Details:</strong></p>
-            <p>📱 Device: ${deviceInfo}</p>
-            <p>🌐 IP Address: ${ipAddress}</p>
-            <p>🕒 Time: ${new Date().toLocaleString()}</p>
+            <p><strong>${t(locale, 'login.details')}</strong></p>
+            <p>📱 ${t(locale, 'login.device')}: ${deviceInfo}</p>
+            <p>🌐 ${t(locale, 'login.ip')}: ${ipAddress}</p>
+            <p>📍 ${t(locale, 'login.location')}: ${place}</p>
+            <p>🕒 ${t(locale, 'login.time')}: ${time}</p>
           </div>
 
           <div class="security-notice">
-            <strong>Was this you?</strong><br>
-            If you recognize this activity, no action is needed. Your account is secure.
+            <strong>${t(locale, 'login.wasYou')}</strong><br>
+            ${t(locale, 'login.noAction')}
           </div>
 
-          <p><strong>Didn't recognize this login?</strong></p>
-          <p>If this wasn't you, please take immediate action:</p>
-          <ul>
-            <li>Change your password immediately</li>
-            <li>Review your account activity</li>
-            <li>Contact our support team if you notice any suspicious activity</li>
-          </ul>
+          <p><strong>${t(locale, 'login.notYou')}</strong></p>
+          <p>${t(locale, 'login.actNow')}</p>
+          ${notYouUrl ? html`
+          <p style="text-align: center;">
+            <a class="button" href="${notYouUrl}" target="_blank" rel="noopener noreferrer">${t(locale, 'login.notYouButton')}</a>
+          </p>
+          <p>${t(locale, 'login.notYouLinkInfo')}</p>
+          <p>${t(locale, 'common.copyLink')}</p>
+          <p class="link">${notYouUrl}</p>
+          ` : html`<p>${t(locale, 'login.notYouNoLink')}</p>`}
+          <p>${t(locale, 'login.secureEmail')}</p>
+          <p>${t(locale, 'login.contactSupport')}</p>
+
+          <p>${t(locale, 'login.closing')}</p>
+
+          <p>${t(locale, 'common.regards')}<br>${t(locale, 'common.team')}</p>
+        </div>
+        <div class="footer">
+          <p>${t(locale, 'common.copyright', { year })}</p>
+          ${location ? html`<p><a href="https://db-ip.com">IP Geolocation by DB-IP</a></p>` : ''}
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textBody = `
+    ${t(locale, 'common.greeting', { name })}
+
+    ${t(locale, 'login.intro')}
+
+    ${t(locale, 'login.details')}
+    - ${t(locale, 'login.device')}: ${deviceInfo}
+    - ${t(locale, 'login.ip')}: ${ipAddress}
+    - ${t(locale, 'login.location')}: ${place}
+    - ${t(locale, 'login.time')}: ${time}
+
+    ${t(locale, 'login.wasYou')}
+    ${t(locale, 'login.noAction')}
+
+    ${t(locale, 'login.notYou')}
+    ${t(locale, 'login.actNow')}
+    ${notYouUrl ? `${t(locale, 'login.notYouCta')}
+    ${notYouUrl}
+    ${t(locale, 'login.notYouLinkInfo')}` : t(locale, 'login.notYouNoLink')}
+    ${t(locale, 'login.secureEmail')}
+    ${t(locale, 'login.contactSupport')}
+
+    ${t(locale, 'login.closing')}
+
+    ${t(locale, 'common.regards')}
+    ${t(locale, 'common.team')}
+
+    ${t(locale, 'common.copyright', { year })}${location ? `
+    IP Geolocation by DB-IP (https://db-ip.com)` : ''}
+  `;
+
+  return { subject, html: String(htmlBody), text: textBody };
+}
+
+/**
+ * Render the confirmation that every session of an account was revoked
+ * @param {string} name - User's name
+ * @param {string} locale - Email locale (en, de, es)
+ * @param {Date} revokedAt - Time of the revocation
+ * @param {'reported'|'requested'} reason - Reported login or "sign out everywhere"
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function renderSessionsRevokedEmail(name, locale = DEFAULT_LOCALE, revokedAt = new Date(), reason = 'requested') {
+  const subject = t(locale, 'revoked.subject');
+  name = plainText(name);
+  const year = new Date().getFullYear();
+  const time = formatDateTime(revokedAt, locale);
+  const reasonKey = reason === 'reported' ? 'revoked.reported' : 'revoked.requested';
+
+  const htmlBody = html`
+    <!DOCTYPE html>
+    <html lang="${locale}">
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #17a2b8; color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+        .security-notice { background: #d1ecf1; border-left: 4px solid #17a2b8; padding: 15px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #999; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${t(locale, 'revoked.title')}</h1>
+        </div>
+        <div class="content">
+          <p>${t(locale, 'common.greeting', { name })}</p>
+
+          <p>${t(locale, 'revoked.intro', { time })}</p>
+
+          <p>${t(locale, reasonKey)}</p>
 
-          <p>We take your security seriously and monitor all account activity to keep your data safe.</p>
+          <p>${t(locale, 'revoked.next')}</p>
 
-          <p>Best regards,<br>The Art Finance Hub Team</p>
+          <div class="security-notice">
+            ${t(locale, 'revoked.notYou')}
+          </div>
+
+          <p>${t(locale, 'common.regards')}<br>${t(locale, 'common.team')}</p>
         </div>
         <div class="footer">
-          <p>© ${new Date().getFullYear()} Art Finance Hub. All rights reserved.</p>
+          <p>${t(locale, 'common.copyright', { year })}</p>
         </div>
       </div>
     </body>
@@ -234,31 +520,58 @@ export async function sendLoginNotificationEmail(to, name, deviceInfo = 'Unknown
   `;
 
   const textBody = `
-    Hi ${name},
+    ${t(locale, 'common.greeting', { name })}
 
-    We detected a new login to your Art Finance Hub account.
+    ${t(locale, 'revoked.intro', { time })}
 
-    Login Details:
-    - Device: ${deviceInfo}
-    - IP Address: ${ipAddress}
-    - Time: ${new Date().toLocaleString()}
+    ${t(locale, reasonKey)}
 
-    Was this you?
-    If you recognize this activity, no action is needed. Your account is secure.
+    ${t(locale, 'revoked.next')}
 
-    Didn't recognize this login?
-    If this wasn't you, please take immediate action:
-    - Change your password immediately
-    - Review your account activity
-    - Contact our support team if you notice any suspicious activity
+    ${t(locale, 'revoked.notYou')}
 
-    We take your security seriously and monitor all account activity to keep your data safe.
+    ${t(locale, 'common.regards')}
+    ${t(locale, 'common.team')}
 
-    Best regards,
-    The Art Finance Hub Team
-
-    © ${new Date().getFullYear()} Art Finance Hub. All rights reserved.
+    ${t(locale, 'common.copyright', { year })}
   `;
 
-  return await sendEmail(to, subject, htmlBody, textBody);
+  return { subject, html: String(htmlBody), text: textBody };
+}
+
+/**
+ * Send welcome email to new user
+ * @param {string} to - Recipient email
+ * @param {string} name - User's name
+ * @param {string} locale - Email locale (en, de, es)
+ */
+export async function sendWelcomeEmail(to, name, locale) {
+  const { subject, html, text } = renderWelcomeEmail(name, locale);
+  return await sendEmail(to, subject, html, text);
+}
+
+/**
+ * Send account deletion confirmation email
+ * @param {string} to - Recipient email
+ * @param {string} name - User's name
+ * @param {string} locale - Email locale (en, de, es)
+ */
+export async function sendAccountDeletionEmail(to, name, locale) {
+  const { subject, html, text } = renderAccountDeletionEmail(name, locale);
+  return await sendEmail(to, subject, html, text);
+}
+
+/**
+ * Send login notification email for security alerts
+ * @param {string} to - Recipient email
+ * @param {string} name - User's name
+ * @param {string|{browser: string, platform: string}} deviceInfo - Device name or parsed User-Agent
+ * @param {string} ipAddress - IP address of login
+ * @param {string} locale - Email locale (en, de, es)
+ * @param {string|null} notYouUrl - "This wasn't me" link
+ * @param {{city: string|null, country: string}|null} location - Approximate location of the IP
+ */
+export async function sendLoginNotificationEmail(to, name, deviceInfo, ipAddress, locale, notYouUrl = null, location = null) {
+  const { subject, html, text } = renderLoginNotificationEmail(name, deviceInfo, ipAddress, locale, new Date(), notYouUrl, location);
+  return await sendEmail(to, subject, html, text);
 }
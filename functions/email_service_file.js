@@ -0,0 +1,56 @@
+/**
+ * File Outbox Email Service
+ *
+ * Transport driver used when EMAIL_TRANSPORT=file. Instead of delivering
+ * messages, each one is written to EMAIL_OUTBOX_DIR as a raw `.eml` file plus
+ * a `.json` file with the same content, so the whole registration flow can be
+ * run offline and inspected (or opened in any mail client).
+ */
+import nodemailer from 'nodemailer';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Builds the RFC 822 message without sending it anywhere
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+/**
+ * Resolve the outbox directory
+ * @returns {string}
+ */
+export function getOutboxDir() {
+  return process.env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'art-finance-hub-outbox');
+}
+
+/**
+ * Write an email to the local outbox directory
+ * @param {{to: string, from: {email: string, name: string}, subject: string, html: string, text: string}} message
+ * @returns {Promise<{success: boolean, messageId: string, path: string}>}
+ */
+export async function sendWithFileOutbox(message) {
+  const outboxDir = getOutboxDir();
+  const createdAt = new Date();
+  const messageId = `${createdAt.getTime()}-${crypto.randomBytes(6).toString('hex')}`;
+
+  const { message: raw } = await composer.sendMail({
+    to: message.to,
+    from: { address: message.from.email, name: message.from.name },
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+  });
+
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const emlPath = path.join(outboxDir, `${messageId}.eml`);
+  await fs.writeFile(emlPath, raw);
+  await fs.writeFile(
+    path.join(outboxDir, `${messageId}.json`),
+    JSON.stringify({ messageId, createdAt: createdAt.toISOString(), ...message }, null, 2)
+  );
+
+  console.log(`Email written to outbox: ${emlPath}`);
+
+  return { success: true, messageId, path: emlPath };
+}
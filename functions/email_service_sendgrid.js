@@ -1,32 +1,42 @@
 /**
  * SendGrid Email Service
+ *
+ * Transport driver used when EMAIL_TRANSPORT=sendgrid (the default).
  */
 import sgMail from '@sendgrid/mail';
 
-const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
-const SENDER_EMAIL = process.env.SENDER_EMAIL || 'noreply@artist-finance-manager.local';
-const SENDER_NAME = process.env.SENDER_NAME || 'Art Finance Hub';
+let configured = false;
 
-if (!SENDGRID_API_KEY) {
-  console.warn('SENDGRID_API_KEY is not set. Emails will fail.');
+/**
+ * Set the API key on first use so other transports don't require it
+ */
+function configure() {
+  if (configured) {
+    return;
+  }
+
+  const apiKey = process.env.SENDGRID_API_KEY;
+  if (!apiKey) {
+    console.warn('SENDGRID_API_KEY is not set. Emails will fail.');
+  }
+  sgMail.setApiKey(apiKey || '');
+  configured = true;
 }
-sgMail.setApiKey(SENDGRID_API_KEY || '');
 
 /**
  * Send an email via SendGrid
- * @param {string} to
- * @param {string} subject
- * @param {string} htmlBody
- * @param {string} textBody
+ * @param {{to: string, from: {email: string, name: string}, subject: string, html: string, text: string}} message
  * @returns {Promise<{success: boolean, messageId?: string}>}
  */
-export async function sendEmail(to, subject, htmlBody, textBody) {
+export async function sendWithSendGrid(message) {
+  configure();
+
   const msg = {
-    to,
-    from: { email: SENDER_EMAIL, name: SENDER_NAME },
-    subject,
-    text: textBody,
-    html: htmlBody,
+    to: message.to,
+    from: message.from,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
   };
   try {
     const [resp] = await sgMail.send(msg);
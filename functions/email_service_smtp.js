@@ -0,0 +1,57 @@
+/**
+ * SMTP Email Service
+ *
+ * Transport driver used when EMAIL_TRANSPORT=smtp. Works with any SMTP relay,
+ * including the Mailpit server in smtp-server/.
+ *
+ * Configuration:
+ * - SMTP_HOST (default: localhost)
+ * - SMTP_PORT (default: 1025)
+ * - SMTP_SECURE ('true' for implicit TLS, default: false)
+ * - SMTP_USER / SMTP_PASS (optional)
+ */
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+/**
+ * Lazily create the nodemailer transporter from environment variables
+ */
+function getTransporter() {
+  if (transporter) {
+    return transporter;
+  }
+
+  const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } = process.env;
+
+  transporter = nodemailer.createTransport({
+    host: SMTP_HOST || 'localhost',
+    port: Number(SMTP_PORT) || 1025,
+    secure: SMTP_SECURE === 'true',
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS || '' } : undefined,
+  });
+
+  return transporter;
+}
+
+/**
+ * Send an email via SMTP
+ * @param {{to: string, from: {email: string, name: string}, subject: string, html: string, text: string}} message
+ * @returns {Promise<{success: boolean, messageId?: string}>}
+ */
+export async function sendWithSmtp(message) {
+  try {
+    const info = await getTransporter().sendMail({
+      to: message.to,
+      from: { address: message.from.email, name: message.from.name },
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+    });
+    console.log('Email sent via SMTP:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('SMTP error:', error.message || error);
+    throw error;
+  }
+}
@@ -2,25 +2,37 @@
  * Email Templates
  *
  * HTML and text templates for various email types
+ *
+ * All HTML is built with the escaping `html` tag from html_template.js and
+ * links are validated with safeUrl, so user input can't inject markup.
  */
 
+import { t, DEFAULT_LOCALE, formatDeviceLabel, formatLocation } from './email_i18n.js';
+import { html, safeUrl, plainText } from './html_template.js';
+
 /**
  * Generate registration verification email
  *
  * @param {string} name - User's display name
  * @param {string} verificationUrl - URL to verify registration (with token)
- * @returns {{html: string, text: string}}
+ * @param {string} locale - Email locale (en, de, es)
+ * @returns {{subject: string, html: string, text: string}}
+ * @throws {Error} INVALID_URL if verificationUrl is not an http(s) URL
  */
-export function generateRegistrationEmail(name, verificationUrl) {
-  const html = `
+export function generateRegistrationEmail(name, verificationUrl, locale = DEFAULT_LOCALE) {
+  const subject = t(locale, 'registration.subject');
+  name = plainText(name);
+  verificationUrl = safeUrl(verificationUrl);
+
+  const htmlBody = html`
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${locale}">
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <meta http-equiv="X-UA-Compatible" content="IE=edge">
   <meta name="x-apple-disable-message-reformatting">
-  <title>Complete Your Registration - Art Finance Hub</title>
+  <title>${subject}</title>
 </head>
 <body style="margin: 0; padding: 0; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #FCFBF9;">
   <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #FCFBF9; padding: 40px 20px;">
@@ -31,7 +43,7 @@ export function generateRegistrationEmail(name, verificationUrl) {
           <tr>
             <td style="background: linear-gradient(135deg, #2E9A85 0%, #3FC0A8 100%); padding: 40px 20px; text-align: center;">
               <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
-                Welcome to Art Finance Hub
+                ${t(locale, 'registration.title')}
               </h1>
             </td>
           </tr>
@@ -40,15 +52,15 @@ export function generateRegistrationEmail(name, verificationUrl) {
           <tr>
             <td style="padding: 40px 30px;">
               <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">
-                Hi ${name},
+                ${t(locale, 'common.greeting', { name })}
               </p>
 
               <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">
-                Thanks for creating an account with Art Finance Hub! We're excited to help you manage your finances.
+                ${t(locale, 'registration.intro')}
               </p>
 
               <p style="font-size: 16px; color: #333333; margin: 0 0 30px 0;">
-                Click the button below to complete your registration and access your account:
+                ${t(locale, 'registration.cta')}
               </p>
 
               <table width="100%" cellpadding="0" cellspacing="0" role="presentation">
@@ -57,12 +69,12 @@ export function generateRegistrationEmail(name, verificationUrl) {
                     <!--[if mso]>
                     <v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" href="${verificationUrl}" style="height:48px;v-text-anchor:middle;width:280px;" arcsize="50%" strokecolor="#F5A54A" fillcolor="#F5A54A">
                     <w:anchorlock/>
-                    <center style="color:#1D2F2E;font-family:'Outfit','Segoe UI',sans-serif;font-size:16px;font-weight:bold;">Complete Registration</center>
+                    <center style="color:#1D2F2E;font-family:'Outfit','Segoe UI',sans-serif;font-size:16px;font-weight:bold;">${t(locale, 'registration.button')}</center>
                     </v:roundrect>
                     <![endif]-->
                     <!--[if !mso]><!-->
                     <a href="${verificationUrl}" target="_blank" rel="noopener noreferrer" style="display: inline-block; padding: 16px 40px; background-color: #F5A54A; color: #1D2F2E; text-decoration: none; border-radius: 24px; font-size: 16px; font-weight: bold; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; mso-hide: all;">
-                      Complete Registration
+                      ${t(locale, 'registration.button')}
                     </a>
                     <!--<![endif]-->
                   </td>
@@ -70,7 +82,7 @@ export function generateRegistrationEmail(name, verificationUrl) {
               </table>
 
               <p style="font-size: 14px; color: #666666; margin: 0 0 20px 0;">
-                Or copy and paste this link into your browser:
+                ${t(locale, 'common.copyLink')}
               </p>
 
               <p style="font-size: 14px; margin: 0 0 30px 0; word-break: break-all;">
@@ -79,12 +91,12 @@ export function generateRegistrationEmail(name, verificationUrl) {
 
               <div style="background-color: #E8F7F4; border-left: 4px solid #2E9A85; padding: 16px; margin: 0 0 20px 0; border-radius: 4px;">
                 <p style="font-size: 14px; color: #1D2F2E; margin: 0; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
-                  <strong>Important:</strong> This link will expire in 24 hours for security reasons. You can complete your registration on any device (phone, tablet, or computer).
+                  <strong>${t(locale, 'common.important')}</strong> ${t(locale, 'registration.expiry')}
                 </p>
               </div>
 
               <p style="font-size: 14px; color: #666666; margin: 0;">
-                If you didn't create this account, you can safely ignore this email.
+                ${t(locale, 'registration.ignore')}
               </p>
             </td>
           </tr>
@@ -96,7 +108,7 @@ export function generateRegistrationEmail(name, verificationUrl) {
                 Art Finance Hub
               </p>
               <p style="font-size: 12px; color: #999999; margin: 0;">
-                This is an automated message, please do not reply to this email.
+                ${t(locale, 'common.automated')}
               </p>
             </td>
           </tr>
@@ -108,25 +120,25 @@ export function generateRegistrationEmail(name, verificationUrl) {
 </html>`;
 
   const text = `
-Welcome to Art Finance Hub!
+${t(locale, 'registration.title')}
 
-Hi ${name},
+${t(locale, 'common.greeting', { name })}
 
-Thanks for creating an account with Art Finance Hub! We're excited to help you manage your finances.
+${t(locale, 'registration.intro')}
 
-Complete your registration by visiting this link:
+${t(locale, 'registration.ctaText')}
 ${verificationUrl}
 
-Important: This link will expire in 24 hours for security reasons. You can complete your registration on any device (phone, tablet, or computer).
+${t(locale, 'common.important')} ${t(locale, 'registration.expiry')}
 
-If you didn't create this account, you can safely ignore this email.
+${t(locale, 'registration.ignore')}
 
 ---
 Art Finance Hub
-This is an automated message, please do not reply to this email.
+${t(locale, 'common.automated')}
 `;
 
-  return { html, text };
+  return { subject, html: String(htmlBody), text };
 }
 
 /**
@@ -134,18 +146,24 @@ This is an automated message, please do not reply to this email.
  *
  * @param {string} name - User's display name
  * @param {string} signInUrl - URL to sign in (with token)
- * @returns {{html: string, text: string}}
+ * @param {string} locale - Email locale (en, de, es)
+ * @returns {{subject: string, html: string, text: string}}
+ * @throws {Error} INVALID_URL if signInUrl is not an http(s) URL
  */
-export function generateSignInEmail(name, signInUrl) {
-  const html = `
+export function generateSignInEmail(name, signInUrl, locale = DEFAULT_LOCALE) {
+  const subject = t(locale, 'signIn.subject');
+  name = plainText(name);
+  signInUrl = safeUrl(signInUrl);
+
+  const htmlBody = html`
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${locale}">
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <meta http-equiv="X-UA-Compatible" content="IE=edge">
   <meta name="x-apple-disable-message-reformatting">
-  <title>Sign In to Art Finance Hub</title>
+  <title>${t(locale, 'signIn.title')}</title>
 </head>
 <body style="margin: 0; padding: 0; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #FCFBF9;">
   <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #FCFBF9; padding: 40px 20px;">
@@ -156,7 +174,7 @@ export function generateSignInEmail(name, signInUrl) {
           <tr>
             <td style="background: linear-gradient(135deg, #2E9A85 0%, #3FC0A8 100%); padding: 40px 20px; text-align: center;">
               <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
-                Sign In to Art Finance Hub
+                ${t(locale, 'signIn.title')}
               </h1>
             </td>
           </tr>
@@ -165,11 +183,11 @@ export function generateSignInEmail(name, signInUrl) {
           <tr>
             <td style="padding: 40px 30px;">
               <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">
-                Hi ${name},
+                ${t(locale, 'common.greeting', { name })}
               </p>
 
               <p style="font-size: 16px; color: #333333; margin: 0 0 30px 0;">
-                Click the button below to sign in to your Art Finance Hub account:
+                ${t(locale, 'signIn.cta')}
               </p>
 
               <table width="100%" cellpadding="0" cellspacing="0" role="presentation">
@@ -178,12 +196,12 @@ export function generateSignInEmail(name, signInUrl) {
                     <!--[if mso]>
                     <v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" href="${signInUrl}" style="height:48px;v-text-anchor:middle;width:200px;" arcsize="50%" strokecolor="#F5A54A" fillcolor="#F5A54A">
                     <w:anchorlock/>
-                    <center style="color:#1D2F2E;font-family:'Outfit','Segoe UI',sans-serif;font-size:16px;font-weight:bold;">Sign In</center>
+                    <center style="color:#1D2F2E;font-family:'Outfit','Segoe UI',sans-serif;font-size:16px;font-weight:bold;">${t(locale, 'signIn.button')}</center>
                     </v:roundrect>
                     <![endif]-->
                     <!--[if !mso]><!-->
                     <a href="${signInUrl}" target="_blank" rel="noopener noreferrer" style="display: inline-block; padding: 16px 40px; background-color: #F5A54A; color: #1D2F2E; text-decoration: none; border-radius: 24px; font-size: 16px; font-weight: bold; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; mso-hide: all;">
-                      Sign In
+                      ${t(locale, 'signIn.button')}
                     </a>
                     <!--<![endif]-->
                   </td>
@@ -191,7 +209,7 @@ export function generateSignInEmail(name, signInUrl) {
               </table>
 
               <p style="font-size: 14px; color: #666666; margin: 0 0 20px 0;">
-                Or copy and paste this link into your browser:
+                ${t(locale, 'common.copyLink')}
               </p>
 
               <p style="font-size: 14px; margin: 0 0 30px 0; word-break: break-all;">
@@ -200,12 +218,12 @@ export function generateSignInEmail(name, signInUrl) {
 
               <div style="background-color: #E8F7F4; border-left: 4px solid #2E9A85; padding: 16px; margin: 0 0 20px 0; border-radius: 4px;">
                 <p style="font-size: 14px; color: #1D2F2E; margin: 0; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
-                  <strong>Important:</strong> This link will expire in 24 hours for security reasons. You can sign in from any device (phone, tablet, or computer).
+                  <strong>${t(locale, 'common.important')}</strong> ${t(locale, 'signIn.expiry')}
                 </p>
               </div>
 
               <p style="font-size: 14px; color: #666666; margin: 0;">
-                If you didn't request this sign-in link, you can safely ignore this email.
+                ${t(locale, 'signIn.ignore')}
               </p>
             </td>
           </tr>
@@ -217,7 +235,7 @@ export function generateSignInEmail(name, signInUrl) {
                 Art Finance Hub
               </p>
               <p style="font-size: 12px; color: #999999; margin: 0;">
-                This is an automated message, please do not reply to this email.
+                ${t(locale, 'common.automated')}
               </p>
             </td>
           </tr>
@@ -229,21 +247,265 @@ export function generateSignInEmail(name, signInUrl) {
 </html>`;
 
   const text = `
-Sign In to Your Account
+${t(locale, 'signIn.textTitle')}
 
-Hi ${name},
+${t(locale, 'common.greeting', { name })}
 
-Click the link below to sign in to your Art Finance Hub account:
+${t(locale, 'signIn.ctaText')}
 ${signInUrl}
 
-Important: This link will expire in 24 hours for security reasons. You can sign in from any device (phone, tablet, or computer).
+${t(locale, 'common.important')} ${t(locale, 'signIn.expiry')}
+
+${t(locale, 'signIn.ignore')}
+
+---
+Art Finance Hub
+${t(locale, 'common.automated')}
+`;
+
+  return { subject, html: String(htmlBody), text };
+}
+
+/**
+ * Generate account restore email (for soft-deleted users)
+ *
+ * @param {string} name - User's display name
+ * @param {string} restoreUrl - URL to restore the account (with token)
+ * @param {string} locale - Email locale (en, de, es)
+ * @returns {{subject: string, html: string, text: string}}
+ * @throws {Error} INVALID_URL if restoreUrl is not an http(s) URL
+ */
+export function generateAccountRestoreEmail(name, restoreUrl, locale = DEFAULT_LOCALE) {
+  const subject = t(locale, 'restore.subject');
+  name = plainText(name);
+  restoreUrl = safeUrl(restoreUrl);
+
+  const htmlBody = html`
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="X-UA-Compatible" content="IE=edge">
+  <meta name="x-apple-disable-message-reformatting">
+  <title>${t(locale, 'restore.title')}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #FCFBF9;">
+  <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #FCFBF9; padding: 40px 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 2px 8px rgba(29,47,46,0.08); min-width: 600px;">
+          <!-- Header -->
+          <tr>
+            <td style="background: linear-gradient(135deg, #2E9A85 0%, #3FC0A8 100%); padding: 40px 20px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
+                ${t(locale, 'restore.title')}
+              </h1>
+            </td>
+          </tr>
+
+          <!-- Body -->
+          <tr>
+            <td style="padding: 40px 30px;">
+              <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">
+                ${t(locale, 'common.greeting', { name })}
+              </p>
+
+              <p style="font-size: 16px; color: #333333; margin: 0 0 30px 0;">
+                ${t(locale, 'restore.cta')}
+              </p>
+
+              <table width="100%" cellpadding="0" cellspacing="0" role="presentation">
+                <tr>
+                  <td align="center" style="padding: 0 0 30px 0;">
+                    <!--[if mso]>
+                    <v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" href="${restoreUrl}" style="height:48px;v-text-anchor:middle;width:200px;" arcsize="50%" strokecolor="#F5A54A" fillcolor="#F5A54A">
+                    <w:anchorlock/>
+                    <center style="color:#1D2F2E;font-family:'Outfit','Segoe UI',sans-serif;font-size:16px;font-weight:bold;">${t(locale, 'restore.button')}</center>
+                    </v:roundrect>
+                    <![endif]-->
+                    <!--[if !mso]><!-->
+                    <a href="${restoreUrl}" target="_blank" rel="noopener noreferrer" style="display: inline-block; padding: 16px 40px; background-color: #F5A54A; color: #1D2F2E; text-decoration: none; border-radius: 24px; font-size: 16px; font-weight: bold; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; mso-hide: all;">
+                      ${t(locale, 'restore.button')}
+                    </a>
+                    <!--<![endif]-->
+                  </td>
+                </tr>
+              </table>
+
+              <p style="font-size: 14px; color: #666666; margin: 0 0 20px 0;">
+                ${t(locale, 'common.copyLink')}
+              </p>
+
+              <p style="font-size: 14px; margin: 0 0 30px 0; word-break: break-all;">
+                <a href="${restoreUrl}" target="_blank" rel="noopener noreferrer" style="color: #2E9A85; text-decoration: underline; font-family: 'Courier New', Courier, monospace;">${restoreUrl}</a>
+              </p>
+
+              <div style="background-color: #E8F7F4; border-left: 4px solid #2E9A85; padding: 16px; margin: 0 0 20px 0; border-radius: 4px;">
+                <p style="font-size: 14px; color: #1D2F2E; margin: 0; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
+                  <strong>${t(locale, 'common.important')}</strong> ${t(locale, 'restore.expiry')}
+                </p>
+              </div>
+
+              <p style="font-size: 14px; color: #666666; margin: 0;">
+                ${t(locale, 'restore.ignore')}
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="background-color: #f8f9fa; padding: 30px; text-align: center; border-top: 1px solid #e9ecef;">
+              <p style="font-size: 14px; color: #666666; margin: 0 0 10px 0;">
+                Art Finance Hub
+              </p>
+              <p style="font-size: 12px; color: #999999; margin: 0;">
+                ${t(locale, 'common.automated')}
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+  const text = `
+${t(locale, 'restore.title')}
+
+${t(locale, 'common.greeting', { name })}
+
+${t(locale, 'restore.ctaText')}
+${restoreUrl}
+
+${t(locale, 'common.important')} ${t(locale, 'restore.expiry')}
+
+${t(locale, 'restore.ignore')}
+
+---
+Art Finance Hub
+${t(locale, 'common.automated')}
+`;
+
+  return { subject, html: String(htmlBody), text };
+}
+
+/**
+ * Generate step-up confirmation code email (high-risk link clicks)
+ *
+ * @param {string} name - User's display name
+ * @param {string} code - Six-digit confirmation code
+ * @param {{browser: string, platform: string}} device - Device that opened the link
+ * @param {{country: string, city: string|null}|null} location - From lookupIpLocation (geoip.js)
+ * @param {string} locale - Email locale (en, de, es)
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function generateStepUpCodeEmail(name, code, device, location, locale = DEFAULT_LOCALE) {
+  const subject = t(locale, 'stepUp.subject');
+  name = plainText(name);
+  code = plainText(code);
+  const deviceLabel = plainText(formatDeviceLabel(device, locale));
+  const place = plainText(formatLocation(location, locale));
+
+  const htmlBody = html`
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="X-UA-Compatible" content="IE=edge">
+  <meta name="x-apple-disable-message-reformatting">
+  <title>${t(locale, 'stepUp.title')}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #FCFBF9;">
+  <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #FCFBF9; padding: 40px 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 2px 8px rgba(29,47,46,0.08); min-width: 600px;">
+          <!-- Header -->
+          <tr>
+            <td style="background: linear-gradient(135deg, #2E9A85 0%, #3FC0A8 100%); padding: 40px 20px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
+                ${t(locale, 'stepUp.title')}
+              </h1>
+            </td>
+          </tr>
+
+          <!-- Body -->
+          <tr>
+            <td style="padding: 40px 30px;">
+              <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">
+                ${t(locale, 'common.greeting', { name })}
+              </p>
+
+              <p style="font-size: 16px; color: #333333; margin: 0 0 10px 0;">
+                ${t(locale, 'stepUp.intro')}
+              </p>
+
+              <p style="font-size: 14px; color: #333333; margin: 0 0 30px 0;">
+                ${t(locale, 'login.device')}: ${deviceLabel}<br>
+                ${t(locale, 'login.location')}: ${place}
+              </p>
+
+              <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">
+                ${t(locale, 'stepUp.cta')}
+              </p>
+
+              <p style="font-size: 32px; font-weight: bold; letter-spacing: 8px; text-align: center; color: #1D2F2E; margin: 0 0 30px 0; font-family: 'Courier New', Courier, monospace;">
+                ${code}
+              </p>
+
+              <div style="background-color: #E8F7F4; border-left: 4px solid #2E9A85; padding: 16px; margin: 0 0 20px 0; border-radius: 4px;">
+                <p style="font-size: 14px; color: #1D2F2E; margin: 0; font-family: 'Outfit', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
+                  <strong>${t(locale, 'common.important')}</strong> ${t(locale, 'stepUp.expiry')}
+                </p>
+              </div>
+
+              <p style="font-size: 14px; color: #666666; margin: 0;">
+                ${t(locale, 'stepUp.notYou')}
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="background-color: #f8f9fa; padding: 30px; text-align: center; border-top: 1px solid #e9ecef;">
+              <p style="font-size: 14px; color: #666666; margin: 0 0 10px 0;">
+                Art Finance Hub
+              </p>
+              <p style="font-size: 12px; color: #999999; margin: 0;">
+                ${t(locale, 'common.automated')}
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+  const text = `
+${t(locale, 'stepUp.title')}
+
+${t(locale, 'common.greeting', { name })}
+
+${t(locale, 'stepUp.intro')}
+${t(locale, 'login.device')}: ${deviceLabel}
+${t(locale, 'login.location')}: ${place}
+
+${t(locale, 'stepUp.cta')}
+${code}
+
+${t(locale, 'common.important')} ${t(locale, 'stepUp.expiry')}
 
-If you didn't request this sign-in link, you can safely ignore this email.
+${t(locale, 'stepUp.notYou')}
 
 ---
 Art Finance Hub
-This is an automated message, please do not reply to this email.
+${t(locale, 'common.automated')}
 `;
 
-  return { html, text };
+  return { subject, html: String(htmlBody), text };
 }
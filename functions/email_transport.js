@@ -0,0 +1,63 @@
+/**
+ * Email Transport
+ *
+ * Single entry point for sending email. The driver is selected with the
+ * EMAIL_TRANSPORT environment variable:
+ * - sendgrid (default): SendGrid API, see email_service_sendgrid.js
+ * - smtp: any SMTP relay via nodemailer, see email_service_smtp.js
+ * - file: writes messages to a local outbox directory, see email_service_file.js
+ */
+import { sendWithSendGrid } from './email_service_sendgrid.js';
+import { sendWithSmtp } from './email_service_smtp.js';
+import { sendWithFileOutbox } from './email_service_file.js';
+
+const TRANSPORTS = {
+  sendgrid: sendWithSendGrid,
+  smtp: sendWithSmtp,
+  file: sendWithFileOutbox,
+};
+
+/**
+ * Name of the configured transport driver
+ * @returns {string}
+ */
+export function getTransportName() {
+  return (process.env.EMAIL_TRANSPORT || 'sendgrid').trim().toLowerCase();
+}
+
+/**
+ * Sender address shared by every transport
+ * @returns {{email: string, name: string}}
+ */
+export function getSender() {
+  return {
+    email: process.env.SENDER_EMAIL || 'noreply@artist-finance-manager.local',
+    name: process.env.SENDER_NAME || 'Art Finance Hub',
+  };
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {string} to
+ * @param {string} subject
+ * @param {string} htmlBody
+ * @param {string} textBody
+ * @returns {Promise<{success: boolean, messageId?: string}>}
+ * @throws {Error} if EMAIL_TRANSPORT names an unknown driver
+ */
+export async function sendEmail(to, subject, htmlBody, textBody) {
+  const name = getTransportName();
+  const send = TRANSPORTS[name];
+
+  if (!send) {
+    throw new Error(`UNKNOWN_TRANSPORT: Unsupported EMAIL_TRANSPORT "${name}"`);
+  }
+
+  return await send({
+    to,
+    from: getSender(),
+    subject,
+    html: htmlBody,
+    text: textBody,
+  });
+}
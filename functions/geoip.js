@@ -0,0 +1,231 @@
+/**
+ * Offline GeoIP Lookup
+ *
+ * Approximate city and country of an IP address from an index file shipped
+ * with the functions; there are no network lookups. The index is built from
+ * the free DB-IP "IP to City Lite" CSV (https://db-ip.com/db/lite.php,
+ * CC BY 4.0) by scripts/update_geoip.sh before deploying (geoip_index.js).
+ *
+ * The index is a sorted binary table that is read into memory as is, without
+ * parsing rows: preloadGeoIpDatabase() starts reading it when the instance
+ * starts, and a lookup waits at most LOOKUP_TIMEOUT_MS for it. IPv6 ranges
+ * are compared by their first 64 bits, which is the finest granularity the
+ * database uses. Without an index, while it is still loading, or for
+ * addresses it does not list, a lookup returns null ("unknown location").
+ *
+ * Index layout (little-endian, 8-byte aligned), n IPv4 and m IPv6 ranges:
+ *
+ *   magic "DBIPIDX1" | u32 n | u32 m | u32 locations bytes | u32 0
+ *   u64 v6 starts[m] | u64 v6 ends[m]
+ *   u32 v4 starts[n] | u32 v4 ends[n] | u32 v4 locations[n] | u32 v6 locations[m]
+ *   locations: UTF-8 JSON [[country, city|null], ...]
+ *
+ * Configuration:
+ * - GEOIP_DB_PATH: path of the index (default: geoip/dbip-city-lite.idx)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DB_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'geoip', 'dbip-city-lite.idx');
+
+export const GEOIP_INDEX_MAGIC = 'DBIPIDX1';
+export const GEOIP_INDEX_HEADER_BYTES = 24;
+
+// A login alert or risk score without a location beats a slow response
+export const LOOKUP_TIMEOUT_MS = 200;
+
+let database = null;
+
+/**
+ * Path of the index file
+ *
+ * @returns {string}
+ */
+export function getGeoIpDatabasePath() {
+  return process.env.GEOIP_DB_PATH || DEFAULT_DB_PATH;
+}
+
+/**
+ * IPv4 address as an unsigned 32-bit number
+ *
+ * @param {string} ip
+ * @returns {number|null} null if the address is not IPv4
+ */
+export function ipv4ToNumber(ip) {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * First 64 bits of an IPv6 address
+ *
+ * @param {string} ip
+ * @returns {bigint|null} null if the address is not IPv6
+ */
+export function ipv6ToPrefix(ip) {
+  const value = String(ip).toLowerCase();
+  if (!value.includes(':') || !/^[0-9a-f:.]+$/.test(value)) {
+    return null;
+  }
+
+  const halves = value.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if ((halves.length === 1 && missing !== 0) || missing < 0) {
+    return null;
+  }
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (!groups.slice(0, 4).every((group) => /^[0-9a-f]{1,4}$/.test(group))) {
+    return null;
+  }
+
+  return groups.slice(0, 4).reduce((prefix, group) => (prefix << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Views of the range tables in an index file
+ *
+ * @param {Buffer} buffer - Contents of the index
+ * @returns {{locations: Array<object>, v4: object, v6: object}}
+ * @throws {Error} INVALID_GEOIP_INDEX if the buffer is not a complete index
+ */
+export function parseGeoIpIndex(buffer) {
+  if (buffer.length < GEOIP_INDEX_HEADER_BYTES || buffer.toString('latin1', 0, 8) !== GEOIP_INDEX_MAGIC) {
+    throw new Error('INVALID_GEOIP_INDEX: Not a GeoIP index file');
+  }
+
+  const v4Count = buffer.readUInt32LE(8);
+  const v6Count = buffer.readUInt32LE(12);
+  const locationsBytes = buffer.readUInt32LE(16);
+  const tablesBytes = v6Count * 16 + v4Count * 12 + v6Count * 4;
+  if (buffer.length !== GEOIP_INDEX_HEADER_BYTES + tablesBytes + locationsBytes) {
+    throw new Error('INVALID_GEOIP_INDEX: Truncated GeoIP index file');
+  }
+
+  // Typed array views need an aligned offset; small reads come from a shared pool
+  const bytes = buffer.byteOffset % 8 === 0 ? buffer : new Uint8Array(buffer);
+  let offset = bytes.byteOffset + GEOIP_INDEX_HEADER_BYTES;
+  const take = (Type, count) => {
+    const view = new Type(bytes.buffer, offset, count);
+    offset += view.byteLength;
+    return view;
+  };
+
+  const v6Starts = take(BigUint64Array, v6Count);
+  const v6Ends = take(BigUint64Array, v6Count);
+  const v4 = { starts: take(Uint32Array, v4Count), ends: take(Uint32Array, v4Count), locations: take(Uint32Array, v4Count) };
+  const v6 = { starts: v6Starts, ends: v6Ends, locations: take(Uint32Array, v6Count) };
+  const locations = JSON.parse(Buffer.from(bytes.buffer, offset, locationsBytes).toString('utf8'))
+    .map(([country, city]) => ({ country, city }));
+
+  return { locations, v4, v6 };
+}
+
+async function loadDatabase(filePath) {
+  const index = parseGeoIpIndex(await fs.promises.readFile(filePath));
+  console.log(`GeoIP index ${filePath} loaded (${index.v4.starts.length} IPv4 and ${index.v6.starts.length} IPv6 ranges)`);
+  return index;
+}
+
+/**
+ * Load the index once per instance
+ *
+ * @returns {Promise<object|null>} null if there is no usable index
+ */
+function getDatabase() {
+  const filePath = getGeoIpDatabasePath();
+
+  if (!database || database.path !== filePath) {
+    database = {
+      path: filePath,
+      loaded: loadDatabase(filePath).catch((error) => {
+        console.warn(`GeoIP index ${filePath} not loaded, locations are unavailable:`, error.message);
+        return null;
+      }),
+    };
+  }
+
+  return database.loaded;
+}
+
+/**
+ * Start loading the index, so that requests do not wait for it
+ * Called when the functions are loaded (index.js)
+ */
+export function preloadGeoIpDatabase() {
+  getDatabase();
+}
+
+/**
+ * The index, or null if it is not available within timeoutMs
+ */
+function getDatabaseWithin(timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      console.warn(`GeoIP index not ready after ${timeoutMs} ms, location unknown`);
+      resolve(null);
+    }, timeoutMs);
+  });
+
+  return Promise.race([getDatabase(), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Index of the range containing `value`, or -1
+ */
+function findRange({ starts, ends }, value) {
+  let low = 0;
+  let high = starts.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (starts[middle] <= value) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found >= 0 && value <= ends[found] ? found : -1;
+}
+
+/**
+ * Approximate location of an IP address
+ *
+ * Never throws: a missing or slow index and an unparsable address give null.
+ *
+ * @param {string|null} ip
+ * @param {{timeoutMs?: number}} options
+ * @returns {Promise<{country: string, city: string|null}|null>} ISO 3166-1 alpha-2 country code and city name
+ */
+export async function lookupIpLocation(ip, { timeoutMs = LOOKUP_TIMEOUT_MS } = {}) {
+  const value = String(ip || '').trim().replace(/^::ffff:(?=\d+\.)/i, '');
+  const v4 = ipv4ToNumber(value);
+  const v6 = v4 === null ? ipv6ToPrefix(value) : null;
+  if (v4 === null && v6 === null) {
+    return null;
+  }
+
+  const db = await getDatabaseWithin(timeoutMs);
+  if (!db) {
+    return null;
+  }
+
+  const table = v4 !== null ? db.v4 : db.v6;
+  const index = findRange(table, v4 !== null ? v4 : v6);
+  return index >= 0 ? { ...db.locations[table.locations[index]] } : null;
+}
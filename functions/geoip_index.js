@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * GeoIP Index Builder
+ *
+ * Converts the DB-IP "IP to City Lite" CSV into the binary index read by
+ * geoip.js (layout described there). Runs at deploy time, from
+ * scripts/update_geoip.sh or by hand:
+ *
+ *   node geoip_index.js geoip/dbip-city-lite.csv.gz geoip/dbip-city-lite.idx
+ *
+ * CSV rows are
+ *
+ *   start_ip,end_ip,continent,country,region,city[,latitude,longitude]
+ *
+ * sorted by start address, IPv4 before IPv6. Gzipped files (.gz) are read as
+ * is. Reserved and private ranges (country ZZ) are left out.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { ipv4ToNumber, ipv6ToPrefix, GEOIP_INDEX_MAGIC, GEOIP_INDEX_HEADER_BYTES } from './geoip.js';
+
+// Country code DB-IP uses for reserved and private ranges
+const UNKNOWN_COUNTRY = 'ZZ';
+
+/**
+ * Split a CSV line into fields (RFC 4180 quoting)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Read the CSV into range tables
+ */
+async function readCsv(csvPath) {
+  const file = fs.createReadStream(csvPath);
+  let input = file;
+  if (csvPath.endsWith('.gz')) {
+    input = file.pipe(zlib.createGunzip());
+    file.on('error', (error) => input.destroy(error));
+  }
+
+  const locations = [];
+  const locationIndex = new Map();
+  const v4 = { starts: [], ends: [], locations: [] };
+  const v6 = { starts: [], ends: [], locations: [] };
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) {
+      continue;
+    }
+
+    const [start, end, , country, , city] = parseCsvLine(line);
+    if (!country || country === UNKNOWN_COUNTRY) {
+      continue;
+    }
+
+    const key = `${country}\n${city || ''}`;
+    let location = locationIndex.get(key);
+    if (location === undefined) {
+      location = locations.push([country, city || null]) - 1;
+      locationIndex.set(key, location);
+    }
+
+    const startV4 = ipv4ToNumber(start);
+    if (startV4 !== null) {
+      v4.starts.push(startV4);
+      v4.ends.push(ipv4ToNumber(end));
+      v4.locations.push(location);
+      continue;
+    }
+
+    const startV6 = ipv6ToPrefix(start);
+    if (startV6 !== null) {
+      v6.starts.push(startV6);
+      v6.ends.push(ipv6ToPrefix(end));
+      v6.locations.push(location);
+    }
+  }
+
+  return { locations, v4, v6 };
+}
+
+/**
+ * Build the binary index of a DB-IP CSV file
+ *
+ * @param {string} csvPath - DB-IP CSV (.csv or .csv.gz)
+ * @param {string} indexPath - Where to write the index
+ * @returns {Promise<{v4: number, v6: number, bytes: number}>} Number of ranges and index size
+ */
+export async function buildGeoIpIndex(csvPath, indexPath) {
+  const { locations, v4, v6 } = await readCsv(csvPath);
+  const locationsJson = Buffer.from(JSON.stringify(locations), 'utf8');
+
+  const header = Buffer.alloc(GEOIP_INDEX_HEADER_BYTES);
+  header.write(GEOIP_INDEX_MAGIC, 0, 'latin1');
+  header.writeUInt32LE(v4.starts.length, 8);
+  header.writeUInt32LE(v6.starts.length, 12);
+  header.writeUInt32LE(locationsJson.length, 16);
+
+  const tables = [
+    BigUint64Array.from(v6.starts),
+    BigUint64Array.from(v6.ends),
+    Uint32Array.from(v4.starts),
+    Uint32Array.from(v4.ends),
+    Uint32Array.from(v4.locations),
+    Uint32Array.from(v6.locations),
+  ].map((table) => Buffer.from(table.buffer, table.byteOffset, table.byteLength));
+
+  const index = Buffer.concat([header, ...tables, locationsJson]);
+
+  // Write next to the target and rename, so a running deploy never sees half a file
+  await fs.promises.writeFile(`${indexPath}.tmp`, index);
+  await fs.promises.rename(`${indexPath}.tmp`, indexPath);
+
+  return { v4: v4.starts.length, v6: v6.starts.length, bytes: index.length };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [csvPath, indexPath] = process.argv.slice(2);
+  if (!csvPath || !indexPath) {
+    console.error('Usage: node geoip_index.js <dbip-city-lite.csv[.gz]> <index file>');
+    process.exit(2);
+  }
+
+  try {
+    const { v4, v6, bytes } = await buildGeoIpIndex(csvPath, indexPath);
+    console.log(`Wrote ${indexPath}: ${v4} IPv4 and ${v6} IPv6 ranges, ${bytes} bytes`);
+  } catch (error) {
+    console.error(`Could not build the GeoIP index: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
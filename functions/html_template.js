@@ -0,0 +1,117 @@
+/**
+ * Safe HTML Templating
+ *
+ * `html` is a tagged template that HTML-escapes every interpolated value
+ * unless it was produced by `html` itself (so fragments can be nested).
+ * All email templates are built with it so user-controlled values (names,
+ * device strings, IPs, URLs) can never inject markup.
+ *
+ * Usage:
+ *   const body = html`<p>${t(locale, 'common.greeting', { name })}</p>`;
+ *   const link = html`<a href="${safeUrl(url)}">...</a>`;
+ *   return String(body);
+ */
+
+import { replaceControlCharacters } from './input_validation.js';
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Markup that is already safe and must not be escaped again
+ */
+export class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).replace(/[&<>"']/g, (ch) => ESCAPES[ch]);
+}
+
+function render(value) {
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(render).join('');
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes interpolations by default
+ *
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+  let result = strings[0];
+  values.forEach((value, index) => {
+    result += render(value) + strings[index + 1];
+  });
+  return new SafeHtml(result);
+}
+
+/**
+ * Validate a URL before putting it in an email
+ *
+ * Only absolute http(s) URLs without embedded credentials are accepted, which
+ * rules out javascript:, data: and similar schemes in href attributes. The
+ * URL is returned as given; `html` escapes it when it is interpolated.
+ *
+ * @param {string} value - URL to validate
+ * @returns {string} The trimmed URL
+ * @throws {Error} INVALID_URL if the URL is not acceptable
+ */
+export function safeUrl(value) {
+  const trimmed = String(value ?? '').trim();
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    throw new Error('INVALID_URL: URL could not be parsed');
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`INVALID_URL: Unsupported URL scheme ${url.protocol}`);
+  }
+
+  if (url.username || url.password) {
+    throw new Error('INVALID_URL: URLs with credentials are not allowed');
+  }
+
+  return trimmed;
+}
+
+/**
+ * Make a user-controlled value safe for a plain-text email line
+ * (removes control characters and line breaks that could fake extra lines)
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function plainText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return replaceControlCharacters(value, ' ').trim();
+}
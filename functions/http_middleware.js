@@ -0,0 +1,205 @@
+/**
+ * HTTP Middleware
+ *
+ * Every functions.http handler is wrapped in `withHttp`, which takes care of:
+ * - CORS with an origin allowlist (no wildcard)
+ * - Preflight requests and allowed HTTP methods
+ * - JSON content type and request body size limits
+ * - Standard security headers
+ * - A uniform JSON error envelope: { success: false, error: CODE, message }
+ *
+ * Configuration:
+ * - ALLOWED_ORIGINS: comma-separated origins allowed to call the functions.
+ *   Defaults to the Firebase Hosting domains of the current project.
+ * - Localhost origins are allowed in development (FUNCTIONS_EMULATOR=true or
+ *   NODE_ENV=development).
+ */
+
+const DEFAULT_MAX_BODY_BYTES = 16 * 1024; // 16 KB
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'no-referrer',
+  'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+  'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+  'Cache-Control': 'no-store',
+};
+
+const LOCALHOST_ORIGIN = /^http:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+/**
+ * Send an error using the uniform envelope
+ *
+ * @param {object} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code (e.g. INVALID_TOKEN)
+ * @param {string} message - Human-readable description
+ * @param {object} extra - Additional fields to include
+ */
+export function sendError(res, status, code, message, extra = {}) {
+  res.status(status).json({
+    success: false,
+    error: code,
+    message,
+    ...extra,
+  });
+}
+
+/**
+ * Whether we run in the emulator or local development
+ *
+ * @returns {boolean}
+ */
+export function isDevelopment() {
+  return process.env.FUNCTIONS_EMULATOR === 'true' || process.env.NODE_ENV === 'development';
+}
+
+/**
+ * Origins allowed to make cross-origin requests
+ *
+ * @returns {string[]}
+ */
+export function getAllowedOrigins() {
+  if (process.env.ALLOWED_ORIGINS) {
+    return process.env.ALLOWED_ORIGINS
+      .split(',')
+      .map((origin) => origin.trim().replace(/\/+$/, ''))
+      .filter(Boolean);
+  }
+
+  const projectId = process.env.GOOGLE_CLOUD_PROJECT || process.env.GCLOUD_PROJECT;
+  return projectId ? [`https://${projectId}.web.app`, `https://${projectId}.firebaseapp.com`] : [];
+}
+
+/**
+ * Check an Origin header against the allowlist
+ *
+ * @param {string} origin
+ * @returns {boolean}
+ */
+export function isOriginAllowed(origin) {
+  if (!origin) {
+    return false;
+  }
+  if (isDevelopment() && LOCALHOST_ORIGIN.test(origin)) {
+    return true;
+  }
+  return getAllowedOrigins().includes(origin);
+}
+
+/**
+ * Client IP address of a request
+ *
+ * Google's front end appends the address it received the connection from to
+ * X-Forwarded-For, so the last entry is the one a client cannot forge.
+ *
+ * @param {object} req - HTTP request
+ * @returns {string|null}
+ */
+export function getClientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (forwarded.length > 0) {
+    return forwarded[forwarded.length - 1];
+  }
+
+  return req.ip || req.socket?.remoteAddress || req.connection?.remoteAddress || null;
+}
+
+function getBodySize(req) {
+  if (req.rawBody) {
+    return req.rawBody.length;
+  }
+  const contentLength = Number(req.headers['content-length']);
+  return Number.isFinite(contentLength) ? contentLength : 0;
+}
+
+/**
+ * Wrap an HTTP handler with CORS, method, content-type, size and error handling
+ *
+ * @param {object} options
+ * @param {string[]} options.methods - Allowed methods besides OPTIONS (default ['POST'])
+ * @param {boolean} options.cors - Whether browsers may call this endpoint (default true)
+ * @param {number} options.maxBodyBytes - Maximum request body size (default 16 KB)
+ * @param {string[]} options.allowHeaders - Request headers allowed in CORS requests
+ * @param {Function} handler - async (req, res) => void
+ * @returns {Function} Wrapped handler
+ */
+export function withHttp(options, handler) {
+  const {
+    methods = ['POST'],
+    cors = true,
+    maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+    allowHeaders = ['Content-Type', 'Authorization'],
+  } = options;
+
+  return async (req, res) => {
+    res.set(SECURITY_HEADERS);
+
+    const origin = req.headers.origin;
+
+    if (origin) {
+      if (!cors || !isOriginAllowed(origin)) {
+        sendError(res, 403, 'ORIGIN_NOT_ALLOWED', 'Requests from this origin are not allowed');
+        return;
+      }
+      res.set('Access-Control-Allow-Origin', origin);
+      res.set('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+      res.set('Access-Control-Allow-Headers', allowHeaders.join(', '));
+      res.set('Access-Control-Max-Age', '3600');
+      res.status(204).send('');
+      return;
+    }
+
+    if (!methods.includes(req.method)) {
+      res.set('Allow', [...methods, 'OPTIONS'].join(', '));
+      sendError(res, 405, 'METHOD_NOT_ALLOWED', `Method ${req.method} is not allowed`);
+      return;
+    }
+
+    if (BODY_METHODS.includes(req.method)) {
+      const bodySize = getBodySize(req);
+
+      // Scheduler jobs may POST without a body; only check what was sent
+      if (bodySize > 0 || req.headers['transfer-encoding']) {
+        const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (contentType !== 'application/json') {
+          sendError(res, 415, 'UNSUPPORTED_MEDIA_TYPE', 'Content-Type must be application/json');
+          return;
+        }
+
+        if (bodySize > maxBodyBytes) {
+          sendError(res, 413, 'PAYLOAD_TOO_LARGE', `Request body must not exceed ${maxBodyBytes} bytes`);
+          return;
+        }
+      }
+
+      if (req.body === undefined || req.body === null || req.body === '') {
+        req.body = {};
+      }
+
+      if (typeof req.body !== 'object' || Array.isArray(req.body)) {
+        sendError(res, 400, 'INVALID_BODY', 'Request body must be a JSON object');
+        return;
+      }
+    }
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Unhandled error in ${req.method} ${req.path || req.url || ''}:`, error);
+      if (!res.headersSent) {
+        sendError(res, 500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+      }
+    }
+  };
+}
@@ -4,30 +4,101 @@
  * Functions:
  * - onUserCreated: Send welcome email when user is created
  * - onUserDeleted: Send account deletion confirmation email
- * - cleanupDeletedUsers: Scheduled function to permanently delete old soft-deleted users
+ * - enforceRetention: Scheduled function applying the data retention policies (retention_policies.js)
+ * - cleanupDeletedUsers: Permanently delete old soft-deleted users (one retention policy)
+ * - restoreProject: Undo the soft delete of a project within the restore window
+ * - processEmailOutbox: Scheduled function to deliver queued and retrying emails
+ * - listEmailOutbox / resendOutboxEmail: Admin endpoints for email delivery support
+ * - migrateRegistrationTokens: Admin endpoint to hash tokens stored before hashing was introduced
+ * - migrateLegacyTransactions: Admin endpoint moving users/{uid}/transactions into a default project
+ *
+ * HTTP functions are wrapped in withHttp (http_middleware.js) for CORS,
+ * method checks, security headers and the JSON error envelope.
  */
 
 import functions from '@google-cloud/functions-framework';
 import { Firestore } from '@google-cloud/firestore';
 import admin from 'firebase-admin';
-import { sendWelcomeEmail, sendAccountDeletionEmail, sendLoginNotificationEmail } from './email_service.js';
+import {
+  renderWelcomeEmail,
+  renderAccountDeletionEmail,
+  renderLoginNotificationEmail,
+  renderDataExportEmail
+} from './email_service.js';
+import {
+  enqueueEmail,
+  deliverOutboxMessage,
+  processOutbox,
+  listOutboxMessages,
+  requeueOutboxMessage
+} from './email_outbox.js';
+import { isAdminRequest, withUser } from './auth.js';
+import { withScheduler } from './scheduler_auth.js';
+import { withHttp, sendError, getClientIp } from './http_middleware.js';
+import { enforceRateLimit } from './rate_limiter.js';
+import { getRequestLocale, DEFAULT_LOCALE } from './email_i18n.js';
+import { getUserLocale } from './user_preferences.js';
+import { isValidEmail, validateDisplayName } from './input_validation.js';
+import { normalizeContinueUrl, getDefaultContinueUrl } from './continue_url.js';
 import {
   createPendingRegistration,
   verifyRegistrationToken,
-  cleanupExpiredRegistrations,
   hasPendingRegistration,
-  cancelPendingRegistration
+  cancelPendingRegistration,
+  releaseRegistrationToken,
+  migrateLegacyRegistrationTokens,
+  assertTokenHashSecret,
+  TOKEN_PURPOSES
 } from './registration_service.js';
-import { generateRegistrationEmail, generateSignInEmail } from './email_templates.js';
-import { sendEmail } from './email_service_sendgrid.js';
+import { provisionUser } from './user_provisioning.js';
+import { purgeDeletedUsers } from './user_purge.js';
+import { enforceRetention } from './retention_enforcer.js';
+import { findUserByEmail, assertRestorable, restoreAccount, sendAccountRestoredEmail } from './account_restore.js';
+import { createDataExport } from './data_export.js';
+import { restoreProject } from './deleted_projects.js';
+import { migrateLegacyTransactions } from './legacy_transactions.js';
+import { registerDeviceLogin, listKnownDevices, forgetKnownDevice, describeDevice, getDeviceId } from './known_devices.js';
+import { lookupIpLocation, preloadGeoIpDatabase } from './geoip.js';
+import { createRevokeSessionsToken, reportUnrecognizedLogin, revokeAllSessions, sendSessionsRevokedEmail } from './session_revocation.js';
+import { describeRequestContext, collectSignInSignals, scoreSignInRisk } from './risk_engine.js';
+import {
+  createStepUpChallenge,
+  verifyStepUpChallenge,
+  releaseStepUpChallenge
+} from './step_up.js';
+import {
+  withAudit,
+  recordAuditEvent,
+  listAuditEvents,
+  AUDIT_EVENTS
+} from './audit_log.js';
+import {
+  generateRegistrationEmail,
+  generateSignInEmail,
+  generateAccountRestoreEmail,
+  generateStepUpCodeEmail
+} from './email_templates.js';
 
 // Initialize Firebase Admin SDK
 if (!admin.apps.length) {
   admin.initializeApp();
 }
 
+// Fail on startup rather than on every token request
+assertTokenHashSecret();
+
+// Read the GeoIP index while the instance starts, not in the first request
+preloadGeoIpDatabase();
+
 const firestore = new Firestore();
 
+// Retention policies (retention_policies.js) applied by cleanupExpiredRegistrations
+const REGISTRATION_POLICIES = ['pendingRegistrations', 'expiredRegistrations', 'completedRegistrations', 'signInChallenges'];
+
+// The first device seen this soon after the profile was created is the one
+// the user registered on, so its login needs no alert
+const REGISTRATION_DEVICE_WINDOW_MS = 60 * 60 * 1000;
+
 /**
  * Send welcome email when a new user is created
  * Triggered by Firestore onCreate event on /users/{userId}
@@ -43,23 +114,21 @@ functions.cloudEvent('onUserCreated', async (cloudEvent) => {
   const userData = data.value.fields;
   const email = userData.email?.stringValue;
   const name = userData.name?.stringValue;
+  const userId = data.value.name?.split('/').pop();
 
   if (!email || !name) {
     console.log('Missing email or name');
     return;
   }
 
-  console.log(`Sending welcome email to ${email}`);
+  const locale = await getUserLocale(userId, userData.locale?.stringValue);
 
-  try {
-    await sendWelcomeEmail(email, name);
-    console.log('Welcome email sent successfully');
-    return { success: true };
-  } catch (error) {
-    console.error('Failed to send welcome email:', error);
-    // Don't fail the function if email fails
-    return { success: false, error: error.message };
-  }
+  console.log(`Queueing welcome email to ${email}`);
+
+  // Failed deliveries stay in the outbox and are retried by processEmailOutbox
+  const messageId = await enqueueEmail(email, renderWelcomeEmail(name, locale), { type: 'welcome', userId });
+  const status = await deliverOutboxMessage(messageId);
+  return { success: status === 'sent', messageId, status };
 });
 
 /**
@@ -87,550 +156,1160 @@ functions.cloudEvent('onUserDeleted', async (cloudEvent) => {
 
   const email = newData.email?.stringValue;
   const name = newData.name?.stringValue;
+  const userId = data.value.name?.split('/').pop();
 
   if (!email || !name) {
     console.log('Missing email or name');
     return;
   }
 
-  console.log(`Sending account deletion email to ${email}`);
+  const locale = await getUserLocale(userId, newData.locale?.stringValue);
+  const deletedAt = newData.deletedAt.timestampValue ? new Date(newData.deletedAt.timestampValue) : new Date();
 
-  try {
-    await sendAccountDeletionEmail(email, name);
-    console.log('Account deletion email sent successfully');
-    return { success: true };
-  } catch (error) {
-    console.error('Failed to send deletion email:', error);
-    // Don't fail the function if email fails
-    return { success: false, error: error.message };
-  }
+  await recordAuditEvent({ type: AUDIT_EVENTS.ACCOUNT_DELETED, uid: userId, now: deletedAt });
+
+  console.log(`Queueing account deletion email to ${email}`);
+
+  // Failed deliveries stay in the outbox and are retried by processEmailOutbox
+  const messageId = await enqueueEmail(
+    email,
+    renderAccountDeletionEmail(name, locale, deletedAt),
+    { type: 'account_deletion', userId }
+  );
+  const status = await deliverOutboxMessage(messageId);
+  return { success: status === 'sent', messageId, status };
 });
 
 /**
  * Cleanup old soft-deleted users
  * Scheduled to run daily via Cloud Scheduler
- * Permanently deletes users who were soft-deleted more than 90 days ago
+ * Permanently deletes users who were soft-deleted more than 90 days ago,
+ * including all their subcollections and their Firebase Auth account
+ *
+ * Runs in pages with a lease and checkpoint (job_runner.js): a run that
+ * runs out of time reports status 'partial' and the next one resumes; an
+ * overlapping run reports status 'locked' and does nothing.
+ *
+ * Header: scheduler credentials (scheduler_auth.js)
+ * Returns: { success, status, purged, skipped, failed } - per-user results are only logged
+ */
+functions.http('cleanupDeletedUsers', withHttp({ methods: ['GET', 'POST'], cors: false }, withScheduler('cleanupDeletedUsers', async (req, res) => {
+  const { status, counts: { purged, skipped, failed } } = await purgeDeletedUsers();
+
+  console.log(`User purge ${status}: ${purged} purged, ${skipped} skipped, ${failed} failed`);
+
+  res.status(200).json({
+    success: failed === 0,
+    status,
+    purged,
+    skipped,
+    failed
+  });
+})));
+
+/**
+ * Record a login and send a login notification email if it comes from a new
+ * or untrusted device. Called by the client after every sign-in; the server
+ * decides whether the device is new (known_devices.js).
+ *
+ * POST /sendLoginNotification
+ * Header: Authorization: Bearer <Firebase ID token>
+ * Body: { continueUrl? }
+ * The device label is parsed from the User-Agent header and the IP address
+ * is the client IP (getClientIp); device or IP fields in the body are
+ * ignored. The location is looked up offline (geoip.js). The first device of
+ * a newly registered user gets no alert.
+ * Returns: { success, newDevice, notified, queued?, timestamp }
+ *
+ * The alert always goes to the email address of the signed-in user. Its
+ * "This wasn't me" link points to continueUrl (default: the first
+ * CONTINUE_URL_ALLOWLIST entry) with a revokeSessionsToken parameter.
  */
-functions.http('cleanupDeletedUsers', async (req, res) => {
-  // Enable CORS
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+functions.http('sendLoginNotification', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.LOGIN_NOTIFICATION, withUser(async (req, res) => {
+  const { uid, email } = req.user;
 
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
+  if (!email) {
+    sendError(res, 400, 'MISSING_EMAIL', 'The signed-in account has no email address');
     return;
   }
 
-  try {
-    const now = new Date();
-    const retentionPeriod = 90 * 24 * 60 * 60 * 1000; // 90 days in milliseconds
-    const cutoffDate = new Date(now.getTime() - retentionPeriod);
-
-    console.log(`Starting cleanup of users deleted before ${cutoffDate.toISOString()}`);
-
-    // Query for users deleted before the cutoff date
-    const usersRef = firestore.collection('users');
-    const snapshot = await usersRef
-      .where('deletedAt', '!=', null)
-      .where('deletedAt', '<', cutoffDate)
-      .get();
-
-    if (snapshot.empty) {
-      console.log('No users to clean up');
-      res.status(200).json({
-        success: true,
-        deleted: 0,
-        message: 'No users to clean up'
-      });
+  let continueUrl = getDefaultContinueUrl();
+  if (req.body.continueUrl) {
+    try {
+      continueUrl = normalizeContinueUrl(req.body.continueUrl);
+    } catch (urlError) {
+      const code = urlError.message.includes('CONTINUE_URL_NOT_ALLOWED') ? 'CONTINUE_URL_NOT_ALLOWED' : 'INVALID_CONTINUE_URL';
+      sendError(res, 400, code, urlError.message);
       return;
     }
+  }
 
-    console.log(`Found ${snapshot.size} users to permanently delete`);
+  if (!(await enforceRateLimit(req, res, 'sendLoginNotification', { email }))) {
+    return;
+  }
 
-    // Delete users in batch
-    const batch = firestore.batch();
-    const deletedUsers = [];
+  const now = new Date();
+  const timestamp = now.toISOString();
 
-    snapshot.docs.forEach((doc) => {
-      const userData = doc.data();
-      deletedUsers.push({
-        uid: doc.id,
-        email: userData.email,
-        deletedAt: userData.deletedAt,
-      });
-      batch.delete(doc.ref);
-    });
+  const device = await registerDeviceLogin(uid, req, { now });
+  if (!device.isNew && device.trusted) {
+    res.status(200).json({ success: true, newDevice: false, notified: false, timestamp });
+    return;
+  }
 
-    await batch.commit();
+  let profile = {};
+  try {
+    const userDoc = await firestore.collection('users').doc(uid).get();
+    profile = userDoc.exists ? userDoc.data() : {};
+  } catch (lookupErr) {
+    console.warn('User lookup failed, defaulting to "User"', lookupErr);
+  }
 
-    console.log(`Successfully deleted ${deletedUsers.length} users:`, deletedUsers);
+  const createdAt = profile.createdAt?.toDate?.();
+  if (device.firstDevice && createdAt && now - createdAt < REGISTRATION_DEVICE_WINDOW_MS) {
+    res.status(200).json({ success: true, newDevice: true, notified: false, timestamp });
+    return;
+  }
 
-    // TODO: Also delete from Firebase Auth using Admin SDK
-    // This requires Firebase Admin SDK which should be configured separately
+  // A readable "Chrome on macOS" label from the User-Agent and an approximate
+  // location from the offline GeoIP database
+  const ipAddress = getClientIp(req) || 'Unknown IP';
+  const deviceInfo = { browser: device.browser, platform: device.platform };
+  const location = await lookupIpLocation(ipAddress);
+  const name = profile.name || req.user.name || 'User';
 
-    res.status(200).json({
-      success: true,
-      deleted: deletedUsers.length,
-      users: deletedUsers,
-    });
-  } catch (error) {
-    console.error('Error cleaning up deleted users:', error);
-    // Ensure CORS headers on error
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+  const locale = await getUserLocale(uid, getRequestLocale(req));
+
+  const notYouUrl = continueUrl
+    ? `${continueUrl}?revokeSessionsToken=${createRevokeSessionsToken(uid, device.deviceId)}`
+    : null;
+
+  console.log(`Queueing login notification for user ${uid}`);
+
+  const messageId = await enqueueEmail(
+    email,
+    renderLoginNotificationEmail(name, deviceInfo, ipAddress, locale, now, notYouUrl, location),
+    { type: 'login_notification', userId: uid }
+  );
+  const status = await deliverOutboxMessage(messageId);
+  console.log(`Login notification ${messageId}: ${status}`);
+
+  res.status(200).json({ success: true, newDevice: device.isNew, notified: true, queued: status !== 'sent', timestamp });
+}))));
+
+/**
+ * Send the response for a token verification error
+ *
+ * @param {object} res - HTTP response
+ * @param {Error} error - Error thrown by verifyRegistrationToken
+ * @returns {boolean} false if the error is not a token error
+ */
+function sendTokenError(res, error) {
+  const errorMessage = error.message;
+  if (errorMessage.includes('INVALID_TOKEN')) {
+    sendError(res, 404, 'INVALID_TOKEN', errorMessage);
+  } else if (errorMessage.includes('TOKEN_EXPIRED')) {
+    sendError(res, 410, 'TOKEN_EXPIRED', errorMessage);
+  } else if (errorMessage.includes('TOKEN_ALREADY_USED')) {
+    sendError(res, 409, 'TOKEN_ALREADY_USED', errorMessage);
+  } else if (errorMessage.includes('WRONG_TOKEN_PURPOSE')) {
+    sendError(res, 400, 'WRONG_TOKEN_PURPOSE', errorMessage);
+  } else {
+    return false;
   }
-});
+  return true;
+}
 
 /**
- * Send login notification email
- * Triggered by HTTP request when user logs in from a new device
+ * Send the response for an account restore error
+ *
+ * @param {object} res - HTTP response
+ * @param {Error} error - Error thrown by assertRestorable or restoreAccount
+ * @returns {boolean} false if the error is not a restore error
  */
-functions.http('sendLoginNotification', async (req, res) => {
-  // Enable CORS
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+function sendRestoreError(res, error) {
+  const errorMessage = error.message;
+  if (errorMessage.includes('USER_NOT_FOUND')) {
+    sendError(res, 404, 'USER_NOT_FOUND', 'No account found with this email.');
+  } else if (errorMessage.includes('ACCOUNT_NOT_DELETED')) {
+    sendError(res, 409, 'ACCOUNT_NOT_DELETED', 'This account is not deleted. Please sign in instead.');
+  } else if (errorMessage.includes('RESTORE_WINDOW_EXPIRED')) {
+    sendError(res, 410, 'RESTORE_WINDOW_EXPIRED', 'The restore period for this account has ended.');
+  } else {
+    return false;
+  }
+  return true;
+}
 
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
+/**
+ * Create a registration request
+ * HTTP endpoint called by the client to initiate registration
+ *
+ * POST /createRegistration
+ * Body: { email, name, continueUrl, locale? }
+ * Header: Accept-Language (used when locale is not given)
+ * Returns: { success, message, expiresAt, queued }
+ */
+functions.http('createRegistration', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.REGISTRATION_REQUESTED, async (req, res) => {
+  const { email, name } = req.body;
+
+  // Validate input
+  if (!email || !name || !req.body.continueUrl) {
+    sendError(res, 400, 'MISSING_FIELDS', 'Missing required fields: email, name, continueUrl');
     return;
   }
 
-  try {
-    const { email } = req.body;
-    let { name, deviceInfo, ipAddress, userAgent, ip, timestamp } = req.body;
+  // Validate email format
+  if (!isValidEmail(email)) {
+    sendError(res, 400, 'INVALID_EMAIL', 'Invalid email format');
+    return;
+  }
 
-    if (!email) {
-      res.status(400).json({
-        success: false,
-        error: 'Missing required field: email'
-      });
-      return;
-    }
+  // Validate name (it is shown in emails sent from our domain)
+  const nameError = validateDisplayName(name);
+  if (nameError) {
+    sendError(res, 400, 'INVALID_NAME', nameError);
+    return;
+  }
 
-    // Derive missing fields
-    const forwarded = req.headers['x-forwarded-for'];
-    const derivedIp = forwarded ? String(forwarded).split(',')[0].trim() : req.connection?.remoteAddress || req.socket?.remoteAddress || ipAddress || ip || 'Unknown IP';
-    ipAddress = ipAddress || ip || derivedIp;
-    deviceInfo = deviceInfo || userAgent || req.headers['user-agent'] || 'Unknown device';
-
-    if (!name) {
-      // Try to resolve name from users collection
-      try {
-        const snapshot = await firestore.collection('users').where('email', '==', email).limit(1).get();
-        if (!snapshot.empty) {
-          name = snapshot.docs[0].data().name || 'User';
-        } else {
-          name = 'User';
-        }
-      } catch (lookupErr) {
-        console.warn('Name lookup failed, defaulting to "User"', lookupErr);
-        name = 'User';
-      }
-    }
+  // Validate continueUrl against the allowlist (it is embedded in the email link)
+  let continueUrl;
+  try {
+    continueUrl = normalizeContinueUrl(req.body.continueUrl);
+  } catch (urlError) {
+    const code = urlError.message.includes('CONTINUE_URL_NOT_ALLOWED') ? 'CONTINUE_URL_NOT_ALLOWED' : 'INVALID_CONTINUE_URL';
+    sendError(res, 400, code, urlError.message);
+    return;
+  }
+
+  if (!(await enforceRateLimit(req, res, 'createRegistration', { email }))) {
+    return;
+  }
 
-    console.log(`Sending login notification to ${email}`);
+  console.log(`Creating registration for ${email}`);
 
-    await sendLoginNotificationEmail(email, name, deviceInfo, ipAddress);
-    console.log('Login notification sent successfully');
+  // Check if user already exists
+  const usersSnapshot = await firestore
+    .collection('users')
+    .where('email', '==', email)
+    .limit(1)
+    .get();
 
-    res.status(200).json({ success: true, timestamp: timestamp || new Date().toISOString() });
-  } catch (error) {
-    console.error('Error sending login notification:', error);
-    // Ensure CORS headers on error
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+  if (!usersSnapshot.empty) {
+    sendError(res, 409, 'USER_EXISTS', 'A user with this email already exists. Please sign in instead.');
+    return;
   }
-});
+
+  // Cancel any existing pending registrations for this email
+  await cancelPendingRegistration(email, 'registration');
+
+  const locale = getRequestLocale(req);
+
+  // Create pending registration, remembering where it was requested (risk_engine.js)
+  const requestContext = await describeRequestContext(req);
+  const { token, expiresAt } = await createPendingRegistration(email, name.trim(), continueUrl, locale, 'registration', requestContext);
+
+  // Build verification URL with token
+  const verificationUrl = `${continueUrl}?registrationToken=${token}`;
+
+  // Failed deliveries stay in the outbox and are retried by processEmailOutbox
+  const messageId = await enqueueEmail(email, generateRegistrationEmail(name, verificationUrl, locale), { type: 'registration' });
+  const status = await deliverOutboxMessage(messageId);
+
+  console.log(`Registration email ${messageId} for ${email}: ${status}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Registration email sent successfully',
+    expiresAt: expiresAt.toISOString(),
+    queued: status !== 'sent'
+  });
+})));
 
 /**
- * Create a registration request
- * HTTP endpoint called by the client to initiate registration
+ * Create the Auth user and profile (idempotent) and respond with a
+ * passwordless sign-in link
  *
- * POST /createRegistration
- * Body: { email, name, continueUrl }
- * Returns: { success, message }
+ * @param {object} req - HTTP request (req.auditUid is set)
+ * @param {object} res - HTTP response
+ * @param {{email: string, name: string, continueUrl: string}} registrationData - Verified link or challenge data
+ * @returns {Promise<void>}
  */
-functions.http('createRegistration', async (req, res) => {
-  // Enable CORS
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+async function sendSignInLink(req, res, registrationData) {
+  const { email, name, continueUrl } = registrationData;
+
+  const { uid } = await provisionUser(registrationData);
+  req.auditUid = uid;
+
+  const actionCodeSettings = {
+    url: continueUrl,
+    handleCodeInApp: true,
+  };
+
+  const signInLink = await admin.auth().generateSignInWithEmailLink(email, actionCodeSettings);
+  console.log(`Generated sign-in link for ${email}`);
+
+  res.status(200).json({
+    success: true,
+    email: email,
+    name: name,
+    signInLink: signInLink,
+    continueUrl: continueUrl
+  });
+}
 
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
+/**
+ * Verify a registration token
+ * HTTP endpoint called by the client when user clicks the email link
+ *
+ * Clicks the risk engine flags (risk_engine.js) get no sign-in link yet: a
+ * confirmation code is emailed to the same inbox and the client answers with
+ * confirmSignInChallenge.
+ *
+ * POST /verifyRegistrationToken
+ * Body: { token, purpose? } - purpose is 'registration' (default) or 'signIn'
+ * Returns: { success, email, name, signInLink, continueUrl }
+ *   or 403 STEP_UP_REQUIRED with { challengeId, expiresAt }
+ */
+const tokenVerifiedEvent = (req) => (req.body?.purpose === 'signIn'
+  ? AUDIT_EVENTS.SIGN_IN_VERIFIED
+  : AUDIT_EVENTS.REGISTRATION_VERIFIED);
+
+functions.http('verifyRegistrationToken', withHttp({ methods: ['POST'] }, withAudit(tokenVerifiedEvent, async (req, res) => {
+  const { token, purpose = 'registration' } = req.body;
+
+  if (!token) {
+    sendError(res, 400, 'MISSING_FIELDS', 'Missing registration token');
     return;
   }
 
-  try {
-    const { email, name, continueUrl } = req.body;
+  // Restore tokens are only accepted by verifyAccountRestore
+  if (purpose !== 'registration' && purpose !== 'signIn') {
+    sendError(res, 400, 'INVALID_PURPOSE', 'purpose must be "registration" or "signIn"');
+    return;
+  }
 
-    // Validate input
-    if (!email || !name || !continueUrl) {
-      res.status(400).json({
-        success: false,
-        error: 'Missing required fields: email, name, continueUrl'
-      });
-      return;
-    }
+  const ipAddress = getClientIp(req);
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      res.status(400).json({
-        success: false,
-        error: 'Invalid email format'
-      });
-      return;
+  console.log(`Verifying registration token from IP: ${ipAddress}`);
+
+  // Verify token and get registration data
+  let registrationData;
+  try {
+    registrationData = await verifyRegistrationToken(token, ipAddress, purpose);
+  } catch (error) {
+    console.error('Error verifying registration token:', error);
+    if (!sendTokenError(res, error)) {
+      throw error;
     }
+    return;
+  }
+
+  console.log(`Token verified successfully for ${registrationData.email}`);
 
-    // Validate name length
-    if (name.trim().length < 2) {
-      res.status(400).json({
-        success: false,
-        error: 'Name must be at least 2 characters'
+  try {
+    const { uid, signals } = await collectSignInSignals(registrationData, req);
+    req.auditUid = uid;
+
+    const risk = scoreSignInRisk(signals);
+    if (risk.stepUpRequired) {
+      const { email, name, locale } = registrationData;
+      const { challengeId, code, expiresAt } = await createStepUpChallenge({ ...registrationData, purpose }, risk);
+
+      const location = await lookupIpLocation(ipAddress);
+      const messageId = await enqueueEmail(
+        email,
+        generateStepUpCodeEmail(name, code, signals.clicked, location, locale || DEFAULT_LOCALE),
+        { type: 'step_up_code', userId: uid }
+      );
+      await deliverOutboxMessage(messageId);
+
+      console.log(`Step-up required for ${email} (risk ${risk.score}: ${risk.reasons.join(', ')})`);
+
+      sendError(res, 403, 'STEP_UP_REQUIRED', 'Enter the confirmation code sent to your email address to continue.', {
+        challengeId,
+        expiresAt: expiresAt.toISOString(),
       });
       return;
     }
 
-    console.log(`Creating registration for ${email}`);
+    await sendSignInLink(req, res, registrationData);
+  } catch (error) {
+    // Let the user retry with the same link
+    await releaseRegistrationToken(token);
+    throw error;
+  }
+})));
+
+/**
+ * Complete a step-up challenge started by verifyRegistrationToken
+ * HTTP endpoint called by the client with the code from the email
+ *
+ * POST /confirmSignInChallenge
+ * Body: { challengeId, code }
+ * Returns: { success, email, name, signInLink, continueUrl }
+ */
+functions.http('confirmSignInChallenge', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.STEP_UP_VERIFIED, async (req, res) => {
+  const { challengeId, code } = req.body;
+
+  if (!challengeId || !code) {
+    sendError(res, 400, 'MISSING_FIELDS', 'Missing required fields: challengeId, code');
+    return;
+  }
 
-    // Check if user already exists
-    const usersSnapshot = await firestore
-      .collection('users')
-      .where('email', '==', email)
-      .limit(1)
-      .get();
+  if (!(await enforceRateLimit(req, res, 'confirmSignInChallenge'))) {
+    return;
+  }
 
-    if (!usersSnapshot.empty) {
-      res.status(409).json({
-        success: false,
-        error: 'USER_EXISTS',
-        message: 'A user with this email already exists. Please sign in instead.'
+  let registrationData;
+  try {
+    registrationData = await verifyStepUpChallenge(challengeId, code);
+  } catch (error) {
+    const errorMessage = error.message;
+    if (errorMessage.includes('INVALID_CODE')) {
+      sendError(res, 400, 'INVALID_CODE', 'The confirmation code is not correct.', {
+        attemptsRemaining: error.attemptsRemaining,
       });
-      return;
+    } else if (errorMessage.includes('INVALID_CHALLENGE')) {
+      sendError(res, 404, 'INVALID_CHALLENGE', 'This confirmation request was not found.');
+    } else if (errorMessage.includes('CHALLENGE_EXPIRED')) {
+      sendError(res, 410, 'CHALLENGE_EXPIRED', 'The confirmation code has expired. Please request a new link.');
+    } else if (errorMessage.includes('CHALLENGE_ALREADY_USED')) {
+      sendError(res, 409, 'CHALLENGE_ALREADY_USED', 'This confirmation code has already been used.');
+    } else if (errorMessage.includes('TOO_MANY_ATTEMPTS')) {
+      sendError(res, 429, 'TOO_MANY_ATTEMPTS', 'Too many wrong codes. Please request a new link.');
+    } else {
+      throw error;
     }
+    return;
+  }
+
+  try {
+    await sendSignInLink(req, res, registrationData);
+  } catch (error) {
+    // Let the user retry with the same code
+    await releaseStepUpChallenge(challengeId);
+    throw error;
+  }
+})));
+
+/**
+ * Clean up expired registration tokens and step-up challenges
+ * Kept for manual runs; the scheduler calls enforceRetention, which applies
+ * the same policies
+ *
+ * Applies the pendingRegistrations, expiredRegistrations,
+ * completedRegistrations and signInChallenges retention policies.
+ *
+ * Header: scheduler credentials (scheduler_auth.js)
+ * Returns: { success, status, deletedCount, deletedChallenges } - status as for enforceRetention
+ */
+functions.http('cleanupExpiredRegistrations', withHttp({ methods: ['GET', 'POST'], cors: false }, withScheduler('cleanupExpiredRegistrations', async (req, res) => {
+  const { status, policies } = await enforceRetention({ policies: REGISTRATION_POLICIES });
+  const deleted = (ids) => policies
+    .filter((policy) => ids.includes(policy.id))
+    .reduce((sum, policy) => sum + (policy.counts?.deleted || 0), 0);
+
+  const deletedCount = deleted(['pendingRegistrations', 'expiredRegistrations', 'completedRegistrations']);
+  const deletedChallenges = deleted(['signInChallenges']);
+
+  console.log(`Cleanup ${status}: ${deletedCount} registrations and ${deletedChallenges} challenges deleted`);
+
+  res.status(200).json({
+    success: status !== 'failed',
+    status,
+    deletedCount,
+    deletedChallenges,
+    message: `Deleted ${deletedCount} expired registrations`
+  });
+})));
+
+/**
+ * Create a sign-in request (for existing users)
+ * HTTP endpoint called by the client to send sign-in link
+ *
+ * POST /createSignInRequest
+ * Body: { email, continueUrl, locale? }
+ * Header: Accept-Language (used when locale is not given and the user has no language preference)
+ * Returns: { success, message, expiresAt, queued }
+ */
+functions.http('createSignInRequest', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.SIGN_IN_REQUESTED, async (req, res) => {
+  const { email } = req.body;
+
+  // Validate input
+  if (!email || !req.body.continueUrl) {
+    sendError(res, 400, 'MISSING_FIELDS', 'Missing required fields: email, continueUrl');
+    return;
+  }
+
+  // Validate continueUrl against the allowlist (it is embedded in the email link)
+  let continueUrl;
+  try {
+    continueUrl = normalizeContinueUrl(req.body.continueUrl);
+  } catch (urlError) {
+    const code = urlError.message.includes('CONTINUE_URL_NOT_ALLOWED') ? 'CONTINUE_URL_NOT_ALLOWED' : 'INVALID_CONTINUE_URL';
+    sendError(res, 400, code, urlError.message);
+    return;
+  }
+
+  if (!(await enforceRateLimit(req, res, 'createSignInRequest', { email }))) {
+    return;
+  }
+
+  console.log(`Creating sign-in request for ${email}`);
+
+  // Check if user exists
+  const usersSnapshot = await firestore
+    .collection('users')
+    .where('email', '==', email)
+    .limit(1)
+    .get();
+
+  if (usersSnapshot.empty) {
+    sendError(res, 404, 'USER_NOT_FOUND', 'No account found with this email. Please register first.');
+    return;
+  }
+
+  req.auditUid = usersSnapshot.docs[0].id;
+  const userData = usersSnapshot.docs[0].data();
+  const userName = userData.name;
+  const locale = await getUserLocale(usersSnapshot.docs[0].id, getRequestLocale(req));
+
+  // Cancel any existing pending sign-in requests for this email (a pending
+  // registration link stays valid)
+  await cancelPendingRegistration(email, 'signIn');
+
+  // Create pending sign-in (short-lived, reuses the registration system),
+  // remembering where it was requested (risk_engine.js)
+  const requestContext = await describeRequestContext(req);
+  const { token, expiresAt } = await createPendingRegistration(email, userName, continueUrl, locale, 'signIn', requestContext);
+
+  // Build sign-in URL with token
+  const signInUrl = `${continueUrl}?signInToken=${token}`;
+
+  // Failed deliveries stay in the outbox and are retried by processEmailOutbox
+  const messageId = await enqueueEmail(email, generateSignInEmail(userName, signInUrl, locale), { type: 'sign_in', userId: req.auditUid });
+  const status = await deliverOutboxMessage(messageId);
+
+  console.log(`Sign-in email ${messageId} for ${email}: ${status}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Sign-in email sent successfully',
+    expiresAt: expiresAt.toISOString(),
+    queued: status !== 'sent'
+  });
+})));
+
+/**
+ * Check whether an email link is still waiting to be used
+ * Lets the client show "check your inbox" when the user comes back to the app
+ *
+ * POST /hasPendingRegistration
+ * Body: { email, purpose? } - purpose is 'registration', 'signIn', 'restore' or omitted for registration or sign-in
+ * Returns: { success, pending }
+ */
+functions.http('hasPendingRegistration', withHttp({ methods: ['POST'] }, async (req, res) => {
+  const { email, purpose = null } = req.body;
+
+  if (!email) {
+    sendError(res, 400, 'MISSING_FIELDS', 'Missing required field: email');
+    return;
+  }
+
+  if (!isValidEmail(email)) {
+    sendError(res, 400, 'INVALID_EMAIL', 'Invalid email format');
+    return;
+  }
+
+  if (purpose !== null && !Object.hasOwn(TOKEN_PURPOSES, purpose)) {
+    sendError(res, 400, 'INVALID_PURPOSE', `purpose must be one of: ${Object.keys(TOKEN_PURPOSES).join(', ')}`);
+    return;
+  }
 
-    // Cancel any existing pending registrations for this email
-    await cancelPendingRegistration(email);
+  if (!(await enforceRateLimit(req, res, 'hasPendingRegistration', { email }))) {
+    return;
+  }
 
-    // Create pending registration
-    const { token, expiresAt } = await createPendingRegistration(email, name, continueUrl);
+  const pending = await hasPendingRegistration(email, purpose);
 
-    // Build verification URL with token
-    const verificationUrl = `${continueUrl}?registrationToken=${token}`;
+  res.status(200).json({ success: true, pending });
+}));
 
-    // Generate email content
-    const { html, text } = generateRegistrationEmail(name, verificationUrl);
+/**
+ * Request a link to restore a soft-deleted account
+ * Works within the 90-day window before the account is purged
+ *
+ * POST /requestAccountRestore
+ * Body: { email, continueUrl, locale? }
+ * Returns: { success, message, expiresAt, queued }
+ */
+functions.http('requestAccountRestore', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.ACCOUNT_RESTORE_REQUESTED, async (req, res) => {
+  const { email } = req.body;
 
-    // Send email
-    await sendEmail(
-      email,
-      'Complete Your Registration - Art Finance Hub',
-      html,
-      text
-    );
+  // Validate input
+  if (!email || !req.body.continueUrl) {
+    sendError(res, 400, 'MISSING_FIELDS', 'Missing required fields: email, continueUrl');
+    return;
+  }
 
-    console.log(`Registration email sent to ${email}`);
+  if (!isValidEmail(email)) {
+    sendError(res, 400, 'INVALID_EMAIL', 'Invalid email format');
+    return;
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Registration email sent successfully',
-      expiresAt: expiresAt.toISOString()
-    });
+  // Validate continueUrl against the allowlist (it is embedded in the email link)
+  let continueUrl;
+  try {
+    continueUrl = normalizeContinueUrl(req.body.continueUrl);
+  } catch (urlError) {
+    const code = urlError.message.includes('CONTINUE_URL_NOT_ALLOWED') ? 'CONTINUE_URL_NOT_ALLOWED' : 'INVALID_CONTINUE_URL';
+    sendError(res, 400, code, urlError.message);
+    return;
+  }
+
+  if (!(await enforceRateLimit(req, res, 'requestAccountRestore', { email }))) {
+    return;
+  }
+
+  console.log(`Creating account restore request for ${email}`);
+
+  const user = await findUserByEmail(email);
+  req.auditUid = user?.uid;
+  try {
+    assertRestorable(user?.data);
   } catch (error) {
-    console.error('Error creating registration:', error);
-    // Ensure CORS headers are set even on error
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create registration',
-      details: error.message
-    });
+    if (!sendRestoreError(res, error)) {
+      throw error;
+    }
+    return;
   }
-});
+
+  const locale = await getUserLocale(user.uid, getRequestLocale(req));
+
+  // Only the latest restore link is valid
+  await cancelPendingRegistration(email, 'restore');
+  const { token, expiresAt } = await createPendingRegistration(email, user.data.name, continueUrl, locale, 'restore');
+
+  const restoreUrl = `${continueUrl}?restoreToken=${token}`;
+  const messageId = await enqueueEmail(email, generateAccountRestoreEmail(user.data.name, restoreUrl, locale), { type: 'account_restore', userId: user.uid });
+  const status = await deliverOutboxMessage(messageId);
+
+  console.log(`Account restore email ${messageId} for ${email}: ${status}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account restore email sent successfully',
+    expiresAt: expiresAt.toISOString(),
+    queued: status !== 'sent'
+  });
+})));
 
 /**
- * Verify a registration token
- * HTTP endpoint called by the client when user clicks the email link
+ * Restore a soft-deleted account with the token from the restore email
+ * Clears deletedAt and sends a confirmation email
  *
- * POST /verifyRegistrationToken
+ * POST /verifyAccountRestore
  * Body: { token }
- * Returns: { success, email, name, continueUrl }
+ * Returns: { success, email }
  */
-functions.http('verifyRegistrationToken', async (req, res) => {
-  // Enable CORS
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+functions.http('verifyAccountRestore', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.ACCOUNT_RESTORED, async (req, res) => {
+  const { token } = req.body;
 
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
+  if (!token) {
+    sendError(res, 400, 'MISSING_FIELDS', 'Missing restore token');
     return;
   }
 
+  let restoreData;
   try {
-    const { token } = req.body;
+    restoreData = await verifyRegistrationToken(token, getClientIp(req), 'restore');
+  } catch (error) {
+    console.error('Error verifying restore token:', error);
+    if (!sendTokenError(res, error)) {
+      throw error;
+    }
+    return;
+  }
 
-    if (!token) {
-      res.status(400).json({
-        success: false,
-        error: 'Missing registration token'
-      });
+  const now = new Date();
+  let restored;
+  try {
+    const user = await findUserByEmail(restoreData.email);
+    if (!user) {
+      throw new Error('USER_NOT_FOUND: No account found');
+    }
+    req.auditUid = user.uid;
+    restored = await restoreAccount(user.uid, { restoredBy: 'user', now });
+  } catch (error) {
+    if (sendRestoreError(res, error)) {
       return;
     }
+    // Let the user retry with the same link
+    await releaseRegistrationToken(token);
+    throw error;
+  }
 
-    // Get IP address for logging
-    const ipAddress = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+  await sendAccountRestoredEmail(restored, now);
 
-    console.log(`Verifying registration token from IP: ${ipAddress}`);
+  res.status(200).json({
+    success: true,
+    email: restored.email
+  });
+})));
 
-    // Verify token and get registration data
-    const registrationData = await verifyRegistrationToken(token, ipAddress);
+/**
+ * Restore a soft-deleted account on behalf of a user (admin only)
+ *
+ * POST /adminRestoreAccount
+ * Header: Authorization: Bearer <ADMIN_API_KEY>
+ * Body: { uid }
+ * Returns: { success, uid }
+ */
+functions.http('adminRestoreAccount', withHttp({ methods: ['POST'], cors: false }, withAudit(AUDIT_EVENTS.ACCOUNT_RESTORED, async (req, res) => {
+  if (!isAdminRequest(req)) {
+    sendError(res, 401, 'UNAUTHORIZED', 'Admin credentials required');
+    return;
+  }
 
-    console.log(`Token verified successfully for ${registrationData.email}`);
+  const { uid } = req.body;
 
-    const { email, name } = registrationData;
+  if (!uid || typeof uid !== 'string') {
+    sendError(res, 400, 'MISSING_FIELDS', 'Missing required field: uid');
+    return;
+  }
+  req.auditUid = uid;
 
-    // Create or get Firebase Auth user
-    let firebaseUser;
-    try {
-      firebaseUser = await admin.auth().getUserByEmail(email);
-      console.log(`Existing Firebase user found: ${firebaseUser.uid}`);
-      
-      // Update last login in Firestore
-      const userRef = firestore.collection('users').doc(firebaseUser.uid);
-      const userDoc = await userRef.get();
-      if (userDoc.exists) {
-        await userRef.update({
-          lastLoginAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        console.log(`Updated lastLoginAt for ${email}`);
-      }
-    } catch (error) {
-      if (error.code === 'auth/user-not-found') {
-        // Create new Firebase user
-        firebaseUser = await admin.auth().createUser({
-          email: email,
-          emailVerified: true, // Email is verified via token
-          displayName: name,
-        });
-        console.log(`Created new Firebase user: ${firebaseUser.uid}`);
-
-        // Create Firestore user profile
-        await firestore.collection('users').doc(firebaseUser.uid).set({
-          uid: firebaseUser.uid,
-          email: email,
-          name: name,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          lastLoginAt: admin.firestore.FieldValue.serverTimestamp(),
-          metadata: {
-            loginCount: 1
-          }
-        });
-        console.log(`Created Firestore profile for ${email}`);
-      } else {
-        throw error;
-      }
+  const now = new Date();
+  let restored;
+  try {
+    restored = await restoreAccount(uid, { restoredBy: 'admin', now });
+  } catch (error) {
+    if (!sendRestoreError(res, error)) {
+      throw error;
     }
+    return;
+  }
 
-    // Generate a passwordless sign-in link for the user
-    const actionCodeSettings = {
-      url: registrationData.continueUrl,
-      handleCodeInApp: true,
-    };
-
-    const signInLink = await admin.auth().generateSignInWithEmailLink(email, actionCodeSettings);
-    console.log(`Generated sign-in link for ${email}`);
-
-    res.status(200).json({
-      success: true,
-      email: email,
-      name: name,
-      signInLink: signInLink,
-      continueUrl: registrationData.continueUrl
-    });
-  } catch (error) {
-    console.error('Error verifying registration token:', error);
+  await sendAccountRestoredEmail(restored, now);
 
-    // Ensure CORS headers are set even on error
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
+  res.status(200).json({
+    success: true,
+    uid
+  });
+})));
 
-    // Extract error type from message
-    const errorMessage = error.message;
-    let statusCode = 500;
-    let errorCode = 'VERIFICATION_FAILED';
-
-    if (errorMessage.includes('INVALID_TOKEN')) {
-      statusCode = 404;
-      errorCode = 'INVALID_TOKEN';
-    } else if (errorMessage.includes('TOKEN_EXPIRED')) {
-      statusCode = 410;
-      errorCode = 'TOKEN_EXPIRED';
-    } else if (errorMessage.includes('TOKEN_ALREADY_USED')) {
-      statusCode = 409;
-      errorCode = 'TOKEN_ALREADY_USED';
+/**
+ * Export all data stored for the signed-in user
+ * Emails a download link for a ZIP archive (JSON plus one CSV per project)
+ *
+ * POST /requestDataExport
+ * Header: Authorization: Bearer <Firebase ID token>
+ * Returns: { success, exportId, expiresAt, queued }
+ */
+functions.http('requestDataExport', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.DATA_EXPORT_REQUESTED, withUser(async (req, res) => {
+  const { uid } = req.user;
+
+  if (!(await enforceRateLimit(req, res, 'requestDataExport', { email: req.user.email || uid }))) {
+    return;
+  }
+
+  let dataExport;
+  try {
+    dataExport = await createDataExport(uid);
+  } catch (error) {
+    if (error.message.includes('USER_NOT_FOUND')) {
+      sendError(res, 404, 'USER_NOT_FOUND', 'No profile found for this account');
+      return;
     }
+    throw error;
+  }
 
-    res.status(statusCode).json({
-      success: false,
-      error: errorCode,
-      message: errorMessage
-    });
+  const { exportId, downloadUrl, expiresAt, profile } = dataExport;
+  const email = profile.email || req.user.email;
+  if (!email) {
+    sendError(res, 400, 'MISSING_EMAIL', 'The signed-in account has no email address');
+    return;
   }
-});
+
+  const locale = await getUserLocale(uid, getRequestLocale(req));
+  const messageId = await enqueueEmail(
+    email,
+    renderDataExportEmail(profile.name || req.user.name || 'User', downloadUrl, locale, expiresAt),
+    { type: 'data_export', userId: uid }
+  );
+  const status = await deliverOutboxMessage(messageId);
+  console.log(`Data export ${exportId} email ${messageId}: ${status}`);
+
+  res.status(200).json({
+    success: true,
+    exportId,
+    expiresAt: expiresAt.toISOString(),
+    queued: status !== 'sent'
+  });
+}))));
 
 /**
- * Clean up expired registration tokens
- * Scheduled function to run daily
- * Can also be triggered manually via HTTP
+ * List the signed-in user's recent security activity (sign-ins, sign-in
+ * requests, deletion, restore, data exports), newest first
+ *
+ * GET /listSecurityEvents?limit=50
+ * Header: Authorization: Bearer <Firebase ID token>
+ * Returns: { success, events: [{ id, type, outcome, errorCode, userAgent, createdAt }] }
  */
-functions.http('cleanupExpiredRegistrations', async (req, res) => {
-  // Enable CORS
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+functions.http('listSecurityEvents', withHttp({ methods: ['GET'] }, withUser(async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
 
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    sendError(res, 400, 'INVALID_LIMIT', 'limit must be between 1 and 100');
     return;
   }
 
-  try {
-    console.log('Starting cleanup of expired registrations');
+  const events = await listAuditEvents(req.user.uid, { limit });
+
+  res.status(200).json({ success: true, events });
+})));
+
+/**
+ * Delete audit log entries older than the retention period (365 days)
+ * Kept for manual runs; the scheduler calls enforceRetention, which applies
+ * the same auditLog retention policy
+ *
+ * Header: scheduler credentials (scheduler_auth.js)
+ * Returns: { success, status, deletedCount } - status as for enforceRetention
+ */
+functions.http('cleanupAuditLog', withHttp({ methods: ['GET', 'POST'], cors: false }, withScheduler('cleanupAuditLog', async (req, res) => {
+  const { status, policies: [{ counts }] } = await enforceRetention({ policies: ['auditLog'] });
+  const deletedCount = counts?.deleted || 0;
 
-    const deletedCount = await cleanupExpiredRegistrations();
+  console.log(`Audit log cleanup ${status}: ${deletedCount} entries deleted`);
 
-    console.log(`Cleanup completed: ${deletedCount} registrations deleted`);
+  res.status(200).json({ success: status !== 'failed', status, deletedCount });
+})));
 
-    res.status(200).json({
-      success: true,
-      deletedCount,
-      message: `Deleted ${deletedCount} expired registrations`
-    });
+/**
+ * Apply the data retention policies (retention_policies.js)
+ * Scheduled to run daily via Cloud Scheduler
+ *
+ * Each policy runs as its own job (job_runner.js): status 'partial' means
+ * the time ran out and the next run resumes, 'locked' that an earlier run of
+ * that policy is still going. A dry run deletes nothing and reports how many
+ * documents each policy would remove.
+ *
+ * GET|POST /enforceRetention?dryRun=true&policies=deletedUsers,auditLog
+ * Header: scheduler credentials (scheduler_auth.js)
+ * Body (optional): { dryRun?: boolean, policies?: string[] }
+ * Returns: { success, dryRun, status, policies: [{ id, action, days, cutoff, status, matched?, counts?, error? }] }
+ */
+functions.http('enforceRetention', withHttp({ methods: ['GET', 'POST'], cors: false }, withScheduler('enforceRetention', async (req, res) => {
+  const params = { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) };
+  const dryRun = params.dryRun === true || params.dryRun === 'true';
+  const policies = typeof params.policies === 'string'
+    ? params.policies.split(',').map((id) => id.trim()).filter(Boolean)
+    : params.policies;
+
+  if (policies !== undefined && (!Array.isArray(policies) || policies.length === 0)) {
+    sendError(res, 400, 'INVALID_POLICY', 'policies must be a list of policy IDs');
+    return;
+  }
+
+  let report;
+  try {
+    report = await enforceRetention({ policies, dryRun });
   } catch (error) {
-    console.error('Error cleaning up expired registrations:', error);
-    // Ensure CORS headers on error
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    if (error.message.startsWith('INVALID_POLICY')) {
+      sendError(res, 400, 'INVALID_POLICY', error.message.replace('INVALID_POLICY: ', ''));
+      return;
+    }
+    throw error;
   }
-});
+
+  console.log(`Retention ${dryRun ? 'dry run' : 'run'} ${report.status}:`,
+    report.policies.map(({ id, status, matched, counts }) => ({ id, status, matched, counts })));
+
+  res.status(200).json({ success: report.status !== 'failed', ...report });
+})));
 
 /**
- * Create a sign-in request (for existing users)
- * HTTP endpoint called by the client to send sign-in link
+ * List the devices the signed-in user has signed in from
  *
- * POST /createSignInRequest
- * Body: { email, continueUrl }
- * Returns: { success, message }
+ * GET /listKnownDevices
+ * Header: Authorization: Bearer <Firebase ID token>
+ * Returns: { success, devices: [{ id, browser, platform, trusted, firstSeenAt, lastSeenAt, loginCount, current }] }
  */
-functions.http('createSignInRequest', async (req, res) => {
-  // Enable CORS
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+functions.http('listKnownDevices', withHttp({ methods: ['GET'] }, withUser(async (req, res) => {
+  const { uid } = req.user;
+  const currentDeviceId = getDeviceId(uid, describeDevice(req));
+  const devices = await listKnownDevices(uid);
 
-  // Handle preflight request
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
+  res.status(200).json({
+    success: true,
+    devices: devices.map((device) => ({ ...device, current: device.id === currentDeviceId }))
+  });
+})));
+
+/**
+ * Forget a known device; the next sign-in from it sends a login alert again
+ *
+ * POST /forgetKnownDevice
+ * Header: Authorization: Bearer <Firebase ID token>
+ * Body: { deviceId }
+ * Returns: { success }
+ */
+functions.http('forgetKnownDevice', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.DEVICE_FORGOTTEN, withUser(async (req, res) => {
+  const { deviceId } = req.body;
+
+  if (typeof deviceId !== 'string' || !/^[A-Za-z0-9_-]{1,100}$/.test(deviceId)) {
+    sendError(res, 400, 'INVALID_DEVICE_ID', 'deviceId must be an ID from listKnownDevices');
     return;
   }
 
-  try {
-    const { email, continueUrl } = req.body;
+  if (!(await forgetKnownDevice(req.user.uid, deviceId))) {
+    sendError(res, 404, 'DEVICE_NOT_FOUND', 'No known device with this ID');
+    return;
+  }
 
-    // Validate input
-    if (!email || !continueUrl) {
-      res.status(400).json({
-        success: false,
-        error: 'Missing required fields: email, continueUrl'
-      });
+  res.status(200).json({ success: true });
+}))));
+
+/**
+ * "This wasn't me" link from the login alert
+ * Signs the user out on every device, marks the device of the reported login
+ * untrusted and emails a confirmation. No ID token: the signed link token
+ * identifies the user.
+ *
+ * POST /reportUnrecognizedLogin
+ * Body: { token }
+ * Returns: { success }
+ */
+functions.http('reportUnrecognizedLogin', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.UNRECOGNIZED_LOGIN_REPORTED, async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    sendError(res, 400, 'MISSING_TOKEN', 'Missing required field: token');
+    return;
+  }
+
+  if (!(await enforceRateLimit(req, res, 'reportUnrecognizedLogin'))) {
+    return;
+  }
+
+  const now = new Date();
+  let uid;
+  try {
+    ({ uid } = await reportUnrecognizedLogin(token, { now }));
+  } catch (error) {
+    if (error.message.includes('USER_NOT_FOUND')) {
+      sendError(res, 404, 'USER_NOT_FOUND', 'This account no longer exists.');
       return;
     }
+    if (sendTokenError(res, error)) {
+      return;
+    }
+    throw error;
+  }
 
-    console.log(`Creating sign-in request for ${email}`);
+  req.auditUid = uid;
+  await sendSessionsRevokedEmail(uid, { reason: 'reported', now });
 
-    // Check if user exists
-    const usersSnapshot = await firestore
-      .collection('users')
-      .where('email', '==', email)
-      .limit(1)
-      .get();
+  res.status(200).json({ success: true });
+})));
 
-    if (usersSnapshot.empty) {
-      res.status(404).json({
-        success: false,
-        error: 'USER_NOT_FOUND',
-        message: 'No account found with this email. Please register first.'
-      });
-      return;
+/**
+ * Sign out everywhere
+ * Revokes every session of the signed-in user, including the calling one,
+ * and emails a confirmation.
+ *
+ * POST /signOutEverywhere
+ * Header: Authorization: Bearer <Firebase ID token>
+ * Returns: { success }
+ */
+functions.http('signOutEverywhere', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.SESSIONS_REVOKED, withUser(async (req, res) => {
+  const { uid, email } = req.user;
+
+  if (!(await enforceRateLimit(req, res, 'signOutEverywhere', { email }))) {
+    return;
+  }
+
+  const now = new Date();
+  await revokeAllSessions(uid, { now });
+  await sendSessionsRevokedEmail(uid, { reason: 'requested', now });
+
+  res.status(200).json({ success: true });
+}))));
+
+/**
+ * Undo the soft delete of a project
+ * Clients cannot clear deletedAt themselves (firestore.rules); a project can
+ * be restored until the deletedProjects retention policy purges it.
+ *
+ * POST /restoreProject
+ * Header: Authorization: Bearer <Firebase ID token>
+ * Body: { projectId }
+ * Returns: { success, projectId, restoredAt }
+ */
+functions.http('restoreProject', withHttp({ methods: ['POST'] }, withAudit(AUDIT_EVENTS.PROJECT_RESTORED, withUser(async (req, res) => {
+  const { projectId } = req.body;
+
+  if (typeof projectId !== 'string' || !/^[A-Za-z0-9_-]{1,100}$/.test(projectId)) {
+    sendError(res, 400, 'INVALID_PROJECT_ID', 'projectId must be the ID of one of your projects');
+    return;
+  }
+
+  let restored;
+  try {
+    restored = await restoreProject(req.user.uid, projectId);
+  } catch (error) {
+    const errorMessage = error.message;
+    if (errorMessage.includes('PROJECT_NOT_FOUND')) {
+      sendError(res, 404, 'PROJECT_NOT_FOUND', 'No project with this ID');
+    } else if (errorMessage.includes('PROJECT_NOT_DELETED')) {
+      sendError(res, 409, 'PROJECT_NOT_DELETED', 'This project is not deleted');
+    } else if (errorMessage.includes('RESTORE_WINDOW_EXPIRED')) {
+      sendError(res, 410, 'RESTORE_WINDOW_EXPIRED', 'The restore period for this project has ended');
+    } else {
+      throw error;
     }
+    return;
+  }
 
-    const userData = usersSnapshot.docs[0].data();
-    const userName = userData.name;
+  res.status(200).json({ success: true, projectId, restoredAt: restored.restoredAt.toISOString() });
+}))));
+
+/**
+ * Deliver queued and retrying outbox emails
+ * Scheduled to run every few minutes via Cloud Scheduler
+ *
+ * Header: scheduler credentials (scheduler_auth.js)
+ * Returns: { success, processed, sent, retrying, dead }
+ */
+functions.http('processEmailOutbox', withHttp({ methods: ['GET', 'POST'], cors: false }, withScheduler('processEmailOutbox', async (req, res) => {
+  const summary = await processOutbox();
 
-    // Cancel any existing pending sign-in requests for this email
-    await cancelPendingRegistration(email);
+  console.log('Email outbox processed:', summary);
 
-    // Create pending sign-in (reuse registration system)
-    const { token, expiresAt } = await createPendingRegistration(email, userName, continueUrl);
+  res.status(200).json({
+    success: true,
+    ...summary
+  });
+})));
 
-    // Build sign-in URL with token
-    const signInUrl = `${continueUrl}?signInToken=${token}`;
+/**
+ * List outbox messages (admin only)
+ * Lets support answer "did my email ever go out?"
+ *
+ * GET /listEmailOutbox?status=dead&to=user@example.com&limit=50
+ * Header: Authorization: Bearer <ADMIN_API_KEY>
+ * Returns: { success, messages }
+ */
+functions.http('listEmailOutbox', withHttp({ methods: ['GET'], cors: false }, async (req, res) => {
+  if (!isAdminRequest(req)) {
+    sendError(res, 401, 'UNAUTHORIZED', 'Admin credentials required');
+    return;
+  }
 
-    // Generate email content
-    const { html, text } = generateSignInEmail(userName, signInUrl);
+  const { status, to } = req.query;
+  const limit = Number(req.query.limit) || 50;
 
-    // Send email
-    await sendEmail(
-      email,
-      'Sign In to Your Account - Art Finance Hub',
-      html,
-      text
-    );
+  const messages = await listOutboxMessages({ status, to, limit });
 
-    console.log(`Sign-in email sent to ${email}`);
+  res.status(200).json({
+    success: true,
+    messages
+  });
+}));
 
-    res.status(200).json({
-      success: true,
-      message: 'Sign-in email sent successfully',
-      expiresAt: expiresAt.toISOString()
-    });
+/**
+ * Resend an outbox message (admin only)
+ * Sent messages have no body anymore and get 409 MESSAGE_BODY_REDACTED
+ *
+ * POST /resendOutboxEmail
+ * Header: Authorization: Bearer <ADMIN_API_KEY>
+ * Body: { messageId }
+ * Returns: { success, status }
+ */
+functions.http('resendOutboxEmail', withHttp({ methods: ['POST'], cors: false }, async (req, res) => {
+  if (!isAdminRequest(req)) {
+    sendError(res, 401, 'UNAUTHORIZED', 'Admin credentials required');
+    return;
+  }
+
+  const { messageId } = req.body;
+
+  if (!messageId) {
+    sendError(res, 400, 'MISSING_FIELDS', 'Missing required field: messageId');
+    return;
+  }
+
+  try {
+    await requeueOutboxMessage(messageId);
   } catch (error) {
-    console.error('Error creating sign-in request:', error);
-    // Ensure CORS headers are set even on error
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create sign-in request',
-      details: error.message
-    });
+    if (error.message.includes('MESSAGE_NOT_FOUND')) {
+      sendError(res, 404, 'MESSAGE_NOT_FOUND', `Outbox message ${messageId} does not exist`);
+      return;
+    }
+    if (error.message.includes('MESSAGE_BODY_REDACTED')) {
+      sendError(res, 409, 'MESSAGE_BODY_REDACTED', `Outbox message ${messageId} was already sent and no longer has a body`);
+      return;
+    }
+    throw error;
   }
-});
+
+  const status = await deliverOutboxMessage(messageId);
+
+  res.status(200).json({
+    success: true,
+    messageId,
+    status
+  });
+}));
+
+/**
+ * Hash registration and sign-in tokens stored before hashing was introduced
+ * (admin only). Run once after deploying; running it again is a no-op.
+ *
+ * POST /migrateRegistrationTokens
+ * Header: Authorization: Bearer <ADMIN_API_KEY>
+ * Returns: { success, migrated }
+ */
+functions.http('migrateRegistrationTokens', withHttp({ methods: ['POST'], cors: false }, async (req, res) => {
+  if (!isAdminRequest(req)) {
+    sendError(res, 401, 'UNAUTHORIZED', 'Admin credentials required');
+    return;
+  }
+
+  const migrated = await migrateLegacyRegistrationTokens();
+
+  res.status(200).json({
+    success: true,
+    migrated
+  });
+}));
+
+/**
+ * Move legacy users/{uid}/transactions into each user's default project
+ * (admin only). Resumes where the last run stopped; run it until the report
+ * shows no legacy transactions. See legacy_transactions.js.
+ *
+ * POST /migrateLegacyTransactions
+ * Header: Authorization: Bearer <ADMIN_API_KEY>
+ * Body: { dryRun? }
+ * Returns: { success, dryRun, status, counts, results } - results only list users with legacy transactions
+ */
+functions.http('migrateLegacyTransactions', withHttp({ methods: ['POST'], cors: false }, async (req, res) => {
+  if (!isAdminRequest(req)) {
+    sendError(res, 401, 'UNAUTHORIZED', 'Admin credentials required');
+    return;
+  }
+
+  const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true';
+  const { status, counts, results } = await migrateLegacyTransactions({ dryRun });
+
+  res.status(200).json({
+    success: counts.failed === 0,
+    dryRun,
+    status,
+    counts,
+    results
+  });
+}));
@@ -0,0 +1,75 @@
+/**
+ * Input Validation
+ *
+ * Shared validation for values that end up in emails or user profiles.
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// C0 and C1 control characters, DEL and the Unicode line/paragraph separators
+const CONTROL_CHARACTERS = new RegExp('[\\u0000-\\u001F\\u007F-\\u009F\\u2028\\u2029]+', 'g');
+
+export const NAME_MIN_LENGTH = 2;
+export const NAME_MAX_LENGTH = 100;
+
+/**
+ * Check that an email address is well-formed
+ *
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && EMAIL_REGEX.test(email);
+}
+
+/**
+ * Check a value for control characters and line breaks
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function hasControlCharacters(value) {
+  return String(value).search(CONTROL_CHARACTERS) !== -1;
+}
+
+/**
+ * Replace each run of control characters and line breaks
+ *
+ * @param {*} value
+ * @param {string} replacement
+ * @returns {string}
+ */
+export function replaceControlCharacters(value, replacement) {
+  return String(value).replace(CONTROL_CHARACTERS, replacement);
+}
+
+/**
+ * Validate a display name
+ *
+ * Names are shown in emails sent from our domain, so markup, links and
+ * control characters are rejected outright rather than only escaped.
+ *
+ * @param {string} name
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+export function validateDisplayName(name) {
+  if (typeof name !== 'string') {
+    return 'Name is required';
+  }
+
+  const trimmed = name.trim();
+
+  if (trimmed.length < NAME_MIN_LENGTH) {
+    return `Name must be at least ${NAME_MIN_LENGTH} characters`;
+  }
+  if (trimmed.length > NAME_MAX_LENGTH) {
+    return `Name must be at most ${NAME_MAX_LENGTH} characters`;
+  }
+  if (hasControlCharacters(trimmed)) {
+    return 'Name contains invalid characters';
+  }
+  if (/[<>]/.test(trimmed) || /[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) || /\bwww\./i.test(trimmed)) {
+    return 'Name must not contain links or markup';
+  }
+
+  return null;
+}
@@ -8,9 +8,7 @@ export default {
     '!email_service.js', // External service wrapper - tested via integration
     '!email_service_smtp.js', // External service wrapper - tested via integration
     '!email_service_sendgrid.js', // External service wrapper - tested via integration
-    '!check_user.js', // Utility script - not part of production code
-    '!delete_test_user.js', // Utility script - not part of production code
-    '!test_registration.js', // Utility script - not part of production code
+    '!admin.js', // CLI entry point - commands are tested in admin_commands.js
     '!jest.config.js',
     '!coverage/**',
     '!deploy.sh'
@@ -0,0 +1,243 @@
+/**
+ * Maintenance Job Runner
+ *
+ * Runs the scheduled maintenance jobs (the retention policies of
+ * retention_policies.js) as a sequence of pages over an indexed query:
+ *
+ * - Pages: the job's query is read PAGE_SIZE documents at a time with a
+ *   query cursor, so no run loads a whole collection and no batch exceeds
+ *   Firestore's 500 writes.
+ * - Checkpoints: after every page the last document is stored in
+ *   `jobState/{job}`. A run that stops early (time budget spent, function
+ *   timeout, crash) leaves the checkpoint behind and the next run resumes
+ *   after it. A run that reaches the end clears it.
+ * - Lease: a run holds a lease in the same document, renewed with every
+ *   checkpoint. Overlapping runs find the lease held and stop without doing
+ *   anything; the lease of a run that died expires after LEASE_MS.
+ * - History: every run, including skipped ones, is recorded in `jobRuns`
+ *   with its duration and counts.
+ *
+ * Jobs that delete the documents they process resume from the start when the
+ * checkpointed document is gone. That only revisits documents that were
+ * skipped or failed, which the jobs handle idempotently.
+ */
+
+import crypto from 'crypto';
+import { Firestore } from '@google-cloud/firestore';
+
+const firestore = new Firestore();
+
+export const JOB_STATE_COLLECTION = 'jobState';
+export const JOB_RUNS_COLLECTION = 'jobRuns';
+
+export const PAGE_SIZE = 200;
+// Longer than a page takes, so a live run never loses its lease
+export const LEASE_MS = 10 * 60 * 1000;
+// Below the 540s function timeout (scripts/deploy_functions.sh) so a run can report
+export const TIME_BUDGET_MS = 8 * 60 * 1000;
+
+const DELETE_BATCH_SIZE = 500;
+
+/**
+ * Take the lease of a job
+ *
+ * @returns {Promise<{acquired: boolean, cursor: string|null}>} The checkpoint to resume from
+ */
+async function acquireLease(stateRef, runId, now) {
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(stateRef);
+    const state = doc.exists ? doc.data() : {};
+
+    if (state.lease && state.lease.expiresAt.toDate() > now) {
+      return { acquired: false, cursor: null };
+    }
+
+    transaction.set(stateRef, {
+      lease: { runId, expiresAt: new Date(now.getTime() + LEASE_MS) },
+      updatedAt: now,
+    }, { merge: true });
+    return { acquired: true, cursor: state.cursor || null };
+  });
+}
+
+/**
+ * Store the checkpoint and renew the lease, unless another run took it over
+ *
+ * @throws {Error} LEASE_LOST when the lease expired and another run holds it
+ */
+async function checkpoint(stateRef, runId, cursor) {
+  await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(stateRef);
+    if (doc.data()?.lease?.runId !== runId) {
+      throw new Error('LEASE_LOST: Another run took over the job');
+    }
+
+    const now = new Date();
+    transaction.update(stateRef, {
+      cursor,
+      'lease.expiresAt': new Date(now.getTime() + LEASE_MS),
+      updatedAt: now,
+    });
+  });
+}
+
+/**
+ * Give up the lease (if still held)
+ */
+async function releaseLease(stateRef, runId) {
+  await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(stateRef);
+    if (doc.data()?.lease?.runId === runId) {
+      transaction.update(stateRef, { lease: null, updatedAt: new Date() });
+    }
+  });
+}
+
+/**
+ * Snapshot of the checkpointed document to start after, if it still exists
+ */
+async function loadCursor(cursor) {
+  if (!cursor) {
+    return null;
+  }
+  const snapshot = await firestore.doc(cursor).get();
+  return snapshot.exists ? snapshot : null;
+}
+
+/**
+ * Error code for reports, without the message (which may name a user)
+ *
+ * @param {Error} error
+ * @returns {string} e.g. LEASE_LOST, or INTERNAL_ERROR for errors without a code
+ */
+export function errorCode(error) {
+  return error.message?.match(/^([A-Z_]+):/)?.[1] || String(error.code || 'INTERNAL_ERROR');
+}
+
+/**
+ * Run a maintenance job
+ *
+ * `query()` must return an ordered query; `processPage(docs)` handles one
+ * page and returns counts ({deleted: 3}) that are summed over the run,
+ * starting from `counts` (so runs without pages report zeros).
+ *
+ * Status of the run:
+ * - completed: reached the end of the query; the checkpoint is cleared
+ * - partial: stopped after the time budget; the next run resumes
+ * - locked: another run holds the lease; nothing was done
+ * - failed: a page threw; the next run resumes after the last finished page
+ *
+ * @param {string} job - Job name, e.g. cleanupDeletedUsers
+ * @param {{query: Function, processPage: Function, counts?: object, pageSize?: number, timeBudgetMs?: number}} definition
+ * @returns {Promise<{runId: string, status: string, pages: number, counts: object, durationMs: number, resumed: boolean}>}
+ * @throws {Error} The error of a failed run, after it has been recorded
+ */
+export async function runJob(job, { query, processPage, counts = {}, pageSize = PAGE_SIZE, timeBudgetMs = TIME_BUDGET_MS }) {
+  const runId = crypto.randomUUID();
+  const startedAt = new Date();
+  const stateRef = firestore.collection(JOB_STATE_COLLECTION).doc(job);
+
+  const run = { runId, status: 'locked', pages: 0, counts: { ...counts }, durationMs: 0, resumed: false };
+  let failure = null;
+
+  const lease = await acquireLease(stateRef, runId, startedAt);
+
+  if (lease.acquired) {
+    try {
+      let cursor = await loadCursor(lease.cursor);
+      run.resumed = Boolean(cursor);
+      run.status = 'partial';
+
+      for (;;) {
+        let pageQuery = query();
+        if (cursor) {
+          pageQuery = pageQuery.startAfter(cursor);
+        }
+        const snapshot = await pageQuery.limit(pageSize).get();
+
+        if (snapshot.empty) {
+          await checkpoint(stateRef, runId, null);
+          run.status = 'completed';
+          break;
+        }
+
+        const pageCounts = await processPage(snapshot.docs);
+        Object.entries(pageCounts || {}).forEach(([key, value]) => {
+          run.counts[key] = (run.counts[key] || 0) + value;
+        });
+        run.pages += 1;
+
+        // A short page is the last one
+        const done = snapshot.size < pageSize;
+        cursor = snapshot.docs[snapshot.docs.length - 1];
+        await checkpoint(stateRef, runId, done ? null : cursor.ref.path);
+
+        if (done) {
+          run.status = 'completed';
+          break;
+        }
+        if (Date.now() - startedAt.getTime() >= timeBudgetMs) {
+          break;
+        }
+      }
+    } catch (error) {
+      failure = error;
+      run.status = 'failed';
+    } finally {
+      await releaseLease(stateRef, runId);
+    }
+  }
+
+  const finishedAt = new Date();
+  run.durationMs = finishedAt.getTime() - startedAt.getTime();
+
+  await firestore.collection(JOB_RUNS_COLLECTION).doc(runId).set({
+    job,
+    status: run.status,
+    startedAt,
+    finishedAt,
+    durationMs: run.durationMs,
+    pages: run.pages,
+    counts: run.counts,
+    resumed: run.resumed,
+    error: failure ? errorCode(failure) : null,
+  });
+
+  console.log(`Job ${job} ${run.status} after ${run.pages} pages in ${run.durationMs} ms:`, run.counts);
+
+  if (failure) {
+    throw failure;
+  }
+  return run;
+}
+
+/**
+ * Delete a page of documents in one batch
+ *
+ * @param {Array<object>} docs - Query document snapshots (at most 500)
+ * @returns {Promise<number>} Number of deleted documents
+ */
+export async function deleteDocuments(docs) {
+  const batch = firestore.batch();
+  docs.forEach((doc) => batch.delete(doc.ref));
+  await batch.commit();
+  return docs.length;
+}
+
+/**
+ * Delete the documents matched by a query, one batch at a time
+ *
+ * @param {object} query - Firestore query; must not match the documents again once deleted
+ * @returns {Promise<number>} Number of deleted documents
+ */
+export async function deleteInBatches(query) {
+  let deleted = 0;
+
+  for (;;) {
+    const snapshot = await query.limit(DELETE_BATCH_SIZE).get();
+    if (snapshot.empty) {
+      return deleted;
+    }
+    deleted += await deleteDocuments(snapshot.docs);
+  }
+}
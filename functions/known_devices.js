@@ -0,0 +1,179 @@
+/**
+ * Known Devices
+ *
+ * Per-user registry of devices that have signed in, in
+ * users/{uid}/knownDevices/{deviceId}. The server decides whether a login
+ * comes from a new device, so the login alert is only sent once per device
+ * instead of on every sign-in.
+ *
+ * A device is identified by its browser family, platform and coarse IP
+ * network (user_agent.js). The document ID is an HMAC of those parts keyed
+ * with AUDIT_HASH_SECRET (defaults to TOKEN_HASH_SECRET), so the network is
+ * not stored in readable or guessable form.
+ *
+ * A device whose login the user reported ("This wasn't me", see
+ * session_revocation.js) is marked untrusted: every further login from it
+ * sends an alert until the user forgets it.
+ */
+
+import crypto from 'crypto';
+import { Firestore, FieldValue } from '@google-cloud/firestore';
+import { getClientIp } from './http_middleware.js';
+import { parseUserAgent, getIpNetwork } from './user_agent.js';
+
+const firestore = new Firestore();
+
+export const KNOWN_DEVICES_COLLECTION = 'knownDevices';
+
+/**
+ * Describe the device a request comes from
+ *
+ * @param {object} req - HTTP request
+ * @returns {{browser: string, platform: string, network: string}}
+ */
+export function describeDevice(req) {
+  return {
+    ...parseUserAgent(req.headers['user-agent']),
+    network: getIpNetwork(getClientIp(req)),
+  };
+}
+
+/**
+ * Document ID of a device
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{browser: string, platform: string, network: string}} device
+ * @returns {string} HMAC-SHA256 (base64url)
+ * @throws {Error} if neither AUDIT_HASH_SECRET nor TOKEN_HASH_SECRET is configured
+ */
+export function getDeviceId(uid, { browser, platform, network }) {
+  const secret = process.env.AUDIT_HASH_SECRET || process.env.TOKEN_HASH_SECRET;
+  if (!secret) {
+    throw new Error('AUDIT_HASH_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', secret)
+    .update([uid, browser, platform, network].join('\n'))
+    .digest('base64url');
+}
+
+function devicesRef(uid) {
+  return firestore.collection('users').doc(uid).collection(KNOWN_DEVICES_COLLECTION);
+}
+
+/**
+ * Record a login and tell whether it comes from a new or untrusted device
+ *
+ * @param {string} uid - Firebase UID
+ * @param {object} req - HTTP request of the login
+ * @param {{now?: Date}} options
+ * @returns {Promise<{deviceId: string, browser: string, platform: string, isNew: boolean, trusted: boolean, firstDevice: boolean}>}
+ *   firstDevice: the user had no known devices before this login
+ */
+export async function registerDeviceLogin(uid, req, { now = new Date() } = {}) {
+  const device = describeDevice(req);
+  const deviceId = getDeviceId(uid, device);
+  const deviceRef = devicesRef(uid).doc(deviceId);
+
+  const { isNew, trusted, firstDevice } = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(deviceRef);
+
+    if (doc.exists) {
+      transaction.update(deviceRef, { lastSeenAt: now, loginCount: FieldValue.increment(1) });
+      return { isNew: false, trusted: doc.data().trusted !== false, firstDevice: false };
+    }
+
+    const others = await transaction.get(devicesRef(uid).limit(1));
+
+    transaction.create(deviceRef, {
+      browser: device.browser,
+      platform: device.platform,
+      trusted: true,
+      firstSeenAt: now,
+      lastSeenAt: now,
+      loginCount: 1,
+    });
+    return { isNew: true, trusted: true, firstDevice: others.empty };
+  });
+
+  return { deviceId, browser: device.browser, platform: device.platform, isNew, trusted, firstDevice };
+}
+
+/**
+ * How a device relates to a user's device history, without recording a login
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{browser: string, platform: string, network: string}} device - From describeDevice
+ * @returns {Promise<'trusted'|'untrusted'|'unknown'|'none'>} 'unknown' if the user has
+ *   other devices but not this one, 'none' if the user has no device history
+ */
+export async function getDeviceStatus(uid, device) {
+  const doc = await devicesRef(uid).doc(getDeviceId(uid, device)).get();
+  if (doc.exists) {
+    return doc.data().trusted === false ? 'untrusted' : 'trusted';
+  }
+
+  const others = await devicesRef(uid).limit(1).get();
+  return others.empty ? 'none' : 'unknown';
+}
+
+/**
+ * List a user's known devices, most recently used first
+ *
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<Array<{id: string, browser: string, platform: string, trusted: boolean, firstSeenAt: string, lastSeenAt: string, loginCount: number}>>}
+ */
+export async function listKnownDevices(uid) {
+  const snapshot = await devicesRef(uid).orderBy('lastSeenAt', 'desc').get();
+
+  return snapshot.docs.map((doc) => {
+    const { browser, platform, trusted, firstSeenAt, lastSeenAt, loginCount } = doc.data();
+    return {
+      id: doc.id,
+      browser,
+      platform,
+      trusted: trusted !== false,
+      firstSeenAt: firstSeenAt.toDate().toISOString(),
+      lastSeenAt: lastSeenAt.toDate().toISOString(),
+      loginCount,
+    };
+  });
+}
+
+/**
+ * Forget a device; its next login triggers an alert again
+ *
+ * @param {string} uid - Firebase UID
+ * @param {string} deviceId - Document ID from listKnownDevices
+ * @returns {Promise<boolean>} false if the device was not known
+ */
+export async function forgetKnownDevice(uid, deviceId) {
+  const deviceRef = devicesRef(uid).doc(deviceId);
+  const doc = await deviceRef.get();
+
+  if (!doc.exists) {
+    return false;
+  }
+
+  await deviceRef.delete();
+  return true;
+}
+
+/**
+ * Mark a device untrusted after the user reported a login from it
+ *
+ * @param {string} uid - Firebase UID
+ * @param {string} deviceId - Document ID of the device
+ * @param {{now?: Date}} options
+ * @returns {Promise<boolean>} false if the device is no longer known
+ */
+export async function markDeviceUntrusted(uid, deviceId, { now = new Date() } = {}) {
+  const deviceRef = devicesRef(uid).doc(deviceId);
+  const doc = await deviceRef.get();
+
+  if (!doc.exists) {
+    return false;
+  }
+
+  await deviceRef.update({ trusted: false, untrustedAt: now });
+  return true;
+}
@@ -0,0 +1,246 @@
+/**
+ * Legacy Transactions Migration
+ *
+ * Before projects existed, transactions were stored in
+ * `users/{uid}/transactions`. The app only migrates the copy on the device, so
+ * this admin migration moves the cloud copy into the user's default project
+ * (`users/{uid}/projects/{projectId}/transactions`):
+ *
+ * - The default project is the one the app picks (ensureDefaultProject in
+ *   lib/services/project_service.dart): of the active projects, ordered by
+ *   createdAt, the first that is `default` or named "Default", else the
+ *   first one. Only a user without active projects gets a new `default`
+ *   project. Unlike the app, which would recreate it, a soft-deleted
+ *   `default` project is not overwritten: such users are skipped until the
+ *   project is restored or purged.
+ * - Every transaction keeps its document ID and all its fields (currency
+ *   included). A transaction already in the project is left alone when its
+ *   fields match the legacy one (fields the project copy lacks, such as
+ *   currency, are filled in); if they differ it is a conflict and neither
+ *   copy is touched.
+ * - After copying, every legacy transaction is checked against the project
+ *   copy; only verified ones are deleted, so conflicts stay in place for a
+ *   person to resolve.
+ *
+ * Users are processed in pages by the job runner (job_runner.js), which
+ * checkpoints after every page; the outcome for each user is recorded in
+ * `legacyTransactionMigrations/{uid}`. Every step is idempotent, so the
+ * migration can be re-run until its report shows no legacy transactions.
+ * A dry run writes nothing but the job checkpoint of its own job.
+ */
+
+import { Firestore } from '@google-cloud/firestore';
+import { runJob, deleteDocuments } from './job_runner.js';
+
+const firestore = new Firestore();
+
+export const MIGRATION_COLLECTION = 'legacyTransactionMigrations';
+export const DEFAULT_PROJECT_ID = 'default';
+const DEFAULT_PROJECT_NAME = 'Default';
+const SYNC_METADATA_DOC = '_sync_metadata';
+const BATCH_SIZE = 500;
+// Migrating a user reads and writes all of their transactions
+const MIGRATION_PAGE_SIZE = 20;
+
+/**
+ * Compare two Firestore field values (timestamps by time)
+ */
+function sameValue(a, b) {
+  if (a && typeof a.toMillis === 'function') {
+    return Boolean(b) && typeof b.toMillis === 'function' && a.toMillis() === b.toMillis();
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * A project copy matches when every field it has equals the legacy field
+ */
+function matchesLegacy(target, legacy) {
+  return Object.entries(target).every(([key, value]) => sameValue(value, legacy[key]));
+}
+
+/**
+ * Find the project the app would use as default
+ *
+ * Mirrors ensureDefaultProject, which loads the projects ordered by createdAt
+ * (firestore_project_sync_service.dart) and ignores deleted ones.
+ *
+ * @returns {Promise<{projectId: string, exists: boolean}|null>} null when a new
+ *   `default` project would replace a soft-deleted one
+ */
+async function findDefaultProject(projectsRef) {
+  const snapshot = await projectsRef.orderBy('createdAt').get();
+  const active = snapshot.docs.filter((doc) => doc.id !== SYNC_METADATA_DOC && !doc.data().deletedAt);
+
+  if (active.length > 0) {
+    const project = active.find((doc) => doc.id === DEFAULT_PROJECT_ID || doc.data().name === DEFAULT_PROJECT_NAME) || active[0];
+    return { projectId: project.id, exists: true };
+  }
+
+  const defaultDoc = await projectsRef.doc(DEFAULT_PROJECT_ID).get();
+  return defaultDoc.exists ? null : { projectId: DEFAULT_PROJECT_ID, exists: false };
+}
+
+/**
+ * Commit set operations in batches of at most 500 writes
+ */
+async function setInBatches(writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => batch.set(ref, data, { merge: true }));
+    await batch.commit();
+  }
+}
+
+/**
+ * Migrate (or, in a dry run, plan) the legacy transactions of one user
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{dryRun?: boolean, now?: Date}} options
+ * @returns {Promise<object>} Result: {uid, status, projectId, createdProject, legacy, copied, alreadyPresent, conflicts, verified, deleted}
+ *   with status none (no legacy data), migrated, conflicts, skipped (the default project is deleted) or dry-run
+ */
+export async function migrateUserTransactions(uid, { dryRun = false, now = new Date() } = {}) {
+  const userRef = firestore.collection('users').doc(uid);
+  const legacySnapshot = await userRef.collection('transactions').get();
+  const legacyDocs = legacySnapshot.docs.filter((doc) => doc.id !== SYNC_METADATA_DOC);
+
+  if (legacyDocs.length === 0) {
+    // A sync metadata document without transactions is all that is left
+    if (!legacySnapshot.empty && !dryRun) {
+      await deleteDocuments(legacySnapshot.docs);
+    }
+    return { uid, status: 'none' };
+  }
+
+  const projectsRef = userRef.collection('projects');
+  const project = await findDefaultProject(projectsRef);
+  if (!project) {
+    const record = { uid, status: 'skipped', reason: 'DEFAULT_PROJECT_DELETED', legacy: legacyDocs.length };
+    if (!dryRun) {
+      await firestore.collection(MIGRATION_COLLECTION).doc(uid).set({ ...record, migratedAt: now });
+    }
+    return record;
+  }
+
+  const transactionsRef = projectsRef.doc(project.projectId).collection('transactions');
+  const targets = new Map((await transactionsRef.get()).docs.map((doc) => [doc.id, doc.data()]));
+
+  const writes = [];
+  const conflicts = [];
+  let alreadyPresent = 0;
+
+  legacyDocs.forEach((doc) => {
+    const target = targets.get(doc.id);
+    if (!target) {
+      writes.push({ ref: transactionsRef.doc(doc.id), data: doc.data() });
+    } else if (matchesLegacy(target, doc.data())) {
+      alreadyPresent += 1;
+      if (Object.keys(doc.data()).some((key) => !(key in target))) {
+        writes.push({ ref: transactionsRef.doc(doc.id), data: doc.data() });
+      }
+    } else {
+      conflicts.push(doc.id);
+    }
+  });
+
+  const result = {
+    uid,
+    projectId: project.projectId,
+    createdProject: !project.exists,
+    legacy: legacyDocs.length,
+    copied: legacyDocs.length - alreadyPresent - conflicts.length,
+    alreadyPresent,
+    conflicts,
+  };
+
+  if (dryRun) {
+    return { ...result, status: 'dry-run' };
+  }
+
+  if (!project.exists) {
+    await projectsRef.doc(project.projectId).set({ name: DEFAULT_PROJECT_NAME, createdAt: now, deletedAt: null });
+    await projectsRef.doc(SYNC_METADATA_DOC).set({ lastSyncTime: now }, { merge: true });
+  }
+  await setInBatches(writes);
+
+  // Verify against what is now stored before deleting anything
+  const stored = new Map((await transactionsRef.get()).docs.map((doc) => [doc.id, doc.data()]));
+  const verifiedDocs = legacyDocs.filter((doc) => {
+    const copy = stored.get(doc.id);
+    return copy && !conflicts.includes(doc.id) && matchesLegacy(doc.data(), copy) && matchesLegacy(copy, doc.data());
+  });
+
+  await transactionsRef.doc(SYNC_METADATA_DOC).set({
+    lastSyncTime: now,
+    transactionCount: [...stored.keys()].filter((id) => id !== SYNC_METADATA_DOC).length,
+  }, { merge: true });
+
+  // The legacy sync metadata goes once nothing is left to sync
+  const toDelete = verifiedDocs.length === legacyDocs.length
+    ? legacySnapshot.docs.filter((doc) => doc.id === SYNC_METADATA_DOC).concat(verifiedDocs)
+    : verifiedDocs;
+  let deleted = 0;
+  for (let i = 0; i < toDelete.length; i += BATCH_SIZE) {
+    deleted += await deleteDocuments(toDelete.slice(i, i + BATCH_SIZE));
+  }
+
+  const status = verifiedDocs.length === legacyDocs.length ? 'migrated' : 'conflicts';
+  const record = { ...result, status, verified: verifiedDocs.length, deleted };
+
+  await firestore.collection(MIGRATION_COLLECTION).doc(uid).set({ ...record, migratedAt: now });
+
+  return record;
+}
+
+/**
+ * Migrate the legacy transactions of every user
+ *
+ * A failure for one user does not stop the others; it is reported with the
+ * error code and the user is retried by the next run. Dry runs keep their
+ * own checkpoint, so they never make a real run skip users, and their counts
+ * say what a real run would do.
+ *
+ * @param {{dryRun?: boolean, now?: Date, pageSize?: number, timeBudgetMs?: number}} options
+ * @returns {Promise<object>} The run (job_runner.js) with counts and the results of users with legacy data
+ */
+export async function migrateLegacyTransactions({ dryRun = false, now = new Date(), pageSize = MIGRATION_PAGE_SIZE, ...options } = {}) {
+  const results = [];
+
+  const run = await runJob(dryRun ? 'migration.legacyTransactions.dryRun' : 'migration.legacyTransactions', {
+    ...options,
+    pageSize,
+    counts: { users: 0, migrated: 0, conflicts: 0, skipped: 0, failed: 0, transactions: 0, copied: 0, alreadyPresent: 0, verified: 0 },
+    // Collection queries are ordered by document ID
+    query: () => firestore.collection('users'),
+    processPage: async (docs) => {
+      const counts = { users: docs.length, migrated: 0, conflicts: 0, skipped: 0, failed: 0, transactions: 0, copied: 0, alreadyPresent: 0, verified: 0 };
+
+      for (const doc of docs) {
+        let result;
+        try {
+          result = await migrateUserTransactions(doc.id, { dryRun, now });
+        } catch (error) {
+          console.error(`Failed to migrate legacy transactions of user ${doc.id}:`, error);
+          result = { uid: doc.id, status: 'failed', error: String(error.code || 'INTERNAL_ERROR') };
+        }
+        if (result.status === 'none') {
+          continue;
+        }
+
+        // A dry run counts what a real run would do
+        const outcome = result.status === 'dry-run' ? (result.conflicts.length > 0 ? 'conflicts' : 'migrated') : result.status;
+        counts[outcome] += 1;
+        counts.transactions += result.legacy || 0;
+        counts.copied += result.copied || 0;
+        counts.alreadyPresent += result.alreadyPresent || 0;
+        counts.verified += result.verified || 0;
+        results.push(result);
+      }
+
+      return counts;
+    },
+  });
+
+  return { ...run, dryRun, results };
+}
@@ -0,0 +1,194 @@
+/**
+ * Rate Limiting
+ *
+ * Sliding-window rate limits stored in the `rateLimits` collection, so they
+ * hold across function instances. Each endpoint is limited per client IP and
+ * per target email address; a request is rejected when either key has used
+ * up its window.
+ *
+ * Each document keeps the timestamps of the most recent hits (at most `limit`
+ * of them), which is all a sliding window needs. Keys are hashed so no IPs or
+ * email addresses end up in document IDs. `expiresAt` is set for a Firestore
+ * TTL policy that removes idle documents.
+ *
+ * Configuration:
+ * - RATE_LIMITS: JSON overriding the defaults per endpoint, e.g.
+ *   {"createRegistration": {"email": {"limit": 5, "windowSeconds": 3600}}}
+ */
+
+import crypto from 'crypto';
+import { Firestore } from '@google-cloud/firestore';
+import { getClientIp, sendError } from './http_middleware.js';
+
+const firestore = new Firestore();
+
+export const RATE_LIMIT_COLLECTION = 'rateLimits';
+
+const HOUR = 60 * 60;
+
+export const DEFAULT_RATE_LIMITS = {
+  createRegistration: {
+    ip: { limit: 10, windowSeconds: HOUR },
+    email: { limit: 3, windowSeconds: HOUR },
+  },
+  createSignInRequest: {
+    ip: { limit: 10, windowSeconds: HOUR },
+    email: { limit: 5, windowSeconds: HOUR },
+  },
+  sendLoginNotification: {
+    ip: { limit: 20, windowSeconds: HOUR },
+    email: { limit: 10, windowSeconds: HOUR },
+  },
+  hasPendingRegistration: {
+    ip: { limit: 30, windowSeconds: HOUR },
+    email: { limit: 20, windowSeconds: HOUR },
+  },
+  requestAccountRestore: {
+    ip: { limit: 10, windowSeconds: HOUR },
+    email: { limit: 3, windowSeconds: HOUR },
+  },
+  requestDataExport: {
+    ip: { limit: 10, windowSeconds: HOUR },
+    email: { limit: 3, windowSeconds: 24 * HOUR },
+  },
+  reportUnrecognizedLogin: {
+    ip: { limit: 10, windowSeconds: HOUR },
+  },
+  signOutEverywhere: {
+    ip: { limit: 10, windowSeconds: HOUR },
+    email: { limit: 5, windowSeconds: HOUR },
+  },
+  confirmSignInChallenge: {
+    ip: { limit: 20, windowSeconds: HOUR },
+  },
+};
+
+let clock = () => Date.now();
+
+/**
+ * Replace the clock used for rate limiting (tests)
+ *
+ * @param {Function|null} now - Returns the current time in milliseconds; null restores Date.now
+ */
+export function setClock(now) {
+  clock = now || (() => Date.now());
+}
+
+/**
+ * Limits for an endpoint, with RATE_LIMITS overrides applied
+ *
+ * @param {string} endpoint - Endpoint name
+ * @returns {Object<string, {limit: number, windowSeconds: number}>} Limits by key type
+ */
+export function getRateLimits(endpoint) {
+  let overrides = {};
+  if (process.env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMITS)[endpoint] || {};
+    } catch (error) {
+      console.error('Ignoring invalid RATE_LIMITS configuration:', error.message);
+    }
+  }
+
+  const defaults = DEFAULT_RATE_LIMITS[endpoint] || {};
+  const types = new Set([...Object.keys(defaults), ...Object.keys(overrides)]);
+
+  return Object.fromEntries([...types].map((type) => [type, { ...defaults[type], ...overrides[type] }]));
+}
+
+function normalizeKey(type, value) {
+  const key = String(value).trim();
+  return type === 'email' ? key.toLowerCase() : key;
+}
+
+function getDocumentId(endpoint, type, value) {
+  const digest = crypto.createHash('sha256').update(normalizeKey(type, value)).digest('hex');
+  return `${endpoint}_${type}_${digest}`;
+}
+
+/**
+ * Record a hit for an endpoint unless one of its keys is over the limit
+ *
+ * Hits are only recorded when every key is within its limit, so a blocked
+ * request does not extend the block.
+ *
+ * @param {string} endpoint - Endpoint name (key of DEFAULT_RATE_LIMITS)
+ * @param {Object<string, string>} keys - Values to limit by, e.g. { ip, email }; empty values are skipped
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds: number, limitedBy: string|null}>}
+ */
+export async function checkRateLimit(endpoint, keys, now = clock()) {
+  const limits = getRateLimits(endpoint);
+  const checks = Object.entries(keys)
+    .filter(([type, value]) => value && limits[type]?.limit > 0)
+    .map(([type, value]) => ({
+      type,
+      ...limits[type],
+      ref: firestore.collection(RATE_LIMIT_COLLECTION).doc(getDocumentId(endpoint, type, value)),
+    }));
+
+  if (checks.length === 0) {
+    return { allowed: true, retryAfterSeconds: 0, limitedBy: null };
+  }
+
+  return firestore.runTransaction(async (transaction) => {
+    const snapshots = await Promise.all(checks.map(({ ref }) => transaction.get(ref)));
+
+    const windows = checks.map((check, index) => {
+      const windowMs = check.windowSeconds * 1000;
+      const hits = (snapshots[index].exists ? snapshots[index].data().hits || [] : [])
+        .filter((hit) => hit > now - windowMs && hit <= now);
+      return { ...check, windowMs, hits };
+    });
+
+    const exceeded = windows.filter(({ hits, limit }) => hits.length >= limit);
+    if (exceeded.length > 0) {
+      // The oldest hit that has to leave the window before a slot frees up
+      const retryAfterMs = Math.max(...exceeded.map(({ hits, limit, windowMs }) =>
+        hits[hits.length - limit] + windowMs - now));
+      return {
+        allowed: false,
+        retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+        limitedBy: exceeded[0].type,
+      };
+    }
+
+    windows.forEach(({ ref, hits, limit, windowMs }) => {
+      transaction.set(ref, {
+        endpoint,
+        hits: [...hits, now].slice(-limit),
+        expiresAt: new Date(now + windowMs),
+      });
+    });
+
+    return { allowed: true, retryAfterSeconds: 0, limitedBy: null };
+  });
+}
+
+/**
+ * Apply an endpoint's rate limits to an HTTP request
+ *
+ * Responds with 429 RATE_LIMITED and a Retry-After header when the client IP
+ * or the target email address is over its limit.
+ *
+ * @param {object} req - HTTP request
+ * @param {object} res - HTTP response
+ * @param {string} endpoint - Endpoint name
+ * @param {{email?: string}} keys - Target email address, if any
+ * @returns {Promise<boolean>} true if the request may proceed
+ */
+export async function enforceRateLimit(req, res, endpoint, { email } = {}) {
+  const result = await checkRateLimit(endpoint, { ip: getClientIp(req), email });
+
+  if (result.allowed) {
+    return true;
+  }
+
+  console.warn(`Rate limit exceeded for ${endpoint} (by ${result.limitedBy})`);
+
+  res.set('Retry-After', String(result.retryAfterSeconds));
+  sendError(res, 429, 'RATE_LIMITED', 'Too many requests. Please try again later.', {
+    retryAfter: result.retryAfterSeconds,
+  });
+  return false;
+}
@@ -3,6 +3,11 @@
  *
  * Handles server-side registration flow with token-based verification.
  * This eliminates the need for localStorage and allows cross-device registration.
+ *
+ * Tokens are only ever sent to the user by email. At rest they are stored as
+ * an HMAC keyed with TOKEN_HASH_SECRET (the document ID in
+ * `pendingRegistrations`), so read access to the database or the logs is not
+ * enough to complete someone else's sign-in.
  */
 
 import { Firestore } from '@google-cloud/firestore';
@@ -10,6 +15,29 @@ import crypto from 'crypto';
 
 const firestore = new Firestore();
 
+const COLLECTION = 'pendingRegistrations';
+const MIGRATION_BATCH_SIZE = 200;
+// Issued tokens are 32 random bytes in base64url (43 characters), legacy ones too
+const TOKEN_FORMAT = /^[A-Za-z0-9_-]{20,128}$/;
+
+/**
+ * What a token may be used for, and how long it is valid
+ */
+export const TOKEN_PURPOSES = {
+  registration: { expiresInMs: 24 * 60 * 60 * 1000, label: 'registration' }, // 24 hours
+  signIn: { expiresInMs: 15 * 60 * 1000, label: 'signing in' }, // 15 minutes
+  restore: { expiresInMs: 60 * 60 * 1000, label: 'restoring an account' }, // 1 hour
+};
+
+// Tokens created before purposes existed were only ever emailed for these
+const LEGACY_TOKEN_PURPOSES = ['registration', 'signIn'];
+
+function assertPurpose(purpose) {
+  if (!Object.hasOwn(TOKEN_PURPOSES, purpose)) {
+    throw new Error(`INVALID_PURPOSE: Unknown token purpose ${purpose}`);
+  }
+}
+
 /**
  * Generate a secure random token for registration
  */
@@ -18,23 +46,89 @@ function generateToken() {
 }
 
 /**
- * Create a pending registration record
+ * Check that TOKEN_HASH_SECRET is configured
+ * index.js calls this on startup, so a deployment without the secret fails
+ * at once instead of answering every token request with a 500
+ *
+ * @throws {Error} if TOKEN_HASH_SECRET is not configured
+ */
+export function assertTokenHashSecret() {
+  if (!process.env.TOKEN_HASH_SECRET) {
+    throw new Error('TOKEN_HASH_SECRET is not configured; deploy with --set-secrets TOKEN_HASH_SECRET=token-hash-secret:latest (scripts/setup_token_secret.sh)');
+  }
+}
+
+/**
+ * Keyed hash of a token, used as its document ID
+ *
+ * @param {string} token - Raw token from the email link
+ * @returns {string} Base64URL-encoded HMAC-SHA256
+ * @throws {Error} if TOKEN_HASH_SECRET is not configured
+ */
+export function hashToken(token) {
+  const secret = process.env.TOKEN_HASH_SECRET;
+  if (!secret) {
+    throw new Error('TOKEN_HASH_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', secret).update(String(token)).digest('base64url');
+}
+
+/**
+ * Find the document for a token
+ *
+ * Documents created before tokens were hashed use the raw token as their ID
+ * and still carry a `token` field; they are found by that until
+ * migrateLegacyRegistrationTokens has re-keyed them.
+ *
+ * @param {*} token - Raw token from the request body
+ * @param {FirebaseFirestore.Transaction} transaction - Transaction to read in
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function findTokenDocument(token, transaction) {
+  // Anything else is not a token we issued, and may not be a valid document ID
+  if (typeof token !== 'string' || !TOKEN_FORMAT.test(token)) {
+    return null;
+  }
+
+  const doc = await transaction.get(firestore.collection(COLLECTION).doc(hashToken(token)));
+  if (doc.exists) {
+    return doc;
+  }
+
+  const legacyDoc = await transaction.get(firestore.collection(COLLECTION).doc(token));
+  if (legacyDoc.exists && legacyDoc.data().token === token) {
+    return legacyDoc;
+  }
+
+  return null;
+}
+
+/**
+ * Create a pending registration or sign-in record
  *
  * @param {string} email - User's email address
  * @param {string} name - User's display name
  * @param {string} continueUrl - URL to redirect to after verification
+ * @param {string} locale - Email locale of the requester (optional)
+ * @param {string} purpose - 'registration' (default) or 'signIn'; sets the expiry
+ * @param {object} requestContext - Where the link was requested, from
+ *   describeRequestContext (risk_engine.js; optional)
  * @returns {Promise<{token: string, expiresAt: Date}>}
  */
-export async function createPendingRegistration(email, name, continueUrl) {
+export async function createPendingRegistration(email, name, continueUrl, locale = null, purpose = 'registration', requestContext = null) {
+  assertPurpose(purpose);
+
   const token = generateToken();
   const now = new Date();
-  const expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours
+  const expiresAt = new Date(now.getTime() + TOKEN_PURPOSES[purpose].expiresInMs);
 
   const registrationData = {
     email,
     name,
-    token,
     continueUrl,
+    locale,
+    purpose,
+    requestContext,
     createdAt: now,
     expiresAt,
     status: 'pending', // pending, completed, expired
@@ -44,11 +138,11 @@ export async function createPendingRegistration(email, name, continueUrl) {
 
   // Store in Firestore
   await firestore
-    .collection('pendingRegistrations')
-    .doc(token)
+    .collection(COLLECTION)
+    .doc(hashToken(token))
     .set(registrationData);
 
-  console.log(`Created pending registration for ${email} with token ${token.substring(0, 10)}...`);
+  console.log(`Created pending ${purpose} for ${email}`);
 
   return { token, expiresAt };
 }
@@ -56,39 +150,66 @@ export async function createPendingRegistration(email, name, continueUrl) {
 /**
  * Verify a registration token and retrieve the registration data
  *
+ * The token is checked and consumed in one transaction, so of several
+ * concurrent verifications of the same token exactly one succeeds and the
+ * others fail with TOKEN_ALREADY_USED. A token used for the wrong purpose is
+ * rejected without being consumed. Tokens created before purposes existed
+ * have none and are accepted for registration and sign-in, never for restore.
+ *
  * @param {string} token - Registration token to verify
  * @param {string} ipAddress - IP address of the requester (optional)
- * @returns {Promise<{email: string, name: string, continueUrl: string}>}
- * @throws {Error} if token is invalid, expired, or already used
+ * @param {string} purpose - Expected purpose: 'registration' (default), 'signIn' or 'restore'
+ * @returns {Promise<{email: string, name: string, continueUrl: string, locale: string|null, requestContext: object|null}>}
+ * @throws {Error} if token is invalid, for another purpose, expired, or already used
  */
-export async function verifyRegistrationToken(token, ipAddress = null) {
-  const docRef = firestore.collection('pendingRegistrations').doc(token);
-  const doc = await docRef.get();
+export async function verifyRegistrationToken(token, ipAddress = null, purpose = 'registration') {
+  assertPurpose(purpose);
 
-  if (!doc.exists) {
-    throw new Error('INVALID_TOKEN: Registration token not found');
-  }
+  const outcome = await firestore.runTransaction(async (transaction) => {
+    const doc = await findTokenDocument(token, transaction);
 
-  const data = doc.data();
+    if (!doc) {
+      return { error: 'INVALID_TOKEN: Registration token not found' };
+    }
 
-  // Check if already used
-  if (data.status === 'completed') {
-    throw new Error('TOKEN_ALREADY_USED: This registration has already been completed');
-  }
+    const data = doc.data();
 
-  // Check if expired
-  const now = new Date();
-  if (data.expiresAt.toDate() < now) {
-    await docRef.update({ status: 'expired' });
-    throw new Error('TOKEN_EXPIRED: Registration token has expired');
+    if (!data.purpose && !LEGACY_TOKEN_PURPOSES.includes(purpose)) {
+      return { error: 'WRONG_TOKEN_PURPOSE: This link is for registration or signing in' };
+    }
+    if (data.purpose && data.purpose !== purpose) {
+      const label = TOKEN_PURPOSES[data.purpose]?.label || data.purpose;
+      return { error: `WRONG_TOKEN_PURPOSE: This link is for ${label}` };
+    }
+
+    // Check if already used
+    if (data.status === 'completed') {
+      return { error: 'TOKEN_ALREADY_USED: This registration has already been completed' };
+    }
+
+    // Check if expired
+    const now = new Date();
+    if (data.expiresAt.toDate() < now) {
+      transaction.update(doc.ref, { status: 'expired' });
+      return { error: 'TOKEN_EXPIRED: Registration token has expired' };
+    }
+
+    // Mark as completed
+    transaction.update(doc.ref, {
+      status: 'completed',
+      verifiedAt: now,
+      ipAddress: ipAddress || null,
+    });
+
+    return { data };
+  });
+
+  // Thrown outside the transaction so the `expired` update is committed
+  if (outcome.error) {
+    throw new Error(outcome.error);
   }
 
-  // Mark as completed
-  await docRef.update({
-    status: 'completed',
-    verifiedAt: now,
-    ipAddress: ipAddress || null,
-  });
+  const { data } = outcome;
 
   console.log(`Verified registration token for ${data.email}`);
 
@@ -96,83 +217,74 @@ export async function verifyRegistrationToken(token, ipAddress = null) {
     email: data.email,
     name: data.name,
     continueUrl: data.continueUrl,
+    locale: data.locale || null,
+    requestContext: data.requestContext || null,
   };
 }
 
 /**
- * Clean up expired registration tokens
- * Should be called by a scheduled Cloud Function
+ * Make a consumed token usable again
+ *
+ * Called when setting up the account failed after the token was consumed, so
+ * the user can retry with the same link.
  *
- * @returns {Promise<number>} Number of tokens deleted
+ * @param {string} token - Registration token
+ * @returns {Promise<void>}
  */
-export async function cleanupExpiredRegistrations() {
-  const now = new Date();
+export async function releaseRegistrationToken(token) {
+  await firestore.runTransaction(async (transaction) => {
+    const doc = await findTokenDocument(token, transaction);
 
-  console.log(`Starting cleanup of registrations expired before ${now.toISOString()}`);
-
-  // Avoid composite index by querying status first, then filtering by expiresAt
-  const statusSnapshot = await firestore
-    .collection('pendingRegistrations')
-    .where('status', '==', 'pending')
-    .get();
-
-  if (statusSnapshot.empty) {
-    console.log('No pending registrations to clean up');
-    return 0;
-  }
-
-  const expiredDocs = statusSnapshot.docs.filter((doc) => {
-    const data = doc.data();
-    const expiresAt = data.expiresAt instanceof Date ? data.expiresAt : data.expiresAt?.toDate?.();
-    return expiresAt && expiresAt < now;
-  });
-
-  if (expiredDocs.length === 0) {
-    console.log('No expired registrations to clean up');
-    return 0;
-  }
-
-  console.log(`Found ${expiredDocs.length} expired registrations to delete`);
-
-  const batch = firestore.batch();
-  expiredDocs.forEach((doc) => {
-    batch.delete(doc.ref);
+    if (doc && doc.data().status === 'completed') {
+      transaction.update(doc.ref, { status: 'pending', verifiedAt: null, ipAddress: null });
+    }
   });
-
-  await batch.commit();
-
-  console.log(`Deleted ${expiredDocs.length} expired registrations`);
-
-  return expiredDocs.length;
 }
 
 /**
- * Check if an email already has a pending registration
+ * Check if an email has an unexpired registration or sign-in link
  *
  * @param {string} email - Email address to check
+ * @param {string|null} purpose - 'registration', 'signIn', 'restore', or null
+ *   for either registration or sign-in (restore links are left out)
  * @returns {Promise<boolean>}
  */
-export async function hasPendingRegistration(email) {
-  const snapshot = await firestore
-    .collection('pendingRegistrations')
+export async function hasPendingRegistration(email, purpose = null) {
+  let query = firestore
+    .collection(COLLECTION)
     .where('email', '==', email)
-    .where('status', '==', 'pending')
+    .where('status', '==', 'pending');
+
+  if (purpose) {
+    query = query.where('purpose', '==', purpose);
+  }
+
+  // Without a purpose, read the few pending links of the address and skip
+  // restore ones (a purpose != filter would also drop legacy tokens)
+  const snapshot = await query
+    .where('expiresAt', '>', new Date())
+    .limit(purpose ? 1 : 10)
     .get();
 
-  return !snapshot.empty;
+  return snapshot.docs.some((doc) => purpose || doc.data().purpose !== 'restore');
 }
 
 /**
- * Cancel a pending registration
+ * Cancel pending tokens for an email address
+ *
+ * Only tokens with the given purpose are cancelled, so requesting a sign-in
+ * link does not invalidate an outstanding registration link and vice versa.
  *
  * @param {string} email - Email address
+ * @param {string} purpose - 'registration' (default) or 'signIn'
  * @returns {Promise<void>}
  */
-export async function cancelPendingRegistration(email) {
+export async function cancelPendingRegistration(email, purpose = 'registration') {
   const snapshot = await firestore
-    .collection('pendingRegistrations')
+    .collection(COLLECTION)
     .where('email', '==', email)
     .where('status', '==', 'pending')
+    .where('purpose', '==', purpose)
     .get();
 
   if (snapshot.empty) {
@@ -186,5 +298,43 @@ export async function cancelPendingRegistration(email) {
 
   await batch.commit();
 
-  console.log(`Cancelled pending registration for ${email}`);
+  console.log(`Cancelled pending ${purpose} for ${email}`);
+}
+
+/**
+ * Re-key documents created before tokens were hashed
+ *
+ * Each legacy document (raw token as ID, `token` field) is copied to its
+ * hashed ID without the token and then deleted. Safe to run repeatedly.
+ *
+ * @returns {Promise<number>} Number of documents migrated
+ */
+export async function migrateLegacyRegistrationTokens() {
+  let migrated = 0;
+
+  for (;;) {
+    const snapshot = await firestore
+      .collection(COLLECTION)
+      .where('token', '!=', null)
+      .limit(MIGRATION_BATCH_SIZE)
+      .get();
+
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = firestore.batch();
+    snapshot.docs.forEach((doc) => {
+      const { token, ...data } = doc.data();
+      batch.set(firestore.collection(COLLECTION).doc(hashToken(token)), data);
+      batch.delete(doc.ref);
+    });
+    await batch.commit();
+
+    migrated += snapshot.size;
+  }
+
+  console.log(`Migrated ${migrated} legacy registration tokens`);
+
+  return migrated;
 }
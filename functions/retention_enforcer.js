@@ -0,0 +1,120 @@
+/**
+ * Retention Enforcer
+ *
+ * Applies the policies of retention_policies.js. Each policy runs as its own
+ * job (job_runner.js, named "retention.<policy>"), so it pages through its
+ * indexed query, resumes after a timeout and cannot overlap with itself. All
+ * policies of one call share one time budget.
+ *
+ * A dry run applies nothing and reports, per policy, how many documents are
+ * past their period. Reports only contain counts.
+ */
+
+import { Firestore } from '@google-cloud/firestore';
+import { RETENTION_POLICIES, getRetentionPolicy, getRetentionDays, getRetentionCutoff } from './retention_policies.js';
+import { runJob, deleteDocuments, errorCode, TIME_BUDGET_MS } from './job_runner.js';
+import { purgeDeletedUsers } from './user_purge.js';
+import { purgeDeletedProjects } from './deleted_projects.js';
+import { purgeExpiredExports } from './data_export.js';
+
+const firestore = new Firestore();
+
+/**
+ * Ordered query of the documents past a policy's period
+ *
+ * @param {object} policy - From RETENTION_POLICIES
+ * @param {Date} cutoff - From getRetentionCutoff
+ * @returns {object} Firestore query
+ */
+export function expiredDocumentsQuery(policy, cutoff) {
+  let query = policy.collectionGroup
+    ? firestore.collectionGroup(policy.collectionGroup)
+    : firestore.collection(policy.collection);
+
+  if (policy.status) {
+    query = query.where('status', '==', policy.status);
+  }
+  return query.where(policy.field, '<', cutoff).orderBy(policy.field);
+}
+
+/**
+ * Apply one policy
+ *
+ * @returns {Promise<{status: string, counts: object}>}
+ */
+async function applyPolicy(policy, cutoff, { now, timeBudgetMs }) {
+  switch (policy.action) {
+    case 'delete':
+      return runJob(`retention.${policy.id}`, {
+        query: () => expiredDocumentsQuery(policy, cutoff),
+        processPage: async (docs) => ({ deleted: await deleteDocuments(docs) }),
+        counts: { deleted: 0 },
+        timeBudgetMs,
+      });
+    case 'purgeUsers': {
+      const { status, counts } = await purgeDeletedUsers({ now, timeBudgetMs });
+      return { status, counts };
+    }
+    case 'purgeProjects': {
+      const { status, counts } = await purgeDeletedProjects({ now, timeBudgetMs });
+      return { status, counts };
+    }
+    case 'purgeExports': {
+      const { status, counts } = await purgeExpiredExports({ now, timeBudgetMs });
+      return { status, counts };
+    }
+    default:
+      throw new Error(`INVALID_POLICY: Unknown retention action ${policy.action}`);
+  }
+}
+
+// The most severe status of the policies is the status of the whole call
+const STATUS_SEVERITY = ['failed', 'locked', 'partial'];
+
+/**
+ * Apply (or report) retention policies
+ *
+ * A failing policy does not stop the others; it is reported with status
+ * 'failed' and its error code. The overall status is the most severe of
+ * failed, locked and partial, or completed.
+ *
+ * @param {{policies?: string[], dryRun?: boolean, now?: Date}} options - All policies by default
+ * @returns {Promise<{dryRun: boolean, status: string, policies: Array<{id: string, action: string, days: number|null, cutoff: Date|null, status: string, matched?: number, counts?: object, error?: string}>}>}
+ * @throws {Error} INVALID_POLICY or INVALID_RETENTION_CONFIG before anything is applied
+ */
+export async function enforceRetention({ policies = RETENTION_POLICIES.map((policy) => policy.id), dryRun = false, now = new Date() } = {}) {
+  // Resolve every policy first, so a typo or bad override applies nothing
+  const selected = policies.map((id) => ({
+    policy: getRetentionPolicy(id),
+    days: getRetentionDays(id),
+    cutoff: getRetentionCutoff(id, now),
+  }));
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  const reports = [];
+
+  for (const { policy, days, cutoff } of selected) {
+    const report = { id: policy.id, action: policy.action, days, cutoff };
+
+    if (policy.action === 'keep') {
+      reports.push({ ...report, status: 'kept' });
+      continue;
+    }
+
+    try {
+      if (dryRun) {
+        const snapshot = await expiredDocumentsQuery(policy, cutoff).count().get();
+        reports.push({ ...report, status: 'dry-run', matched: snapshot.data().count });
+      } else {
+        const timeBudgetMs = Math.max(0, deadline - Date.now());
+        const { status, counts } = await applyPolicy(policy, cutoff, { now, timeBudgetMs });
+        reports.push({ ...report, status, counts });
+      }
+    } catch (error) {
+      console.error(`Retention policy ${policy.id} failed:`, error);
+      reports.push({ ...report, status: 'failed', error: errorCode(error) });
+    }
+  }
+
+  const status = STATUS_SEVERITY.find((candidate) => reports.some((report) => report.status === candidate)) || 'completed';
+  return { dryRun, status, policies: reports };
+}
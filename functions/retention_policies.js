@@ -0,0 +1,165 @@
+/**
+ * Data Retention Policies
+ *
+ * How long each kind of stored data is kept, in one place. Every policy
+ * covers one collection (and status) and names the timestamp its period
+ * counts from; retention_enforcer.js applies them on a schedule, and the
+ * account deletion email and restore window read the soft-delete period from
+ * here. PRIVACY.md and the "Data Retention" section of docs/AUTH_SETUP.md
+ * describe these policies and must change with them.
+ *
+ * Actions:
+ * - delete: documents past the period are deleted
+ * - purgeUsers: accounts past the period are purged with all their data (user_purge.js)
+ * - purgeProjects: projects past the period are purged with their transactions (deleted_projects.js)
+ * - purgeExports: export records past the period are deleted with their archives (data_export.js)
+ * - keep: nothing is deleted automatically
+ *
+ * Periods are whole days and can be overridden with the policy's environment
+ * variable, e.g. RETENTION_DELETED_USERS_DAYS=120.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RETENTION_POLICIES = [
+  {
+    id: 'pendingRegistrations',
+    description: 'Unused registration, sign-in and restore links (valid for up to 24 hours)',
+    collection: 'pendingRegistrations',
+    status: 'pending',
+    field: 'expiresAt',
+    days: 0,
+    env: 'RETENTION_PENDING_REGISTRATIONS_DAYS',
+    action: 'delete',
+  },
+  {
+    id: 'expiredRegistrations',
+    description: 'Links that were clicked after they expired',
+    collection: 'pendingRegistrations',
+    status: 'expired',
+    field: 'expiresAt',
+    days: 0,
+    env: 'RETENTION_EXPIRED_REGISTRATIONS_DAYS',
+    action: 'delete',
+  },
+  {
+    id: 'completedRegistrations',
+    description: 'Used links, with the IP address that used them',
+    collection: 'pendingRegistrations',
+    status: 'completed',
+    field: 'verifiedAt',
+    days: 30,
+    env: 'RETENTION_COMPLETED_REGISTRATIONS_DAYS',
+    action: 'delete',
+  },
+  {
+    id: 'signInChallenges',
+    description: 'Step-up confirmation codes (valid for 10 minutes)',
+    collection: 'signInChallenges',
+    field: 'expiresAt',
+    days: 0,
+    env: 'RETENTION_SIGN_IN_CHALLENGES_DAYS',
+    action: 'delete',
+  },
+  {
+    id: 'deletedUsers',
+    description: 'Soft-deleted accounts with all their data',
+    collection: 'users',
+    field: 'deletedAt',
+    days: 90,
+    env: 'RETENTION_DELETED_USERS_DAYS',
+    action: 'purgeUsers',
+  },
+  {
+    id: 'deletedProjects',
+    description: 'Soft-deleted projects with their transactions (restorable until purged)',
+    collectionGroup: 'projects',
+    field: 'deletedAt',
+    days: 30,
+    env: 'RETENTION_DELETED_PROJECTS_DAYS',
+    action: 'purgeProjects',
+  },
+  {
+    id: 'emailOutbox',
+    description: 'Outbox emails (bodies are removed once sent or dead-lettered)',
+    collection: 'emailOutbox',
+    field: 'createdAt',
+    days: 30,
+    env: 'RETENTION_EMAIL_OUTBOX_DAYS',
+    action: 'delete',
+  },
+  {
+    id: 'dataExports',
+    description: 'Data export archives and their records, once the download link has expired',
+    collection: 'dataExports',
+    field: 'expiresAt',
+    days: 0,
+    env: 'RETENTION_DATA_EXPORTS_DAYS',
+    action: 'purgeExports',
+  },
+  {
+    id: 'jobRuns',
+    description: 'History of maintenance job runs (counts only)',
+    collection: 'jobRuns',
+    field: 'finishedAt',
+    days: 90,
+    env: 'RETENTION_JOB_RUNS_DAYS',
+    action: 'delete',
+  },
+  {
+    id: 'auditLog',
+    description: 'Security audit log entries',
+    collection: 'auditLog',
+    field: 'createdAt',
+    days: 365,
+    env: 'RETENTION_AUDIT_LOG_DAYS',
+    action: 'delete',
+  },
+];
+
+/**
+ * Look up a policy
+ *
+ * @param {string} id - Policy ID, e.g. deletedUsers
+ * @returns {object}
+ * @throws {Error} INVALID_POLICY for unknown IDs
+ */
+export function getRetentionPolicy(id) {
+  const policy = RETENTION_POLICIES.find((candidate) => candidate.id === id);
+  if (!policy) {
+    throw new Error(`INVALID_POLICY: Unknown retention policy ${id}`);
+  }
+  return policy;
+}
+
+/**
+ * Retention period of a policy, with its environment override applied
+ *
+ * @param {string} id - Policy ID
+ * @returns {number|null} Days, or null for policies that keep their data
+ * @throws {Error} INVALID_POLICY, or INVALID_RETENTION_CONFIG for an override that is not a whole number of days
+ */
+export function getRetentionDays(id) {
+  const policy = getRetentionPolicy(id);
+  const override = policy.env ? process.env[policy.env] : undefined;
+
+  if (override === undefined || override === '') {
+    return policy.days;
+  }
+  if (!/^\d+$/.test(override.trim())) {
+    throw new Error(`INVALID_RETENTION_CONFIG: ${policy.env} must be a whole number of days`);
+  }
+  return Number(override.trim());
+}
+
+/**
+ * Documents whose timestamp is before the cutoff are past the period
+ *
+ * @param {string} id - Policy ID
+ * @param {Date} now
+ * @returns {Date|null} null for policies that keep their data
+ */
+export function getRetentionCutoff(id, now = new Date()) {
+  const days = getRetentionDays(id);
+  return days === null ? null : new Date(now.getTime() - days * DAY_MS);
+}
@@ -0,0 +1,147 @@
+/**
+ * Sign-In Risk Engine
+ *
+ * Decides whether clicking a registration or sign-in link is risky enough to
+ * require a confirmation code (step_up.js) before a Firebase sign-in link is
+ * minted. The signals compare the request context stored with the link
+ * (where it was requested) with the request that clicks it, look at the
+ * user's known devices (known_devices.js) and count recent sign-in link
+ * requests in the audit log.
+ *
+ * Scoring is a pure function of the signals: every rule in RISK_RULES that
+ * applies adds its points (negative points lower the score), and a score of
+ * HIGH_RISK_THRESHOLD or more requires the step-up. Links created before
+ * request contexts were stored have none, and the comparisons are skipped.
+ */
+
+import { getClientIp } from './http_middleware.js';
+import { hashIp, countRecentAuditEvents, AUDIT_EVENTS } from './audit_log.js';
+import { describeDevice, getDeviceStatus } from './known_devices.js';
+import { findUserByEmail } from './account_restore.js';
+import { parseUserAgent, getIpNetwork } from './user_agent.js';
+import { lookupIpLocation } from './geoip.js';
+
+export const HIGH_RISK_THRESHOLD = 50;
+
+// Sign-in link requests within this window count towards the velocity rules
+export const VELOCITY_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Scoring rules
+ *
+ * Each rule has an ID (reported as a reason), its points and a predicate of
+ * the signals:
+ * - requested: {browser, platform, network, country} where the link was
+ *   requested, or null for links without a stored context
+ * - clicked: the same for the request that clicks the link
+ * - deviceHistory: 'trusted', 'untrusted', 'unknown' or 'none' (getDeviceStatus)
+ * - recentRequests: sign-in links requested for the account in VELOCITY_WINDOW_MS
+ */
+export const RISK_RULES = [
+  {
+    id: 'NETWORK_CHANGED',
+    points: 20,
+    applies: ({ requested, clicked }) => Boolean(requested?.network && requested.network !== clicked.network),
+  },
+  {
+    id: 'COUNTRY_CHANGED',
+    points: 35,
+    applies: ({ requested, clicked }) => Boolean(requested?.country && clicked.country && requested.country !== clicked.country),
+  },
+  {
+    id: 'DEVICE_CHANGED',
+    points: 15,
+    applies: ({ requested, clicked }) => Boolean(requested)
+      && (requested.browser !== clicked.browser || requested.platform !== clicked.platform),
+  },
+  {
+    id: 'NEW_DEVICE',
+    points: 25,
+    applies: ({ deviceHistory }) => deviceHistory === 'unknown',
+  },
+  {
+    id: 'UNTRUSTED_DEVICE',
+    points: 50,
+    applies: ({ deviceHistory }) => deviceHistory === 'untrusted',
+  },
+  {
+    id: 'KNOWN_DEVICE',
+    points: -30,
+    applies: ({ deviceHistory }) => deviceHistory === 'trusted',
+  },
+  {
+    id: 'REPEATED_REQUESTS',
+    points: 20,
+    applies: ({ recentRequests }) => recentRequests >= 3 && recentRequests < 6,
+  },
+  {
+    id: 'REQUEST_BURST',
+    points: 40,
+    applies: ({ recentRequests }) => recentRequests >= 6,
+  },
+];
+
+/**
+ * Score the risk of a link click
+ *
+ * @param {{requested: object|null, clicked: object, deviceHistory: string, recentRequests: number}} signals
+ * @param {{rules?: Array<object>, threshold?: number}} options - Defaults to RISK_RULES and HIGH_RISK_THRESHOLD
+ * @returns {{score: number, reasons: string[], stepUpRequired: boolean}} The score is never negative
+ */
+export function scoreSignInRisk(signals, { rules = RISK_RULES, threshold = HIGH_RISK_THRESHOLD } = {}) {
+  const matched = rules.filter((rule) => rule.applies(signals));
+  const score = Math.max(0, matched.reduce((sum, rule) => sum + rule.points, 0));
+
+  return {
+    score,
+    reasons: matched.map((rule) => rule.id),
+    stepUpRequired: score >= threshold,
+  };
+}
+
+/**
+ * Context of a request for risk scoring
+ *
+ * The network is stored as an HMAC (audit_log.js) and the location only as
+ * a country code.
+ *
+ * @param {object} req - HTTP request
+ * @returns {Promise<{browser: string, platform: string, network: string|null, country: string|null}>}
+ */
+export async function describeRequestContext(req) {
+  const ip = getClientIp(req);
+  const location = await lookupIpLocation(ip);
+
+  return {
+    ...parseUserAgent(req.headers['user-agent']),
+    network: hashIp(getIpNetwork(ip)),
+    country: location?.country || null,
+  };
+}
+
+/**
+ * Gather the signals for a link click
+ *
+ * @param {{email: string, requestContext?: object|null}} registrationData - From verifyRegistrationToken
+ * @param {object} req - HTTP request that clicks the link
+ * @param {{now?: Date}} options
+ * @returns {Promise<{uid: string|null, signals: object}>} uid of the existing account, if any
+ */
+export async function collectSignInSignals({ email, requestContext = null }, req, { now = new Date() } = {}) {
+  const clicked = await describeRequestContext(req);
+  const user = await findUserByEmail(email);
+
+  let deviceHistory = 'none';
+  let recentRequests = 0;
+  if (user) {
+    deviceHistory = await getDeviceStatus(user.uid, describeDevice(req));
+    recentRequests = await countRecentAuditEvents(user.uid, AUDIT_EVENTS.SIGN_IN_REQUESTED, {
+      since: new Date(now.getTime() - VELOCITY_WINDOW_MS),
+    });
+  }
+
+  return {
+    uid: user?.uid || null,
+    signals: { requested: requestContext, clicked, deviceHistory, recentRequests },
+  };
+}
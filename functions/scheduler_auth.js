@@ -0,0 +1,194 @@
+/**
+ * Scheduler Authentication
+ *
+ * Maintenance jobs (cleanups, outbox processing) are HTTP functions that only
+ * a scheduler may trigger. A request is accepted with either:
+ *
+ * - an OIDC ID token (`Authorization: Bearer <token>`), as sent by Cloud
+ *   Scheduler with `--oidc-service-account-email`. The token must be signed
+ *   by Google, issued for SCHEDULER_OIDC_AUDIENCE and belong to
+ *   SCHEDULER_SERVICE_ACCOUNT.
+ * - an HMAC signature for other schedulers (cron, CI):
+ *   `X-Scheduler-Signature: t=<unix seconds>,v1=<hex>`, where v1 is the
+ *   HMAC-SHA256 keyed with SCHEDULER_HMAC_SECRET of
+ *   "<t>\n<job name>\n<METHOD>\n<canonical query>\n<hex SHA-256 of the raw body>".
+ *   Signatures are bound to one job and its parameters, so they cannot be
+ *   replayed with another query or body (e.g. without dryRun), and expire
+ *   after SIGNATURE_TOLERANCE_SECONDS.
+ *
+ * A method whose configuration is missing is disabled; with neither
+ * configured, every request is rejected.
+ *
+ * Configuration:
+ * - SCHEDULER_SERVICE_ACCOUNT: email of the scheduler's service account
+ * - SCHEDULER_OIDC_AUDIENCE: expected token audience (comma-separated for several)
+ * - SCHEDULER_HMAC_SECRET: shared secret for signed requests
+ */
+
+import crypto from 'crypto';
+import { OAuth2Client } from 'google-auth-library';
+import { getBearerToken, safeEqual } from './auth.js';
+import { sendError } from './http_middleware.js';
+
+export const SIGNATURE_HEADER = 'x-scheduler-signature';
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const oauthClient = new OAuth2Client();
+
+function listEnv(name) {
+  return String(process.env[name] || '').split(',').map((value) => value.trim()).filter(Boolean);
+}
+
+/**
+ * Query parameters sorted by name, as "name=value" pairs joined with "&" and
+ * percent-encoded like encodeURIComponent. Repeated parameters keep their
+ * order; parsed objects are encoded as JSON.
+ *
+ * @param {object} query - Parsed query (req.query)
+ * @returns {string}
+ */
+export function canonicalQuery(query = {}) {
+  return Object.keys(query)
+    .sort()
+    .flatMap((name) => [].concat(query[name] ?? []).map((value) =>
+      `${encodeURIComponent(name)}=${encodeURIComponent(typeof value === 'string' ? value : JSON.stringify(value))}`))
+    .join('&');
+}
+
+function signatureFor(secret, timestamp, jobName, { method, query, body }) {
+  const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+  const message = [timestamp, jobName, method.toUpperCase(), canonicalQuery(query), bodyHash].join('\n');
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+/**
+ * Signature header value for a job request (for callers and tests)
+ *
+ * @param {string} jobName - Function name, e.g. cleanupDeletedUsers
+ * @param {{method?: string, query?: object, body?: string|Buffer, secret?: string, now?: Date}} options -
+ *   body is the raw request body exactly as sent; secret defaults to SCHEDULER_HMAC_SECRET
+ * @returns {string} "t=<unix seconds>,v1=<hex>"
+ */
+export function signSchedulerRequest(jobName, { method = 'POST', query = {}, body = '', secret = process.env.SCHEDULER_HMAC_SECRET, now = new Date() } = {}) {
+  if (!secret) {
+    throw new Error('SCHEDULER_HMAC_SECRET is not configured');
+  }
+  const timestamp = Math.floor(now.getTime() / 1000);
+  return `t=${timestamp},v1=${signatureFor(secret, timestamp, jobName, { method, query, body })}`;
+}
+
+/**
+ * Check an HMAC signature header
+ *
+ * @returns {string} 'hmac'
+ * @throws {Error} UNAUTHENTICATED
+ */
+function verifySignature(req, jobName, now) {
+  const header = req.headers[SIGNATURE_HEADER];
+  const secret = process.env.SCHEDULER_HMAC_SECRET;
+  if (!secret) {
+    throw new Error('UNAUTHENTICATED: Signed scheduler requests are not enabled');
+  }
+
+  const parts = Object.fromEntries(String(header).split(',').map((part) => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw new Error('UNAUTHENTICATED: Malformed scheduler signature');
+  }
+  if (Math.abs(now.getTime() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('UNAUTHENTICATED: Scheduler signature has expired');
+  }
+
+  // The Functions Framework keeps the raw body of every parsed request
+  const hasBody = req.body !== undefined && req.body !== null && Object.keys(req.body).length > 0;
+  if (req.rawBody === undefined && hasBody) {
+    throw new Error('UNAUTHENTICATED: The request body cannot be verified');
+  }
+
+  const expected = signatureFor(secret, timestamp, jobName, { method: req.method, query: req.query, body: req.rawBody ?? '' });
+  if (!safeEqual(parts.v1, expected)) {
+    throw new Error('UNAUTHENTICATED: Invalid scheduler signature');
+  }
+
+  return 'hmac';
+}
+
+/**
+ * Check a Google-signed OIDC token
+ *
+ * @returns {Promise<string>} 'oidc'
+ * @throws {Error} UNAUTHENTICATED or FORBIDDEN
+ */
+async function verifyOidcToken(idToken) {
+  const serviceAccount = process.env.SCHEDULER_SERVICE_ACCOUNT;
+  const audience = listEnv('SCHEDULER_OIDC_AUDIENCE');
+  if (!serviceAccount || audience.length === 0) {
+    throw new Error('UNAUTHENTICATED: OIDC scheduler requests are not enabled');
+  }
+
+  let payload;
+  try {
+    const ticket = await oauthClient.verifyIdToken({ idToken, audience });
+    payload = ticket.getPayload();
+  } catch {
+    throw new Error('UNAUTHENTICATED: Invalid OIDC token');
+  }
+
+  if (payload?.email !== serviceAccount || payload.email_verified !== true) {
+    throw new Error('FORBIDDEN: Token does not belong to the scheduler service account');
+  }
+
+  return 'oidc';
+}
+
+/**
+ * Authenticate a scheduler request
+ *
+ * @param {object} req - HTTP request
+ * @param {string} jobName - Function name the signature must be bound to
+ * @param {{now?: Date}} options
+ * @returns {Promise<'oidc'|'hmac'>} How the request was authenticated
+ * @throws {Error} UNAUTHENTICATED or FORBIDDEN
+ */
+export async function verifySchedulerRequest(req, jobName, { now = new Date() } = {}) {
+  if (req.headers[SIGNATURE_HEADER]) {
+    return verifySignature(req, jobName, now);
+  }
+
+  const idToken = getBearerToken(req);
+  if (idToken) {
+    return verifyOidcToken(idToken);
+  }
+
+  throw new Error('UNAUTHENTICATED: Scheduler credentials required');
+}
+
+/**
+ * Only let the scheduler run an HTTP handler
+ *
+ * Requests without valid credentials get 401 UNAUTHENTICATED, OIDC tokens of
+ * another account 403 FORBIDDEN. The handler sees how the request was
+ * authenticated as `req.scheduler`.
+ *
+ * @param {string} jobName - Function name, part of the signed message
+ * @param {Function} handler - async (req, res) => void
+ * @returns {Function} Wrapped handler
+ */
+export function withScheduler(jobName, handler) {
+  return async (req, res) => {
+    try {
+      req.scheduler = { method: await verifySchedulerRequest(req, jobName) };
+    } catch (error) {
+      console.warn(`Rejected ${jobName} request: ${error.message}`);
+      if (error.message.startsWith('FORBIDDEN')) {
+        sendError(res, 403, 'FORBIDDEN', error.message.replace('FORBIDDEN: ', ''));
+      } else {
+        res.set('WWW-Authenticate', 'Bearer');
+        sendError(res, 401, 'UNAUTHENTICATED', error.message.replace('UNAUTHENTICATED: ', ''));
+      }
+      return;
+    }
+
+    await handler(req, res);
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Session Revocation
+ *
+ * Signs a user out on every device by revoking their Firebase refresh tokens
+ * (ID tokens are checked for revocation by withUser). Two entry points:
+ * - the "This wasn't me" link in the login alert, which also marks the device
+ *   of the reported login untrusted (known_devices.js)
+ * - the authenticated "sign out everywhere" action in the app settings
+ *
+ * Link tokens are stateless and signed:
+ * base64url(JSON payload) + "." + HMAC-SHA256 keyed with TOKEN_HASH_SECRET.
+ * Using a link twice only signs the user out again, so they are not tracked
+ * as single-use; they expire after REVOKE_LINK_TTL_DAYS.
+ */
+
+import crypto from 'crypto';
+import admin from 'firebase-admin';
+import { Firestore } from '@google-cloud/firestore';
+import { markDeviceUntrusted } from './known_devices.js';
+import { enqueueEmail, deliverOutboxMessage } from './email_outbox.js';
+import { renderSessionsRevokedEmail } from './email_service.js';
+import { getUserLocale } from './user_preferences.js';
+
+const firestore = new Firestore();
+
+export const REVOKE_LINK_TTL_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sign(payload) {
+  const secret = process.env.TOKEN_HASH_SECRET;
+  if (!secret) {
+    throw new Error('TOKEN_HASH_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', secret).update(`revoke-sessions\n${payload}`).digest('base64url');
+}
+
+/**
+ * Create the token for a "This wasn't me" link
+ *
+ * @param {string} uid - Firebase UID
+ * @param {string} deviceId - Known device of the reported login
+ * @param {{now?: Date}} options
+ * @returns {string} Signed token
+ */
+export function createRevokeSessionsToken(uid, deviceId, { now = new Date() } = {}) {
+  const payload = Buffer.from(JSON.stringify({
+    uid,
+    deviceId,
+    exp: now.getTime() + REVOKE_LINK_TTL_DAYS * DAY_MS,
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check the signature and expiry of a "This wasn't me" token
+ *
+ * @param {string} token - Token from the link
+ * @param {{now?: Date}} options
+ * @returns {{uid: string, deviceId: string}}
+ * @throws {Error} INVALID_TOKEN or TOKEN_EXPIRED
+ */
+export function verifyRevokeSessionsToken(token, { now = new Date() } = {}) {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) {
+    throw new Error('INVALID_TOKEN: Malformed token');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('INVALID_TOKEN: Bad signature');
+  }
+
+  const { uid, deviceId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (now.getTime() > exp) {
+    throw new Error('TOKEN_EXPIRED: This link has expired');
+  }
+
+  return { uid, deviceId };
+}
+
+/**
+ * Revoke every session of a user
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{now?: Date}} options
+ * @returns {Promise<void>}
+ */
+export async function revokeAllSessions(uid, { now = new Date() } = {}) {
+  await admin.auth().revokeRefreshTokens(uid);
+  console.log(`Revoked all sessions of ${uid} at ${now.toISOString()}`);
+}
+
+/**
+ * Handle a "This wasn't me" link: revoke every session and mark the device
+ * of the reported login untrusted
+ *
+ * @param {string} token - Token from the link
+ * @param {{now?: Date}} options
+ * @returns {Promise<{uid: string, deviceId: string}>}
+ * @throws {Error} INVALID_TOKEN, TOKEN_EXPIRED or USER_NOT_FOUND
+ */
+export async function reportUnrecognizedLogin(token, { now = new Date() } = {}) {
+  const { uid, deviceId } = verifyRevokeSessionsToken(token, { now });
+
+  const userDoc = await firestore.collection('users').doc(uid).get();
+  if (!userDoc.exists) {
+    throw new Error('USER_NOT_FOUND: This account no longer exists');
+  }
+
+  await revokeAllSessions(uid, { now });
+  await markDeviceUntrusted(uid, deviceId, { now });
+
+  return { uid, deviceId };
+}
+
+/**
+ * Queue and send the "signed out everywhere" confirmation email
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{reason: 'reported'|'requested', now?: Date}} options
+ * @returns {Promise<{messageId: string, status: string}|null>} null if the user has no profile
+ */
+export async function sendSessionsRevokedEmail(uid, { reason, now = new Date() }) {
+  const userDoc = await firestore.collection('users').doc(uid).get();
+  if (!userDoc.exists) {
+    return null;
+  }
+
+  const { email, name, locale: storedLocale } = userDoc.data();
+  const locale = await getUserLocale(uid, storedLocale || null);
+
+  // Failed deliveries stay in the outbox and are retried by processEmailOutbox
+  const messageId = await enqueueEmail(
+    email,
+    renderSessionsRevokedEmail(name, locale, now, reason),
+    { type: 'sessions_revoked', userId: uid }
+  );
+  const status = await deliverOutboxMessage(messageId);
+  return { messageId, status };
+}
@@ -0,0 +1,144 @@
+/**
+ * Step-Up Verification
+ *
+ * When the risk engine (risk_engine.js) flags a link click, the sign-in link
+ * is not minted right away. Instead a challenge is stored in
+ * `signInChallenges` and a six-digit confirmation code is emailed to the
+ * same inbox; the link is minted once the code is entered.
+ *
+ * The challenge ID is returned to the client that clicked the link, the code
+ * only goes to the inbox. Codes are stored as an HMAC keyed with
+ * TOKEN_HASH_SECRET, expire after STEP_UP_TTL_MINUTES and allow
+ * STEP_UP_MAX_ATTEMPTS wrong guesses. The client has no access to the
+ * collection (firestore.rules); expired challenges are deleted by the
+ * signInChallenges retention policy.
+ */
+
+import crypto from 'crypto';
+import { Firestore, FieldValue } from '@google-cloud/firestore';
+import { hashToken } from './registration_service.js';
+
+const firestore = new Firestore();
+
+export const STEP_UP_COLLECTION = 'signInChallenges';
+export const STEP_UP_TTL_MINUTES = 10;
+export const STEP_UP_MAX_ATTEMPTS = 5;
+
+const CODE_LENGTH = 6;
+
+function hashCode(challengeId, code) {
+  return hashToken(`step-up\n${challengeId}\n${code}`);
+}
+
+/**
+ * Start a step-up challenge for a verified link
+ *
+ * @param {{email: string, name: string, continueUrl: string, locale: string|null, purpose: string}} registrationData
+ * @param {{score: number, reasons: string[]}} risk - From scoreSignInRisk
+ * @param {{now?: Date}} options
+ * @returns {Promise<{challengeId: string, code: string, expiresAt: Date}>}
+ */
+export async function createStepUpChallenge({ email, name, continueUrl, locale, purpose }, risk, { now = new Date() } = {}) {
+  const challengeId = crypto.randomBytes(16).toString('base64url');
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+  const expiresAt = new Date(now.getTime() + STEP_UP_TTL_MINUTES * 60 * 1000);
+
+  await firestore.collection(STEP_UP_COLLECTION).doc(challengeId).set({
+    email,
+    name,
+    continueUrl,
+    locale: locale || null,
+    purpose,
+    codeHash: hashCode(challengeId, code),
+    attempts: 0,
+    status: 'pending', // pending, completed
+    riskScore: risk.score,
+    riskReasons: risk.reasons,
+    createdAt: now,
+    expiresAt,
+    completedAt: null,
+  });
+
+  return { challengeId, code, expiresAt };
+}
+
+/**
+ * Check a confirmation code and complete the challenge
+ *
+ * Like registration tokens, a challenge is checked and consumed in one
+ * transaction, so it can only be completed once. Wrong codes count as
+ * attempts; after STEP_UP_MAX_ATTEMPTS the challenge is locked.
+ *
+ * @param {string} challengeId - From createStepUpChallenge
+ * @param {string} code - Code the user entered
+ * @param {{now?: Date}} options
+ * @returns {Promise<{email: string, name: string, continueUrl: string, locale: string|null, purpose: string}>}
+ * @throws {Error} INVALID_CHALLENGE, CHALLENGE_ALREADY_USED, CHALLENGE_EXPIRED,
+ *   TOO_MANY_ATTEMPTS or INVALID_CODE (with the remaining attempts)
+ */
+export async function verifyStepUpChallenge(challengeId, code, { now = new Date() } = {}) {
+  const challengeRef = firestore.collection(STEP_UP_COLLECTION).doc(String(challengeId));
+
+  const outcome = await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(challengeRef);
+
+    if (!doc.exists) {
+      return { error: 'INVALID_CHALLENGE: Confirmation request not found' };
+    }
+
+    const data = doc.data();
+
+    if (data.status === 'completed') {
+      return { error: 'CHALLENGE_ALREADY_USED: This confirmation code has already been used' };
+    }
+    if (data.expiresAt.toDate() < now) {
+      return { error: 'CHALLENGE_EXPIRED: This confirmation code has expired' };
+    }
+    if (data.attempts >= STEP_UP_MAX_ATTEMPTS) {
+      return { error: 'TOO_MANY_ATTEMPTS: Too many wrong confirmation codes' };
+    }
+
+    const expected = Buffer.from(data.codeHash);
+    const actual = Buffer.from(hashCode(challengeId, String(code).trim()));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      transaction.update(challengeRef, { attempts: FieldValue.increment(1) });
+      const remaining = STEP_UP_MAX_ATTEMPTS - data.attempts - 1;
+      return { error: `INVALID_CODE: Wrong confirmation code, ${remaining} attempts left`, remaining };
+    }
+
+    transaction.update(challengeRef, { status: 'completed', completedAt: now });
+    return { data };
+  });
+
+  // Thrown outside the transaction so the attempt is counted
+  if (outcome.error) {
+    const error = new Error(outcome.error);
+    if (outcome.remaining !== undefined) {
+      error.attemptsRemaining = outcome.remaining;
+    }
+    throw error;
+  }
+
+  const { email, name, continueUrl, locale, purpose } = outcome.data;
+  return { email, name, continueUrl, locale: locale || null, purpose };
+}
+
+/**
+ * Make a completed challenge usable again
+ *
+ * Called when setting up the account failed after the code was accepted,
+ * so the user can retry with the same code.
+ *
+ * @param {string} challengeId
+ * @returns {Promise<void>}
+ */
+export async function releaseStepUpChallenge(challengeId) {
+  const challengeRef = firestore.collection(STEP_UP_COLLECTION).doc(String(challengeId));
+
+  await firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(challengeRef);
+    if (doc.exists && doc.data().status === 'completed') {
+      transaction.update(challengeRef, { status: 'pending', completedAt: null });
+    }
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * User Agent Parsing
+ *
+ * Reduces a User-Agent header to the browser family and platform. Versions
+ * are ignored on purpose: a browser update must not turn a known device into
+ * a new one.
+ */
+
+// Order matters: Edge and Opera also claim to be Chrome, Chrome claims to be Safari
+const BROWSERS = [
+  ['Edge', /\bEdg(e|A|iOS)?\//],
+  ['Opera', /\b(OPR|Opera)\//],
+  ['Samsung Internet', /\bSamsungBrowser\//],
+  ['Firefox', /\b(Firefox|FxiOS)\//],
+  ['Chrome', /\b(Chrome|CriOS|Chromium)\//],
+  ['Safari', /\bVersion\/[\d.]+.*\bSafari\//],
+  ['App', /\b(Dart|okhttp|CFNetwork)\//],
+];
+
+// iOS and Android before their desktop look-alikes
+const PLATFORMS = [
+  ['iOS', /\b(iPhone|iPad|iPod)\b/],
+  ['Android', /\bAndroid\b/],
+  ['ChromeOS', /\bCrOS\b/],
+  ['Windows', /\bWindows\b/],
+  ['macOS', /\bMac OS X\b|\bMacintosh\b/],
+  ['Linux', /\bLinux\b/],
+];
+
+/**
+ * Browser family and platform of a User-Agent header
+ *
+ * @param {string|undefined} userAgent
+ * @returns {{browser: string, platform: string}} 'Unknown' for parts that are not recognized
+ */
+export function parseUserAgent(userAgent) {
+  const value = String(userAgent || '');
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(value))?.[0] || 'Unknown';
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(value))?.[0] || 'Unknown';
+  return { browser, platform };
+}
+
+/**
+ * Coarse network of an IP address: the /24 for IPv4, the /48 for IPv6
+ *
+ * Addresses inside these ranges change often (DHCP, privacy extensions),
+ * so devices are recognized by network rather than by exact address.
+ *
+ * @param {string|null} ip
+ * @returns {string} Network prefix, or 'unknown'
+ */
+export function getIpNetwork(ip) {
+  const value = String(ip || '').trim().replace(/^::ffff:/i, '');
+
+  const ipv4 = value.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.\d{1,3}$/);
+  if (ipv4) {
+    return `${ipv4[1]}.${ipv4[2]}.${ipv4[3]}.0/24`;
+  }
+
+  if (value.includes(':')) {
+    const [head] = value.split('::');
+    const groups = head.split(':').filter(Boolean);
+    while (groups.length < 3) {
+      groups.push('0');
+    }
+    return `${groups.slice(0, 3).map((group) => group.toLowerCase()).join(':')}::/48`;
+  }
+
+  return 'unknown';
+}
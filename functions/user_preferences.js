@@ -0,0 +1,43 @@
+/**
+ * User Preferences
+ *
+ * Server-side access to the preferences the Flutter app stores in
+ * users/{uid}/preferences/settings (see lib/services/preferences_service.dart).
+ */
+
+import { Firestore } from '@google-cloud/firestore';
+import { resolveLocale } from './email_i18n.js';
+
+const firestore = new Firestore();
+
+/**
+ * Resolve the email locale for a user
+ *
+ * Order: app language preference, locale captured at registration, fallback.
+ *
+ * @param {string} userId - Firebase UID
+ * @param {string} fallback - Locale to use when nothing is stored (e.g. from Accept-Language)
+ * @returns {Promise<string>} Supported locale
+ */
+export async function getUserLocale(userId, fallback = null) {
+  if (!userId) {
+    return resolveLocale(fallback);
+  }
+
+  try {
+    const userRef = firestore.collection('users').doc(userId);
+    const [preferencesDoc, userDoc] = await Promise.all([
+      userRef.collection('preferences').doc('settings').get(),
+      userRef.get(),
+    ]);
+
+    return resolveLocale(
+      preferencesDoc.exists ? preferencesDoc.data().language : null,
+      userDoc.exists ? userDoc.data().locale : null,
+      fallback
+    );
+  } catch (error) {
+    console.warn('Locale lookup failed, using fallback', error);
+    return resolveLocale(fallback);
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * User Provisioning
+ *
+ * Creates the Firebase Auth user and the users/{uid} profile after a
+ * registration or sign-in token has been verified. Every step is idempotent,
+ * so concurrent verifications and retries after a partial failure end up with
+ * exactly one Auth user and one profile.
+ */
+
+import admin from 'firebase-admin';
+import { Firestore, FieldValue } from '@google-cloud/firestore';
+
+const firestore = new Firestore();
+
+/**
+ * Get the Auth user for an email address, creating it if needed
+ *
+ * If another request creates the user between our lookup and createUser, the
+ * existing user is returned.
+ *
+ * @param {string} email - Verified email address
+ * @param {string} name - Display name for a new user
+ * @returns {Promise<{user: object, created: boolean}>}
+ */
+async function getOrCreateAuthUser(email, name) {
+  try {
+    return { user: await admin.auth().getUserByEmail(email), created: false };
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+  }
+
+  try {
+    const user = await admin.auth().createUser({
+      email,
+      emailVerified: true, // Email is verified via token
+      displayName: name,
+    });
+    return { user, created: true };
+  } catch (error) {
+    if (error.code === 'auth/email-already-exists') {
+      return { user: await admin.auth().getUserByEmail(email), created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the Firestore profile, or record the login if it already exists
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{email: string, name: string, locale: string|null}} registration
+ * @returns {Promise<boolean>} true if the profile was created
+ */
+async function upsertProfile(uid, { email, name, locale }) {
+  const userRef = firestore.collection('users').doc(uid);
+
+  return firestore.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+
+    if (userDoc.exists) {
+      transaction.update(userRef, { lastLoginAt: FieldValue.serverTimestamp() });
+      return false;
+    }
+
+    transaction.create(userRef, {
+      uid,
+      email,
+      name,
+      locale: locale || 'en',
+      createdAt: FieldValue.serverTimestamp(),
+      lastLoginAt: FieldValue.serverTimestamp(),
+      metadata: {
+        loginCount: 1
+      }
+    });
+    return true;
+  });
+}
+
+/**
+ * Make sure a verified user has an Auth account and a profile
+ *
+ * @param {{email: string, name: string, locale: string|null}} registration - Verified registration data
+ * @returns {Promise<{uid: string, createdUser: boolean, createdProfile: boolean}>}
+ */
+export async function provisionUser(registration) {
+  const { user, created } = await getOrCreateAuthUser(registration.email, registration.name);
+  console.log(created ? `Created new Firebase user: ${user.uid}` : `Existing Firebase user found: ${user.uid}`);
+
+  const createdProfile = await upsertProfile(user.uid, registration);
+  console.log(createdProfile ? `Created Firestore profile for ${user.uid}` : `Updated lastLoginAt for ${user.uid}`);
+
+  return { uid: user.uid, createdUser: created, createdProfile };
+}
@@ -0,0 +1,163 @@
+/**
+ * User Purge
+ *
+ * Permanently removes accounts that were soft-deleted longer ago than the
+ * deletedUsers retention policy (90 days by default, retention_policies.js),
+ * as promised in the account deletion email and PRIVACY.md:
+ * - users/{uid} with every subcollection (projects, projects/{id}/transactions,
+ *   legacy transactions, preferences, ...)
+ * - the Firebase Auth account
+ * - outbox messages and pending tokens for the user's email address
+ * - data export archives and their records
+ * - the user's audit log entries
+ *
+ * A tombstone without personal data (hashed uid, timestamps, what was removed)
+ * is kept in `userTombstones` as evidence that the deletion happened.
+ *
+ * Every step is idempotent: a user whose purge fails keeps its soft-deleted
+ * profile and is retried on the next run.
+ */
+
+import crypto from 'crypto';
+import admin from 'firebase-admin';
+import { Firestore } from '@google-cloud/firestore';
+import { OUTBOX_COLLECTION } from './email_outbox.js';
+import { deleteDataExports } from './data_export.js';
+import { deleteAuditEvents } from './audit_log.js';
+import { runJob, deleteInBatches } from './job_runner.js';
+import { getRetentionCutoff } from './retention_policies.js';
+
+const firestore = new Firestore();
+
+export const TOMBSTONE_COLLECTION = 'userTombstones';
+const PENDING_REGISTRATIONS_COLLECTION = 'pendingRegistrations';
+// Purging a user takes several requests, so pages are small
+const PURGE_PAGE_SIZE = 20;
+
+/**
+ * Tombstone document ID for a uid
+ *
+ * @param {string} uid - Firebase UID
+ * @returns {string} SHA-256 of the uid (hex)
+ */
+export function hashUid(uid) {
+  return crypto.createHash('sha256').update(uid).digest('hex');
+}
+
+/**
+ * Delete the Firebase Auth account, treating an already deleted one as done
+ *
+ * @param {string} uid - Firebase UID
+ * @returns {Promise<boolean>} true if an account was deleted
+ */
+async function deleteAuthUser(uid) {
+  try {
+    await admin.auth().deleteUser(uid);
+    return true;
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete every document of a collection that matches field == value
+ *
+ * @returns {Promise<number>} Number of deleted documents
+ */
+function deleteWhere(collection, field, value) {
+  return deleteInBatches(firestore.collection(collection).where(field, '==', value));
+}
+
+/**
+ * Permanently delete one soft-deleted user
+ *
+ * The Auth account goes first: if a later step fails, the profile still has
+ * deletedAt set and the next run picks the user up again.
+ *
+ * @param {string} uid - Firebase UID
+ * @param {{cutoff: Date, now: Date}} options
+ * @returns {Promise<{uid: string, status: 'purged'|'skipped', authDeleted?: boolean, collections?: string[]}>}
+ */
+export async function purgeUser(uid, { cutoff, now = new Date() }) {
+  const userRef = firestore.collection('users').doc(uid);
+  const userDoc = await userRef.get();
+  const deletedAt = userDoc.exists ? userDoc.data().deletedAt : null;
+
+  // Restored (or already purged) since the query ran
+  if (!deletedAt || deletedAt.toDate() >= cutoff) {
+    return { uid, status: 'skipped' };
+  }
+
+  const { email } = userDoc.data();
+  const collections = (await userRef.listCollections()).map((collection) => collection.id);
+
+  const authDeleted = await deleteAuthUser(uid);
+  await firestore.recursiveDelete(userRef);
+
+  const outboxMessagesDeleted = (await deleteWhere(OUTBOX_COLLECTION, 'userId', uid))
+    + (email ? await deleteWhere(OUTBOX_COLLECTION, 'to', email) : 0);
+  const pendingTokensDeleted = email ? await deleteWhere(PENDING_REGISTRATIONS_COLLECTION, 'email', email) : 0;
+  const dataExportsDeleted = await deleteDataExports(uid);
+  const auditEventsDeleted = await deleteAuditEvents(uid);
+
+  await firestore.collection(TOMBSTONE_COLLECTION).doc(hashUid(uid)).set({
+    softDeletedAt: deletedAt,
+    purgedAt: now,
+    authDeleted,
+    collections,
+    outboxMessagesDeleted,
+    pendingTokensDeleted,
+    dataExportsDeleted,
+    auditEventsDeleted,
+  });
+
+  return { uid, status: 'purged', authDeleted, collections };
+}
+
+/**
+ * Purge every user soft-deleted before the retention period
+ * Applies the deletedUsers retention policy (retention_enforcer.js)
+ *
+ * Pages through the users by deletedAt with the job runner, so runs are
+ * locked, resumable and recorded. A failure for one user does not stop the
+ * others; it is reported in the results with the error code, and the user is
+ * retried by the next run.
+ *
+ * @param {{now?: Date, pageSize?: number, timeBudgetMs?: number}} options
+ * @returns {Promise<object>} The run (job_runner.js) with counts {purged, skipped, failed} and per-user results
+ */
+export async function purgeDeletedUsers({ now = new Date(), pageSize = PURGE_PAGE_SIZE, ...options } = {}) {
+  const cutoff = getRetentionCutoff('deletedUsers', now);
+  const results = [];
+
+  console.log(`Purging users deleted before ${cutoff.toISOString()}`);
+
+  const run = await runJob('retention.deletedUsers', {
+    ...options,
+    pageSize,
+    counts: { purged: 0, skipped: 0, failed: 0 },
+    query: () => firestore.collection('users').where('deletedAt', '<', cutoff).orderBy('deletedAt'),
+    processPage: async (docs) => {
+      const counts = { purged: 0, skipped: 0, failed: 0 };
+
+      for (const doc of docs) {
+        let result;
+        try {
+          result = await purgeUser(doc.id, { cutoff, now });
+        } catch (error) {
+          console.error(`Failed to purge user ${doc.id}:`, error);
+          result = { uid: doc.id, status: 'failed', error: String(error.code || 'INTERNAL_ERROR') };
+        }
+        counts[result.status] += 1;
+        results.push(result);
+      }
+
+      return counts;
+    },
+  });
+
+  return { ...run, results };
+}
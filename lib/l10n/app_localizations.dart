@@ -640,6 +640,24 @@ abstract class AppLocalizations {
   /// **'Failed to delete account'**
   String get failedToDeleteAccount;
 
+  /// No description provided for @signOutEverywhere.
+  ///
+  /// In en, this message translates to:
+  /// **'Sign out everywhere'**
+  String get signOutEverywhere;
+
+  /// No description provided for @signOutEverywhereConfirm.
+  ///
+  /// In en, this message translates to:
+  /// **'This signs you out on every device, including this one. You can sign in again with a new email link.'**
+  String get signOutEverywhereConfirm;
+
+  /// No description provided for @failedToSignOutEverywhere.
+  ///
+  /// In en, this message translates to:
+  /// **'Failed to sign out everywhere'**
+  String get failedToSignOutEverywhere;
+
   /// No description provided for @projectsExportedSuccess.
   ///
   /// In en, this message translates to:
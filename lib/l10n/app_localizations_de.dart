@@ -294,6 +294,17 @@ class AppLocalizationsDe extends AppLocalizations {
   @override
   String get failedToDeleteAccount => 'Fehler beim Löschen des Kontos';
 
+  @override
+  String get signOutEverywhere => 'Überall abmelden';
+
+  @override
+  String get signOutEverywhereConfirm =>
+      'Dadurch werden Sie auf allen Geräten abgemeldet, auch auf diesem. Sie können sich mit einem neuen E-Mail-Link wieder anmelden.';
+
+  @override
+  String get failedToSignOutEverywhere =>
+      'Fehler beim Abmelden auf allen Geräten';
+
   @override
   String get projectsExportedSuccess => 'Projekte erfolgreich exportiert';
 
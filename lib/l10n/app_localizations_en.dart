@@ -289,6 +289,16 @@ class AppLocalizationsEn extends AppLocalizations {
   @override
   String get failedToDeleteAccount => 'Failed to delete account';
 
+  @override
+  String get signOutEverywhere => 'Sign out everywhere';
+
+  @override
+  String get signOutEverywhereConfirm =>
+      'This signs you out on every device, including this one. You can sign in again with a new email link.';
+
+  @override
+  String get failedToSignOutEverywhere => 'Failed to sign out everywhere';
+
   @override
   String get projectsExportedSuccess => 'Projects exported successfully';
 
@@ -291,6 +291,17 @@ class AppLocalizationsEs extends AppLocalizations {
   @override
   String get failedToDeleteAccount => 'Error al eliminar la cuenta';
 
+  @override
+  String get signOutEverywhere => 'Cerrar sesión en todas partes';
+
+  @override
+  String get signOutEverywhereConfirm =>
+      'Esto cierra tu sesión en todos los dispositivos, incluido este. Puedes volver a iniciar sesión con un nuevo enlace por correo.';
+
+  @override
+  String get failedToSignOutEverywhere =>
+      'Error al cerrar sesión en todas partes';
+
   @override
   String get projectsExportedSuccess => 'Proyectos exportados correctamente';
 
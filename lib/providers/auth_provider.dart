@@ -17,6 +17,7 @@ class AuthProvider with ChangeNotifier {
   bool _isLoading = true;
   String? _error;
   String? _emailForSignIn;
+  String? _pendingChallengeId;
 
   AppUser? get currentUser => _currentUser;
   bool get isLoading => _isLoading;
@@ -24,6 +25,10 @@ class AuthProvider with ChangeNotifier {
   String? get error => _error;
   String? get emailForSignIn => _emailForSignIn;
 
+  /// Set when the last verified link needs a confirmation code
+  /// (see [confirmSignInChallenge])
+  String? get pendingChallengeId => _pendingChallengeId;
+
   AuthProvider() {
     _init();
   }
@@ -326,50 +331,81 @@ class AuthProvider with ChangeNotifier {
   /// It verifies the token with the backend, which creates the Firebase user
   /// and returns a Firebase Auth sign-in link.
   ///
+  /// If the backend considers the click risky, it emails a confirmation code
+  /// instead; this returns false with [pendingChallengeId] set, and the code
+  /// is passed to [confirmSignInChallenge].
+  ///
   /// [token] - Registration token from email link
-  Future<bool> verifyRegistrationToken(String token) async {
+  /// [purpose] - 'registration' for registrationToken links, 'signIn' for
+  /// signInToken links
+  Future<bool> verifyRegistrationToken(String token,
+      {String purpose = 'registration'}) async {
     try {
       _isLoading = true;
       _error = null;
+      _pendingChallengeId = null;
       notifyListeners();
 
       print('DEBUG: Verifying registration token with backend');
 
       // Call backend to verify token and get sign-in link
-      final response =
-          await _registrationApi.verifyRegistrationToken(token: token);
-
-      final email = response['email'] as String;
-      final name = response['name'] as String;
-      final signInLink = response['signInLink'] as String;
+      final response = await _registrationApi.verifyRegistrationToken(
+          token: token, purpose: purpose);
 
-      print('DEBUG: Token verified for $email, name: $name');
-      print('DEBUG: Received sign-in link from backend');
+      await _signInWithBackendLink(response);
 
-      // Sign in with the email link from backend
-      await _authService.signInWithEmailLink(
-        email: email,
-        emailLink: signInLink,
-      );
+      return true;
+    } on StepUpRequiredException catch (e) {
+      _pendingChallengeId = e.challengeId;
+      _error = e.message;
+      print('DEBUG: Confirmation code required');
+      return false;
+    } on RegistrationException catch (e) {
+      _error = e.message;
+      print('Registration error: ${e.code} - ${e.message}');
+      return false;
+    } catch (e) {
+      _error = _getErrorMessage(e);
+      print('Error verifying registration token: $e');
+      return false;
+    } finally {
+      _isLoading = false;
+      notifyListeners();
+    }
+  }
 
-      print('DEBUG: Firebase user signed in successfully');
+  /// Complete a risky link click with the code sent by email
+  ///
+  /// [code] - Six-digit code from the email
+  Future<bool> confirmSignInChallenge(String code) async {
+    final challengeId = _pendingChallengeId;
+    if (challengeId == null) {
+      return false;
+    }
 
-      // Update last login
-      await _authService.updateLastLogin();
+    try {
+      _isLoading = true;
+      _error = null;
+      notifyListeners();
 
-      // Load the user data
-      await _loadCurrentUser();
+      final response = await _registrationApi.confirmSignInChallenge(
+          challengeId: challengeId, code: code);
 
-      print('DEBUG: Registration complete');
+      _pendingChallengeId = null;
+      await _signInWithBackendLink(response);
 
       return true;
     } on RegistrationException catch (e) {
       _error = e.message;
-      print('Registration error: ${e.code} - ${e.message}');
+      // Only a wrong code can be retried; anything else needs a new link
+      if (e.code != 'INVALID_CODE') {
+        _pendingChallengeId = null;
+      }
+      print('Confirmation error: ${e.code} - ${e.message}');
       return false;
     } catch (e) {
       _error = _getErrorMessage(e);
-      print('Error verifying registration token: $e');
+      print('Error confirming sign-in: $e');
       return false;
     } finally {
       _isLoading = false;
@@ -377,6 +413,33 @@ class AuthProvider with ChangeNotifier {
     }
   }
 
+  /// Sign in with the link returned by verifyRegistrationToken or
+  /// confirmSignInChallenge
+  Future<void> _signInWithBackendLink(Map<String, dynamic> response) async {
+    final email = response['email'] as String;
+    final name = response['name'] as String;
+    final signInLink = response['signInLink'] as String;
+
+    print('DEBUG: Token verified for $email, name: $name');
+    print('DEBUG: Received sign-in link from backend');
+
+    // Sign in with the email link from backend
+    await _authService.signInWithEmailLink(
+      email: email,
+      emailLink: signInLink,
+    );
+
+    print('DEBUG: Firebase user signed in successfully');
+
+    // Update last login
+    await _authService.updateLastLogin();
+
+    // Load the user data
+    await _loadCurrentUser();
+
+    print('DEBUG: Registration complete');
+  }
+
   /// Get user-friendly error message
   String _getErrorMessage(Object error) {
     if (error is FirebaseAuthException) {
@@ -1,4 +1,5 @@
 import 'package:flutter/material.dart';
+import 'package:firebase_auth/firebase_auth.dart' show FirebaseAuth;
 import 'package:provider/provider.dart';
 import 'package:intl/intl.dart';
 import '../../config/app_colors.dart';
@@ -14,6 +15,7 @@ import '../../services/firestore_sync_service.dart';
 import '../../services/file_download.dart';
 import '../../services/preferences_service.dart';
 import '../../services/currency_conversion_service.dart';
+import '../../services/registration_api_service.dart';
 import '../../widgets/consent_dialog.dart';
 import '../../l10n/app_localizations.dart';
 import '../../main.dart';
@@ -175,6 +177,59 @@ class _ProfileScreenState extends State<ProfileScreen> {
     }
   }
 
+  Future<void> _signOutEverywhere() async {
+    final l10n = AppLocalizations.of(context)!;
+    final confirmed = await showDialog<bool>(
+      context: context,
+      builder: (context) => AlertDialog(
+        title: Text(l10n.signOutEverywhere),
+        content: Text(l10n.signOutEverywhereConfirm),
+        actions: [
+          TextButton(
+            onPressed: () => Navigator.of(context).pop(false),
+            child: Text(l10n.cancel),
+          ),
+          ElevatedButton(
+            onPressed: () => Navigator.of(context).pop(true),
+            child: Text(l10n.signOutEverywhere),
+          ),
+        ],
+      ),
+    );
+
+    if (confirmed != true || !mounted) return;
+
+    setState(() => _isLoading = true);
+
+    final authProvider = Provider.of<AuthProvider>(context, listen: false);
+    String? error;
+    try {
+      final idToken = await FirebaseAuth.instance.currentUser?.getIdToken();
+      if (idToken == null) {
+        throw RegistrationException('UNAUTHENTICATED', l10n.failedToSignOutEverywhere);
+      }
+      await RegistrationApiService().signOutEverywhere(idToken: idToken);
+    } on RegistrationException catch (e) {
+      error = e.message;
+    }
+
+    if (mounted) {
+      setState(() => _isLoading = false);
+    }
+
+    if (error == null) {
+      // The server revoked every session, including this one
+      await authProvider.signOut();
+    } else if (mounted) {
+      ScaffoldMessenger.of(context).showSnackBar(
+        SnackBar(
+          content: Text(error),
+          backgroundColor: AppColors.destructive,
+        ),
+      );
+    }
+  }
+
   Future<void> _deleteAccount() async {
     final l10n = AppLocalizations.of(context)!;
     final confirmed = await showDialog<bool>(
@@ -1111,6 +1166,15 @@ class _ProfileScreenState extends State<ProfileScreen> {
                           ),
                         ),
                         const SizedBox(height: 12),
+                        OutlinedButton.icon(
+                          onPressed: _isLoading ? null : _signOutEverywhere,
+                          icon: const Icon(Icons.devices),
+                          label: Text(l10n.signOutEverywhere),
+                          style: OutlinedButton.styleFrom(
+                            padding: const EdgeInsets.symmetric(vertical: 12),
+                          ),
+                        ),
+                        const SizedBox(height: 12),
                         OutlinedButton.icon(
                           onPressed: _isLoading ? null : _deleteAccount,
                           icon: const Icon(Icons.delete_forever),
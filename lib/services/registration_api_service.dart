@@ -48,7 +48,7 @@ class RegistrationApiService {
       } else {
         throw RegistrationException(
           'REGISTRATION_FAILED',
-          responseData['error'] ?? 'Failed to create registration',
+          responseData['message'] ?? responseData['error'] ?? 'Failed to create registration',
         );
       }
     } catch (e) {
@@ -63,10 +63,13 @@ class RegistrationApiService {
   /// Calls the Cloud Function to verify the token and retrieve registration data
   ///
   /// [token] - Registration token from email link
+  /// [purpose] - 'registration' or 'signIn'; the backend rejects a token used
+  /// for the other flow
   ///
   /// Returns registration data (email, name, continueUrl) if successful
   Future<Map<String, dynamic>> verifyRegistrationToken({
     required String token,
+    String purpose = 'registration',
   }) async {
     try {
       final response = await http.post(
@@ -76,6 +79,7 @@ class RegistrationApiService {
         },
         body: jsonEncode({
           'token': token,
+          'purpose': purpose,
         }),
       );
 
@@ -98,6 +102,15 @@ class RegistrationApiService {
           'TOKEN_ALREADY_USED',
           'This registration link has already been used.',
         );
+      } else if (response.statusCode == 400 &&
+          responseData['error'] == 'WRONG_TOKEN_PURPOSE') {
+        throw RegistrationException(
+          'WRONG_TOKEN_PURPOSE',
+          'This link cannot be used here. Please open the latest link from your email.',
+        );
+      } else if (response.statusCode == 403 &&
+          responseData['error'] == 'STEP_UP_REQUIRED') {
+        throw StepUpRequiredException(responseData['challengeId'] as String);
       } else {
         throw RegistrationException(
           'VERIFICATION_FAILED',
@@ -146,7 +159,238 @@ class RegistrationApiService {
       } else {
         throw RegistrationException(
           'SIGN_IN_FAILED',
-          responseData['error'] ?? 'Failed to send sign-in link',
+          responseData['message'] ?? responseData['error'] ?? 'Failed to send sign-in link',
+        );
+      }
+    } catch (e) {
+      if (e is RegistrationException) rethrow;
+      throw RegistrationException('NETWORK_ERROR',
+          'Failed to connect to server. Please check your internet connection.');
+    }
+  }
+
+  /// Check whether a registration or sign-in link is still waiting to be used
+  ///
+  /// Used to show "check your inbox" when the user returns to the app
+  ///
+  /// [email] - User's email address
+  /// [purpose] - 'registration', 'signIn', or null for either
+  ///
+  /// Returns true if an unused, unexpired link exists
+  Future<bool> hasPendingRegistration({
+    required String email,
+    String? purpose,
+  }) async {
+    try {
+      final response = await http.post(
+        Uri.parse('$_functionsBaseUrl/hasPendingRegistration'),
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: jsonEncode({
+          'email': email,
+          if (purpose != null) 'purpose': purpose,
+        }),
+      );
+
+      final responseData = jsonDecode(response.body) as Map<String, dynamic>;
+
+      if (response.statusCode == 200 && responseData['success'] == true) {
+        return responseData['pending'] == true;
+      } else {
+        throw RegistrationException(
+          'PENDING_CHECK_FAILED',
+          responseData['message'] ?? responseData['error'] ?? 'Failed to check pending registration',
+        );
+      }
+    } catch (e) {
+      if (e is RegistrationException) rethrow;
+      throw RegistrationException('NETWORK_ERROR',
+          'Failed to connect to server. Please check your internet connection.');
+    }
+  }
+
+  /// Request a link to restore a deleted account
+  ///
+  /// Works during the 90-day period before the account is permanently deleted
+  ///
+  /// [email] - Email address of the deleted account
+  /// [continueUrl] - URL the restore link points to
+  ///
+  /// Returns the response data if successful, throws exception otherwise
+  Future<Map<String, dynamic>> requestAccountRestore({
+    required String email,
+    required String continueUrl,
+  }) async {
+    try {
+      final response = await http.post(
+        Uri.parse('$_functionsBaseUrl/requestAccountRestore'),
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: jsonEncode({
+          'email': email,
+          'continueUrl': continueUrl,
+        }),
+      );
+
+      final responseData = jsonDecode(response.body) as Map<String, dynamic>;
+
+      if (response.statusCode == 200 && responseData['success'] == true) {
+        return responseData;
+      } else {
+        throw RegistrationException(
+          responseData['error'] ?? 'RESTORE_FAILED',
+          responseData['message'] ?? 'Failed to send restore link',
+        );
+      }
+    } catch (e) {
+      if (e is RegistrationException) rethrow;
+      throw RegistrationException('NETWORK_ERROR',
+          'Failed to connect to server. Please check your internet connection.');
+    }
+  }
+
+  /// Restore a deleted account with the token from a restore link
+  ///
+  /// [token] - The restoreToken from the email link
+  ///
+  /// Returns the response data (email) if successful, throws exception otherwise
+  Future<Map<String, dynamic>> verifyAccountRestore({
+    required String token,
+  }) async {
+    try {
+      final response = await http.post(
+        Uri.parse('$_functionsBaseUrl/verifyAccountRestore'),
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: jsonEncode({
+          'token': token,
+        }),
+      );
+
+      final responseData = jsonDecode(response.body) as Map<String, dynamic>;
+
+      if (response.statusCode == 200 && responseData['success'] == true) {
+        return responseData;
+      } else {
+        throw RegistrationException(
+          responseData['error'] ?? 'RESTORE_FAILED',
+          responseData['message'] ?? 'Failed to restore account',
+        );
+      }
+    } catch (e) {
+      if (e is RegistrationException) rethrow;
+      throw RegistrationException('NETWORK_ERROR',
+          'Failed to connect to server. Please check your internet connection.');
+    }
+  }
+
+  /// Report a login from the "This wasn't me" link in a login alert
+  ///
+  /// Signs the account out on every device, including this one
+  ///
+  /// [token] - The revokeSessionsToken from the email link
+  ///
+  /// Returns the response data if successful, throws exception otherwise
+  Future<Map<String, dynamic>> reportUnrecognizedLogin({
+    required String token,
+  }) async {
+    try {
+      final response = await http.post(
+        Uri.parse('$_functionsBaseUrl/reportUnrecognizedLogin'),
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: jsonEncode({
+          'token': token,
+        }),
+      );
+
+      final responseData = jsonDecode(response.body) as Map<String, dynamic>;
+
+      if (response.statusCode == 200 && responseData['success'] == true) {
+        return responseData;
+      } else {
+        throw RegistrationException(
+          responseData['error'] ?? 'REPORT_FAILED',
+          responseData['message'] ?? 'Failed to report login',
+        );
+      }
+    } catch (e) {
+      if (e is RegistrationException) rethrow;
+      throw RegistrationException('NETWORK_ERROR',
+          'Failed to connect to server. Please check your internet connection.');
+    }
+  }
+
+  /// Confirm a high-risk link click with the code sent by email
+  ///
+  /// [challengeId] - From the [StepUpRequiredException] of
+  /// [verifyRegistrationToken]
+  /// [code] - Six-digit code from the email
+  ///
+  /// Returns the same data as [verifyRegistrationToken], throws exception
+  /// otherwise
+  Future<Map<String, dynamic>> confirmSignInChallenge({
+    required String challengeId,
+    required String code,
+  }) async {
+    try {
+      final response = await http.post(
+        Uri.parse('$_functionsBaseUrl/confirmSignInChallenge'),
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: jsonEncode({
+          'challengeId': challengeId,
+          'code': code,
+        }),
+      );
+
+      final responseData = jsonDecode(response.body) as Map<String, dynamic>;
+
+      if (response.statusCode == 200 && responseData['success'] == true) {
+        return responseData;
+      } else {
+        throw RegistrationException(
+          responseData['error'] ?? 'CONFIRMATION_FAILED',
+          responseData['message'] ?? 'Failed to confirm the code',
+        );
+      }
+    } catch (e) {
+      if (e is RegistrationException) rethrow;
+      throw RegistrationException('NETWORK_ERROR',
+          'Failed to connect to server. Please check your internet connection.');
+    }
+  }
+
+  /// Sign the current account out on every device
+  ///
+  /// [idToken] - Firebase ID token of the signed-in user
+  ///
+  /// Returns the response data if successful, throws exception otherwise
+  Future<Map<String, dynamic>> signOutEverywhere({
+    required String idToken,
+  }) async {
+    try {
+      final response = await http.post(
+        Uri.parse('$_functionsBaseUrl/signOutEverywhere'),
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': 'Bearer $idToken',
+        },
+      );
+
+      final responseData = jsonDecode(response.body) as Map<String, dynamic>;
+
+      if (response.statusCode == 200 && responseData['success'] == true) {
+        return responseData;
+      } else {
+        throw RegistrationException(
+          responseData['error'] ?? 'SIGN_OUT_FAILED',
+          responseData['message'] ?? 'Failed to sign out everywhere',
         );
       }
     } catch (e) {
@@ -167,3 +411,14 @@ class RegistrationException implements Exception {
   @override
   String toString() => message;
 }
+
+/// Thrown when opening an email link needs a confirmation code first
+class StepUpRequiredException extends RegistrationException {
+  final String challengeId;
+
+  StepUpRequiredException(this.challengeId)
+      : super(
+          'STEP_UP_REQUIRED',
+          'Enter the confirmation code we sent to your email address.',
+        );
+}
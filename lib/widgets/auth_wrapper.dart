@@ -5,6 +5,7 @@ import '../config/app_colors.dart';
 import '../providers/auth_provider.dart';
 import '../screens/auth/login_screen.dart';
 import '../screens/home_screen.dart';
+import '../services/registration_api_service.dart';
 
 // Web-only import for URL manipulation
 // ignore: avoid_web_libraries_in_flutter
@@ -49,16 +50,32 @@ class _AuthWrapperState extends State<AuthWrapper> {
     // Check for registration token (new server-side flow)
     if (uri.queryParameters.containsKey('registrationToken')) {
       final token = uri.queryParameters['registrationToken']!;
-      print('DEBUG: Registration token detected: ${token.substring(0, 10)}...');
-      await _handleToken(token);
+      print('DEBUG: Registration token detected');
+      await _handleToken(token, purpose: 'registration');
       return;
     }
 
     // Check for sign-in token (new server-side flow)
     if (uri.queryParameters.containsKey('signInToken')) {
       final token = uri.queryParameters['signInToken']!;
-      print('DEBUG: Sign-in token detected: ${token.substring(0, 10)}...');
-      await _handleToken(token);
+      print('DEBUG: Sign-in token detected');
+      await _handleToken(token, purpose: 'signIn');
+      return;
+    }
+
+    // Check for account restore token
+    if (uri.queryParameters.containsKey('restoreToken')) {
+      final token = uri.queryParameters['restoreToken']!;
+      print('DEBUG: Restore token detected');
+      await _handleRestoreToken(token);
+      return;
+    }
+
+    // Check for "This wasn't me" token from a login alert
+    if (uri.queryParameters.containsKey('revokeSessionsToken')) {
+      final token = uri.queryParameters['revokeSessionsToken']!;
+      print('DEBUG: Revoke sessions token detected');
+      await _handleRevokeSessionsToken(token);
       return;
     }
 
@@ -75,7 +92,7 @@ class _AuthWrapperState extends State<AuthWrapper> {
     }
   }
 
-  Future<void> _handleToken(String token) async {
+  Future<void> _handleToken(String token, {required String purpose}) async {
     if (_isProcessingToken) return;
 
     setState(() => _isProcessingToken = true);
@@ -85,13 +102,21 @@ class _AuthWrapperState extends State<AuthWrapper> {
     print('DEBUG: Verifying registration/sign-in token');
 
     // Verify token with backend - it will create/get user and return sign-in link
-    final success = await authProvider.verifyRegistrationToken(token);
+    var success =
+        await authProvider.verifyRegistrationToken(token, purpose: purpose);
 
     // Clean URL after processing (success or failure)
     _cleanUrl();
 
     setState(() => _isProcessingToken = false);
 
+    // Risky clicks need the confirmation code the backend sent to the inbox
+    while (!success && authProvider.pendingChallengeId != null && mounted) {
+      final code = await _askForConfirmationCode(authProvider.error);
+      if (code == null || !mounted) return;
+      success = await authProvider.confirmSignInChallenge(code);
+    }
+
     if (!success && mounted) {
       ScaffoldMessenger.of(context).showSnackBar(
         SnackBar(
@@ -104,6 +129,102 @@ class _AuthWrapperState extends State<AuthWrapper> {
     }
   }
 
+  /// Ask for the confirmation code of a risky sign-in; null if cancelled
+  Future<String?> _askForConfirmationCode(String? message) async {
+    final controller = TextEditingController();
+    final code = await showDialog<String>(
+      context: context,
+      barrierDismissible: false,
+      builder: (context) => AlertDialog(
+        title: const Text("Confirm it's you"),
+        content: Column(
+          mainAxisSize: MainAxisSize.min,
+          children: [
+            Text(message ??
+                'Enter the confirmation code we sent to your email address.'),
+            const SizedBox(height: 16),
+            TextField(
+              controller: controller,
+              autofocus: true,
+              keyboardType: TextInputType.number,
+              maxLength: 6,
+              decoration:
+                  const InputDecoration(labelText: 'Confirmation code'),
+            ),
+          ],
+        ),
+        actions: [
+          TextButton(
+            onPressed: () => Navigator.of(context).pop(),
+            child: const Text('Cancel'),
+          ),
+          ElevatedButton(
+            onPressed: () => Navigator.of(context).pop(controller.text.trim()),
+            child: const Text('Confirm'),
+          ),
+        ],
+      ),
+    );
+    controller.dispose();
+    return code;
+  }
+
+  Future<void> _handleRestoreToken(String token) async {
+    if (_isProcessingToken) return;
+
+    setState(() => _isProcessingToken = true);
+
+    String? error;
+    try {
+      await RegistrationApiService().verifyAccountRestore(token: token);
+    } on RegistrationException catch (e) {
+      error = e.message;
+    }
+
+    _cleanUrl();
+
+    setState(() => _isProcessingToken = false);
+
+    if (!mounted) return;
+    ScaffoldMessenger.of(context).showSnackBar(
+      SnackBar(
+        content: Text(
+            error ?? 'Your account has been restored. Sign in to continue.'),
+        backgroundColor: error != null ? AppColors.destructive : null,
+      ),
+    );
+  }
+
+  Future<void> _handleRevokeSessionsToken(String token) async {
+    if (_isProcessingToken) return;
+
+    setState(() => _isProcessingToken = true);
+
+    final authProvider = Provider.of<AuthProvider>(context, listen: false);
+
+    String? error;
+    try {
+      await RegistrationApiService().reportUnrecognizedLogin(token: token);
+      // The server revoked every session, including this one
+      await authProvider.signOut();
+    } on RegistrationException catch (e) {
+      error = e.message;
+    }
+
+    _cleanUrl();
+
+    setState(() => _isProcessingToken = false);
+
+    if (!mounted) return;
+    ScaffoldMessenger.of(context).showSnackBar(
+      SnackBar(
+        content: Text(error ??
+            'You have been signed out on all devices. Sign in again to continue.'),
+        backgroundColor: error != null ? AppColors.destructive : null,
+      ),
+    );
+  }
+
   @override
   Widget build(BuildContext context) {
     if (_isProcessingToken) {
@@ -15,6 +15,11 @@ warning() { echo -e "${YELLOW}[WARNING]${NC} $1"; }
 # Configuration
 PROJECT_ID=${GCP_PROJECT_ID:-"artist-manager-479514"}
 REGION=${GCP_REGION:-"us-central1"}
+# Cloud Scheduler calls the maintenance jobs with OIDC tokens of this account
+SCHEDULER_SA=${SCHEDULER_SERVICE_ACCOUNT:-"maintenance-scheduler@$PROJECT_ID.iam.gserviceaccount.com"}
+FUNCTIONS_BASE_URL="https://$REGION-$PROJECT_ID.cloudfunctions.net"
+# Every function keys tokens, device IDs and audit hashes with this secret
+TOKEN_SECRET="TOKEN_HASH_SECRET=${TOKEN_HASH_SECRET_NAME:-token-hash-secret}:latest"
 
 info "Deploying Cloud Functions for project: $PROJECT_ID"
 
@@ -37,6 +42,31 @@ if [ ! -d "node_modules" ]; then
   success "Dependencies installed"
 fi
 
+# Login alerts and risk scoring use an approximate location from the GeoIP
+# index, which is uploaded with the sources (the CSV is not, see .gcloudignore)
+if [ ! -f "geoip/dbip-city-lite.idx" ]; then
+  info "Downloading GeoIP database and building its index..."
+  ../scripts/update_geoip.sh || warning "GeoIP index unavailable; locations will be unknown"
+fi
+if [ -f "geoip/dbip-city-lite.idx" ]; then
+  info "Deploying GeoIP index ($(du -h geoip/dbip-city-lite.idx | cut -f1))"
+fi
+
+# Token hash secret in Secret Manager (the functions do not start without it)
+GCP_PROJECT_ID=$PROJECT_ID ../scripts/setup_token_secret.sh
+if [ $? -ne 0 ]; then
+  error "Failed to set up the token hash secret"
+  exit 1
+fi
+
+# Service account for Cloud Scheduler (scheduler_auth.js only accepts its tokens)
+if ! gcloud iam service-accounts describe "$SCHEDULER_SA" --project=$PROJECT_ID &>/dev/null; then
+  info "Creating scheduler service account $SCHEDULER_SA..."
+  gcloud iam service-accounts create "${SCHEDULER_SA%%@*}" \
+    --display-name="Maintenance job scheduler" \
+    --project=$PROJECT_ID || warning "Failed to create scheduler service account"
+fi
+
 # Deploy cleanup function (HTTP function called by Cloud Scheduler)
 info "Deploying cleanupDeletedUsers function..."
 gcloud functions deploy cleanupDeletedUsers \
@@ -46,7 +76,10 @@ gcloud functions deploy cleanupDeletedUsers \
   --source=. \
   --entry-point=cleanupDeletedUsers \
   --trigger-http \
+  --timeout=540s \
   --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --update-env-vars="SCHEDULER_SERVICE_ACCOUNT=$SCHEDULER_SA,SCHEDULER_OIDC_AUDIENCE=$FUNCTIONS_BASE_URL/cleanupDeletedUsers" \
   --project=$PROJECT_ID
 
 if [ $? -eq 0 ]; then
@@ -66,6 +99,7 @@ gcloud functions deploy sendLoginNotification \
   --entry-point=sendLoginNotification \
   --trigger-http \
   --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
   --project=$PROJECT_ID
 
 if [ $? -eq 0 ]; then
@@ -84,6 +118,7 @@ gcloud functions deploy createRegistration \
   --entry-point=createRegistration \
   --trigger-http \
   --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
   --project=$PROJECT_ID
 
 if [ $? -eq 0 ]; then
@@ -103,6 +138,7 @@ gcloud functions deploy verifyRegistrationToken \
   --entry-point=verifyRegistrationToken \
   --trigger-http \
   --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
   --project=$PROJECT_ID
 
 if [ $? -eq 0 ]; then
@@ -122,6 +158,7 @@ gcloud functions deploy createSignInRequest \
   --entry-point=createSignInRequest \
   --trigger-http \
   --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
   --project=$PROJECT_ID
 
 if [ $? -eq 0 ]; then
@@ -131,6 +168,146 @@ else
   exit 1
 fi
 
+# Deploy hasPendingRegistration function
+info "Deploying hasPendingRegistration function..."
+gcloud functions deploy hasPendingRegistration \
+  --gen2 \
+  --runtime=nodejs20 \
+  --region=$REGION \
+  --source=. \
+  --entry-point=hasPendingRegistration \
+  --trigger-http \
+  --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --project=$PROJECT_ID
+
+if [ $? -eq 0 ]; then
+  success "hasPendingRegistration function deployed"
+else
+  error "Failed to deploy hasPendingRegistration function"
+  exit 1
+fi
+
+# Deploy requestAccountRestore function
+info "Deploying requestAccountRestore function..."
+gcloud functions deploy requestAccountRestore \
+  --gen2 \
+  --runtime=nodejs20 \
+  --region=$REGION \
+  --source=. \
+  --entry-point=requestAccountRestore \
+  --trigger-http \
+  --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --project=$PROJECT_ID
+
+if [ $? -eq 0 ]; then
+  success "requestAccountRestore function deployed"
+else
+  error "Failed to deploy requestAccountRestore function"
+  exit 1
+fi
+
+# Deploy verifyAccountRestore function
+info "Deploying verifyAccountRestore function..."
+gcloud functions deploy verifyAccountRestore \
+  --gen2 \
+  --runtime=nodejs20 \
+  --region=$REGION \
+  --source=. \
+  --entry-point=verifyAccountRestore \
+  --trigger-http \
+  --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --project=$PROJECT_ID
+
+if [ $? -eq 0 ]; then
+  success "verifyAccountRestore function deployed"
+else
+  error "Failed to deploy verifyAccountRestore function"
+  exit 1
+fi
+
+# Deploy reportUnrecognizedLogin function
+info "Deploying reportUnrecognizedLogin function..."
+gcloud functions deploy reportUnrecognizedLogin \
+  --gen2 \
+  --runtime=nodejs20 \
+  --region=$REGION \
+  --source=. \
+  --entry-point=reportUnrecognizedLogin \
+  --trigger-http \
+  --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --project=$PROJECT_ID
+
+if [ $? -eq 0 ]; then
+  success "reportUnrecognizedLogin function deployed"
+else
+  error "Failed to deploy reportUnrecognizedLogin function"
+  exit 1
+fi
+
+# Deploy signOutEverywhere function
+info "Deploying signOutEverywhere function..."
+gcloud functions deploy signOutEverywhere \
+  --gen2 \
+  --runtime=nodejs20 \
+  --region=$REGION \
+  --source=. \
+  --entry-point=signOutEverywhere \
+  --trigger-http \
+  --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --project=$PROJECT_ID
+
+if [ $? -eq 0 ]; then
+  success "signOutEverywhere function deployed"
+else
+  error "Failed to deploy signOutEverywhere function"
+  exit 1
+fi
+
+# Deploy confirmSignInChallenge function (verifyRegistrationToken answers 403 STEP_UP_REQUIRED for risky sign-ins)
+info "Deploying confirmSignInChallenge function..."
+gcloud functions deploy confirmSignInChallenge \
+  --gen2 \
+  --runtime=nodejs20 \
+  --region=$REGION \
+  --source=. \
+  --entry-point=confirmSignInChallenge \
+  --trigger-http \
+  --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --project=$PROJECT_ID
+
+if [ $? -eq 0 ]; then
+  success "confirmSignInChallenge function deployed"
+else
+  error "Failed to deploy confirmSignInChallenge function"
+  exit 1
+fi
+
+# Deploy restoreProject function
+info "Deploying restoreProject function..."
+gcloud functions deploy restoreProject \
+  --gen2 \
+  --runtime=nodejs20 \
+  --region=$REGION \
+  --source=. \
+  --entry-point=restoreProject \
+  --trigger-http \
+  --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --project=$PROJECT_ID
+
+if [ $? -eq 0 ]; then
+  success "restoreProject function deployed"
+else
+  error "Failed to deploy restoreProject function"
+  exit 1
+fi
+
 # Deploy cleanupExpiredRegistrations function
 info "Deploying cleanupExpiredRegistrations function..."
 gcloud functions deploy cleanupExpiredRegistrations \
@@ -140,7 +317,10 @@ gcloud functions deploy cleanupExpiredRegistrations \
   --source=. \
   --entry-point=cleanupExpiredRegistrations \
   --trigger-http \
+  --timeout=540s \
   --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --update-env-vars="SCHEDULER_SERVICE_ACCOUNT=$SCHEDULER_SA,SCHEDULER_OIDC_AUDIENCE=$FUNCTIONS_BASE_URL/cleanupExpiredRegistrations" \
   --project=$PROJECT_ID
 
 if [ $? -eq 0 ]; then
@@ -149,39 +329,65 @@ else
   warning "Failed to deploy cleanupExpiredRegistrations function"
 fi
 
-# Get function URL for cleanup function
-CLEANUP_URL=$(gcloud functions describe cleanupDeletedUsers \
+# Deploy enforceRetention function (applies functions/retention_policies.js)
+info "Deploying enforceRetention function..."
+gcloud functions deploy enforceRetention \
+  --gen2 \
+  --runtime=nodejs20 \
+  --region=$REGION \
+  --source=. \
+  --entry-point=enforceRetention \
+  --trigger-http \
+  --timeout=540s \
+  --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --update-env-vars="SCHEDULER_SERVICE_ACCOUNT=$SCHEDULER_SA,SCHEDULER_OIDC_AUDIENCE=$FUNCTIONS_BASE_URL/enforceRetention" \
+  --project=$PROJECT_ID
+
+if [ $? -eq 0 ]; then
+  success "enforceRetention function deployed"
+else
+  error "Failed to deploy enforceRetention function"
+  exit 1
+fi
+
+# Get function URL for retention function
+RETENTION_URL=$(gcloud functions describe enforceRetention \
   --gen2 \
   --region=$REGION \
   --project=$PROJECT_ID \
   --format="value(serviceConfig.uri)" 2>/dev/null)
 
-if [ -n "$CLEANUP_URL" ]; then
-  info "Cleanup function URL: $CLEANUP_URL"
+if [ -n "$RETENTION_URL" ]; then
+  info "Retention function URL: $RETENTION_URL"
 
   # Create Cloud Scheduler job
   info "Creating Cloud Scheduler job..."
 
   # Check if job already exists
-  gcloud scheduler jobs describe cleanup-deleted-users \
+  gcloud scheduler jobs describe enforce-retention \
     --location=$REGION \
     --project=$PROJECT_ID &>/dev/null
 
   if [ $? -eq 0 ]; then
     info "Updating existing scheduler job..."
-    gcloud scheduler jobs update http cleanup-deleted-users \
+    gcloud scheduler jobs update http enforce-retention \
       --location=$REGION \
       --schedule="0 2 * * *" \
-      --uri="$CLEANUP_URL" \
+      --uri="$RETENTION_URL" \
       --http-method=GET \
+      --oidc-service-account-email="$SCHEDULER_SA" \
+      --oidc-token-audience="$FUNCTIONS_BASE_URL/enforceRetention" \
       --project=$PROJECT_ID
   else
     info "Creating new scheduler job..."
-    gcloud scheduler jobs create http cleanup-deleted-users \
+    gcloud scheduler jobs create http enforce-retention \
       --location=$REGION \
       --schedule="0 2 * * *" \
-      --uri="$CLEANUP_URL" \
+      --uri="$RETENTION_URL" \
       --http-method=GET \
+      --oidc-service-account-email="$SCHEDULER_SA" \
+      --oidc-token-audience="$FUNCTIONS_BASE_URL/enforceRetention" \
       --project=$PROJECT_ID
   fi
 
@@ -190,48 +396,70 @@ if [ -n "$CLEANUP_URL" ]; then
   else
     warning "Failed to configure Cloud Scheduler job"
   fi
+
+  # enforce-retention replaces the per-collection cleanup jobs; the
+  # functions stay deployed for manual runs
+  for OLD_JOB in cleanup-deleted-users cleanup-expired-registrations; do
+    if gcloud scheduler jobs describe $OLD_JOB --location=$REGION --project=$PROJECT_ID &>/dev/null; then
+      info "Deleting replaced scheduler job $OLD_JOB..."
+      gcloud scheduler jobs delete $OLD_JOB \
+        --location=$REGION \
+        --project=$PROJECT_ID \
+        --quiet || warning "Failed to delete scheduler job $OLD_JOB"
+    fi
+  done
 fi
 
-# Get function URL for cleanup expired registrations function
-CLEANUP_REG_URL=$(gcloud functions describe cleanupExpiredRegistrations \
+# Deploy processEmailOutbox function (retries emails that failed on the first attempt)
+info "Deploying processEmailOutbox function..."
+gcloud functions deploy processEmailOutbox \
   --gen2 \
+  --runtime=nodejs20 \
   --region=$REGION \
-  --project=$PROJECT_ID \
-  --format="value(serviceConfig.uri)" 2>/dev/null)
+  --source=. \
+  --entry-point=processEmailOutbox \
+  --trigger-http \
+  --timeout=300s \
+  --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
+  --update-env-vars="SCHEDULER_SERVICE_ACCOUNT=$SCHEDULER_SA,SCHEDULER_OIDC_AUDIENCE=$FUNCTIONS_BASE_URL/processEmailOutbox" \
+  --project=$PROJECT_ID
 
-if [ -n "$CLEANUP_REG_URL" ]; then
-  info "Cleanup registrations function URL: $CLEANUP_REG_URL"
+if [ $? -eq 0 ]; then
+  success "processEmailOutbox function deployed"
+else
+  error "Failed to deploy processEmailOutbox function"
+  exit 1
+fi
 
-  # Create Cloud Scheduler job for expired registrations
-  info "Creating Cloud Scheduler job for expired registrations..."
+OUTBOX_URL=$(gcloud functions describe processEmailOutbox \
+  --gen2 \
+  --region=$REGION \
+  --project=$PROJECT_ID \
+  --format="value(serviceConfig.uri)" 2>/dev/null)
 
-  # Check if job already exists
-  gcloud scheduler jobs describe cleanup-expired-registrations \
-    --location=$REGION \
-    --project=$PROJECT_ID &>/dev/null
+if [ -n "$OUTBOX_URL" ]; then
+  info "Configuring Cloud Scheduler job for the email outbox..."
 
-  if [ $? -eq 0 ]; then
-    info "Updating existing scheduler job..."
-    gcloud scheduler jobs update http cleanup-expired-registrations \
-      --location=$REGION \
-      --schedule="0 3 * * *" \
-      --uri="$CLEANUP_REG_URL" \
-      --http-method=GET \
-      --project=$PROJECT_ID
+  if gcloud scheduler jobs describe process-email-outbox --location=$REGION --project=$PROJECT_ID &>/dev/null; then
+    OUTBOX_JOB_ACTION=update
   else
-    info "Creating new scheduler job..."
-    gcloud scheduler jobs create http cleanup-expired-registrations \
-      --location=$REGION \
-      --schedule="0 3 * * *" \
-      --uri="$CLEANUP_REG_URL" \
-      --http-method=GET \
-      --project=$PROJECT_ID
+    OUTBOX_JOB_ACTION=create
   fi
 
+  gcloud scheduler jobs $OUTBOX_JOB_ACTION http process-email-outbox \
+    --location=$REGION \
+    --schedule="*/5 * * * *" \
+    --uri="$OUTBOX_URL" \
+    --http-method=POST \
+    --oidc-service-account-email="$SCHEDULER_SA" \
+    --oidc-token-audience="$FUNCTIONS_BASE_URL/processEmailOutbox" \
+    --project=$PROJECT_ID
+
   if [ $? -eq 0 ]; then
-    success "Cloud Scheduler job configured (runs daily at 3 AM)"
+    success "Cloud Scheduler job configured (delivers the email outbox every 5 minutes)"
   else
-    warning "Failed to configure Cloud Scheduler job for expired registrations"
+    warning "Failed to configure the email outbox scheduler job"
   fi
 fi
 
@@ -260,12 +488,21 @@ CREATE_SIGNIN_URL=$(gcloud functions describe createSignInRequest \
 
 info "========================================"
 info "Deployed Functions:"
-info "1. cleanupDeletedUsers - Runs daily to clean up old deleted users"
+info "1. cleanupDeletedUsers - Purges soft-deleted accounts past their retention period (manual runs)"
 info "2. sendLoginNotification - Sends security notifications"
 info "3. createRegistration - Creates registration tokens and sends verification emails"
 info "4. verifyRegistrationToken - Verifies registration tokens"
 info "5. createSignInRequest - Creates sign-in tokens for existing users"
-info "6. cleanupExpiredRegistrations - Cleans up expired registration tokens"
+info "6. cleanupExpiredRegistrations - Cleans up expired registration tokens (manual runs)"
+info "7. enforceRetention - Runs daily to apply the data retention policies"
+info "8. hasPendingRegistration - Tells the app whether an email link is still pending"
+info "9. requestAccountRestore - Emails a restore link for a soft-deleted account"
+info "10. verifyAccountRestore - Restores an account from its emailed link"
+info "11. reportUnrecognizedLogin - Handles the \"This wasn't me\" link of login alerts"
+info "12. signOutEverywhere - Revokes all sessions of the signed-in user"
+info "13. confirmSignInChallenge - Completes a sign-in that required an emailed confirmation code"
+info "14. restoreProject - Restores a soft-deleted project within the restore window"
+info "15. processEmailOutbox - Runs every 5 minutes to retry queued emails"
 info ""
 info "Function URLs:"
 info "  createRegistration: $CREATE_REG_URL"
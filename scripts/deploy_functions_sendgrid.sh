@@ -19,6 +19,11 @@ warning() { echo -e "${YELLOW}[WARNING]${NC} $1"; }
 
 PROJECT_ID=${GCP_PROJECT_ID:-"artist-manager-479514"}
 REGION=${GCP_REGION:-"us-central1"}
+# Every function keys tokens, device IDs and audit hashes with this secret
+TOKEN_SECRET="TOKEN_HASH_SECRET=${TOKEN_HASH_SECRET_NAME:-token-hash-secret}:latest"
+# Cloud Scheduler calls cleanupDeletedUsers with OIDC tokens of this account
+SCHEDULER_SA=${SCHEDULER_SERVICE_ACCOUNT:-"maintenance-scheduler@$PROJECT_ID.iam.gserviceaccount.com"}
+CLEANUP_AUDIENCE="https://$REGION-$PROJECT_ID.cloudfunctions.net/cleanupDeletedUsers"
 
 info "Deploying Cloud Functions with SendGrid"
 info "Project: $PROJECT_ID"
@@ -61,8 +66,17 @@ if [ ! -d "node_modules" ] || [ ! -d "node_modules/@sendgrid" ]; then
     success "Dependencies installed"
 fi
 
+# Login alerts show an approximate location from the GeoIP index
+if [ ! -f "geoip/dbip-city-lite.idx" ]; then
+    info "Downloading GeoIP database and building its index..."
+    ../scripts/update_geoip.sh || warning "GeoIP index unavailable; locations will be unknown"
+fi
+
 cd ..
 
+# Token hash secret in Secret Manager (the functions do not start without it)
+GCP_PROJECT_ID=$PROJECT_ID ./scripts/setup_token_secret.sh
+
 # Deploy cleanup function with environment variables
 info "Deploying cleanupDeletedUsers function..."
 gcloud functions deploy cleanupDeletedUsers \
@@ -72,8 +86,10 @@ gcloud functions deploy cleanupDeletedUsers \
   --source=functions \
   --entry-point=cleanupDeletedUsers \
   --trigger-http \
+  --timeout=540s \
   --allow-unauthenticated \
-  --set-env-vars "SENDGRID_API_KEY=$SENDGRID_API_KEY,SENDGRID_SENDER_EMAIL=$SENDGRID_SENDER_EMAIL,SENDGRID_SENDER_NAME=${SENDGRID_SENDER_NAME:-Artist Finance Manager}" \
+  --set-secrets="$TOKEN_SECRET" \
+  --set-env-vars "SENDGRID_API_KEY=$SENDGRID_API_KEY,SENDGRID_SENDER_EMAIL=$SENDGRID_SENDER_EMAIL,SENDGRID_SENDER_NAME=${SENDGRID_SENDER_NAME:-Artist Finance Manager},SCHEDULER_SERVICE_ACCOUNT=$SCHEDULER_SA,SCHEDULER_OIDC_AUDIENCE=$CLEANUP_AUDIENCE" \
   --project=$PROJECT_ID
 
 if [ $? -eq 0 ]; then
@@ -93,6 +109,7 @@ gcloud functions deploy sendLoginNotification \
   --entry-point=sendLoginNotification \
   --trigger-http \
   --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
   --set-env-vars "SENDGRID_API_KEY=$SENDGRID_API_KEY,SENDGRID_SENDER_EMAIL=$SENDGRID_SENDER_EMAIL,SENDGRID_SENDER_NAME=${SENDGRID_SENDER_NAME:-Artist Finance Manager}" \
   --project=$PROJECT_ID
 
@@ -126,6 +143,8 @@ if [ -n "$CLEANUP_URL" ]; then
           --schedule="0 2 * * *" \
           --uri="$CLEANUP_URL" \
           --http-method=GET \
+          --oidc-service-account-email="$SCHEDULER_SA" \
+          --oidc-token-audience="$CLEANUP_AUDIENCE" \
           --project=$PROJECT_ID
     else
         info "Creating new scheduler job..."
@@ -134,6 +153,8 @@ if [ -n "$CLEANUP_URL" ]; then
           --schedule="0 2 * * *" \
           --uri="$CLEANUP_URL" \
           --http-method=GET \
+          --oidc-service-account-email="$SCHEDULER_SA" \
+          --oidc-token-audience="$CLEANUP_AUDIENCE" \
           --project=$PROJECT_ID
     fi
 
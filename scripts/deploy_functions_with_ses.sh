@@ -19,6 +19,8 @@ warning() { echo -e "${YELLOW}[WARNING]${NC} $1"; }
 
 PROJECT_ID=${GCP_PROJECT_ID:-"artist-manager-479514"}
 REGION=${GCP_REGION:-"us-central1"}
+# Every function keys tokens, device IDs and audit hashes with this secret
+TOKEN_SECRET="TOKEN_HASH_SECRET=${TOKEN_HASH_SECRET_NAME:-token-hash-secret}:latest"
 
 info "Deploying Cloud Functions with AWS SES"
 info "Project: $PROJECT_ID"
@@ -62,8 +64,17 @@ if [ ! -d "node_modules" ]; then
     success "Dependencies installed"
 fi
 
+# Login alerts show an approximate location from the GeoIP index
+if [ ! -f "geoip/dbip-city-lite.idx" ]; then
+    info "Downloading GeoIP database and building its index..."
+    ../scripts/update_geoip.sh || warning "GeoIP index unavailable; locations will be unknown"
+fi
+
 cd ..
 
+# Token hash secret in Secret Manager (the functions do not start without it)
+GCP_PROJECT_ID=$PROJECT_ID ./scripts/setup_token_secret.sh
+
 # Deploy cleanup function with environment variables
 info "Deploying cleanupDeletedUsers function..."
 gcloud functions deploy cleanupDeletedUsers \
@@ -74,6 +85,7 @@ gcloud functions deploy cleanupDeletedUsers \
   --entry-point=cleanupDeletedUsers \
   --trigger-http \
   --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
   --set-env-vars "AWS_REGION=$AWS_REGION,AWS_ACCESS_KEY_ID=$AWS_ACCESS_KEY_ID,AWS_SECRET_ACCESS_KEY=$AWS_SECRET_ACCESS_KEY,SES_SENDER_EMAIL=$SES_SENDER_EMAIL" \
   --project=$PROJECT_ID
 
@@ -94,6 +106,7 @@ gcloud functions deploy sendLoginNotification \
   --entry-point=sendLoginNotification \
   --trigger-http \
   --allow-unauthenticated \
+  --set-secrets="$TOKEN_SECRET" \
   --set-env-vars "AWS_REGION=$AWS_REGION,AWS_ACCESS_KEY_ID=$AWS_ACCESS_KEY_ID,AWS_SECRET_ACCESS_KEY=$AWS_SECRET_ACCESS_KEY,SES_SENDER_EMAIL=$SES_SENDER_EMAIL" \
   --project=$PROJECT_ID
 
@@ -0,0 +1,49 @@
+#!/bin/bash
+
+# Token Hash Secret Setup Script
+# Creates the TOKEN_HASH_SECRET in Secret Manager (if missing) and lets the
+# functions' runtime service account read it. The deploy scripts run this and
+# pass the secret to every function with --set-secrets; the functions refuse
+# to start without it (functions/registration_service.js).
+#
+# Rotating the secret invalidates all pending email links.
+
+set -e
+
+# Color codes
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+BLUE='\033[0;34m'
+NC='\033[0m'
+
+success() { echo -e "${GREEN}[SUCCESS]${NC} $1"; }
+error() { echo -e "${RED}[ERROR]${NC} $1"; }
+info() { echo -e "${BLUE}[INFO]${NC} $1"; }
+
+PROJECT_ID=${GCP_PROJECT_ID:-"artist-manager-479514"}
+SECRET_NAME=${TOKEN_HASH_SECRET_NAME:-"token-hash-secret"}
+
+gcloud services enable secretmanager.googleapis.com --project=$PROJECT_ID
+
+if gcloud secrets describe "$SECRET_NAME" --project=$PROJECT_ID &>/dev/null; then
+  info "Secret $SECRET_NAME already exists"
+else
+  info "Creating secret $SECRET_NAME..."
+  openssl rand -base64 48 | tr -d '\n' | gcloud secrets create "$SECRET_NAME" \
+    --data-file=- \
+    --replication-policy=automatic \
+    --project=$PROJECT_ID
+  success "Secret $SECRET_NAME created"
+fi
+
+# Gen 2 functions run as the default compute service account unless deployed
+# with --service-account
+PROJECT_NUMBER=$(gcloud projects describe $PROJECT_ID --format="value(projectNumber)")
+RUNTIME_SA=${FUNCTIONS_SERVICE_ACCOUNT:-"$PROJECT_NUMBER-compute@developer.gserviceaccount.com"}
+
+gcloud secrets add-iam-policy-binding "$SECRET_NAME" \
+  --member="serviceAccount:$RUNTIME_SA" \
+  --role="roles/secretmanager.secretAccessor" \
+  --project=$PROJECT_ID >/dev/null || { error "Failed to grant $RUNTIME_SA access to $SECRET_NAME"; exit 1; }
+
+success "$RUNTIME_SA can read $SECRET_NAME"
@@ -0,0 +1,52 @@
+#!/bin/bash
+
+# GeoIP Database Update Script
+# Downloads the free DB-IP "IP to City Lite" database used for the approximate
+# location in login alerts (functions/geoip.js) and builds the binary index
+# the functions load (functions/geoip_index.js). Run before deploying the
+# functions; only the index is deployed and lookups never use the network.
+#
+# Data: DB-IP.com, licensed under CC BY 4.0 (https://db-ip.com/db/lite.php)
+
+set -e
+
+# Color codes
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+BLUE='\033[0;34m'
+NC='\033[0m'
+
+success() { echo -e "${GREEN}[SUCCESS]${NC} $1"; }
+error() { echo -e "${RED}[ERROR]${NC} $1"; }
+info() { echo -e "${BLUE}[INFO]${NC} $1"; }
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+TARGET_DIR="$SCRIPT_DIR/../functions/geoip"
+TARGET="$TARGET_DIR/dbip-city-lite.csv.gz"
+INDEX="$TARGET_DIR/dbip-city-lite.idx"
+
+# DB-IP publishes one file per month; fall back to last month early in the month
+CURRENT_MONTH=$(date -u +%Y-%m)
+PREVIOUS_MONTH=$(date -u -d "$(date -u +%Y-%m-15) -1 month" +%Y-%m 2>/dev/null || date -u -v-1m +%Y-%m)
+
+mkdir -p "$TARGET_DIR"
+
+for MONTH in "$CURRENT_MONTH" "$PREVIOUS_MONTH"; do
+  URL="https://download.db-ip.com/free/dbip-city-lite-$MONTH.csv.gz"
+  info "Downloading $URL..."
+  if curl -fsSL --max-time 600 -o "$TARGET.tmp" "$URL"; then
+    if gzip -t "$TARGET.tmp"; then
+      mv "$TARGET.tmp" "$TARGET"
+      success "GeoIP database saved to $TARGET ($MONTH)"
+      info "Building GeoIP index..."
+      node "$SCRIPT_DIR/../functions/geoip_index.js" "$TARGET" "$INDEX"
+      success "GeoIP index saved to $INDEX"
+      exit 0
+    fi
+    error "Downloaded file for $MONTH is not a valid gzip archive"
+  fi
+  rm -f "$TARGET.tmp"
+done
+
+error "Could not download the GeoIP database"
+exit 1
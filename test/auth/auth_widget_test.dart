@@ -51,11 +51,18 @@ class MockAuthProvider extends ChangeNotifier implements AuthProvider {
   }
 
   @override
-  Future<bool> verifyRegistrationToken(String token) async {
+  Future<bool> verifyRegistrationToken(String token,
+      {String purpose = 'registration'}) async {
     await Future.delayed(const Duration(milliseconds: 50));
     return true;
   }
 
+  @override
+  String? get pendingChallengeId => null;
+
+  @override
+  Future<bool> confirmSignInChallenge(String code) async => true;
+
   @override
   Future<bool> registerUser(String email, String name) async {
     await Future.delayed(const Duration(milliseconds: 50));
@@ -66,7 +66,15 @@ class MockAuthProvider extends ChangeNotifier implements AuthProvider {
       true;
 
   @override
-  Future<bool> verifyRegistrationToken(String token) async => true;
+  Future<bool> verifyRegistrationToken(String token,
+          {String purpose = 'registration'}) async =>
+      true;
+
+  @override
+  String? get pendingChallengeId => null;
+
+  @override
+  Future<bool> confirmSignInChallenge(String code) async => true;
 
   @override
   Future<bool> registerUser(String email, String name) async => true;